@@ -1,9 +1,46 @@
 // E2Open TMS Automation API Server - Updated 2025-08-27
 require('dotenv').config();
+// First, so every module's console output goes out as structured, redacted log lines
+const logger = require('./lib/logger');
+logger.captureConsole();
 const express = require('express');
-const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const archiver = require('archiver');
+const { JobQueue, QueueFullError, QueueClosedError, JobTimeoutError } = require('./lib/job-queue');
+const { AutomationError, toAutomationError, sendError, validationError } = require('./lib/errors');
+const diagnostics = require('./lib/diagnostics');
+const rateconArchive = require('./lib/ratecon-archive');
+const storage = require('./lib/storage');
+const fileStore = require('./lib/file-store');
+const metrics = require('./lib/metrics');
+const selectors = require('./lib/selectors');
+const { JobStore } = require('./lib/job-store');
+const webhooks = require('./lib/webhooks');
+const auth = require('./lib/auth');
+const { getAccount, listAccounts, DEFAULT_ACCOUNT } = require('./lib/accounts');
+const { renderFilename, uniqueFilename, validateTemplate, isValidTimezone } = require('./lib/filename-template');
+const { getAction, supportedActions, listActions, resolveParams, runAction } = require('./lib/actions');
+const { runLoads } = require('./lib/batch');
+const {
+  SESSION_TIMEOUT,
+  POOL_SIZE,
+  getPool,
+  initializeBrowserSession,
+  closeBrowserSession,
+  waitForContext,
+  leaseContext,
+  releaseContext,
+  getContext,
+  purgeSavedState,
+  getPoolStatus,
+  allSlots
+} = require('./lib/browser-session');
+const sessionState = require('./lib/session-state');
+const { SessionScheduler } = require('./lib/session-scheduler');
+const { RecurringSchedules } = require('./lib/recurring-schedules');
 
 const app = express();
 const PORT = process.env.PORT || 3952;
@@ -12,658 +49,1137 @@ console.log('[STARTUP] Starting E2Open API Server...');
 console.log('[STARTUP] PORT:', PORT);
 console.log('[STARTUP] NODE_ENV:', process.env.NODE_ENV || 'development');
 
-// Global browser session management
-let browserSession = {
-  browser: null,
-  context: null,
-  page: null,
-  isLoggedIn: false,
-  lastActivity: null,
-  sessionId: null
-};
+// Job queue in front of the context pool; never run more jobs than there are contexts
+const jobQueue = new JobQueue({
+  // Each account has its own contexts, so each may run POOL_SIZE jobs at the same time
+  concurrency: Math.min(parseInt(process.env.QUEUE_CONCURRENCY, 10) || POOL_SIZE * listAccounts().length, POOL_SIZE * listAccounts().length),
+  keyConcurrency: POOL_SIZE,
+  maxQueueSize: parseInt(process.env.QUEUE_MAX_SIZE, 10) || 10,
+  jobTimeout: parseInt(process.env.JOB_TIMEOUT_MS, 10) || 5 * 60 * 1000
+});
 
-// Session timeout (30 minutes)
-const SESSION_TIMEOUT = 30 * 60 * 1000;
+// Finished jobs and their result files are kept this long for GET /api/jobs/:id/result
+const jobStore = new JobStore({
+  retention: parseInt(process.env.JOB_RESULT_RETENTION_MS, 10) || 60 * 60 * 1000
+});
+jobStore.startSweeper();
+fileStore.startSweeper();
+diagnostics.startSweeper();
 
-app.use(express.json());
+// Queue and context-lock state, read when /metrics is scraped
+metrics.gauge('queue_jobs', 'Jobs in the queue by state (running, waiting)', () => {
+  const status = jobQueue.getStatus();
+  return [
+    { labels: { state: 'running' }, value: status.running },
+    { labels: { state: 'waiting' }, value: status.waiting }
+  ];
+});
+metrics.gauge('browser_contexts', 'Browser contexts by account and state (busy = leased to a job, idle, closed)', () => {
+  const counts = new Map();
+  for (const slot of allSlots()) {
+    const state = slot.busy ? 'busy' : (slot.page ? 'idle' : 'closed');
+    const key = `${slot.account.name}:${state}`;
+    const entry = counts.get(key) || { labels: { account: slot.account.name, state }, value: 0 };
+    entry.value++;
+    counts.set(key, entry);
+  }
+  return Array.from(counts.values());
+});
 
-// Middleware to log requests (excluding health checks and root path)
-app.use((req, res, next) => {
-  if (req.path !== '/health' && req.path !== '/') {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-    console.log('Headers:', req.headers);
+// Keep-alive, morning pre-warm and overnight shutdown; runs through the queue like any other job
+const sessionScheduler = new SessionScheduler({ jobQueue });
+
+// Upper limit on load numbers accepted by POST /api/batch
+const BATCH_MAX_LOADS = parseInt(process.env.BATCH_MAX_LOADS, 10) || 100;
+
+// Recurring ratecon schedules; each run prints its loads as one batch and moves the files to a drop folder
+const recurringSchedules = new RecurringSchedules({
+  maxLoads: BATCH_MAX_LOADS,
+  runBatch: async (schedule, loadNumbers) => {
+    const { id, queued } = enqueueBatch(loadNumbers, schedule.params, {
+      name: 'schedule',
+      account: schedule.account || DEFAULT_ACCOUNT,
+      client: schedule.createdBy
+    });
+    try {
+      const results = await queued.promise;
+      jobStore.markSucceeded(id, null);
+      return results;
+    } catch (error) {
+      jobStore.markFailed(id, error);
+      throw error;
+    }
   }
-  next();
 });
 
+// X-Request-Id in and out, and one log line per request (headers only at LOG_LEVEL=debug, redacted)
+app.use(logger.requestContext());
+app.use(express.json());
+app.use(logger.restoreRequestContext());
+
+// Every /api route needs an API key once API_KEYS_FILE is configured (/health stays open for probes)
+app.use('/api', auth.authenticate);
+
+// Express 4 doesn't catch rejected handlers; every async route passes its errors on to the error middleware instead
+const asyncRoute = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
 // Health check endpoint
-app.get('/health', async (req, res) => {
-  const sessionStatus = await checkBrowserSession(true); // true = silent mode
+app.get('/health', asyncRoute(async (req, res) => {
+  const poolStatus = await getPoolStatus(true); // true = silent mode
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
     version: '1.0.0',
     session: {
-      active: sessionStatus.active,
-      loggedIn: sessionStatus.loggedIn,
-      lastActivity: browserSession.lastActivity,
-      sessionId: browserSession.sessionId
-    }
+      active: poolStatus.contexts.some(context => context.active),
+      loggedIn: poolStatus.contexts.some(context => context.loggedIn),
+      browserConnected: poolStatus.browserConnected,
+      size: poolStatus.size,
+      idle: poolStatus.idle,
+      contexts: poolStatus.contexts
+    },
+    queue: jobQueue.getStatus()
   });
-});
+}));
 
-// Session status endpoint
-app.get('/api/session', async (req, res) => {
-  const status = await checkBrowserSession();
-  res.json(status);
+// Prometheus scrape endpoint; open like /health (no credentials or load data in it)
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
 });
 
-// Force new session endpoint
-app.post('/api/session/reset', async (req, res) => {
-  console.log('Force resetting browser session...');
-  await closeBrowserSession();
-  const status = await initializeBrowserSession();
-  res.json(status);
+// Pick the E2Open account from x-account (or ?account= / body.account); sends 400/403 and returns null if unusable
+function resolveAccount(req, res) {
+  const requested = req.headers['x-account'] || req.query.account || (req.body && !Array.isArray(req.body) && req.body.account);
+  const account = getAccount(requested);
+  if (!account) {
+    sendError(res, validationError('Unknown account', `No E2Open account named '${requested}'`, {
+      accounts: listAccounts().filter(each => auth.canUseAccount(req.client, each.name)).map(each => each.name)
+    }));
+    return null;
+  }
+  if (!auth.canUseAccount(req.client, account.name)) {
+    auth.deny(req, res, 403, `API key for '${req.client.name}' may not use account '${account.name}'`, { account: account.name });
+    return null;
+  }
+  return account;
+}
+
+// Configured E2Open accounts (no passwords)
+app.get('/api/accounts', (req, res) => {
+  const accounts = listAccounts().filter(account => auth.canUseAccount(req.client, account.name));
+  res.json({ default: DEFAULT_ACCOUNT, count: accounts.length, accounts });
 });
 
-// Main automation endpoint
-app.post('/api/automation', async (req, res) => {
-  console.log(`[REQUEST] Received POST /api/automation at ${new Date().toISOString()}`);
-  console.log(`[REQUEST] Headers:`, req.headers);
-  
-  // Get action and parameters from headers
-  const action = req.headers['x-action'] || req.headers.action;
-  const loadNumber = req.headers['x-load-number'] || req.headers.load || req.body.loadNumber;
-  
-  console.log(`[AUTOMATION] Processing action: '${action}' for Load: '${loadNumber}'`);
-  console.log(`[AUTOMATION] Starting automation process...`);
-  
-  // Validate required parameters
-  if (!action) {
-    return res.status(400).json({ 
-      error: 'Missing required header: action',
-      message: 'Please provide x-action header (e.g., printloadconfirmation)'
-    });
+// Session status endpoint (x-account or ?account= for one account, otherwise every account in use)
+app.get('/api/session', asyncRoute(async (req, res) => {
+  const requested = req.headers['x-account'] || req.query.account;
+  if (!requested) {
+    const status = await getPoolStatus(false);
+    status.contexts = status.contexts.filter(context => auth.canUseAccount(req.client, context.account));
+    return res.json(status);
   }
+  const account = resolveAccount(req, res);
+  if (!account) return;
+  res.json(await getPoolStatus(false, account.name));
+}));
+
+// Close, purge and log in again the given contexts of an account; contexts busy with a job are left alone.
+// Each context goes back to the pool as soon as it is logged in again, so jobs waiting for one can start
+async function resetContexts(account, slots) {
+  const leased = slots.filter(slot => leaseContext(slot, `session-reset:${account.name}`));
+  const busy = slots.filter(slot => !leased.includes(slot)).map(slot => slot.id);
+  if (leased.length === 0) return { busy };
   
-  // Route to appropriate action
-  switch (action.toLowerCase()) {
-    case 'printloadconfirmation':
-    case 'print-load-confirmation':
-      if (!loadNumber) {
-        return res.status(400).json({ 
-          error: 'Missing required header: load',
-          message: 'Please provide x-load-number header with the load number'
-        });
-      }
-      
-      try {
-        console.log(`[AUTOMATION] Initiating load confirmation for load ${loadNumber}`);
-        const pdfPath = await executeLoadConfirmation(loadNumber);
-        
-        console.log(`[PDF] Reading PDF file from: ${pdfPath}`);
-        // Read the PDF file
-        const pdfBuffer = await fs.readFile(pdfPath);
-        
-        // Generate the proper filename for the response
-        const today = new Date();
-        const dateStr = String(today.getMonth() + 1).padStart(2, '0') + '.' + 
-                       String(today.getDate()).padStart(2, '0') + '.' + 
-                       String(today.getFullYear()).slice(-2);
-        const responseFilename = `RATECON MULDER BROTHERS ${loadNumber} ${dateStr}.pdf`;
-        
-        console.log(`[RESPONSE] Generated filename: ${responseFilename}`);
-        console.log(`[RESPONSE] Sending PDF as binary (${pdfBuffer.length} bytes) with filename: ${responseFilename}`);
-        
-        // Set response headers for PDF with proper filename
-        res.set({
-          'Content-Type': 'application/pdf',
-          'Content-Disposition': `attachment; filename="${responseFilename}"`,
-          'Content-Length': pdfBuffer.length,
-          'X-Filename': responseFilename,
-          'X-Load-Number': loadNumber
-        });
-        
-        // Send PDF as binary response
-        res.send(pdfBuffer);
-        
-        // Clean up: Delete the file after response is sent
-        res.on('finish', async () => {
-          try {
-            await fs.unlink(pdfPath);
-            console.log(`[CLEANUP] Deleted temporary file: ${path.basename(pdfPath)}`);
-          } catch (err) {
-            console.error(`[CLEANUP] Failed to delete file: ${err.message}`);
-          }
-        });
-        
-      } catch (error) {
-        console.error('[ERROR] Automation failed:', error);
-        res.status(500).json({ 
-          error: 'Automation failed',
-          message: error.message,
-          details: error.stack
-        });
-      }
-      break;
-      
-    default:
-      res.status(400).json({ 
-        error: 'Unknown action',
-        message: `Action '${action}' is not supported`,
-        supportedActions: ['printloadconfirmation']
-      });
+  const contexts = [];
+  try {
+    for (const slot of leased) {
+      await closeBrowserSession(slot);
+      // A forced reset means a real login, not a restore of the saved cookies
+      await purgeSavedState(account.name, slot.id);
+    }
+    for (const slot of leased) {
+      const status = await initializeBrowserSession(slot);
+      contexts.push({ id: slot.id, ...status });
+      releaseContext(slot);
+    }
+    return { context: leased[0].id, status: contexts[0], contexts, busy };
+  } finally {
+    leased.slice(contexts.length).forEach(releaseContext);
   }
-});
+}
 
-// Check browser session status
-async function checkBrowserSession(silent = false) {
-  const now = Date.now();
-  const isActive = browserSession.browser && 
-                   browserSession.context && 
-                   browserSession.page;
+// Force new session endpoint for one account (?context=N resets a single context); runs through the job queue
+// and only touches contexts no job is using
+app.post('/api/session/reset', auth.requireScope('resetSession'), asyncRoute(async (req, res) => {
+  const account = resolveAccount(req, res);
+  if (!account) return;
   
-  const isTimedOut = browserSession.lastActivity && 
-                     (now - browserSession.lastActivity) > SESSION_TIMEOUT;
+  let slots = getPool(account.name);
+  if (req.query.context) {
+    const slot = getContext(req.query.context, account.name);
+    if (!slot) {
+      return sendError(res, new AutomationError('NOT_FOUND', `No browser context ${req.query.context} for account ${account.name}`, { title: 'Unknown context' }));
+    }
+    slots = [slot];
+  }
   
-  if (isActive && !isTimedOut) {
-    // Verify the session is still valid
-    try {
-      await browserSession.page.evaluate(() => document.title);
-      if (!silent) {
-        console.log('[SESSION] Browser session is active and valid');
-      }
-      
-      // Check if still logged in
-      const loggedIn = await verifyLogin(silent);
-      
-      return {
-        active: true,
-        loggedIn: loggedIn,
-        sessionId: browserSession.sessionId,
-        lastActivity: browserSession.lastActivity,
-        uptime: now - browserSession.lastActivity
-      };
-    } catch (error) {
-      if (!silent) {
-        console.log('[SESSION] Browser session is invalid, will reinitialize');
-      }
-      await closeBrowserSession();
-      return { active: false, loggedIn: false, error: 'Session invalid' };
+  console.log(`Force resetting browser ${req.query.context ? `context ${req.query.context}` : 'sessions'} of account ${account.name}...`);
+  let queued;
+  try {
+    queued = jobQueue.enqueue(() => resetContexts(account, slots), { name: `session-reset:${account.name}`, key: account.name });
+  } catch (error) {
+    if (error instanceof QueueFullError || error instanceof QueueClosedError) {
+      console.log(`[QUEUE] Rejecting session reset: ${error.message}`);
+      return sendQueueRejection(res, error);
     }
+    throw error;
+  }
+  
+  const result = await queued.promise;
+  if (!result.status) {
+    return sendError(res, new AutomationError('CONFLICT',
+      `Browser context(s) ${result.busy.join(', ')} of account ${account.name} are running jobs; try again when they finish`,
+      { title: 'Context busy', details: { busy: result.busy } }));
   }
+  if (result.busy.length > 0) {
+    console.log(`[SESSION] Skipped busy context(s) ${result.busy.join(', ')} of account ${account.name}`);
+  }
+  const { id, ...status } = result.status;
+  res.json({ account: account.name, context: result.context, ...status, contexts: result.contexts, busy: result.busy });
+}));
+
+// Delete the saved (encrypted) session state for an account (?context=N for one context)
+app.delete('/api/session/state', auth.requireScope('resetSession'), asyncRoute(async (req, res) => {
+  const account = resolveAccount(req, res);
+  if (!account) return;
   
-  if (isTimedOut) {
-    console.log('[SESSION] Session timed out, closing...');
-    await closeBrowserSession();
+  if (req.query.context && !getContext(req.query.context, account.name)) {
+    return sendError(res, new AutomationError('NOT_FOUND', `No browser context ${req.query.context} for account ${account.name}`, { title: 'Unknown context' }));
   }
   
-  return { active: false, loggedIn: false };
-}
+  const purged = await purgeSavedState(account.name, req.query.context || null);
+  console.log(`[SESSION] Purged saved session state for account ${account.name}: ${purged.length ? `context(s) ${purged.join(', ')}` : 'nothing saved'}`);
+  res.json({ account: account.name, purged, persistence: sessionState.isEnabled() });
+}));
+
+// Scheduled session tasks, business hours and next run times
+app.get('/api/schedule', (req, res) => {
+  res.json(sessionScheduler.getStatus());
+});
 
-// Verify if still logged in
-async function verifyLogin(silent = false) {
-  if (!browserSession.page) return false;
+// Queue an action run and track its state in the job store
+function enqueueAction(action, params, options = {}) {
+  const id = crypto.randomUUID();
+  const account = options.account || DEFAULT_ACCOUNT;
+  const label = `${params.loadNumber ? `load ${params.loadNumber}` : action.name} (account ${account})`;
   
-  try {
-    // Check for username in header (indicates logged in)
-    const username = process.env.TMS_USERNAME;
-    const userElement = await browserSession.page.locator(`text=${username.toUpperCase()}`).count();
-    
-    if (userElement > 0) {
-      if (!silent) {
-        console.log('[AUTH] User is logged in');
-      }
-      return true;
+  // Everything the job logs carries its ID alongside the request ID
+  const queued = logger.runWithContext({ jobId: id }, () => jobQueue.enqueue(async ({ signal }) => {
+    const slot = await waitForContext(id, account, { signal });
+    jobStore.markRunning(id, slot.id);
+    // A timed-out job may be stuck on the page; closing its context makes it fail fast
+    signal.addEventListener('abort', () => {
+      console.error(`[QUEUE] Job for ${label} timed out, closing browser context ${slot.id}`);
+      closeBrowserSession(slot).catch(error => console.error(`[QUEUE] Failed to close browser context ${slot.id}: ${error.message}`));
+    });
+    try {
+      return await runAction(action, params, slot, {
+        signal,
+        onStep: (step) => jobStore.setStep(id, step),
+        onAttempt: (attempt) => jobStore.addAttempt(id, attempt),
+        diagnostics: { id, jobId: id, action: action.name, account, client: options.client || null, params }
+      });
+    } finally {
+      releaseContext(slot);
     }
-    
-    // Check if on login page
-    const loginForm = await browserSession.page.locator('#userSubmit').count();
-    if (loginForm > 0) {
-      if (!silent) {
-        console.log('[AUTH] On login page - not logged in');
+  }, { id, name: params.loadNumber ? `${action.name}:${params.loadNumber}` : action.name, key: account }));
+  
+  const record = jobStore.create({
+    id,
+    action: action.name,
+    params,
+    async: Boolean(options.async),
+    callbackUrl: options.callbackUrl || null,
+    client: options.client || null,
+    account
+  });
+  record.queuePosition = queued.position;
+  
+  queued.promise
+    .then(async (result) => {
+      if (!record.async) {
+        // Synchronous callers get the result in the response; nothing to retain
+        jobStore.markSucceeded(id, null);
+        return;
       }
-      return false;
-    }
-    
-    // Check URL for login indicators
-    const url = browserSession.page.url();
-    if (url.includes('/login') || url.includes('security')) {
-      if (!silent) {
-        console.log('[AUTH] URL indicates login page');
+      
+      if (result.type === 'json') {
+        jobStore.markSucceeded(id, { data: result.data, contentType: 'application/json' });
+        return;
       }
-      return false;
-    }
-    
-    if (!silent) {
-      console.log('[AUTH] Login status uncertain, assuming logged in');
-    }
-    return true;
-    
-  } catch (error) {
-    console.error('[AUTH] Error checking login status:', error.message);
-    return false;
-  }
+      
+      // Keep the file in storage under an opaque ID until the job expires
+      let file;
+      try {
+        file = await fileStore.saveFile(result.path, {
+          filename: result.filename,
+          contentType: result.contentType,
+          jobId: id,
+          client: record.client,
+          account: record.account,
+          retention: jobStore.retention
+        });
+      } finally {
+        await fileStore.removeWorkFile(result.path);
+      }
+      
+      jobStore.markSucceeded(id, {
+        fileId: file.id,
+        filename: result.filename,
+        size: file.size,
+        contentType: result.contentType,
+        archive: result.archive || null
+      });
+      console.log(`[JOBS] Job ${id} succeeded, result retained until ${new Date(record.expiresAt).toISOString()}`);
+    })
+    .catch((error) => {
+      console.error(`[JOBS] Job ${id} failed: ${error.message}`);
+      jobStore.markFailed(id, error);
+    })
+    .then(() => notifyCallback(record))
+    .catch((error) => console.error(`[WEBHOOK] Callback for job ${id} failed: ${error.message}`));
+  
+  console.log(`[QUEUE] Job ${id} for ${label} queued at position ${queued.position}`);
+  return { record, queued };
 }
 
-// Initialize or get browser session
-async function initializeBrowserSession() {
-  const sessionStatus = await checkBrowserSession();
+// POST the finished job to its callback URL: the PDF as multipart, or a JSON failure payload
+async function notifyCallback(record) {
+  if (!record.callback) return;
+  
+  const metadata = {
+    event: record.state === 'succeeded' ? 'job.succeeded' : 'job.failed',
+    jobId: record.id,
+    action: record.action,
+    state: record.state,
+    attempts: record.attempts.length,
+    ...record.params,
+    createdAt: new Date(record.createdAt).toISOString(),
+    finishedAt: new Date(record.finishedAt).toISOString()
+  };
   
-  if (sessionStatus.active && sessionStatus.loggedIn) {
-    console.log('[SESSION] Reusing existing logged-in session');
-    browserSession.lastActivity = Date.now();
-    return sessionStatus;
+  let payload;
+  if (record.state === 'succeeded' && record.result.data !== undefined) {
+    payload = webhooks.buildJson({ ...metadata, result: record.result.data });
+  } else if (record.state === 'succeeded') {
+    const buffer = await fileStore.readFile(record.result.fileId);
+    payload = webhooks.buildMultipart(
+      {
+        metadata: {
+          ...metadata,
+          fileId: record.result.fileId,
+          filename: record.result.filename,
+          size: record.result.size,
+          archive: record.result.archive || null
+        }
+      },
+      { filename: record.result.filename, contentType: record.result.contentType, buffer }
+    );
+  } else {
+    payload = webhooks.buildJson({ ...metadata, error: record.error });
   }
   
-  if (sessionStatus.active && !sessionStatus.loggedIn) {
-    console.log('[SESSION] Session exists but not logged in, will re-login');
-    await performLogin();
-    return await checkBrowserSession();
+  record.callback.state = 'delivering';
+  const outcome = await webhooks.deliverWebhook(record.callback.url, payload, {
+    event: metadata.event,
+    log: record.callback.deliveries,
+    headers: { 'X-Job-Id': record.id }
+  });
+  record.callback.state = outcome.delivered ? 'delivered' : 'failed';
+}
+
+// Respond to a job the queue refused to accept
+function sendQueueRejection(res, error) {
+  const full = error instanceof QueueFullError;
+  res.set('Retry-After', String(error.retryAfter));
+  const rejection = new AutomationError(full ? 'QUEUE_FULL' : 'SESSION_UNAVAILABLE', error.message, {
+    name: error.name,
+    title: full ? null : 'Service unavailable',
+    details: { retryAfter: error.retryAfter, queue: jobQueue.getStatus() }
+  });
+  return sendError(res, rejection);
+}
+
+// Public view of a job, with its live queue position while waiting
+function describeJob(record) {
+  const job = jobStore.toJSON(record);
+  if (record.state === 'queued') {
+    job.queuePosition = jobQueue.getPosition(record.id);
   }
+  job.statusUrl = `/api/jobs/${record.id}`;
+  job.resultUrl = `/api/jobs/${record.id}/result`;
+  return job;
+}
+
+// Run an automation request, either holding the connection open or returning a job ID right away
+// (options.action fixes the action for endpoints that run only one)
+async function handleAutomation(req, res, options = {}) {
+  console.log(`[REQUEST] Received ${req.method} ${req.path} at ${new Date().toISOString()}`);
   
-  console.log('[SESSION] Creating new browser session...');
+  // Get action from headers
+  const actionName = options.action || req.headers['x-action'] || req.headers.action || req.body.action;
+  const callbackUrl = req.headers['x-callback-url'] || req.body.callbackUrl;
+  // A callback replaces waiting on the connection, so it always runs as an async job
+  const asyncMode = Boolean(options.async) || Boolean(callbackUrl);
   
-  const username = process.env.TMS_USERNAME;
-  const password = process.env.TMS_PASSWORD;
+  console.log(`[AUTOMATION] Processing action: '${actionName}'${asyncMode ? ' (async)' : ''}`);
   
-  if (!username || !password) {
-    throw new Error('TMS_USERNAME and TMS_PASSWORD must be configured');
+  // Validate required parameters
+  if (!actionName) {
+    return sendError(res, validationError(
+      'Missing required header: action',
+      'Please provide x-action header (e.g., printloadconfirmation)'
+    ));
   }
   
-  // Launch browser (keep it running)
-  browserSession.browser = await chromium.launch({
-    headless: process.env.HEADLESS === 'true',
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
-  });
-  
-  browserSession.context = await browserSession.browser.newContext({
-    viewport: { width: 1280, height: 720 },
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-  });
-  
-  browserSession.page = await browserSession.context.newPage();
-  browserSession.sessionId = Date.now().toString();
-  browserSession.lastActivity = Date.now();
+  const action = getAction(actionName);
+  if (!action) {
+    return sendError(res, validationError('Unknown action', `Action '${actionName}' is not supported`, {
+      supportedActions: supportedActions()
+    }));
+  }
   
-  console.log('[SESSION] New browser session created:', browserSession.sessionId);
+  if (!auth.canRunAction(req.client, action.name)) {
+    return auth.deny(req, res, 403, `API key for '${req.client.name}' may not run '${action.name}'`, { action: action.name });
+  }
   
-  // Perform initial login
-  await performLogin();
+  const account = resolveAccount(req, res);
+  if (!account) return;
   
-  return await checkBrowserSession();
-}
-
-// Perform login
-async function performLogin() {
-  if (!browserSession.page) {
-    throw new Error('No browser session available');
+  const { params, errors } = resolveParams(action, req);
+  if (errors.length > 0) {
+    return sendError(res, validationError(errors[0].error, errors[0].message, {
+      errors,
+      parameters: listActions().find(each => each.name === action.name).parameters
+    }));
   }
   
-  const username = process.env.TMS_USERNAME;
-  const password = process.env.TMS_PASSWORD;
+  if (callbackUrl) {
+    const check = webhooks.validateCallbackUrl(callbackUrl);
+    if (!check.valid) {
+      return sendError(res, validationError('Invalid callback URL', check.message));
+    }
+    if (!webhooks.isConfigured()) {
+      return sendError(res, validationError(
+        'Callbacks not configured',
+        'Set WEBHOOK_SECRET on the server to enable signed callbacks'
+      ));
+    }
+  }
   
-  console.log('[LOGIN] Navigating to E2Open TMS...');
-  await browserSession.page.goto('https://na-app.tms.e2open.com/agent/webmessages.do?query.current=true');
-  await browserSession.page.waitForLoadState('domcontentloaded');
+  console.log(`[AUTOMATION] Starting '${action.name}' as account ${account.name} with`, params);
   
-  // Handle cookie consent if present
+  let queued;
+  let record;
   try {
-    const cookieButton = browserSession.page.getByRole('button', { name: 'Agree and proceed' });
-    if (await cookieButton.count() > 0) {
-      console.log('[LOGIN] Accepting cookies...');
-      await cookieButton.click();
-      await browserSession.page.waitForLoadState('domcontentloaded');
+    ({ queued, record } = enqueueAction(action, params, { async: asyncMode, callbackUrl, client: req.client && req.client.name, account: account.name }));
+  } catch (error) {
+    if (error instanceof QueueFullError || error instanceof QueueClosedError) {
+      console.log(`[QUEUE] Rejecting '${action.name}': ${error.message}`);
+      return sendQueueRejection(res, error);
     }
-  } catch (e) {
-    console.log('[LOGIN] No cookie consent needed');
+    throw error;
   }
   
-  // Check if login is needed
-  const usernameField = browserSession.page.getByRole('textbox', { name: 'Username' });
-  const loginFormPresent = await usernameField.count() > 0;
+  if (asyncMode) {
+    res.set('Location', `/api/jobs/${record.id}`);
+    return res.status(202).json(describeJob(record));
+  }
   
-  if (loginFormPresent) {
-    console.log('[LOGIN] Login form detected, entering credentials...');
+  try {
+    const result = await queued.promise;
+    const jobHeaders = {
+      ...(result.headers || {}),
+      'X-Job-Id': queued.id,
+      'X-Queue-Position': String(queued.position),
+      'X-Attempts': String(record.attempts.length)
+    };
+    
+    if (result.type === 'json') {
+      res.set(jobHeaders);
+      return res.json(result.data);
+    }
     
-    await usernameField.fill(username);
-    console.log('[LOGIN] Username entered');
+    console.log(`[RESPONSE] Reading file from: ${result.path}`);
+    const fileBuffer = await fs.readFile(result.path);
     
-    const passwordField = browserSession.page.getByRole('textbox', { name: 'Password' });
-    await passwordField.fill(password);
-    console.log('[LOGIN] Password entered');
+    console.log(`[RESPONSE] Sending ${result.contentType} as binary (${fileBuffer.length} bytes) with filename: ${result.filename}`);
+    
+    // Set response headers with proper filename
+    res.set({
+      'Content-Type': result.contentType,
+      'Content-Disposition': `attachment; filename="${result.filename}"`,
+      'Content-Length': fileBuffer.length,
+      'X-Filename': result.filename,
+      ...jobHeaders
+    });
     
-    const loginButton = browserSession.page.locator('#userSubmit');
-    await loginButton.click();
-    console.log('[LOGIN] Login button clicked, waiting for navigation...');
+    // Send file as binary response
+    res.send(fileBuffer);
     
-    await browserSession.page.waitForLoadState('networkidle');
+    // Clean up: Delete the file once the response is done, sent or not (the file sweeper catches anything missed)
+    res.on('close', async () => {
+      try {
+        await fileStore.removeWorkFile(result.path);
+        console.log(`[CLEANUP] Deleted temporary file: ${path.basename(result.path)}`);
+      } catch (err) {
+        console.error(`[CLEANUP] Failed to delete file: ${err.message}`);
+      }
+    });
     
-    // Verify login success
-    const userAccount = browserSession.page.locator('text=' + username.toUpperCase());
-    if (await userAccount.count() > 0) {
-      console.log('[LOGIN] ✓ Login successful!');
-      browserSession.isLoggedIn = true;
+  } catch (error) {
+    const failure = toAutomationError(error);
+    if (error instanceof JobTimeoutError) {
+      console.error(`[QUEUE] Job ${queued.id} timed out`);
     } else {
-      console.error('[LOGIN] ✗ Login may have failed');
-      browserSession.isLoggedIn = false;
+      console.error(`[ERROR] Automation failed (${failure.code}):`, error);
     }
-  } else {
-    console.log('[LOGIN] Already logged in or no login form found');
-    browserSession.isLoggedIn = true;
+    if (error instanceof QueueClosedError) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    sendError(res, failure, {
+      jobId: queued.id,
+      queuePosition: queued.position,
+      attempts: record.attempts
+    });
   }
-  
-  browserSession.lastActivity = Date.now();
 }
 
-// Execute load confirmation with session reuse
-async function executeLoadConfirmation(loadNumber) {
-  const pdfSavePath = process.env.PDF_SAVE_PATH || '/app/temp';
+// List registered actions and their parameters
+app.get('/api/actions', (req, res) => {
+  const actions = listActions();
+  res.json({ count: actions.length, actions });
+});
+
+// Main automation endpoint (x-async: true returns a job ID instead of the PDF)
+app.post('/api/automation', asyncRoute((req, res) => {
+  const asyncHeader = String(req.headers['x-async'] || '').toLowerCase();
+  return handleAutomation(req, res, { async: asyncHeader === 'true' || asyncHeader === '1' });
+}));
+
+// Submit an asynchronous job
+app.post('/api/jobs', asyncRoute((req, res) => handleAutomation(req, res, { async: true })));
+
+// The selector map in use (lib/selectors.json plus SELECTORS_FILE)
+app.get('/api/selectors', (req, res) => {
+  res.json(selectors.getSelectorMap());
+});
+
+// Selector health check on x-account's logged-in session (?load=<load number> also checks its Load Report);
+// runs as a 'checkselectors' job, so x-async: true returns a job ID
+app.get('/api/selectors/health', asyncRoute((req, res) => {
+  const asyncHeader = String(req.headers['x-async'] || '').toLowerCase();
+  return handleAutomation(req, res, { action: 'checkselectors', async: asyncHeader === 'true' || asyncHeader === '1' });
+}));
+
+// List known jobs
+app.get('/api/jobs', (req, res) => {
+  const jobs = jobStore.list().filter(record => auth.canSeeJob(req.client, record)).map(describeJob);
+  res.json({ count: jobs.length, jobs });
+});
+
+// Job status and current step
+app.get('/api/jobs/:id', (req, res) => {
+  const record = jobStore.get(req.params.id);
+  // Other clients' jobs are reported as missing rather than forbidden
+  if (!record || !auth.canSeeJob(req.client, record)) {
+    return sendError(res, new AutomationError('NOT_FOUND', `No job ${req.params.id} (it may have expired)`, { title: 'Job not found' }));
+  }
+  res.json(describeJob(record));
+});
+
+// Stream a finished job's result
+app.get('/api/jobs/:id/result', asyncRoute(async (req, res) => {
+  const record = jobStore.get(req.params.id);
+  // Other clients' jobs are reported as missing rather than forbidden
+  if (!record || !auth.canSeeJob(req.client, record)) {
+    return sendError(res, new AutomationError('NOT_FOUND', `No job ${req.params.id} (it may have expired)`, { title: 'Job not found' }));
+  }
   
-  console.log(`[PROCESS] ========== STARTING LOAD CONFIRMATION PROCESS ==========`);
-  console.log(`[PROCESS] Load Number: ${loadNumber}`);
-  console.log(`[PROCESS] PDF Save Path: ${pdfSavePath}`);
-  console.log(`[PROCESS] Timestamp: ${new Date().toISOString()}`);
+  if (record.state === 'failed') {
+    return sendError(res, new AutomationError('CONFLICT', record.error.message, { title: 'Job failed', details: { job: describeJob(record) } }));
+  }
   
-  // Ensure downloads directory exists
-  console.log(`[FILESYSTEM] Ensuring directory exists: ${pdfSavePath}`);
-  await fs.mkdir(pdfSavePath, { recursive: true });
+  if (record.state !== 'succeeded') {
+    res.set('Retry-After', String(jobQueue.estimateRetryAfter()));
+    return sendError(res, new AutomationError('CONFLICT', `Job is ${record.state}`, { title: 'Job not finished', details: { job: describeJob(record) } }));
+  }
   
-  // Initialize or reuse browser session
-  console.log(`[SESSION] Checking for existing browser session...`);
-  const sessionStatus = await initializeBrowserSession();
+  if (!record.result) {
+    return sendError(res, new AutomationError('GONE', 'The result was returned in the original response', { title: 'Result not retained' }));
+  }
   
-  if (!sessionStatus.active || !sessionStatus.loggedIn) {
-    throw new Error('Failed to establish logged-in session');
+  if (record.result.data !== undefined) {
+    res.set('X-Job-Id', record.id);
+    return res.json(record.result.data);
   }
   
-  console.log(`[SESSION] ✓ Using active session ID: ${browserSession.sessionId}`);
-  console.log(`[SESSION] Session logged in: ${sessionStatus.loggedIn}`);
-  console.log(`[SESSION] Session last activity: ${new Date(browserSession.lastActivity).toISOString()}`);
+  const opened = await fileStore.openFile(record.result.fileId);
+  if (!opened) {
+    return sendError(res, new AutomationError('GONE', 'The result file is no longer available', { title: 'Result expired' }));
+  }
   
-  try {
-    // Navigate to main page if not already there
-    const currentUrl = browserSession.page.url();
-    if (!currentUrl.includes('webmessages.do')) {
-      console.log('[AUTOMATION] Navigating to messages page...');
-      await browserSession.page.goto('https://na-app.tms.e2open.com/agent/webmessages.do?query.current=true');
-      await browserSession.page.waitForLoadState('networkidle');
-    }
-    
-    // Search for load number
-    console.log(`[SEARCH] Starting search for load: ${loadNumber}`);
-    
-    // Clear and fill search field
-    const searchField = browserSession.page.locator('#menu-search-input');
-    console.log(`[SEARCH] Clearing search field...`);
-    await searchField.clear();
-    console.log(`[SEARCH] Entering load number: ${loadNumber}`);
-    await searchField.fill(loadNumber);
-    console.log(`[SEARCH] Pressing Enter to search...`);
-    await searchField.press('Enter');
-    
-    console.log('[SEARCH] Waiting for search results to load...');
-    await browserSession.page.waitForLoadState('networkidle');
-    await browserSession.page.waitForTimeout(2000); // Give extra time for popup
-    console.log('[SEARCH] Search completed, checking for results...');
-    
-    // Wait for Load Report page to open
-    let loadReportPage = null;
-    const maxRetries = 5;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      console.log(`[AUTOMATION] Looking for Load Report window (attempt ${attempt}/${maxRetries})...`);
-      
-      // Check if we need to click on a search result first
-      if (attempt === 2) {
-        // Try to click on the load link if it appears in search results
-        try {
-          const loadLink = browserSession.page.locator(`a:has-text("${loadNumber}")`).first();
-          if (await loadLink.count() > 0) {
-            console.log('[AUTOMATION] Found load link in search results, clicking...');
-            await loadLink.click();
-            await browserSession.page.waitForTimeout(2000);
-          }
-        } catch (e) {
-          console.log('[AUTOMATION] No clickable load link found in results');
-        }
-      }
-      
-      await browserSession.page.waitForTimeout(3000);
-      
-      const pages = browserSession.context.pages();
-      console.log(`[AUTOMATION] Found ${pages.length} page(s)`);
-      
-      for (const p of pages) {
-        try {
-          const url = p.url();
-          const title = await p.title();
-          console.log(`[AUTOMATION] Checking page: ${title || 'Untitled'}`);
-          
-          if (url.includes('LoadReport') || url.includes('loadID=' + loadNumber) || 
-              (title && (title.includes('Load Report') || title.includes('Carrier Load Report')))) {
-            loadReportPage = p;
-            console.log('[AUTOMATION] ✓ Found Load Report page!');
-            break;
-          }
-        } catch (e) {
-          console.log(`[AUTOMATION] Error checking page: ${e.message}`);
-          continue;
-        }
-      }
-      
-      if (loadReportPage) break;
-    }
-    
-    if (!loadReportPage) {
-      // Log current page content for debugging
-      const currentUrl = browserSession.page.url();
-      console.log(`[AUTOMATION] Still on page: ${currentUrl}`);
-      
-      // Check if there's an error message
-      try {
-        const errorMessage = await browserSession.page.locator('.error, .warning, .alert').textContent();
-        if (errorMessage) {
-          console.log(`[AUTOMATION] Error on page: ${errorMessage}`);
-        }
-      } catch (e) {
-        // No error message found
-      }
-      
-      throw new Error(`Load Report page not found for load ${loadNumber}. The load may not exist or you may not have access.`);
-    }
-    
-    // Look for Payable section with expandable + button/details
-    console.log('[PAYABLE] Looking for Payable section with expandable details...');
-    let payableButtonFound = false;
+  res.set('X-Job-Id', record.id);
+  sendStoredFile(res, opened);
+}));
+
+// Recurring ratecon schedules (managing them needs the schedules scope)
+app.use('/api/schedules', auth.requireScope('schedules'));
+
+// A schedule is visible to keys that may use the account it prints for
+function canSeeSchedule(client, schedule) {
+  return auth.canUseAccount(client, schedule.account || DEFAULT_ACCOUNT);
+}
+
+function findSchedule(req, res) {
+  const schedule = recurringSchedules.get(req.params.id);
+  // Schedules of other accounts are reported as missing rather than forbidden
+  if (!schedule || !canSeeSchedule(req.client, schedule)) {
+    sendError(res, new AutomationError('NOT_FOUND', `No schedule ${req.params.id}`, { title: 'Schedule not found' }));
+    return null;
+  }
+  return schedule;
+}
+
+// Account named in a schedule definition (the default one when none is) must be one the caller may use
+function checkScheduleAccount(req, res, accountName) {
+  accountName = accountName || DEFAULT_ACCOUNT;
+  if (!auth.canUseAccount(req.client, accountName)) {
+    auth.deny(req, res, 403, `API key for '${req.client.name}' may not use account '${accountName}'`, { account: accountName });
+    return false;
+  }
+  return true;
+}
+
+app.get('/api/schedules', (req, res) => {
+  const schedules = recurringSchedules.list()
+    .filter(schedule => canSeeSchedule(req.client, schedule))
+    .map(schedule => recurringSchedules.describe(schedule));
+  res.json({ count: schedules.length, schedules });
+});
+
+app.post('/api/schedules', asyncRoute(async (req, res) => {
+  if (!checkScheduleAccount(req, res, req.body.account)) return;
+  const { schedule, errors } = await recurringSchedules.create(req.body, req.client ? req.client.name : null);
+  if (errors) {
+    return sendError(res, validationError('Invalid schedule', errors[0], { errors }));
+  }
+  res.set('Location', `/api/schedules/${schedule.id}`);
+  res.status(201).json(recurringSchedules.describe(schedule));
+}));
+
+app.get('/api/schedules/:id', (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+  res.json(recurringSchedules.describe(schedule));
+});
+
+app.put('/api/schedules/:id', asyncRoute(async (req, res) => {
+  const existing = findSchedule(req, res);
+  if (!existing) return;
+  if (!checkScheduleAccount(req, res, req.body.account || existing.account)) return;
+  const { schedule, errors } = await recurringSchedules.update(existing.id, req.body);
+  if (errors) {
+    return sendError(res, validationError('Invalid schedule', errors[0], { errors }));
+  }
+  res.json(recurringSchedules.describe(schedule));
+}));
+
+app.delete('/api/schedules/:id', asyncRoute(async (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+  await recurringSchedules.remove(schedule.id);
+  res.status(204).end();
+}));
+
+// Run a schedule now; returns the run ID right away
+app.post('/api/schedules/:id/run', (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+  const started = recurringSchedules.startRun(schedule.id, 'manual');
+  if (!started) {
+    return sendError(res, new AutomationError('CONFLICT', `'${schedule.name}' has a run in progress`, { title: 'Schedule already running' }));
+  }
+  started.done.catch(error => console.error(`[SCHEDULES] Run ${started.run.id} failed: ${error.message}`));
+  res.set('Location', `/api/schedules/${schedule.id}/runs/${started.run.id}`);
+  res.status(202).json(started.run);
+});
+
+// Run history, newest first (results omitted; fetch a single run for per-load details)
+app.get('/api/schedules/:id/runs', (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+  const runs = recurringSchedules.getRuns(schedule.id).map(({ results, ...run }) => run);
+  res.json({ count: runs.length, runs });
+});
+
+app.get('/api/schedules/:id/runs/:runId', (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+  const run = recurringSchedules.getRun(schedule.id, req.params.runId);
+  if (!run) {
+    return sendError(res, new AutomationError('NOT_FOUND', `No run ${req.params.runId} for schedule ${schedule.id}`, { title: 'Run not found' }));
+  }
+  res.json(run);
+});
+
+// Print many loads one after another in a single leased context; a failed load is recorded and the rest continue.
+// Resolves to [{ loadNumber, success, path, filename, bytes, attempts, error, errorName, code, step, diagnosticsId }]
+function enqueueBatch(loadNumbers, params, options = {}) {
+  const printAction = getAction('printloadconfirmation');
+  const id = crypto.randomUUID();
+  const name = options.name || 'batch';
+  
+  const queued = logger.runWithContext({ jobId: id }, () => jobQueue.enqueue(async ({ signal }) => {
+    const slot = await waitForContext(id, options.account, { signal });
+    jobStore.markRunning(id, slot.id);
+    signal.addEventListener('abort', () => {
+      console.error(`[QUEUE] Batch ${id} timed out, closing browser context ${slot.id}`);
+      closeBrowserSession(slot).catch(error => console.error(`[QUEUE] Failed to close browser context ${slot.id}: ${error.message}`));
+    });
     
     try {
-      // Look for the specific rate details folder button
-      const clickResult = await loadReportPage.evaluate(() => {
-        // First try the specific ID for the rate details folder button
-        const rateDetailsButton = document.getElementById('test-ratedetails-folder');
-        if (rateDetailsButton) {
-          rateDetailsButton.click();
-          return { found: true, result: 'Found and clicked test-ratedetails-folder button' };
-        }
-        
-        // Fallback: Look for buttons in rateInfo table with folder icons
-        const rateInfoTables = document.querySelectorAll('table[id*="rateInfotab"]');
-        for (let table of rateInfoTables) {
-          const folderButtons = table.querySelectorAll('button[id*="ratedetails-folder"], button.icon-button');
-          for (let btn of folderButtons) {
-            // Check if this button is in a row containing "PAYABLE"
-            const row = btn.closest('tr');
-            if (row && row.textContent.toUpperCase().includes('PAYABLE')) {
-              btn.click();
-              return { found: true, result: 'Found and clicked Payable details folder button in rateInfo table' };
-            }
-          }
+      return await runLoads(printAction, loadNumbers, params, slot, {
+        signal,
+        onStep: (loadNumber, step) => jobStore.setStep(id, `${loadNumber}:${step}`),
+        onAttempt: (loadNumber, attempt) => jobStore.addAttempt(id, { loadNumber, ...attempt }),
+        diagnostics: {
+          id,
+          jobId: id,
+          action: name,
+          account: options.account || DEFAULT_ACCOUNT,
+          client: options.client || null,
+          params: { loadNumbers }
         }
-        
-        return { found: false, result: 'No rate details folder button found for Payable row' };
       });
-      
-      payableButtonFound = clickResult.found;
-      console.log(`[PAYABLE] ${clickResult.result}`);
-      
-      if (payableButtonFound) {
-        // Wait a moment for any expansion animation
-        await loadReportPage.waitForTimeout(2000);
-        console.log('[PAYABLE] ✓ Payable details expanded successfully - leaving it expanded');
-      } else {
-        console.log('[PAYABLE] ✗ No Payable expand button found');
-      }
-      
-    } catch (error) {
-      console.log('[PAYABLE] ✗ Error while looking for Payable button:', error.message);
+    } finally {
+      releaseContext(slot);
     }
+  }, { id, name: `${name}:${loadNumbers.length}`, key: options.account || DEFAULT_ACCOUNT, timeout: jobQueue.jobTimeout * loadNumbers.length }));
+  
+  const record = jobStore.create({
+    id,
+    action: name,
+    params: { loadNumbers },
+    client: options.client || null,
+    account: options.account || DEFAULT_ACCOUNT
+  });
+  record.queuePosition = queued.position;
+  
+  return { id, queued, record };
+}
 
-    // Generate PDF
-    console.log('[PDF] Preparing to generate PDF from Load Report page...');
-    await loadReportPage.bringToFront();
-    await loadReportPage.waitForLoadState('networkidle');
-    console.log('[PDF] Page loaded and ready for PDF generation');
-    
-    const today = new Date();
-    const dateStr = String(today.getMonth() + 1).padStart(2, '0') + '.' + 
-                   String(today.getDate()).padStart(2, '0') + '.' + 
-                   String(today.getFullYear()).slice(-2);
-    const pdfFilename = `RATECON MULDER BROTHERS ${loadNumber} ${dateStr}.pdf`;
-    const pdfPath = path.join(pdfSavePath, pdfFilename);
-    
-    console.log(`[PDF] Generating PDF with filename: ${pdfFilename}`);
-    console.log(`[PDF] Full path: ${pdfPath}`);
-    console.log(`[PDF] Starting PDF generation...`);
-    
-    await loadReportPage.pdf({
-      path: pdfPath,
-      format: 'Letter',
-      printBackground: true,
-      margin: {
-        top: '0.5in',
-        right: '0.5in',
-        bottom: '0.5in',
-        left: '0.5in'
-      }
-    });
-    
-    console.log(`[PDF] ✓ PDF generation complete!`);
-    console.log(`[PDF] File size will be checked when reading...`);
-    
-    // Close the Load Report tab but keep main session
-    console.log('[SESSION] Closing Load Report tab...');
-    await loadReportPage.close();
-    console.log('[SESSION] Load Report tab closed, main session remains active');
-    
-    // Update last activity
-    browserSession.lastActivity = Date.now();
-    console.log(`[SESSION] Updated last activity: ${new Date(browserSession.lastActivity).toISOString()}`);
-    
-    console.log(`[PROCESS] ========== LOAD CONFIRMATION COMPLETE ==========`);
-    console.log(`[PROCESS] Returning PDF path: ${pdfPath}`);
-    
-    return pdfPath;
-    
+// Print load confirmations for many loads in one leased context and return them as a ZIP
+app.post('/api/batch', asyncRoute(async (req, res) => {
+  console.log(`[REQUEST] Received POST /api/batch at ${new Date().toISOString()}`);
+  
+  if (!auth.canRunAction(req.client, 'printloadconfirmation')) {
+    return auth.deny(req, res, 403, `API key for '${req.client.name}' may not run 'printloadconfirmation'`, { action: 'printloadconfirmation' });
+  }
+  
+  const account = resolveAccount(req, res);
+  if (!account) return;
+  
+  const input = Array.isArray(req.body) ? req.body : req.body.loadNumbers;
+  if (!Array.isArray(input)) {
+    return sendError(res, validationError(
+      'Missing load numbers',
+      'Send a JSON array of load numbers, or { "loadNumbers": [...] }'
+    ));
+  }
+  
+  // Keep the caller's order but only print each load once
+  const loadNumbers = [...new Set(input.map(value => String(value ?? '').trim()).filter(Boolean))];
+  if (loadNumbers.length === 0) {
+    return sendError(res, validationError('Missing load numbers', 'The load number list is empty'));
+  }
+  if (loadNumbers.length > BATCH_MAX_LOADS) {
+    return sendError(res, validationError(
+      'Batch too large',
+      `A batch may contain at most ${BATCH_MAX_LOADS} load numbers (got ${loadNumbers.length})`
+    ));
+  }
+  
+  // Filename overrides apply to every PDF in the batch (and the ZIP name)
+  const body = Array.isArray(req.body) ? {} : req.body;
+  const filenameParams = {};
+  if (body.carrier) filenameParams.carrier = String(body.carrier);
+  if (body.filenameTemplate) filenameParams.filenameTemplate = String(body.filenameTemplate);
+  if (body.timezone) filenameParams.timezone = String(body.timezone);
+  
+  const templateProblem = filenameParams.filenameTemplate ? validateTemplate(filenameParams.filenameTemplate) : null;
+  if (templateProblem) {
+    return sendError(res, validationError('Invalid filenameTemplate', templateProblem));
+  }
+  if (filenameParams.timezone && !isValidTimezone(filenameParams.timezone)) {
+    return sendError(res, validationError('Invalid timezone', `Unknown timezone '${filenameParams.timezone}'`));
+  }
+  const filenameOptions = { carrier: filenameParams.carrier, timezone: filenameParams.timezone };
+  
+  console.log(`[BATCH] Printing ${loadNumbers.length} load confirmation(s) as account ${account.name}: ${loadNumbers.join(', ')}`);
+  
+  let id;
+  let queued;
+  try {
+    ({ id, queued } = enqueueBatch(loadNumbers, filenameParams, {
+      account: account.name,
+      client: req.client && req.client.name
+    }));
   } catch (error) {
-    console.error('[ERROR] Automation failed:', error.message);
-    console.error('[ERROR] Stack trace:', error.stack);
+    if (error instanceof QueueFullError || error instanceof QueueClosedError) {
+      console.log(`[QUEUE] Rejecting batch: ${error.message}`);
+      return sendQueueRejection(res, error);
+    }
     throw error;
   }
-}
-
-// Close browser session
-async function closeBrowserSession() {
-  if (browserSession.browser) {
-    console.log('[SESSION] Closing browser session...');
-    try {
-      await browserSession.browser.close();
-    } catch (error) {
-      console.error('[SESSION] Error closing browser:', error.message);
+  
+  let results;
+  try {
+    results = await queued.promise;
+    jobStore.markSucceeded(id, null);
+  } catch (error) {
+    jobStore.markFailed(id, error);
+    if (!(error instanceof JobTimeoutError)) {
+      console.error('[ERROR] Batch failed:', error);
     }
+    return sendError(res, error, { jobId: id });
   }
   
-  browserSession = {
-    browser: null,
-    context: null,
-    page: null,
-    isLoggedIn: false,
-    lastActivity: null,
-    sessionId: null
+  const succeeded = results.filter(result => result.success);
+  // Every ZIP entry needs its own name; the manifest records the one used
+  const entryNames = new Set(['manifest.json']);
+  for (const result of succeeded) {
+    result.filename = uniqueFilename(result.filename, entryNames);
+  }
+  const manifest = {
+    batchId: id,
+    createdAt: new Date().toISOString(),
+    count: results.length,
+    succeeded: succeeded.length,
+    failed: results.length - succeeded.length,
+    results: results.map(({ loadNumber, success, filename, bytes, attempts, error, code, diagnosticsId }) => ({
+      loadNumber,
+      success,
+      filename: filename || null,
+      bytes,
+      attempts: attempts || 0,
+      error: error || null,
+      code: code || null,
+      diagnosticsId: diagnosticsId || null
+    }))
   };
-}
+  
+  const zipFilename = renderFilename({ action: 'batch' }, {
+    ...filenameOptions,
+    template: 'RATECONS {carrier} {date:MM.DD.YY}'
+  }, 'zip');
+  
+  console.log(`[BATCH] ${manifest.succeeded}/${manifest.count} succeeded, sending ${zipFilename}`);
+  
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${zipFilename}"`,
+    'X-Filename': zipFilename,
+    'X-Job-Id': id,
+    'X-Batch-Succeeded': String(manifest.succeeded),
+    'X-Batch-Failed': String(manifest.failed)
+  });
+  
+  // Clean up the individual PDFs once the ZIP has been sent (or the client went away)
+  res.on('close', async () => {
+    for (const result of succeeded) {
+      try {
+        await fileStore.removeWorkFile(result.path);
+      } catch (err) {
+        console.error(`[CLEANUP] Failed to delete file: ${err.message}`);
+      }
+    }
+    console.log(`[CLEANUP] Deleted ${succeeded.length} batch file(s)`);
+  });
+  
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.on('error', (error) => {
+    console.error(`[BATCH] Failed to build ZIP: ${error.message}`);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+  
+  for (const result of succeeded) {
+    archive.file(result.path, { name: result.filename });
+  }
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  try {
+    await archive.finalize();
+  } catch (error) {
+    // The headers and part of the ZIP are out: cut the connection so the client sees a broken download
+    console.error(`[BATCH] Failed to finish ZIP: ${error.message}`);
+    res.destroy(error);
+  }
+}));
 
 // Cleanup on shutdown
 process.on('SIGINT', async () => {
   console.log('\n[SHUTDOWN] Shutting down gracefully...');
+  sessionScheduler.stop();
+  recurringSchedules.stop();
+  jobQueue.close();
   await closeBrowserSession();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\n[SHUTDOWN] Shutting down gracefully...');
+  sessionScheduler.stop();
+  recurringSchedules.stop();
+  jobQueue.close();
   await closeBrowserSession();
   process.exit(0);
 });
 
-// List all downloads endpoint
-app.get('/api/downloads', async (req, res) => {
-  const downloadPath = process.env.PDF_SAVE_PATH || '/app/temp';
+// Stream a stored file ({ file, stream } from fileStore.openFile)
+function sendStoredFile(res, { file, stream }) {
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Disposition': `attachment; filename="${file.filename}"`,
+    'Content-Length': file.size,
+    'X-Filename': file.filename,
+    'X-File-Id': file.id
+  });
+  stream.on('error', (error) => {
+    console.error(`[FILES] Failed to stream file ${file.id}: ${error.message}`);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+// Stored files are visible to the client whose job made them (or allJobs) and to keys allowed the account
+function canSeeFile(client, file) {
+  return auth.canSeeJob(client, file) && (!file.account || auth.canUseAccount(client, file.account));
+}
+
+async function findFile(req, res) {
+  const file = await fileStore.getFile(req.params.id);
+  if (!file || !canSeeFile(req.client, file)) {
+    sendError(res, new AutomationError('NOT_FOUND', `No file ${req.params.id} (it may have expired)`, { title: 'File not found' }));
+    return null;
+  }
+  return file;
+}
+
+function describeFile(file) {
+  return { ...file, downloadUrl: `/api/files/${file.id}`, linkUrl: `/api/files/${file.id}/link` };
+}
+
+// Retained results by opaque ID (raw filenames and paths are never accepted)
+app.get('/api/files', auth.requireScope('files'), asyncRoute(async (req, res) => {
+  const files = (await fileStore.listFiles()).filter(file => canSeeFile(req.client, file));
+  res.json({ backend: storage.name, count: files.length, files: files.map(describeFile) });
+}));
+
+app.get('/api/files/:id', auth.requireScope('files'), asyncRoute(async (req, res) => {
+  const file = await findFile(req, res);
+  if (!file) return;
   
-  try {
-    const files = await fs.readdir(downloadPath);
-    const pdfFiles = files.filter(file => file.endsWith('.pdf'));
-    
-    const fileDetails = await Promise.all(
-      pdfFiles.map(async (file) => {
-        const stats = await fs.stat(path.join(downloadPath, file));
-        return {
-          name: file,
-          size: stats.size,
-          created: stats.birthtime,
-          modified: stats.mtime
-        };
-      })
-    );
-    
-    res.json({
-      path: downloadPath,
-      count: fileDetails.length,
-      files: fileDetails
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const opened = await fileStore.openFile(file.id);
+  if (!opened) {
+    return sendError(res, new AutomationError('GONE', 'The file is no longer available', { title: 'File expired' }));
   }
-});
+  sendStoredFile(res, opened);
+}));
+
+// Signed, expiring link that downloads the file without an API key (?expiresIn=<seconds>)
+app.get('/api/files/:id/link', auth.requireScope('files'), asyncRoute(async (req, res) => {
+  const file = await findFile(req, res);
+  if (!file) return;
+  
+  const expiresIn = req.query.expiresIn === undefined ? fileStore.FILE_URL_TTL_SECONDS : Number(req.query.expiresIn);
+  if (!Number.isInteger(expiresIn) || expiresIn < 1) {
+    return sendError(res, validationError('Invalid expiresIn', 'expiresIn must be a whole number of seconds'));
+  }
+  res.json({ id: file.id, filename: file.filename, ...fileStore.createDownloadUrl(file, expiresIn) });
+}));
 
-// Download specific file endpoint
-app.get('/api/download/:filename', async (req, res) => {
-  const { filename } = req.params;
-  const downloadPath = process.env.PDF_SAVE_PATH || '/app/temp';
-  const filePath = path.join(downloadPath, filename);
+// Target of local signed links; outside /api because the signature takes the place of the API key
+app.get('/files/:id', asyncRoute(async (req, res) => {
+  const { expires, signature } = req.query;
+  if (!fileStore.verifyDownloadUrl(req.params.id, expires, signature)) {
+    return sendError(res, new AutomationError('FORBIDDEN', 'Invalid or expired download link', { title: 'Forbidden' }));
+  }
   
+  const opened = await fileStore.openFile(req.params.id);
+  if (!opened) {
+    return sendError(res, new AutomationError('GONE', 'The file is no longer available', { title: 'File expired' }));
+  }
+  sendStoredFile(res, opened);
+}));
+
+// Failure diagnostics bundles (screenshots, HTML and traces can show rates, so they need the files scope)
+app.get('/api/diagnostics', auth.requireScope('files'), asyncRoute(async (req, res) => {
+  const bundles = (await diagnostics.listBundles()).filter(bundle => auth.canSeeJob(req.client, bundle));
+  res.json({
+    count: bundles.length,
+    tracing: diagnostics.DIAGNOSTICS_TRACING,
+    retentionMs: diagnostics.DIAGNOSTICS_RETENTION_MS,
+    maxBundles: diagnostics.DIAGNOSTICS_MAX_BUNDLES,
+    bundles: bundles.map(bundle => ({ ...bundle, downloadUrl: `/api/diagnostics/${bundle.id}` }))
+  });
+}));
+
+// Download a bundle as a ZIP: manifest.json plus one folder per failed attempt
+app.get('/api/diagnostics/:id', auth.requireScope('files'), asyncRoute(async (req, res) => {
+  const manifest = await diagnostics.getBundle(req.params.id);
+  // Other clients' bundles are reported as missing, like their jobs
+  if (!manifest || !auth.canSeeJob(req.client, manifest)) {
+    return sendError(res, new AutomationError('NOT_FOUND', `No diagnostics bundle ${req.params.id} (it may have expired)`, { title: 'Diagnostics not found' }));
+  }
+  
+  const zipFilename = `diagnostics-${manifest.id}.zip`;
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${zipFilename}"`,
+    'X-Filename': zipFilename
+  });
+  
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.on('error', (error) => {
+    console.error(`[DIAGNOSTICS] Failed to build ZIP: ${error.message}`);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+  archive.directory(diagnostics.bundlePath(manifest.id), false);
+  await archive.finalize();
+}));
+
+app.delete('/api/diagnostics/:id', auth.requireScope('files'), asyncRoute(async (req, res) => {
+  const manifest = await diagnostics.getBundle(req.params.id);
+  if (!manifest || !auth.canSeeJob(req.client, manifest)) {
+    return sendError(res, new AutomationError('NOT_FOUND', `No diagnostics bundle ${req.params.id}`, { title: 'Diagnostics not found' }));
+  }
+  await diagnostics.removeBundle(manifest.id);
+  res.status(204).end();
+}));
+
+// Ratecon archive: every printed version per load, filtered to the accounts the API key may use
+async function findArchivedVersions(req, res) {
+  if (!rateconArchive.isValidLoadNumber(req.params.loadNumber)) {
+    sendError(res, validationError('Invalid load number', 'Load numbers may only contain letters, digits and \'-\''));
+    return null;
+  }
+  const versions = ((await rateconArchive.getVersions(req.params.loadNumber)) || [])
+    .filter(version => !version.account || auth.canUseAccount(req.client, version.account));
+  if (versions.length === 0) {
+    sendError(res, new AutomationError('NOT_FOUND', `No archived ratecons for load ${req.params.loadNumber}`, { title: 'Load not archived' }));
+    return null;
+  }
+  return versions;
+}
+
+app.get('/api/archive', auth.requireScope('files'), asyncRoute(async (req, res) => {
+  const loads = (await rateconArchive.listLoads())
+    .filter(load => load.accounts.length === 0 || load.accounts.some(account => auth.canUseAccount(req.client, account)));
+  res.json({
+    count: loads.length,
+    loads: loads.map(load => ({ ...load, versionsUrl: `/api/archive/${load.loadNumber}` }))
+  });
+}));
+
+app.get('/api/archive/:loadNumber', auth.requireScope('files'), asyncRoute(async (req, res) => {
+  const versions = await findArchivedVersions(req, res);
+  if (!versions) return;
+  res.json({
+    loadNumber: req.params.loadNumber,
+    count: versions.length,
+    versions: versions.map(version => ({
+      ...version,
+      file: undefined,
+      downloadUrl: `/api/archive/${version.loadNumber}/${version.version}`
+    }))
+  });
+}));
+
+// Rate-line diff between two versions (?from=&to=); defaults to the previous version against the latest
+app.get('/api/archive/:loadNumber/diff', auth.requireScope('files'), asyncRoute(async (req, res) => {
+  const versions = await findArchivedVersions(req, res);
+  if (!versions) return;
+  
+  const latest = versions[versions.length - 1];
+  const pick = (value, fallback) => (value === undefined || value === 'latest'
+    ? fallback
+    : versions.find(version => version.version === Number(value)));
+  const to = pick(req.query.to, latest);
+  const from = pick(req.query.from, versions[versions.indexOf(to) - 1] || to);
+  if (!from || !to) {
+    return sendError(res, new AutomationError('NOT_FOUND',
+      `Load ${req.params.loadNumber} has versions ${versions.map(version => version.version).join(', ')}`,
+      { title: 'Version not found' }));
+  }
+  res.json(rateconArchive.diffVersions(from, to));
+}));
+
+// Download one version ('latest' for the newest)
+app.get('/api/archive/:loadNumber/:version', auth.requireScope('files'), asyncRoute(async (req, res) => {
+  const versions = await findArchivedVersions(req, res);
+  if (!versions) return;
+  
+  const record = req.params.version === 'latest'
+    ? versions[versions.length - 1]
+    : versions.find(version => version.version === Number(req.params.version));
+  if (!record) {
+    return sendError(res, new AutomationError('NOT_FOUND', `Load ${req.params.loadNumber} has no version ${req.params.version}`, { title: 'Version not found' }));
+  }
+  
+  let stored;
   try {
-    const pdfBuffer = await fs.readFile(filePath);
-    
-    res.set({
-      'Content-Type': 'application/pdf',
-      'Content-Disposition': `attachment; filename="${filename}"`,
-      'Content-Length': pdfBuffer.length
-    });
-    
-    res.send(pdfBuffer);
+    stored = await rateconArchive.openVersion(record);
   } catch (error) {
-    res.status(404).json({ error: 'File not found' });
+    if (!storage.isNotFound(error)) throw error;
+    return sendError(res, new AutomationError('NOT_FOUND', 'The archived file is missing', { title: 'Version not found' }));
   }
-});
+  
+  res.set({
+    'Content-Type': record.contentType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename="${record.filename}"`,
+    'Content-Length': stored.size,
+    'X-Filename': record.filename,
+    'X-Ratecon-Version': String(record.version),
+    'X-Content-Sha256': record.sha256
+  });
+  stored.stream
+    .on('error', (error) => {
+      console.error(`[ARCHIVE] Failed to stream load ${record.loadNumber} version ${record.version}: ${error.message}`);
+      res.destroy(error);
+    })
+    .pipe(res);
+}));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Too late for an error response (a download failed mid-stream): cut the connection so the client notices
+  if (res.headersSent) {
+    console.error('[ERROR] Failed after the response started:', err);
+    return res.destroy();
+  }
+  // Malformed JSON bodies are the caller's problem, not ours
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, validationError('Invalid JSON body', err.message));
+  }
+  // Errors from body-parser and other middleware carry their own status (413 body too large, 415, ...)
+  const status = err instanceof AutomationError ? null : err.status || err.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 500) {
+    return sendError(res, validationError(http.STATUS_CODES[status] || 'Invalid request', err.message), {}, status);
+  }
   console.error('[ERROR] Unhandled error:', err);
-  res.status(500).json({
-    error: 'Internal server error',
-    message: err.message
-  });
+  sendError(res, err, {}, Number.isInteger(status) && status >= 500 && status < 600 ? status : null);
 });
 
 // Start server with error handling
@@ -676,19 +1192,50 @@ try {
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`Headless: ${process.env.HEADLESS || 'true'}`);
     console.log(`Session timeout: ${SESSION_TIMEOUT / 1000 / 60} minutes`);
+    console.log(`Browser contexts: ${POOL_SIZE} per account`);
+    console.log(`Accounts: ${listAccounts().map(account => account.name + (account.default ? ' (default)' : '')).join(', ')}`);
+    console.log(`Saved sessions: ${sessionState.isEnabled() ? sessionState.SESSION_STATE_PATH : 'disabled (set SESSION_STATE_KEY to persist logins)'}`);
+    console.log(`API keys: ${auth.isEnabled() ? auth.API_KEYS_FILE : 'disabled (set API_KEYS_FILE to require keys)'}`);
+    console.log(`Storage: ${storage.name} (${storage.describe()})`);
+    console.log(`Selectors: version ${selectors.getSelectorMap().version} (${selectors.getSelectorMap().source || 'built-in'})`);
+    console.log(`Queue: concurrency ${jobQueue.concurrency} (${jobQueue.keyConcurrency} per account), max ${jobQueue.maxQueueSize} waiting, job timeout ${jobQueue.jobTimeout / 1000}s`);
     console.log('-'.repeat(60));
     console.log('Endpoints:');
     console.log(`  GET  /health                - Health check & session status`);
-    console.log(`  GET  /api/session           - Check browser session`);
-    console.log(`  POST /api/session/reset     - Force new session`);
-    console.log(`  POST /api/automation        - Run automation`);
-    console.log(`  GET  /api/downloads         - List downloaded PDFs`);
-    console.log(`  GET  /api/download/:file    - Download specific PDF`);
+    console.log(`  GET  /metrics               - Prometheus metrics`);
+    console.log(`  GET  /api/accounts          - List E2Open accounts`);
+    console.log(`  GET  /api/session           - Check browser session (x-account for one account)`);
+    console.log(`  POST /api/session/reset     - Force new session for x-account (?context=N for one context)`);
+    console.log(`  DELETE /api/session/state   - Purge saved session state for x-account`);
+    console.log(`  GET  /api/schedule          - Session schedule & next run times`);
+    console.log(`  GET  /api/schedules         - Recurring ratecon schedules (POST/PUT/DELETE to manage)`);
+    console.log(`  POST /api/schedules/:id/run - Run a schedule now`);
+    console.log(`  GET  /api/actions           - List supported actions`);
+    console.log(`  GET  /api/selectors         - E2Open selector map (/health to check it on x-account)`);
+    console.log(`  POST /api/automation        - Run automation (x-async: true for a job ID)`);
+    console.log(`  POST /api/jobs              - Submit async job`);
+    console.log(`  GET  /api/jobs/:id          - Job state & current step`);
+    console.log(`  GET  /api/jobs/:id/result   - Download job result`);
+    console.log(`  POST /api/batch             - Print many loads as a ZIP`);
+    console.log(`  GET  /api/files             - List retained result files`);
+    console.log(`  GET  /api/files/:id         - Download a file (/link for a signed, expiring URL)`);
+    console.log(`  GET  /api/archive           - List archived ratecons by load`);
+    console.log(`  GET  /api/archive/:load     - Versions of a load (+ /diff, /:version)`);
+    console.log(`  GET  /api/diagnostics       - List failure diagnostics bundles`);
+    console.log(`  GET  /api/diagnostics/:id   - Download a diagnostics bundle (ZIP)`);
     console.log('-'.repeat(60));
     console.log('Required headers for automation:');
     console.log(`  x-action: printloadconfirmation`);
     console.log(`  x-load-number: <load number>`);
     console.log('='.repeat(60));
+    if (!auth.isEnabled()) {
+      console.error('[AUTH] WARNING: API_KEYS_FILE is not set, so every /api route is open to anyone who can reach this port');
+    }
+    if (storage.name === 'local' && !fileStore.hasUrlSecret()) {
+      console.error('[FILES] WARNING: FILE_URL_SECRET is not set, so signed /files links are signed with a random key and break on restart and across replicas');
+    }
+    sessionScheduler.start();
+    recurringSchedules.start();
   });
 } catch (error) {
   console.error('[FATAL] Failed to start server:', error);
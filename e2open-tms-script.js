@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+// E2Open command-line tool: the API's actions from a terminal or a cron job, without starting the HTTP server.
+// Same accounts, saved sessions, retries, diagnostics and ratecon archive as api-server.js; one browser per run.
+require('dotenv').config();
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: e2open <command> [options]
+
+Commands:
+  print-ratecon <load>...        Print Load Confirmations into --out
+  print-ratecon --batch <file>   Load numbers from a CSV, text or JSON file (first column; "-" reads stdin)
+  load-details <load>            Carrier Load Report data as JSON
+  check-selectors [load]         Which E2Open selectors resolve (with a load, its Load Report too)
+  session status                 Log in, reusing the saved session if there is one, and report it
+  session reset                  Delete the account's saved session state
+
+Options:
+  -a, --account <name>           E2Open account (default: the default account)
+  -o, --out <dir>                Where print-ratecon writes files (default: current directory)
+  -b, --batch <file>             Load list for print-ratecon
+      --format <format>          pdf, png, html or mhtml (default: pdf)
+      --carrier <name>           Value of {carrier} in the filename, or a filename profile
+      --template <template>      Filename template, e.g. "RATECON {carrier} {load} {date:MM.DD.YY}"
+      --timezone <zone>          IANA timezone for {date} and {time}
+      --require-payable          Fail loads without a Payable section
+      --json                     Print results as JSON on stdout
+  -v, --verbose                  Log progress to stderr (LOG_LEVEL=info)
+  -q, --quiet                    No logs at all (LOG_LEVEL=silent)
+  -h, --help                     Show this help
+
+Exit codes:
+  0 success, 1 internal error, 2 invalid arguments, 3 load not found, 4 Payable section missing,
+  5 render failed, 6 E2Open timed out, 7 session unavailable, 8 queue full, 9 credentials not configured,
+  10 login failed, 11 cookie consent failed, 12 verification code required, 13 verification code rejected, 14 keep-signed-in prompt failed,
+  15 password change required, 16-19 and 22 API errors (not found, conflict, gone, unauthorized, forbidden),
+  20 some loads of a batch failed, 21 selector check found problems`;
+
+const OPTIONS = {
+  account: { type: 'string', short: 'a' },
+  out: { type: 'string', short: 'o' },
+  batch: { type: 'string', short: 'b' },
+  format: { type: 'string' },
+  carrier: { type: 'string' },
+  template: { type: 'string' },
+  timezone: { type: 'string' },
+  'require-payable': { type: 'boolean' },
+  json: { type: 'boolean' },
+  verbose: { type: 'boolean', short: 'v' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Exit codes of outcomes that aren't errors (errors use ERROR_CODES in lib/errors.js)
+const EXIT_OK = 0;
+const EXIT_PARTIAL = 20;
+const EXIT_UNHEALTHY = 21;
+
+let parsed;
+let parseError = null;
+try {
+  parsed = parseArgs({ args: process.argv.slice(2), options: OPTIONS, allowPositionals: true });
+} catch (error) {
+  parsed = { values: {}, positionals: [] };
+  parseError = error;
+}
+const { values: options, positionals } = parsed;
+
+// Logs are for people watching stderr; stdout only carries results. Terse unless asked otherwise.
+if (options.verbose) process.env.LOG_LEVEL = 'info';
+else if (options.quiet) process.env.LOG_LEVEL = 'silent';
+else process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'text';
+
+const logger = require('./lib/logger');
+logger.captureConsole({ stream: process.stderr });
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { errorBody, exitCodeFor, validationError, AutomationError } = require('./lib/errors');
+const { getAccount } = require('./lib/accounts');
+const { getAction, resolveParams, runAction } = require('./lib/actions');
+const { runLoads } = require('./lib/batch');
+const { moveWorkFile } = require('./lib/file-store');
+const { uniqueFilename } = require('./lib/filename-template');
+const { parseLoadList } = require('./lib/recurring-schedules');
+const sessionState = require('./lib/session-state');
+const {
+  acquireContext,
+  releaseContext,
+  initializeBrowserSession,
+  closeBrowserSession,
+  purgeSavedState
+} = require('./lib/browser-session');
+
+function print(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+function printJson(value) {
+  print(JSON.stringify(value, null, 2));
+}
+
+function resolveAccount() {
+  const account = getAccount(options.account);
+  if (!account) {
+    throw validationError('Unknown account', `No E2Open account named '${options.account}'`);
+  }
+  return account;
+}
+
+// Validate an action's parameters exactly as the API does for a request body
+function actionParams(action, body) {
+  const { params, errors } = resolveParams(action, { headers: {}, body });
+  if (errors.length > 0) {
+    throw validationError(errors[0].error, errors[0].message);
+  }
+  return params;
+}
+
+// Lease a context of the account for fn(slot, id); the browser is closed when the command ends
+async function withSession(account, fn) {
+  const id = crypto.randomUUID();
+  return logger.runWithContext({ jobId: id }, async () => {
+    const slot = acquireContext(id, account.name);
+    try {
+      return await fn(slot, id);
+    } finally {
+      releaseContext(slot);
+    }
+  });
+}
+
+function diagnosticsFor(id, action, account, params) {
+  return { id, jobId: id, action: action.name, account: account.name, client: 'cli', params };
+}
+
+async function readLoadList(file) {
+  try {
+    if (file !== '-') {
+      return parseLoadList(await fs.readFile(file, 'utf8'));
+    }
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return parseLoadList(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw validationError('Unreadable load list', `Could not read load numbers from ${file}: ${error.message}`);
+  }
+}
+
+async function printRatecon(args) {
+  const account = resolveAccount();
+  const action = getAction('printloadconfirmation');
+  const input = [...args, ...(options.batch ? await readLoadList(options.batch) : [])];
+  // Keep the given order but only print each load once
+  const loadNumbers = [...new Set(input.map(value => String(value).trim()).filter(Boolean))];
+  if (loadNumbers.length === 0) {
+    throw validationError('Missing load numbers', 'print-ratecon needs load numbers or --batch <file>');
+  }
+
+  const params = actionParams(action, {
+    loadNumber: '0',
+    carrier: options.carrier,
+    filenameTemplate: options.template,
+    timezone: options.timezone,
+    outputFormat: options.format,
+    requirePayable: options['require-payable']
+  });
+  delete params.loadNumber;
+
+  const pattern = new RegExp(action.params.loadNumber.pattern);
+  const valid = loadNumbers.filter(loadNumber => pattern.test(loadNumber));
+  const outDir = path.resolve(options.out || '.');
+  await fs.mkdir(outDir, { recursive: true });
+
+  const ran = valid.length === 0 ? [] : await withSession(account, (slot, id) => runLoads(action, valid, params, slot, {
+    diagnostics: diagnosticsFor(id, action, account, { loadNumbers: valid })
+  }));
+  // Loads of this run never share a file, even when the template leaves out {load}
+  const filenames = new Set();
+  for (const result of ran) {
+    if (!result.success) continue;
+    result.filename = uniqueFilename(result.filename, filenames);
+    result.file = path.join(outDir, result.filename);
+    await moveWorkFile(result.path, result.file);
+  }
+
+  const results = loadNumbers.map(loadNumber => {
+    const result = ran.find(each => each.loadNumber === loadNumber);
+    if (!result) {
+      return { loadNumber, success: false, code: 'VALIDATION_ERROR', error: `Invalid load number '${loadNumber}'`, step: null };
+    }
+    return result.success
+      ? {
+        loadNumber,
+        success: true,
+        file: result.file,
+        filename: result.filename,
+        bytes: result.bytes,
+        attempts: result.attempts,
+        archiveVersion: result.archiveVersion,
+        payableChanged: result.payableChanged
+      }
+      : {
+        loadNumber,
+        success: false,
+        code: result.code,
+        error: result.error,
+        step: result.step,
+        attempts: result.attempts,
+        diagnosticsId: result.diagnosticsId
+      };
+  });
+  const failed = results.filter(result => !result.success);
+
+  if (options.json) {
+    printJson({ account: account.name, outDir, count: results.length, succeeded: results.length - failed.length, failed: failed.length, results });
+  } else {
+    for (const result of results) {
+      print(result.success
+        ? `✓ ${result.loadNumber}  ${result.file} (${result.bytes} bytes${result.archiveVersion ? `, version ${result.archiveVersion}` : ''}${result.payableChanged ? ', payable changed' : ''})`
+        : `✗ ${result.loadNumber}  ${result.code}: ${result.error}${result.diagnosticsId ? ` (diagnostics ${result.diagnosticsId})` : ''}`);
+    }
+    if (results.length > 1) {
+      print(`${results.length} loads: ${results.length - failed.length} printed, ${failed.length} failed`);
+    }
+  }
+
+  if (failed.length === 0) return EXIT_OK;
+  // Everything failed the same way: exit as that error would
+  if (failed.length === results.length && failed.every(result => result.code === failed[0].code)) {
+    return exitCodeFor(new AutomationError(failed[0].code, failed[0].error));
+  }
+  return EXIT_PARTIAL;
+}
+
+async function loadDetails(args) {
+  const account = resolveAccount();
+  const action = getAction('getloaddetails');
+  if (!args[0]) {
+    throw validationError('Missing load number', 'load-details needs a load number');
+  }
+  const params = actionParams(action, { loadNumber: args[0] });
+  const result = await withSession(account, (slot, id) => runAction(action, params, slot, {
+    diagnostics: diagnosticsFor(id, action, account, params)
+  }));
+  printJson(result.data);
+  return EXIT_OK;
+}
+
+async function checkSelectors(args) {
+  const account = resolveAccount();
+  const action = getAction('checkselectors');
+  const params = actionParams(action, { loadNumber: args[0] });
+  const result = await withSession(account, (slot, id) => runAction(action, params, slot, {
+    diagnostics: diagnosticsFor(id, action, account, params)
+  }));
+  const report = result.data;
+
+  if (options.json) {
+    printJson(report);
+  } else {
+    for (const element of report.elements) {
+      const detail = element.matched ? element.matched.selector : (element.reason || element.fallbacks.map(each => each.selector).join(' | '));
+      print(`${element.status.padEnd(8)} ${element.page.padEnd(14)} ${element.name.padEnd(22)} ${detail}`);
+    }
+    for (const windowMatch of report.windows) {
+      print(`window   ${windowMatch.name}: ${windowMatch.matched ? `${windowMatch.matched.by} contains "${windowMatch.matched.pattern}"` : 'not found'}`);
+    }
+    for (const error of report.errors) {
+      print(`error    ${error.code}: ${error.message}`);
+    }
+    const { summary } = report;
+    print(`Selector map version ${report.version}: ${report.healthy ? 'healthy' : 'PROBLEMS FOUND'} ` +
+      `(${summary.ok} ok, ${summary.fallback} on a fallback, ${summary.missing} missing, ${summary.skipped} skipped)`);
+  }
+  return report.healthy ? EXIT_OK : EXIT_UNHEALTHY;
+}
+
+async function session(args) {
+  const account = resolveAccount();
+  const subcommand = args[0];
+
+  if (subcommand === 'status') {
+    const status = await withSession(account, async (slot) => {
+      const result = await initializeBrowserSession(slot);
+      if (!result.active || !result.loggedIn) {
+        throw new AutomationError('SESSION_UNAVAILABLE', 'Failed to establish logged-in session', { step: 'login' });
+      }
+      return {
+        account: account.name,
+        loggedIn: true,
+        // A context that never ran the login pages came back on its saved cookies
+        restoredSession: !slot.loggedInBefore,
+        savedSessions: sessionState.isEnabled(),
+        savedStateAt: sessionState.savedAt(slot)
+      };
+    });
+    if (options.json) {
+      printJson(status);
+    } else {
+      print(`✓ Account ${status.account}: logged in${status.restoredSession ? ' (saved session)' : ''}` +
+        (status.savedStateAt ? `, session state saved ${status.savedStateAt}` : ''));
+    }
+    return EXIT_OK;
+  }
+
+  if (subcommand === 'reset') {
+    const purged = sessionState.isEnabled() ? await purgeSavedState(account.name) : [];
+    if (options.json) {
+      printJson({ account: account.name, savedSessions: sessionState.isEnabled(), purged });
+    } else if (!sessionState.isEnabled()) {
+      print(`Saved sessions are off (SESSION_STATE_KEY is not set); account ${account.name} has nothing to reset`);
+    } else {
+      print(purged.length > 0
+        ? `✓ Deleted saved session state of account ${account.name} (context${purged.length > 1 ? 's' : ''} ${purged.join(', ')})`
+        : `Account ${account.name} has no saved session state`);
+    }
+    return EXIT_OK;
+  }
+
+  throw validationError('Unknown command', `Use 'session status' or 'session reset'`);
+}
+
+const COMMANDS = {
+  'print-ratecon': printRatecon,
+  'load-details': loadDetails,
+  'check-selectors': checkSelectors,
+  session
+};
+
+async function main() {
+  if (parseError) {
+    throw validationError('Invalid arguments', parseError.message);
+  }
+  const [command, ...args] = positionals;
+  if (options.help || !command) {
+    (command || options.help ? process.stdout : process.stderr).write(`${USAGE}\n`);
+    return options.help ? EXIT_OK : exitCodeFor(validationError('Missing command', 'No command given'));
+  }
+  if (!COMMANDS[command]) {
+    throw validationError('Unknown command', `Unknown command '${command}' (see e2open --help)`);
+  }
+  return COMMANDS[command](args);
+}
+
+// Ctrl-C or a cron timeout: close the browser (saving the session) before leaving
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    closeBrowserSession().finally(() => process.exit(128 + (signal === 'SIGINT' ? 2 : 15)));
+  });
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    if (options.json) {
+      printJson(errorBody(error));
+    } else {
+      process.stderr.write(`e2open: ${errorBody(error).code}: ${error.message}\n`);
+    }
+    process.exitCode = exitCodeFor(error);
+  })
+  .finally(() => closeBrowserSession());
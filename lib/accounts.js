@@ -0,0 +1,107 @@
+// E2Open account profiles: TMS_USERNAME/TMS_PASSWORD as "default" plus named accounts from ACCOUNTS_CONFIG
+const fsSync = require('fs');
+const logger = require('./logger');
+
+const DEFAULT_BASE_URL = 'https://na-app.tms.e2open.com';
+const DEFAULT_SESSION_TIMEOUT = 30 * 60 * 1000;
+
+// Optional JSON file:
+// { default: "<name>", accounts: { <name>: { username, password | passwordEnv, totpSecret | totpSecretEnv, keepSignedIn, baseUrl, sessionTimeoutMs } } }
+function loadConfigFile(configPath) {
+  if (!configPath) return {};
+  try {
+    const config = JSON.parse(fsSync.readFileSync(configPath, 'utf8'));
+    console.log(`[ACCOUNTS] Loaded account profiles from ${configPath}`);
+    return config;
+  } catch (error) {
+    console.error(`[ACCOUNTS] Failed to read account config ${configPath}: ${error.message}`);
+    return {};
+  }
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function createAccount(name, settings = {}) {
+  const baseUrl = (settings.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  // passwordEnv keeps the secret out of the file: the password is read from that env var
+  const password = settings.passwordEnv ? (process.env[settings.passwordEnv] || '') : (settings.password || '');
+  // Base32 secret behind the account's authenticator-app codes, for E2Open's verification-code step
+  const totpSecret = settings.totpSecretEnv ? (process.env[settings.totpSecretEnv] || '') : (settings.totpSecret || '');
+  // Masked in every log line, wherever they turn up
+  logger.addSecret(password);
+  logger.addSecret(totpSecret);
+  return {
+    name,
+    username: settings.username || '',
+    password,
+    totpSecret,
+    // Answer "keep me signed in" with yes unless turned off
+    keepSignedIn: settings.keepSignedIn !== false && settings.keepSignedIn !== 'false',
+    baseUrl,
+    homeUrl: `${baseUrl}/agent/webmessages.do?query.current=true`,
+    sessionTimeout: parseInt(settings.sessionTimeoutMs, 10) || DEFAULT_SESSION_TIMEOUT
+  };
+}
+
+const fileConfig = loadConfigFile(process.env.ACCOUNTS_CONFIG);
+
+const accounts = new Map();
+const configuredAccounts = Object.entries(fileConfig.accounts || {});
+
+for (const [name, settings] of configuredAccounts) {
+  const key = normalizeName(name);
+  if (!/^[a-z0-9_-]+$/.test(key)) {
+    console.error(`[ACCOUNTS] Skipping account '${name}': names may only use letters, digits, '-' and '_'`);
+    continue;
+  }
+  accounts.set(key, createAccount(key, settings));
+}
+
+// The env account keeps single-account deployments working unchanged
+if ((process.env.TMS_USERNAME && !accounts.has('default')) || accounts.size === 0) {
+  accounts.set('default', createAccount('default', {
+    username: process.env.TMS_USERNAME,
+    password: process.env.TMS_PASSWORD,
+    totpSecret: process.env.TMS_TOTP_SECRET,
+    keepSignedIn: process.env.TMS_KEEP_SIGNED_IN,
+    baseUrl: process.env.TMS_BASE_URL,
+    sessionTimeoutMs: process.env.SESSION_TIMEOUT_MS
+  }));
+}
+
+// Requests without x-account use this one
+const DEFAULT_ACCOUNT = accounts.has(normalizeName(fileConfig.default))
+  ? normalizeName(fileConfig.default)
+  : (accounts.has('default') ? 'default' : accounts.keys().next().value);
+
+// Returns the account profile, or null if the name is unknown; no name means the default account
+function getAccount(name) {
+  const key = name ? normalizeName(name) : DEFAULT_ACCOUNT;
+  return accounts.get(key) || null;
+}
+
+function accountNames() {
+  return Array.from(accounts.keys());
+}
+
+// Public view of every account (no passwords or TOTP secrets)
+function listAccounts() {
+  return Array.from(accounts.values()).map(account => ({
+    name: account.name,
+    default: account.name === DEFAULT_ACCOUNT,
+    username: account.username,
+    configured: Boolean(account.username && account.password),
+    mfa: Boolean(account.totpSecret),
+    baseUrl: account.baseUrl,
+    sessionTimeoutMs: account.sessionTimeout
+  }));
+}
+
+module.exports = {
+  DEFAULT_ACCOUNT,
+  getAccount,
+  accountNames,
+  listAccounts
+};
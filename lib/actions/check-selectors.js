@@ -0,0 +1,127 @@
+// Check selectors: report which selector-map elements resolve on the live E2Open pages and which fallback matched
+const selectors = require('../selectors');
+const { isTimeout } = require('../errors');
+const { openLoadReport, LoadNotFoundError } = require('../load-report');
+
+const LOGIN_FLOW_REASON = 'Only shown during some logins (verification code, "stay signed in", password change)';
+
+function summarize(elements) {
+  const summary = { ok: 0, fallback: 0, missing: 0, absent: 0, skipped: 0 };
+  for (const each of elements) {
+    summary[each.status]++;
+  }
+  return summary;
+}
+
+// The login page as a signed-out visitor sees it, in a throwaway context of the same browser
+async function checkLoginPage(session) {
+  const browser = session.context.browser();
+  if (!browser) {
+    return selectors.skipElements('login', 'No browser to open a signed-out context in');
+  }
+  const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
+  try {
+    const page = await context.newPage();
+    await page.goto(session.account.homeUrl);
+    await page.waitForLoadState('networkidle');
+    return await selectors.checkElements(page, 'login');
+  } finally {
+    await context.close().catch(() => {});
+  }
+}
+
+// Check selectors on a logged-in session ({ page, context, account }): login page, home page and,
+// with a load number, its search results and Carrier Load Report
+async function checkSelectors(session, options = {}) {
+  const reportStep = options.onStep || (() => {});
+  const { loadNumber } = options;
+  const map = selectors.getSelectorMap();
+  const elements = [];
+  const windows = [];
+  const errors = [];
+
+  reportStep('login-page');
+  console.log('[SELECTORS] Checking the login page...');
+  elements.push(...await checkLoginPage(session));
+  elements.push(...selectors.skipElements('login-flow', LOGIN_FLOW_REASON));
+
+  reportStep('home');
+  console.log('[SELECTORS] Checking the home page...');
+  await session.page.goto(session.account.homeUrl);
+  await session.page.waitForLoadState('networkidle');
+  elements.push(...await selectors.checkElements(session.page, 'home', { username: session.account.username.toUpperCase() }));
+
+  if (!loadNumber) {
+    const reason = 'Pass a load number to open its search results and Load Report';
+    elements.push(...selectors.skipElements('search-results', reason), ...selectors.skipElements('load-report', reason));
+  } else {
+    let loadReportPage = null;
+    try {
+      loadReportPage = await openLoadReport(session, loadNumber, reportStep);
+    } catch (error) {
+      // A search that opens nothing is a finding too: the search field or the window matching may be what broke.
+      // Anything else (expired session, crashed page) fails the check like any other job.
+      if (!(error instanceof LoadNotFoundError) && !isTimeout(error)) throw error;
+      errors.push({ step: 'load-report', code: error.code || null, message: error.message });
+    }
+    console.log(`[SELECTORS] Checking search results${loadReportPage ? ' and the Load Report' : ''} for load ${loadNumber}...`);
+    elements.push(...await selectors.checkElements(session.page, 'search-results', { loadNumber }));
+    if (loadReportPage) {
+      try {
+        const url = loadReportPage.url();
+        const title = await loadReportPage.title();
+        windows.push({ name: 'loadReport', url, title, matched: selectors.matchWindow('loadReport', { url, title }, { loadNumber }) });
+        elements.push(...await selectors.checkElements(loadReportPage, 'load-report', { loadNumber }));
+      } finally {
+        await loadReportPage.close().catch(() => {});
+      }
+    } else {
+      windows.push({ name: 'loadReport', url: null, title: null, matched: null });
+      elements.push(...selectors.skipElements('load-report', `No Load Report window opened for load ${loadNumber}`));
+    }
+  }
+
+  const summary = summarize(elements);
+  const healthy = summary.missing === 0 && errors.length === 0 && windows.every(each => each.matched);
+  console.log(`[SELECTORS] ${healthy ? '✓' : '✗'} ${summary.ok} ok, ${summary.fallback} on a fallback, ${summary.missing} missing`);
+
+  return {
+    version: map.version,
+    builtInVersion: map.builtInVersion,
+    source: map.source,
+    account: session.account.name,
+    loadNumber: loadNumber || null,
+    checkedAt: new Date().toISOString(),
+    healthy,
+    summary,
+    windows,
+    errors,
+    elements
+  };
+}
+
+module.exports = {
+  name: 'checkselectors',
+  aliases: ['check-selectors'],
+  description: 'Report which E2Open selectors resolve on the logged-in session and which fallback matched',
+  result: 'application/json',
+  params: {
+    loadNumber: {
+      description: 'Load number to also check the search results and Carrier Load Report with',
+      type: 'string',
+      headers: ['x-load-number', 'load'],
+      body: 'loadNumber',
+      query: 'load',
+      pattern: '^[A-Za-z0-9-]+$'
+    }
+  },
+
+  async handler({ session, params, reportStep }) {
+    return {
+      type: 'json',
+      data: await checkSelectors(session, { loadNumber: params.loadNumber, onStep: reportStep })
+    };
+  },
+
+  checkSelectors
+};
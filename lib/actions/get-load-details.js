@@ -0,0 +1,54 @@
+// Get load details: open the Carrier Load Report and return its data (stops, equipment, rates) as JSON
+const { openLoadReport, expandPayableDetails, extractLoadDetails } = require('../load-report');
+
+// Read a load's details on an already logged-in session ({ page, context })
+async function executeLoadDetails(loadNumber, session, options = {}) {
+  const reportStep = options.onStep || (() => {});
+
+  console.log(`[PROCESS] ========== STARTING LOAD DETAILS EXTRACTION ==========`);
+  console.log(`[PROCESS] Load Number: ${loadNumber}`);
+
+  const loadReportPage = await openLoadReport(session, loadNumber, reportStep);
+
+  try {
+    // Expand Payable so its rate lines are in the DOM
+    reportStep('payable-expand');
+    await expandPayableDetails(loadReportPage);
+
+    reportStep('extract');
+    await loadReportPage.waitForLoadState('networkidle');
+    return await extractLoadDetails(loadReportPage, loadNumber);
+  } finally {
+    // Close the Load Report tab but keep main session
+    console.log('[SESSION] Closing Load Report tab...');
+    await loadReportPage.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  name: 'getloaddetails',
+  aliases: ['get-load-details'],
+  description: 'Return Carrier Load Report data (load ID, stops, equipment, weight, references, payable rate lines) as JSON',
+  result: 'application/json',
+  params: {
+    loadNumber: {
+      description: 'E2Open load number',
+      type: 'string',
+      required: true,
+      headers: ['x-load-number', 'load'],
+      body: 'loadNumber',
+      pattern: '^[A-Za-z0-9-]+$'
+    }
+  },
+
+  async handler({ session, params, reportStep }) {
+    const details = await executeLoadDetails(params.loadNumber, session, { onStep: reportStep });
+    return {
+      type: 'json',
+      data: details,
+      headers: { 'X-Load-Number': params.loadNumber }
+    };
+  },
+
+  executeLoadDetails
+};
@@ -0,0 +1,272 @@
+// Action registry: each action declares its name, aliases, parameters and a handler
+const { AutomationError } = require('../errors');
+const { initializeBrowserSession, closeBrowserSession } = require('../browser-session');
+const { ACTION_MAX_ATTEMPTS, ACTION_RETRY_DELAY_MS, retryReason } = require('../retry-policy');
+const diagnostics = require('../diagnostics');
+const metrics = require('../metrics');
+
+// Registered actions keyed by canonical name, plus an alias -> name lookup
+const actions = new Map();
+const aliases = new Map();
+
+// Register an action module. Shape:
+// {
+//   name, aliases, description, result,
+//   params: { <param>: { description, type, required, headers, body, query, pattern, enum, default, validate } },
+//   (validate(value) returns an error message or null; query names a query-string parameter for GET endpoints)
+//   handler: async ({ page, context, session, params, reportStep }) =>
+//     { type: 'file', path, filename, contentType, headers } | { type: 'json', data, headers }
+// }
+function registerAction(definition) {
+  if (!definition || !definition.name || typeof definition.handler !== 'function') {
+    throw new Error('Actions need a name and a handler');
+  }
+
+  const name = definition.name.toLowerCase();
+  const names = [name, ...(definition.aliases || []).map(alias => alias.toLowerCase())];
+  for (const each of names) {
+    if (aliases.has(each)) {
+      throw new Error(`Action name '${each}' is already registered by '${aliases.get(each)}'`);
+    }
+  }
+
+  actions.set(name, { params: {}, aliases: [], ...definition, name });
+  for (const each of names) {
+    aliases.set(each, name);
+  }
+}
+
+function getAction(nameOrAlias) {
+  if (!nameOrAlias) return null;
+  const name = aliases.get(String(nameOrAlias).toLowerCase());
+  return name ? actions.get(name) : null;
+}
+
+// Canonical action names, used in "unknown action" errors
+function supportedActions() {
+  return Array.from(actions.keys());
+}
+
+// Action descriptions for GET /api/actions
+function listActions() {
+  return Array.from(actions.values()).map(action => ({
+    name: action.name,
+    aliases: action.aliases,
+    description: action.description || null,
+    result: action.result || null,
+    parameters: Object.entries(action.params).map(([name, spec]) => ({
+      name,
+      description: spec.description || null,
+      type: spec.type || 'string',
+      required: Boolean(spec.required),
+      headers: spec.headers || [],
+      body: spec.body || null,
+      query: spec.query || null,
+      pattern: spec.pattern || null,
+      enum: spec.enum || null,
+      default: spec.default ?? null
+    }))
+  }));
+}
+
+function coerce(value, type) {
+  switch (type) {
+    case 'integer': {
+      const number = Number(value);
+      return Number.isInteger(number) ? number : undefined;
+    }
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+      return undefined;
+    default:
+      return String(value).trim();
+  }
+}
+
+// Pull each declared parameter from headers (first match wins), the JSON body or the query string, then validate it
+function resolveParams(action, req) {
+  const params = {};
+  const errors = [];
+  const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+
+  for (const [name, spec] of Object.entries(action.params)) {
+    let raw;
+    for (const header of spec.headers || []) {
+      if (req.headers[header] !== undefined && req.headers[header] !== '') {
+        raw = req.headers[header];
+        break;
+      }
+    }
+    if (raw === undefined && spec.body && body[spec.body] !== undefined && body[spec.body] !== '') {
+      raw = body[spec.body];
+    }
+    if (raw === undefined && spec.query && req.query && req.query[spec.query] !== undefined && req.query[spec.query] !== '') {
+      raw = req.query[spec.query];
+    }
+
+    if (raw === undefined) {
+      if (spec.required) {
+        const source = (spec.headers && spec.headers[0]) || spec.body || name;
+        errors.push({
+          param: name,
+          error: `Missing required header: ${source}`,
+          message: `Please provide ${source} header with the ${spec.description || name}`
+        });
+      } else if (spec.default !== undefined) {
+        params[name] = spec.default;
+      }
+      continue;
+    }
+
+    const type = spec.type || 'string';
+    let value = coerce(raw, type);
+    if (value === undefined || value === '') {
+      errors.push({ param: name, error: `Invalid ${name}`, message: `${name} must be a ${type}` });
+      continue;
+    }
+    if (spec.pattern && !new RegExp(spec.pattern).test(String(value))) {
+      errors.push({ param: name, error: `Invalid ${name}`, message: `${name} '${value}' does not match ${spec.pattern}` });
+      continue;
+    }
+    if (spec.enum && typeof value === 'string') {
+      // Enum values match case-insensitively and resolve to their declared spelling
+      value = spec.enum.find(option => String(option).toLowerCase() === value.toLowerCase()) ?? value;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      errors.push({ param: name, error: `Invalid ${name}`, message: `${name} must be one of: ${spec.enum.join(', ')}` });
+      continue;
+    }
+    const problem = spec.validate ? spec.validate(value) : null;
+    if (problem) {
+      errors.push({ param: name, error: `Invalid ${name}`, message: problem });
+      continue;
+    }
+    params[name] = value;
+  }
+
+  return { params, errors };
+}
+
+// Log the leased context in (if needed) and hand its page to the action's handler. The trace of attempt
+// number `attempt` starts before the login, on the existing context or as soon as a new one is created
+async function runOnce(action, params, session, reportStep, attempt = 1) {
+  reportStep('login');
+  const startTrace = () => diagnostics.startTrace(session, attempt);
+  await startTrace();
+  console.log(`[SESSION] Checking for existing browser session...`);
+  const sessionStatus = await initializeBrowserSession(session, { onContext: startTrace });
+
+  if (!sessionStatus.active || !sessionStatus.loggedIn) {
+    throw new AutomationError('SESSION_UNAVAILABLE', 'Failed to establish logged-in session', { step: 'login' });
+  }
+
+  console.log(`[SESSION] ✓ Using context ${session.id}, session ID: ${session.sessionId}`);
+  console.log(`[ACTION] Running '${action.name}' with`, params);
+
+  try {
+    return await action.handler({
+      page: session.page,
+      context: session.context,
+      session,
+      params,
+      reportStep
+    });
+  } finally {
+    // Update last activity
+    session.lastActivity = Date.now();
+  }
+}
+
+// Run an action, rebuilding the context and retrying when a step fails for a transient reason
+// (crashed or closed page, timeout, login page mid-flow). Every attempt is recorded:
+// the result gets attempts: [{ attempt, step, startedAt, durationMs, outcome, error, retryReason, diagnostics }],
+// and so does a thrown error. options: { onStep, onAttempt, signal, maxAttempts, diagnostics }
+// options.diagnostics ({ id, label, jobId, action, account, client, params }) saves each failed attempt
+// into that bundle, and the thrown error gets its diagnosticsId
+async function runAction(action, params, session, options = {}) {
+  const reportStep = options.onStep || (() => {});
+  const maxAttempts = options.maxAttempts || ACTION_MAX_ATTEMPTS;
+  const attempts = [];
+  let step = null;
+  let bundleId = null;
+
+  for (let number = 1; ; number++) {
+    const attempt = { attempt: number, step: null, startedAt: new Date().toISOString(), durationMs: 0, outcome: 'running', error: null, retryReason: null, diagnostics: null };
+    attempts.push(attempt);
+    const started = Date.now();
+    // Each step is timed from its reportStep call to the next one (or the end of the attempt)
+    let endStep = null;
+    const finishStep = (outcome) => {
+      if (endStep) endStep({ outcome });
+      endStep = null;
+    };
+
+    try {
+      const result = await runOnce(action, params, session, (name) => {
+        finishStep('succeeded');
+        endStep = metrics.stepDuration.startTimer({ step: name });
+        step = name;
+        attempt.step = name;
+        reportStep(name);
+      }, number);
+      finishStep('succeeded');
+      attempt.outcome = 'succeeded';
+      attempt.durationMs = Date.now() - started;
+      await diagnostics.discardTrace(session);
+      if (options.onAttempt) options.onAttempt(attempt);
+      return { ...result, attempts };
+    } catch (error) {
+      finishStep('failed');
+      attempt.outcome = 'failed';
+      attempt.durationMs = Date.now() - started;
+      attempt.error = { name: error.name, code: error.code || null, message: error.message };
+      attempt.retryReason = retryReason(error);
+      attempt.step = attempt.step || error.step || null;
+
+      // Nothing to capture when the context never opened (e.g. missing credentials)
+      if (options.diagnostics && diagnostics.isEnabled() && session.context) {
+        try {
+          bundleId = await diagnostics.captureFailure(session, options.diagnostics, attempt, error);
+          attempt.diagnostics = bundleId;
+        } catch (captureError) {
+          console.error(`[DIAGNOSTICS] Could not capture failure: ${captureError.message}`);
+        }
+      }
+      await diagnostics.discardTrace(session);
+      if (options.onAttempt) options.onAttempt(attempt);
+
+      const aborted = options.signal && options.signal.aborted;
+      if (!attempt.retryReason || number >= maxAttempts || aborted) {
+        error.step = error.step || step;
+        error.attempts = attempts;
+        if (bundleId) error.diagnosticsId = bundleId;
+        throw error;
+      }
+
+      console.log(`[RETRY] '${action.name}' attempt ${number}/${maxAttempts} failed at ${step || 'start'} (${attempt.retryReason}): ${error.message}`);
+      // Start the next attempt from a fresh context; initializeBrowserSession logs it in again
+      await closeBrowserSession(session);
+      await new Promise(resolve => setTimeout(resolve, ACTION_RETRY_DELAY_MS * number));
+    }
+  }
+}
+
+// Built-in actions
+registerAction(require('./print-load-confirmation'));
+registerAction(require('./get-load-details'));
+registerAction(require('./check-selectors'));
+
+module.exports = {
+  registerAction,
+  getAction,
+  supportedActions,
+  listActions,
+  resolveParams,
+  runAction
+};
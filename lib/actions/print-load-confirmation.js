@@ -0,0 +1,228 @@
+// Print load confirmation: search a load, open its Carrier Load Report, expand Payable and save a PDF (or PNG/HTML/MHTML)
+const fs = require('fs').promises;
+const path = require('path');
+const { AutomationError } = require('../errors');
+const metrics = require('../metrics');
+const { openLoadReport, expandPayableDetails, extractLoadDetails } = require('../load-report');
+const archive = require('../ratecon-archive');
+const { createWorkFile } = require('../file-store');
+const { getContext } = require('../logger');
+const { renderFilename, validateTemplate, isValidTimezone } = require('../filename-template');
+const { OUTPUT_FORMATS, PDF_PAPER_FORMATS, getOutputFormat, validateMargin, renderOutput } = require('../output-formats');
+
+// Execute load confirmation on an already logged-in session ({ page, context })
+// options.onStep(step) is called as the job moves through search, load-report, payable-expand and the output format
+// options.filename overrides the filename template settings ({ template, carrier, timezone })
+// options.output selects the format: { format: 'pdf'|'png'|'html'|'mhtml', pdf: { format, landscape, margin } }
+// options.requirePayable fails with PAYABLE_SECTION_MISSING instead of printing a report without rate lines
+// options.onPayable(payable) receives the Payable section ({ total, currency, lines }) read before rendering
+async function executeLoadConfirmation(loadNumber, session, options = {}) {
+  const reportStep = options.onStep || (() => {});
+  
+  console.log(`[PROCESS] ========== STARTING LOAD CONFIRMATION PROCESS ==========`);
+  console.log(`[PROCESS] Load Number: ${loadNumber}`);
+  console.log(`[PROCESS] Timestamp: ${new Date().toISOString()}`);
+  
+  try {
+    // Search for the load and find its Load Report window
+    const loadReportPage = await openLoadReport(session, loadNumber, reportStep);
+    
+    try {
+      // Look for Payable section with expandable + button/details
+      reportStep('payable-expand');
+      const payableFound = await expandPayableDetails(loadReportPage);
+      if (!payableFound && options.requirePayable) {
+        throw new AutomationError('PAYABLE_SECTION_MISSING', `Load ${loadNumber} has no Payable section to expand`, {
+          step: 'payable-expand',
+          details: { loadNumber }
+        });
+      }
+      
+      if (options.onPayable) {
+        // The rate lines are only a record for the archive; a page we can't read must not stop the print
+        try {
+          options.onPayable((await extractLoadDetails(loadReportPage, loadNumber)).rates.payable);
+        } catch (error) {
+          console.error(`[PAYABLE] Could not read rate lines for load ${loadNumber}: ${error.message}`);
+        }
+      }
+      
+      // Generate the output file (PDF unless another format was requested)
+      const outputFormat = (options.output && options.output.format) || 'pdf';
+      const { extension } = getOutputFormat(outputFormat);
+      reportStep(outputFormat);
+      console.log(`[PDF] Preparing to generate ${outputFormat.toUpperCase()} from Load Report page...`);
+      await loadReportPage.bringToFront();
+      await loadReportPage.waitForLoadState('networkidle');
+      console.log('[PDF] Page loaded and ready for output generation');
+      
+      const pdfFilename = renderFilename({ load: loadNumber, action: 'printloadconfirmation' }, options.filename, extension);
+      // Each render gets its own work folder, so two jobs for the same load never share a file
+      const pdfPath = await createWorkFile(pdfFilename);
+      
+      console.log(`[PDF] Generating ${outputFormat.toUpperCase()} with filename: ${pdfFilename}`);
+      console.log(`[PDF] Full path: ${pdfPath}`);
+      
+      try {
+        await renderOutput(loadReportPage, outputFormat, pdfPath, { pdf: options.output && options.output.pdf });
+      } catch (error) {
+        throw new AutomationError('PDF_RENDER_FAILED', `Could not render ${outputFormat.toUpperCase()} for load ${loadNumber}: ${error.message}`, {
+          cause: error,
+          step: outputFormat,
+          details: { loadNumber }
+        });
+      }
+      
+      const { size } = await fs.stat(pdfPath);
+      metrics.outputBytes.observe({ format: outputFormat }, size);
+      console.log(`[PDF] ✓ ${outputFormat.toUpperCase()} generation complete! (${size} bytes)`);
+      
+      console.log(`[PROCESS] ========== LOAD CONFIRMATION COMPLETE ==========`);
+      console.log(`[PROCESS] Returning PDF path: ${pdfPath}`);
+      
+      return pdfPath;
+    } finally {
+      // Close the Load Report tab but keep main session, whether or not the render worked
+      console.log('[SESSION] Closing Load Report tab...');
+      await loadReportPage.close().catch(() => {});
+      console.log('[SESSION] Load Report tab closed, main session remains active');
+    }
+    
+  } catch (error) {
+    console.error('[ERROR] Automation failed:', error.message);
+    console.error('[ERROR] Stack trace:', error.stack);
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'printloadconfirmation',
+  aliases: ['print-load-confirmation'],
+  description: 'Print the Carrier Load Report (rate confirmation) for a load as a PDF, PNG, HTML or MHTML file',
+  result: 'application/pdf',
+  params: {
+    loadNumber: {
+      description: 'E2Open load number',
+      type: 'string',
+      required: true,
+      headers: ['x-load-number', 'load'],
+      body: 'loadNumber',
+      pattern: '^[A-Za-z0-9-]+$'
+    },
+    carrier: {
+      description: 'Carrier name (or filename profile key) for the {carrier} filename token',
+      type: 'string',
+      headers: ['x-carrier'],
+      body: 'carrier'
+    },
+    filenameTemplate: {
+      description: 'Filename template, e.g. "RATECON {carrier} {load} {date:MM.DD.YY}"',
+      type: 'string',
+      headers: ['x-filename-template'],
+      body: 'filenameTemplate',
+      validate: validateTemplate
+    },
+    timezone: {
+      description: 'IANA timezone for {date}, {time} and {timezone}',
+      type: 'string',
+      headers: ['x-timezone'],
+      body: 'timezone',
+      validate: (value) => (isValidTimezone(value) ? null : `Unknown timezone '${value}'`)
+    },
+    outputFormat: {
+      description: 'Output format',
+      type: 'string',
+      headers: ['x-output-format'],
+      body: 'outputFormat',
+      enum: Object.keys(OUTPUT_FORMATS),
+      default: 'pdf'
+    },
+    pdfFormat: {
+      description: 'PDF paper size',
+      type: 'string',
+      headers: ['x-pdf-format'],
+      body: 'pdfFormat',
+      enum: PDF_PAPER_FORMATS
+    },
+    pdfLandscape: {
+      description: 'PDF landscape orientation',
+      type: 'boolean',
+      headers: ['x-pdf-landscape'],
+      body: 'pdfLandscape'
+    },
+    pdfMargin: {
+      description: 'PDF margins, CSS shorthand (e.g. "0.5in" or "10mm 5mm")',
+      type: 'string',
+      headers: ['x-pdf-margin'],
+      body: 'pdfMargin',
+      validate: validateMargin
+    },
+    requirePayable: {
+      description: 'Fail with PAYABLE_SECTION_MISSING when the load has no Payable section',
+      type: 'boolean',
+      headers: ['x-require-payable'],
+      body: 'requirePayable'
+    }
+  },
+  
+  async handler({ session, params, reportStep }) {
+    let payable = null;
+    const pdfPath = await executeLoadConfirmation(params.loadNumber, session, {
+      onStep: reportStep,
+      onPayable: (section) => { payable = section; },
+      requirePayable: params.requirePayable,
+      filename: { template: params.filenameTemplate, carrier: params.carrier, timezone: params.timezone },
+      output: {
+        format: params.outputFormat,
+        pdf: {
+          ...(params.pdfFormat && { format: params.pdfFormat }),
+          ...(params.pdfLandscape !== undefined && { landscape: params.pdfLandscape }),
+          ...(params.pdfMargin && { margin: params.pdfMargin })
+        }
+      }
+    });
+    const contentType = getOutputFormat(params.outputFormat).contentType;
+    
+    // Keep a copy of every print; failing to archive is logged but still returns the file
+    let archived = null;
+    if (archive.isEnabled()) {
+      try {
+        archived = await archive.storeVersion({
+          loadNumber: params.loadNumber,
+          filePath: pdfPath,
+          filename: path.basename(pdfPath),
+          format: params.outputFormat,
+          contentType,
+          payable,
+          account: session.account.name,
+          jobId: getContext().jobId
+        });
+      } catch (error) {
+        console.error(`[ARCHIVE] Could not archive load ${params.loadNumber}: ${error.message}`);
+      }
+    }
+    
+    return {
+      type: 'file',
+      path: pdfPath,
+      filename: path.basename(pdfPath),
+      contentType,
+      headers: {
+        'X-Load-Number': params.loadNumber,
+        ...(archived && {
+          'X-Ratecon-Version': String(archived.version),
+          'X-Payable-Changed': String(archived.payableChanged)
+        })
+      },
+      archive: archived && {
+        version: archived.version,
+        sha256: archived.sha256,
+        payableTotal: archived.payable ? archived.payable.total : null,
+        previousPayableTotal: archived.previousPayableTotal,
+        payableChanged: archived.payableChanged
+      }
+    };
+  },
+  
+  executeLoadConfirmation
+};
@@ -0,0 +1,214 @@
+// API key authentication: hashed keys with per-client scopes, plus an append-only audit log
+const crypto = require('crypto');
+const fsSync = require('fs');
+const path = require('path');
+const { AutomationError, sendError } = require('./errors');
+
+// JSON file: { clients: [{ name, keyHash: "sha256:<hex>", scopes: { actions, accounts, resetSession, files, schedules, allJobs } }] }
+const API_KEYS_FILE = process.env.API_KEYS_FILE || '';
+// Kept apart from PDF_SAVE_PATH, where generated files and work folders live (/app/logs in the Docker image)
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, '..', 'logs', 'audit.log');
+
+let clients = [];
+let loadedMtime = null;
+
+function hashKey(key) {
+  return 'sha256:' + crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function normalizeScopes(scopes = {}) {
+  const actions = scopes.actions === '*' ? ['*'] : [].concat(scopes.actions || []).map(each => String(each).toLowerCase());
+  // Keys written before multi-account support may use every account
+  const accounts = scopes.accounts === undefined || scopes.accounts === '*'
+    ? ['*']
+    : [].concat(scopes.accounts).map(each => String(each).toLowerCase());
+  return {
+    actions,
+    accounts,
+    resetSession: Boolean(scopes.resetSession),
+    files: Boolean(scopes.files),
+    schedules: Boolean(scopes.schedules),
+    allJobs: Boolean(scopes.allJobs)
+  };
+}
+
+// (Re)load the keys file when it changes, so keys can be rotated without a restart
+function loadKeys() {
+  if (!API_KEYS_FILE) return;
+
+  let stats;
+  try {
+    stats = fsSync.statSync(API_KEYS_FILE);
+  } catch (error) {
+    if (loadedMtime !== 'missing') {
+      console.error(`[AUTH] API keys file ${API_KEYS_FILE} not readable: ${error.message}; rejecting all requests`);
+    }
+    clients = [];
+    loadedMtime = 'missing';
+    return;
+  }
+  if (stats.mtimeMs === loadedMtime) return;
+
+  try {
+    const config = JSON.parse(fsSync.readFileSync(API_KEYS_FILE, 'utf8'));
+    clients = (config.clients || [])
+      .filter(client => client.name && /^sha256:[0-9a-f]{64}$/.test(client.keyHash || ''))
+      .map(client => ({
+        name: client.name,
+        keyHash: client.keyHash,
+        disabled: Boolean(client.disabled),
+        scopes: normalizeScopes(client.scopes)
+      }));
+    console.log(`[AUTH] Loaded ${clients.length} API client(s) from ${API_KEYS_FILE}`);
+  } catch (error) {
+    console.error(`[AUTH] Failed to parse API keys file ${API_KEYS_FILE}: ${error.message}; rejecting all requests`);
+    clients = [];
+  }
+  loadedMtime = stats.mtimeMs;
+}
+
+// Auth is on whenever a keys file is configured; it stays opt-in so existing deployments keep working,
+// and the server warns at startup while it is off
+function isEnabled() {
+  return Boolean(API_KEYS_FILE);
+}
+
+// Accepts "Authorization: Bearer <key>" or "x-api-key: <key>"
+function extractKey(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return req.headers['x-api-key'] ? String(req.headers['x-api-key']).trim() : null;
+}
+
+function findClient(key) {
+  const candidate = Buffer.from(hashKey(key));
+  return clients.find(client => {
+    const stored = Buffer.from(client.keyHash);
+    return stored.length === candidate.length && crypto.timingSafeEqual(stored, candidate);
+  }) || null;
+}
+
+// One JSON line per event; failures to write are logged but never block the request
+function audit(event, req, details = {}) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    event,
+    client: req.client ? req.client.name : (details.client || 'unknown'),
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    ...details
+  };
+  console.log(`[AUDIT] ${entry.event} client=${entry.client} ${entry.method} ${entry.path}${entry.reason ? ` (${entry.reason})` : ''}`);
+  fsSync.promises.mkdir(path.dirname(AUDIT_LOG_PATH), { recursive: true })
+    .then(() => fsSync.promises.appendFile(AUDIT_LOG_PATH, JSON.stringify(entry) + '\n'))
+    .catch(error => console.error(`[AUDIT] Failed to write ${AUDIT_LOG_PATH}: ${error.message}`));
+}
+
+function deny(req, res, status, reason, details = {}) {
+  audit(status === 401 ? 'auth.unauthenticated' : 'auth.forbidden', req, { status, reason, ...details });
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  return sendError(res, new AutomationError(status === 401 ? 'UNAUTHORIZED' : 'FORBIDDEN', reason));
+}
+
+// Middleware: identify the client from its key; sets req.client (null when auth is off)
+function authenticate(req, res, next) {
+  req.client = null;
+  if (!isEnabled()) return next();
+
+  loadKeys();
+  const key = extractKey(req);
+  if (!key) {
+    return deny(req, res, 401, 'Missing API key; send Authorization: Bearer <key> or x-api-key');
+  }
+
+  const client = findClient(key);
+  if (!client) {
+    // Record a short fingerprint so a leaked or mistyped key can be traced without storing it
+    return deny(req, res, 401, 'Invalid API key', { keyFingerprint: hashKey(key).slice(7, 19) });
+  }
+  if (client.disabled) {
+    return deny(req, res, 401, 'API key disabled', { client: client.name });
+  }
+
+  req.client = client;
+  next();
+}
+
+function hasScope(client, scope) {
+  return !isEnabled() || Boolean(client && client.scopes[scope]);
+}
+
+function canRunAction(client, actionName) {
+  if (!isEnabled()) return true;
+  if (!client) return false;
+  const actions = client.scopes.actions;
+  return actions.includes('*') || actions.includes(String(actionName).toLowerCase());
+}
+
+function canUseAccount(client, accountName) {
+  if (!isEnabled()) return true;
+  if (!client) return false;
+  const accounts = client.scopes.accounts;
+  return accounts.includes('*') || accounts.includes(String(accountName).toLowerCase());
+}
+
+// Jobs are visible to the client that created them, or to clients with allJobs
+function canSeeJob(client, record) {
+  if (!isEnabled()) return true;
+  return Boolean(client) && (client.scopes.allJobs || record.client === client.name);
+}
+
+// Middleware factory: require a boolean scope (resetSession, files, schedules); granted access is audited too
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req.client, scope)) {
+      return deny(req, res, 403, `API key for '${req.client.name}' lacks the '${scope}' scope`);
+    }
+    if (isEnabled()) {
+      audit('auth.granted', req, { scope });
+    }
+    next();
+  };
+}
+
+function getClients() {
+  loadKeys();
+  return clients.map(client => ({ name: client.name, disabled: client.disabled, scopes: client.scopes }));
+}
+
+// `node lib/auth.js generate <client name>` prints a new key and the entry for the keys file
+if (require.main === module) {
+  const [command, name] = process.argv.slice(2);
+  if (command !== 'generate' || !name) {
+    console.error('Usage: node lib/auth.js generate <client name>');
+    process.exit(1);
+  }
+  const key = crypto.randomBytes(32).toString('base64url');
+  console.log(`API key for ${name} (shown once, store it with the client):\n\n  ${key}\n`);
+  console.log('Add to the "clients" array in API_KEYS_FILE:\n');
+  console.log(JSON.stringify({
+    name,
+    keyHash: hashKey(key),
+    scopes: { actions: ['printloadconfirmation'], accounts: '*', resetSession: false, files: false, schedules: false, allJobs: false }
+  }, null, 2));
+}
+
+module.exports = {
+  API_KEYS_FILE,
+  AUDIT_LOG_PATH,
+  hashKey,
+  isEnabled,
+  authenticate,
+  requireScope,
+  hasScope,
+  canRunAction,
+  canUseAccount,
+  canSeeJob,
+  deny,
+  audit,
+  getClients
+};
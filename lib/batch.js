@@ -0,0 +1,69 @@
+// Run one action for a list of loads, one after another on a single leased context.
+// Used by /api/batch and recurring schedules (through the job queue) and by the command-line tool.
+const fs = require('fs').promises;
+const { runAction } = require('./actions');
+const { toAutomationError } = require('./errors');
+
+// Resolves to one result per load, in order; a failed load is recorded and the rest still run:
+// { loadNumber, success: true, path, filename, bytes, attempts, archiveVersion, payableChanged }
+// { loadNumber, success: false, error, errorName, code, diagnosticsId, step, bytes: 0, attempts }
+// options: { signal, onStep(loadNumber, step), onAttempt(loadNumber, attempt), diagnostics }
+// (diagnostics as for runAction; each load's attempts are saved under its load number)
+async function runLoads(action, loadNumbers, params, slot, options = {}) {
+  const { signal } = options;
+  const results = [];
+
+  for (const [index, loadNumber] of loadNumbers.entries()) {
+    if (signal && signal.aborted) {
+      results.push({ loadNumber, success: false, error: 'Batch timed out before this load ran', errorName: 'JobTimeoutError', code: 'UPSTREAM_TIMEOUT', step: null, bytes: 0 });
+      continue;
+    }
+
+    console.log(`[BATCH] (${index + 1}/${loadNumbers.length}) Load ${loadNumber}`);
+    let lastStep = null;
+    try {
+      const result = await runAction(action, { loadNumber, ...params }, slot, {
+        signal,
+        onStep: (step) => {
+          lastStep = step;
+          if (options.onStep) options.onStep(loadNumber, step);
+        },
+        onAttempt: (attempt) => {
+          if (options.onAttempt) options.onAttempt(loadNumber, attempt);
+        },
+        diagnostics: options.diagnostics && { ...options.diagnostics, label: loadNumber }
+      });
+      const stats = await fs.stat(result.path);
+      results.push({
+        loadNumber,
+        success: true,
+        path: result.path,
+        filename: result.filename,
+        bytes: stats.size,
+        attempts: result.attempts.length,
+        archiveVersion: result.archive ? result.archive.version : null,
+        payableChanged: result.archive ? result.archive.payableChanged : false
+      });
+    } catch (error) {
+      // One bad load must not abort the rest of the batch
+      console.error(`[BATCH] Load ${loadNumber} failed at ${lastStep || 'start'}: ${error.message}`);
+      results.push({
+        loadNumber,
+        success: false,
+        error: error.message,
+        errorName: error.name,
+        code: toAutomationError(error).code,
+        diagnosticsId: error.diagnosticsId || null,
+        step: lastStep,
+        bytes: 0,
+        attempts: (error.attempts || []).length
+      });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  runLoads
+};
@@ -0,0 +1,562 @@
+// Browser session pools: one shared Chromium with N isolated, individually logged-in contexts per E2Open account
+const { chromium } = require('playwright');
+const { DEFAULT_ACCOUNT, getAccount, accountNames } = require('./accounts');
+const sessionState = require('./session-state');
+const { AutomationError } = require('./errors');
+const metrics = require('./metrics');
+const { runLoginFlow } = require('./login-flow');
+const selectors = require('./selectors');
+
+// Session timeout and base URL of the default account (each account can override both)
+const SESSION_TIMEOUT = getAccount().sessionTimeout;
+const TMS_BASE_URL = getAccount().baseUrl;
+const TMS_HOME_URL = getAccount().homeUrl;
+
+// Number of isolated contexts per account (each with its own page and login)
+const POOL_SIZE = Math.max(1, parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1);
+
+// Thrown when E2Open sends a context back to the login page partway through a job
+class SessionExpiredError extends AutomationError {
+  constructor(message) {
+    super('SESSION_UNAVAILABLE', message, { name: 'SessionExpiredError' });
+  }
+}
+
+// Shared Chromium instance launched on first use
+let browser = null;
+let launching = null;
+
+function createContextSlot(id, account) {
+  return {
+    id,
+    account,
+    context: null,
+    page: null,
+    isLoggedIn: false,
+    lastActivity: null,
+    sessionId: null,
+    // A Playwright trace is recording on this context (see lib/diagnostics.js)
+    tracing: false,
+    // Survives resetSlot so a later login counts as a re-login
+    loggedInBefore: false,
+    busy: false,
+    currentJob: null,
+    leasedAt: null
+  };
+}
+
+// Context slots per account name, created the first time an account is used
+const pools = new Map();
+
+function getPool(accountName) {
+  const account = getAccount(accountName);
+  if (!account) {
+    throw new Error(`Unknown E2Open account '${accountName}'`);
+  }
+  if (!pools.has(account.name)) {
+    pools.set(account.name, Array.from({ length: POOL_SIZE }, (_, index) => createContextSlot(index + 1, account)));
+  }
+  return pools.get(account.name);
+}
+
+function allSlots() {
+  return Array.from(pools.values()).flat();
+}
+
+// Launch the shared browser once; concurrent callers wait on the same launch
+async function launchBrowser() {
+  if (browser && browser.isConnected()) return browser;
+  if (launching) return launching;
+
+  launching = (async () => {
+    console.log('[SESSION] Launching shared Chromium browser...');
+    const launched = await chromium.launch({
+      headless: process.env.HEADLESS === 'true',
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+    launched.on('disconnected', () => {
+      console.log('[SESSION] Browser disconnected, resetting all contexts');
+      browser = null;
+      for (const slot of allSlots()) {
+        resetSlot(slot);
+      }
+    });
+    browser = launched;
+    return launched;
+  })();
+
+  try {
+    return await launching;
+  } finally {
+    launching = null;
+  }
+}
+
+// "Context 2" for the default account, "Context acme/2" for named ones, in log lines
+function label(slot) {
+  return slot.account.name === DEFAULT_ACCOUNT ? `Context ${slot.id}` : `Context ${slot.account.name}/${slot.id}`;
+}
+
+function resetSlot(slot) {
+  Object.assign(slot, {
+    context: null,
+    page: null,
+    isLoggedIn: false,
+    lastActivity: null,
+    sessionId: null,
+    tracing: false
+  });
+}
+
+// Check browser session status for one context
+async function checkBrowserSession(slot, silent = false) {
+  const now = Date.now();
+  const isActive = browser &&
+                   browser.isConnected() &&
+                   slot.context &&
+                   slot.page;
+
+  const isTimedOut = slot.lastActivity &&
+                     (now - slot.lastActivity) > slot.account.sessionTimeout;
+
+  if (isActive && !isTimedOut) {
+    // Verify the session is still valid
+    try {
+      await slot.page.evaluate(() => document.title);
+      if (!silent) {
+        console.log(`[SESSION] ${label(slot)} is active and valid`);
+      }
+
+      // Check if still logged in
+      const loggedIn = await verifyLogin(slot, silent);
+
+      return {
+        active: true,
+        loggedIn: loggedIn,
+        sessionId: slot.sessionId,
+        lastActivity: slot.lastActivity,
+        uptime: now - slot.lastActivity
+      };
+    } catch (error) {
+      if (!silent) {
+        console.log(`[SESSION] ${label(slot)} is invalid, will reinitialize`);
+      }
+      await closeBrowserSession(slot);
+      return { active: false, loggedIn: false, error: 'Session invalid' };
+    }
+  }
+
+  if (isTimedOut) {
+    console.log(`[SESSION] ${label(slot)} timed out, closing...`);
+    metrics.sessionTimeoutsTotal.inc({ account: slot.account.name });
+    await closeBrowserSession(slot);
+  }
+
+  return { active: false, loggedIn: false };
+}
+
+// Read-only status of one idle context for health checks: unlike checkBrowserSession it never closes a
+// timed-out or broken context, so it can't pull one out from under a job that leases it meanwhile.
+// Such a context shows as inactive until the next job or scheduled task replaces it under its lease
+async function peekBrowserSession(slot, silent = true) {
+  const isActive = Boolean(browser && browser.isConnected() && slot.context && slot.page);
+  const timedOut = Boolean(slot.lastActivity && (Date.now() - slot.lastActivity) > slot.account.sessionTimeout);
+  if (!isActive || timedOut) {
+    return { active: false, loggedIn: false, timedOut };
+  }
+  try {
+    await slot.page.evaluate(() => document.title);
+  } catch (error) {
+    return { active: false, loggedIn: false, timedOut, error: 'Session invalid' };
+  }
+  return { active: true, loggedIn: await verifyLogin(slot, silent), timedOut };
+}
+
+// Verify if a context is still logged in
+async function verifyLogin(slot, silent = false) {
+  if (!slot.page) return false;
+
+  try {
+    // Check for username in header (indicates logged in)
+    const username = slot.account.username;
+    if (await selectors.isPresent(slot.page, 'loggedInUser', { username: username.toUpperCase() })) {
+      if (!silent) {
+        console.log(`[AUTH] ${label(slot)}: user is logged in`);
+      }
+      return true;
+    }
+
+    // Check if on login page
+    if (await selectors.isPresent(slot.page, 'loginForm')) {
+      if (!silent) {
+        console.log(`[AUTH] ${label(slot)}: on login page - not logged in`);
+      }
+      return false;
+    }
+
+    // Check URL for login indicators
+    const url = slot.page.url();
+    if (url.includes('/login') || url.includes('security')) {
+      if (!silent) {
+        console.log(`[AUTH] ${label(slot)}: URL indicates login page`);
+      }
+      return false;
+    }
+
+    if (!silent) {
+      console.log(`[AUTH] ${label(slot)}: login status uncertain, assuming logged in`);
+    }
+    return true;
+
+  } catch (error) {
+    console.error(`[AUTH] ${label(slot)}: error checking login status:`, error.message);
+    return false;
+  }
+}
+
+// Initialize or reuse the browser session for one context
+// options.onContext(slot) runs as soon as a new context exists, before the login (e.g. to start a trace)
+async function initializeBrowserSession(slot, options = {}) {
+  const sessionStatus = await checkBrowserSession(slot);
+
+  if (sessionStatus.active && sessionStatus.loggedIn) {
+    console.log(`[SESSION] Reusing existing logged-in context ${slot.id}`);
+    slot.lastActivity = Date.now();
+    return sessionStatus;
+  }
+
+  if (sessionStatus.active && !sessionStatus.loggedIn) {
+    console.log(`[SESSION] ${label(slot)} exists but not logged in, will re-login`);
+    await performLogin(slot);
+    return await checkBrowserSession(slot);
+  }
+
+  console.log(`[SESSION] Creating new browser context ${slot.id} for account ${slot.account.name}...`);
+
+  const { username, password } = slot.account;
+
+  if (!username || !password) {
+    throw new AutomationError('CREDENTIALS_MISSING', `No E2Open username and password configured for account '${slot.account.name}'; ` +
+      'set TMS_USERNAME and TMS_PASSWORD, or the account\'s username and password in ACCOUNTS_CONFIG', { step: 'login', details: { account: slot.account.name } });
+  }
+
+  // Launch browser (keep it running, shared by all contexts)
+  let sharedBrowser;
+  try {
+    sharedBrowser = await launchBrowser();
+  } catch (error) {
+    throw new AutomationError('SESSION_UNAVAILABLE', `Browser could not be started: ${error.message}`, { cause: error, step: 'login' });
+  }
+
+  // Cookies from the last successful login, if persistence is on
+  const storageState = await sessionState.loadState(slot);
+
+  slot.context = await sharedBrowser.newContext({
+    viewport: { width: 1280, height: 720 },
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+    ...(storageState ? { storageState } : {})
+  });
+  if (options.onContext) await options.onContext(slot);
+
+  slot.page = await slot.context.newPage();
+  slot.sessionId = `${Date.now()}-${slot.account.name}-${slot.id}`;
+  slot.lastActivity = Date.now();
+
+  console.log(`[SESSION] New browser context ${slot.id} created:`, slot.sessionId);
+
+  if (storageState && await restoreSavedSession(slot)) {
+    return await checkBrowserSession(slot);
+  }
+
+  // Perform initial login
+  await performLogin(slot);
+
+  return await checkBrowserSession(slot);
+}
+
+// Open E2Open with restored cookies and keep them only if verifyLogin agrees we're still signed in
+async function restoreSavedSession(slot) {
+  console.log(`[SESSION] ${label(slot)}: trying saved session state...`);
+  try {
+    await slot.page.goto(slot.account.homeUrl);
+    await slot.page.waitForLoadState('domcontentloaded');
+    const onLoginPage = await selectors.isPresent(slot.page, 'loginForm');
+    if (!onLoginPage && await verifyLogin(slot)) {
+      console.log(`[SESSION] ✓ ${label(slot)}: restored saved session, login skipped`);
+      slot.isLoggedIn = true;
+      slot.lastActivity = Date.now();
+      return true;
+    }
+  } catch (error) {
+    console.error(`[SESSION] ${label(slot)}: saved session check failed:`, error.message);
+  }
+
+  console.log(`[SESSION] ${label(slot)}: saved session is no longer valid, logging in`);
+  await sessionState.purgeState(slot);
+  return false;
+}
+
+// Save cookies/localStorage of a logged-in context; never fails the job over it
+async function persistSessionState(slot) {
+  if (!sessionState.isEnabled() || !slot.context || !slot.isLoggedIn) return;
+  try {
+    await sessionState.saveState(slot, await slot.context.storageState());
+    console.log(`[SESSION] ${label(slot)}: session state saved`);
+  } catch (error) {
+    console.error(`[SESSION] ${label(slot)}: failed to save session state:`, error.message);
+  }
+}
+
+// Perform login in one context, counting its outcome for /metrics
+async function performLogin(slot) {
+  const account = slot.account.name;
+  try {
+    await submitLogin(slot);
+  } catch (error) {
+    // Rejected: E2Open turned down something we sent (credentials, code) or needs a person (password change)
+    metrics.loginsTotal.inc({ account, outcome: error.retryable === false ? 'rejected' : 'failed' });
+    throw error;
+  }
+  metrics.loginsTotal.inc({ account, outcome: 'succeeded' });
+  if (slot.loggedInBefore) {
+    metrics.reloginsTotal.inc({ account });
+  }
+  slot.loggedInBefore = true;
+}
+
+// Open E2Open and walk its login pages (see lib/login-flow.js)
+async function submitLogin(slot) {
+  if (!slot.page) {
+    throw new AutomationError('SESSION_UNAVAILABLE', 'No browser session available', { step: 'login' });
+  }
+
+  const page = slot.page;
+
+  console.log(`[LOGIN] ${label(slot)}: navigating to E2Open TMS...`);
+  await page.goto(slot.account.homeUrl);
+  await page.waitForLoadState('domcontentloaded');
+
+  try {
+    const steps = await runLoginFlow(page, slot.account, label(slot));
+    if (steps.length > 0) {
+      console.log(`[LOGIN] ✓ ${label(slot)}: login successful! (${steps.join(' → ')})`);
+    }
+  } catch (error) {
+    slot.isLoggedIn = false;
+    throw error;
+  }
+
+  slot.isLoggedIn = true;
+  await persistSessionState(slot);
+  slot.lastActivity = Date.now();
+}
+
+// Close one context, or every context plus the shared browser when no slot is given
+async function closeBrowserSession(slot) {
+  if (slot) {
+    if (slot.context) {
+      // Keep the (possibly refreshed) cookies for the next context
+      await persistSessionState(slot);
+      console.log(`[SESSION] Closing browser context ${slot.id}...`);
+      try {
+        await slot.context.close();
+      } catch (error) {
+        console.error(`[SESSION] Error closing context ${slot.id}:`, error.message);
+      }
+    }
+    resetSlot(slot);
+    return;
+  }
+
+  const sharedBrowser = browser;
+  for (const each of allSlots()) {
+    await persistSessionState(each);
+  }
+  browser = null;
+  for (const each of allSlots()) {
+    resetSlot(each);
+  }
+
+  if (sharedBrowser) {
+    console.log('[SESSION] Closing browser session...');
+    try {
+      await sharedBrowser.close();
+    } catch (error) {
+      console.error('[SESSION] Error closing browser:', error.message);
+    }
+  }
+}
+
+// Idle context of an account to lease next, preferring one that is already logged in; null if all are busy
+function idleContext(accountName) {
+  const idle = getPool(accountName).filter(slot => !slot.busy);
+  return idle.find(each => each.isLoggedIn && each.page) || idle[0] || null;
+}
+
+// Lease an idle context of an account to a job; prefers contexts that are already logged in
+function acquireContext(jobId, accountName) {
+  const slot = idleContext(accountName);
+  if (!slot) {
+    throw new AutomationError('SESSION_UNAVAILABLE', `No idle browser context available for account ${getAccount(accountName).name}`);
+  }
+  leaseContext(slot, jobId);
+  return slot;
+}
+
+// Jobs waiting for a context to be released, per account name, oldest first
+const contextWaiters = new Map();
+
+// Lease an idle context, or wait for the next one released when all are busy (a session reset holds
+// every context of the account for a while). Rejects with the signal's reason if it aborts while waiting
+function waitForContext(jobId, accountName, options = {}) {
+  const slot = idleContext(accountName);
+  if (slot) {
+    leaseContext(slot, jobId);
+    return Promise.resolve(slot);
+  }
+
+  const { signal } = options;
+  const name = getAccount(accountName).name;
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const waiters = contextWaiters.get(name) || [];
+    contextWaiters.set(name, waiters);
+
+    const onAbort = () => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      reject(signal.reason);
+    };
+    const waiter = {
+      jobId,
+      resolve: (leased) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(leased);
+      }
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    waiters.push(waiter);
+  });
+}
+
+// Lease one specific context; false if it is already busy
+function leaseContext(slot, jobId) {
+  if (slot.busy) return false;
+  slot.busy = true;
+  slot.currentJob = jobId || null;
+  slot.leasedAt = Date.now();
+  return true;
+}
+
+// Free a context, handing it straight to the oldest job waiting for one of its account
+function releaseContext(slot) {
+  slot.busy = false;
+  slot.currentJob = null;
+  slot.leasedAt = null;
+
+  const waiter = (contextWaiters.get(slot.account.name) || []).shift();
+  if (waiter) {
+    leaseContext(slot, waiter.jobId);
+    waiter.resolve(slot);
+  }
+}
+
+function getContext(id, accountName) {
+  return getPool(accountName).find(slot => slot.id === Number(id)) || null;
+}
+
+// Keep an idle, logged-in context alive: reload the home page so E2Open sees activity,
+// log in again if that shows the login form, and restart the idle clock
+async function refreshSession(slot) {
+  if (!slot.page) return { active: false, loggedIn: false };
+
+  console.log(`[SESSION] ${label(slot)}: refreshing session...`);
+  await slot.page.goto(slot.account.homeUrl);
+  await slot.page.waitForLoadState('domcontentloaded');
+
+  if (!await verifyLogin(slot, true) || await selectors.isPresent(slot.page, 'loginForm')) {
+    slot.isLoggedIn = false;
+    await performLogin(slot);
+  }
+  slot.lastActivity = Date.now();
+  return { active: true, loggedIn: slot.isLoggedIn };
+}
+
+// Close every context of one account, leaving other accounts' sessions alone
+async function closeAccountSessions(accountName) {
+  for (const slot of getPool(accountName)) {
+    await closeBrowserSession(slot);
+  }
+}
+
+// Delete saved storage state (one context, or every context of the account); returns the purged context ids
+async function purgeSavedState(accountName, contextId = null) {
+  const slots = getPool(accountName).filter(slot => contextId === null || slot.id === Number(contextId));
+  const purged = [];
+  for (const slot of slots) {
+    if (await sessionState.purgeState(slot)) {
+      purged.push(slot.id);
+    }
+  }
+  return purged;
+}
+
+// Per-context status for one account, or for every account in use when none is given. Read-only:
+// busy contexts are reported without touching their page, idle ones are only peeked at
+async function getPoolStatus(silent = true, accountName = null) {
+  // The default account is always listed, even before its first job
+  getPool(DEFAULT_ACCOUNT);
+  const slots = accountName ? getPool(accountName) : allSlots();
+  const contexts = [];
+  for (const slot of slots) {
+    const base = {
+      account: slot.account.name,
+      id: slot.id,
+      busy: slot.busy,
+      currentJob: slot.currentJob,
+      sessionId: slot.sessionId,
+      lastActivity: slot.lastActivity,
+      savedStateAt: sessionState.savedAt(slot)
+    };
+
+    if (slot.busy) {
+      contexts.push({ ...base, active: Boolean(slot.page), loggedIn: slot.isLoggedIn, timedOut: false });
+      continue;
+    }
+
+    const status = await peekBrowserSession(slot, silent);
+    contexts.push({ ...base, active: status.active, loggedIn: status.loggedIn, timedOut: status.timedOut });
+  }
+
+  return {
+    ...(accountName ? { account: getAccount(accountName).name } : { accounts: accountNames() }),
+    browserConnected: Boolean(browser && browser.isConnected()),
+    size: slots.length,
+    idle: slots.filter(slot => !slot.busy).length,
+    contexts
+  };
+}
+
+module.exports = {
+  SESSION_TIMEOUT,
+  POOL_SIZE,
+  TMS_BASE_URL,
+  TMS_HOME_URL,
+  SessionExpiredError,
+  getPool,
+  checkBrowserSession,
+  peekBrowserSession,
+  verifyLogin,
+  initializeBrowserSession,
+  performLogin,
+  closeBrowserSession,
+  acquireContext,
+  waitForContext,
+  leaseContext,
+  releaseContext,
+  allSlots,
+  refreshSession,
+  getContext,
+  closeAccountSessions,
+  purgeSavedState,
+  getPoolStatus
+};
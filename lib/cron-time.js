@@ -0,0 +1,140 @@
+// Next-run calculation for node-cron expressions, computed field by field in the schedule's timezone.
+// Follows node-cron's reading of an expression, so computed next runs agree with when tasks actually fire:
+// an optional seconds field, month and weekday names, weekday 7 = Sunday, a step keeps the values divisible
+// by it (1-10/3 is 3,6,9), and day of month and weekday must both match.
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// [min, max] per field, seconds first
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'week day', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+// Search this many local days ahead before giving up (covers 29 February)
+const HORIZON_DAYS = 5 * 366;
+// Candidates accept() may turn down before giving up
+const MAX_REJECTED = 20000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'jan'/'January' -> 1, 'mon'/'Monday' -> 1; unknown words are left for parseField to reject
+function replaceNames(text, field) {
+  if (!field.names) return text;
+  return text.replace(/[a-z]+/gi, word => {
+    const lower = word.toLowerCase();
+    const index = field.names.findIndex(name => name === lower || name.slice(0, 3) === lower);
+    return index === -1 ? word : String(index + field.offset);
+  });
+}
+
+// '1-5,10', '*/15', 'mon-fri' -> sorted numbers
+function parseField(text, field) {
+  const invalid = () => new Error(`${text} is a invalid expression for ${field.name}`);
+  const [list, step, extra] = replaceNames(text, field).split('/');
+  if (extra !== undefined || list === '') throw invalid();
+
+  const values = new Set();
+  for (const part of list.split(',')) {
+    const match = part === '*' ? [part, String(field.min), String(field.name === 'week day' ? 6 : field.max)] : part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) throw invalid();
+    let from = Number(match[1]);
+    let to = match[2] === undefined ? from : Number(match[2]);
+    if (from > to) [from, to] = [to, from];
+    if (from < field.min || to > field.max) throw invalid();
+    for (let value = from; value <= to; value++) values.add(value);
+  }
+
+  let result = Array.from(values);
+  if (step !== undefined) {
+    if (!/^\d+$/.test(step) || Number(step) === 0) throw invalid();
+    result = result.filter(value => value % Number(step) === 0);
+  }
+  if (field.name === 'week day') {
+    result = result.map(value => (value === 7 ? 0 : value));
+  }
+  return Array.from(new Set(result)).sort((a, b) => a - b);
+}
+
+// '0 7 * * 1-5' -> { second, minute, hour, day, month, weekday } arrays of allowed values
+function parseExpression(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+  if (parts.length !== 6) throw new Error(`'${expression}' is not a cron expression`);
+  const [second, minute, hour, day, month, weekday] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  return { second, minute, hour, day, month, weekday };
+}
+
+// Wall-clock time of an instant in the timezone, as if it were UTC (ms)
+function wallClock(formatter, date) {
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+}
+
+// Instants that show wall-clock time `wall` in the timezone, earliest first: none in a spring-forward gap,
+// two in a fall-back overlap
+function instantsAt(formatter, wall) {
+  const instants = new Set();
+  for (const probe of [wall - DAY_MS, wall + DAY_MS]) {
+    const offset = wallClock(formatter, new Date(probe)) - probe;
+    const instant = wall - offset;
+    if (wallClock(formatter, new Date(instant)) === wall) instants.add(instant);
+  }
+  return Array.from(instants).sort((a, b) => a - b);
+}
+
+// First time after `from` matching the expression (and accept(date), if given); null if none within 5 years
+function nextRun(expression, timezone, from = new Date(), accept = null) {
+  const fields = parseExpression(expression);
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  });
+  const start = new Date(from).getTime();
+  const startWall = wallClock(formatter, new Date(start));
+  // Offsets differ by a few hours at most, so earlier wall times can't be after `from`
+  const earliestWall = startWall - 3 * 60 * 60 * 1000;
+  const firstDay = startWall - (startWall % DAY_MS) - DAY_MS;
+  let rejected = 0;
+
+  for (let i = 0; i <= HORIZON_DAYS; i++) {
+    const day = new Date(firstDay + i * DAY_MS);
+    if (!fields.month.includes(day.getUTCMonth() + 1)) continue;
+    if (!fields.day.includes(day.getUTCDate()) || !fields.weekday.includes(day.getUTCDay())) continue;
+
+    for (const hour of fields.hour) {
+      for (const minute of fields.minute) {
+        for (const second of fields.second) {
+          const wall = day.getTime() + ((hour * 60 + minute) * 60 + second) * 1000;
+          if (wall < earliestWall) continue;
+          for (const instant of instantsAt(formatter, wall)) {
+            if (instant <= start) continue;
+            const candidate = new Date(instant);
+            if (!accept || accept(candidate)) return candidate;
+            if (++rejected >= MAX_REJECTED) return null;
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  nextRun,
+  parseExpression
+};
@@ -0,0 +1,243 @@
+// Failure diagnostics: a Playwright trace around retried attempts (or every attempt), plus a screenshot and HTML dump of every open page
+// when an attempt fails, kept as one bundle per job under DIAGNOSTICS_PATH/<job ID>
+const fs = require('fs').promises;
+const path = require('path');
+
+const DIAGNOSTICS_ENABLED = process.env.DIAGNOSTICS_ENABLED !== 'false';
+// Traces are the most useful part but slow every attempt down, so by default only retries are traced:
+// 'off', 'retries' or 'always' ('false' and 'true' from older configs mean off and always)
+const TRACING_MODES = ['off', 'retries', 'always'];
+
+function tracingMode(value) {
+  const mode = String(value || 'retries').trim().toLowerCase();
+  if (mode === 'false') return 'off';
+  if (mode === 'true') return 'always';
+  if (TRACING_MODES.includes(mode)) return mode;
+  console.error(`[DIAGNOSTICS] Invalid DIAGNOSTICS_TRACING '${value}', using retries`);
+  return 'retries';
+}
+
+const DIAGNOSTICS_TRACING = DIAGNOSTICS_ENABLED ? tracingMode(process.env.DIAGNOSTICS_TRACING) : 'off';
+const DIAGNOSTICS_PATH = process.env.DIAGNOSTICS_PATH ||
+  path.join(process.env.PDF_SAVE_PATH || '/app/temp', 'diagnostics');
+const DIAGNOSTICS_RETENTION_MS = parseInt(process.env.DIAGNOSTICS_RETENTION_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+const DIAGNOSTICS_MAX_BUNDLES = parseInt(process.env.DIAGNOSTICS_MAX_BUNDLES, 10) || 100;
+
+// A crashed page can hang a screenshot; don't let that hold the job's context for long
+const CAPTURE_TIMEOUT = 10 * 1000;
+const BUNDLE_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+let sweeper = null;
+
+function isEnabled() {
+  return DIAGNOSTICS_ENABLED;
+}
+
+function bundlePath(id) {
+  if (!BUNDLE_ID_PATTERN.test(String(id))) return null;
+  return path.join(DIAGNOSTICS_PATH, id);
+}
+
+// Start a trace on the slot's context for attempt number `attempt` if the tracing mode covers it
+// (once per context; stopped by captureFailure or discardTrace)
+async function startTrace(slot, attempt = 1) {
+  if (DIAGNOSTICS_TRACING === 'off' || (DIAGNOSTICS_TRACING === 'retries' && attempt < 2)) return;
+  if (!slot.context || slot.tracing) return;
+  try {
+    await slot.context.tracing.start({ screenshots: true, snapshots: true });
+    slot.tracing = true;
+  } catch (error) {
+    console.error(`[DIAGNOSTICS] Could not start trace on context ${slot.id}: ${error.message}`);
+  }
+}
+
+// The attempt succeeded: drop the trace
+async function discardTrace(slot) {
+  if (!slot.tracing) return;
+  slot.tracing = false;
+  try {
+    await slot.context.tracing.stop();
+  } catch (error) {
+    // Context already gone; nothing to discard
+  }
+}
+
+async function readManifest(id) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(bundlePath(id), 'manifest.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Save the trace, screenshots and HTML of a failed attempt into the job's bundle; returns the bundle ID.
+// bundle: { id, label, jobId, action, account, client, params }
+async function captureFailure(slot, bundle, attempt, error) {
+  const folder = `${bundle.label ? `${bundle.label}-` : ''}attempt-${attempt.attempt}`;
+  const directory = path.join(bundlePath(bundle.id), folder);
+  await fs.mkdir(directory, { recursive: true });
+
+  const capture = {
+    folder,
+    attempt: attempt.attempt,
+    label: bundle.label || null,
+    step: attempt.step,
+    error: { name: error.name, code: error.code || null, message: error.message },
+    capturedAt: new Date().toISOString(),
+    trace: null,
+    pages: []
+  };
+
+  if (slot.tracing) {
+    slot.tracing = false;
+    try {
+      await slot.context.tracing.stop({ path: path.join(directory, 'trace.zip') });
+      capture.trace = `${folder}/trace.zip`;
+    } catch (traceError) {
+      console.error(`[DIAGNOSTICS] Could not save trace: ${traceError.message}`);
+    }
+  }
+
+  const pages = slot.context ? slot.context.pages() : [];
+  for (const [index, page] of pages.entries()) {
+    const name = `page-${index + 1}`;
+    const entry = { name, url: null, title: null, screenshot: null, html: null, errors: [] };
+    try {
+      entry.url = page.url();
+      entry.title = await page.title();
+    } catch (pageError) {
+      entry.errors.push(`title: ${pageError.message}`);
+    }
+    try {
+      await page.screenshot({ path: path.join(directory, `${name}.png`), fullPage: true, timeout: CAPTURE_TIMEOUT });
+      entry.screenshot = `${folder}/${name}.png`;
+    } catch (pageError) {
+      entry.errors.push(`screenshot: ${pageError.message}`);
+    }
+    try {
+      await fs.writeFile(path.join(directory, `${name}.html`), await page.content());
+      entry.html = `${folder}/${name}.html`;
+    } catch (pageError) {
+      entry.errors.push(`html: ${pageError.message}`);
+    }
+    capture.pages.push(entry);
+  }
+
+  const now = new Date().toISOString();
+  const manifest = await readManifest(bundle.id) || {
+    id: bundle.id,
+    jobId: bundle.jobId || bundle.id,
+    action: bundle.action || null,
+    account: bundle.account || null,
+    client: bundle.client || null,
+    params: bundle.params || {},
+    createdAt: now,
+    captures: []
+  };
+  manifest.updatedAt = now;
+  manifest.captures.push(capture);
+  await fs.writeFile(path.join(bundlePath(bundle.id), 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+  console.log(`[DIAGNOSTICS] Saved ${capture.pages.length} page(s)${capture.trace ? ' and a trace' : ''} to bundle ${bundle.id}/${folder}`);
+  return bundle.id;
+}
+
+// Bundle manifest, or null if there is no such bundle
+async function getBundle(id) {
+  if (!bundlePath(id)) return null;
+  return readManifest(id);
+}
+
+async function directorySize(directory) {
+  let total = 0;
+  for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+    const entryPath = path.join(directory, entry.name);
+    total += entry.isDirectory() ? await directorySize(entryPath) : (await fs.stat(entryPath)).size;
+  }
+  return total;
+}
+
+// Every bundle, newest first: { id, jobId, action, account, client, createdAt, captures, bytes }
+async function listBundles() {
+  let entries;
+  try {
+    entries = await fs.readdir(DIAGNOSTICS_PATH, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const bundles = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const manifest = await readManifest(entry.name);
+    const stats = await fs.stat(path.join(DIAGNOSTICS_PATH, entry.name));
+    bundles.push({
+      id: entry.name,
+      jobId: manifest ? manifest.jobId : entry.name,
+      action: manifest ? manifest.action : null,
+      account: manifest ? manifest.account : null,
+      client: manifest ? manifest.client : null,
+      createdAt: manifest ? manifest.createdAt : stats.mtime.toISOString(),
+      captures: manifest ? manifest.captures.length : 0,
+      bytes: await directorySize(path.join(DIAGNOSTICS_PATH, entry.name))
+    });
+  }
+  return bundles.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function removeBundle(id) {
+  const directory = bundlePath(id);
+  if (!directory) return false;
+  await fs.rm(directory, { recursive: true, force: true });
+  return true;
+}
+
+// Delete bundles past DIAGNOSTICS_RETENTION_MS, then the oldest beyond DIAGNOSTICS_MAX_BUNDLES
+async function sweep() {
+  const bundles = await listBundles();
+  const cutoff = Date.now() - DIAGNOSTICS_RETENTION_MS;
+  let removed = 0;
+  for (const [index, bundle] of bundles.entries()) {
+    if (Date.parse(bundle.createdAt) < cutoff || index >= DIAGNOSTICS_MAX_BUNDLES) {
+      await removeBundle(bundle.id);
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    console.log(`[DIAGNOSTICS] Deleted ${removed} expired bundle(s)`);
+  }
+  return removed;
+}
+
+function startSweeper(interval = 60 * 60 * 1000) {
+  if (!DIAGNOSTICS_ENABLED || sweeper) return;
+  sweep().catch(error => console.error('[DIAGNOSTICS] Sweep failed:', error.message));
+  sweeper = setInterval(() => {
+    sweep().catch(error => console.error('[DIAGNOSTICS] Sweep failed:', error.message));
+  }, interval);
+  sweeper.unref();
+}
+
+function stopSweeper() {
+  clearInterval(sweeper);
+  sweeper = null;
+}
+
+module.exports = {
+  DIAGNOSTICS_TRACING,
+  DIAGNOSTICS_PATH,
+  DIAGNOSTICS_RETENTION_MS,
+  DIAGNOSTICS_MAX_BUNDLES,
+  isEnabled,
+  bundlePath,
+  startTrace,
+  discardTrace,
+  captureFailure,
+  getBundle,
+  listBundles,
+  removeBundle,
+  sweep,
+  startSweeper,
+  stopSweeper
+};
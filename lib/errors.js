@@ -0,0 +1,150 @@
+const { getContext } = require('./logger');
+
+// Error taxonomy: every failure maps to a stable code with an HTTP status, whether retrying the same request may help
+// and the exit code the command-line tool (e2open-tms-script.js) ends with
+const ERROR_CODES = {
+  LOAD_NOT_FOUND: { status: 404, retryable: false, exitCode: 3, title: 'Load not found' },
+  // 502 rather than 401: the API key was fine, E2Open rejected our credentials
+  AUTH_FAILED: { status: 502, retryable: false, exitCode: 10, title: 'E2Open login failed' },
+  // The account has no username or password to log in with: a configuration problem, not a login failure
+  CREDENTIALS_MISSING: { status: 500, retryable: false, exitCode: 9, title: 'E2Open credentials not configured' },
+  // The other login steps, in the order E2Open shows them (see lib/login-flow.js)
+  CONSENT_FAILED: { status: 502, retryable: true, exitCode: 11, title: 'Cookie consent failed' },
+  MFA_NOT_CONFIGURED: { status: 502, retryable: false, exitCode: 12, title: 'Verification code required' },
+  MFA_FAILED: { status: 502, retryable: false, exitCode: 13, title: 'Verification code rejected' },
+  KEEP_SIGNED_IN_FAILED: { status: 502, retryable: true, exitCode: 14, title: 'Keep-signed-in prompt failed' },
+  PASSWORD_CHANGE_REQUIRED: { status: 502, retryable: false, exitCode: 15, title: 'Password change required' },
+  SESSION_UNAVAILABLE: { status: 503, retryable: true, exitCode: 7, title: 'Session unavailable' },
+  QUEUE_FULL: { status: 429, retryable: true, exitCode: 8, title: 'Queue full' },
+  PAYABLE_SECTION_MISSING: { status: 422, retryable: false, exitCode: 4, title: 'Payable section missing' },
+  PDF_RENDER_FAILED: { status: 500, retryable: true, exitCode: 5, title: 'Render failed' },
+  UPSTREAM_TIMEOUT: { status: 504, retryable: true, exitCode: 6, title: 'E2Open timed out' },
+  VALIDATION_ERROR: { status: 400, retryable: false, exitCode: 2, title: 'Invalid request' },
+  // Answers about the API's own resources (jobs, files, schedules, contexts) and its API keys
+  NOT_FOUND: { status: 404, retryable: false, exitCode: 16, title: 'Not found' },
+  CONFLICT: { status: 409, retryable: true, exitCode: 17, title: 'Conflict' },
+  GONE: { status: 410, retryable: false, exitCode: 18, title: 'Gone' },
+  UNAUTHORIZED: { status: 401, retryable: false, exitCode: 19, title: 'Unauthorized' },
+  FORBIDDEN: { status: 403, retryable: false, exitCode: 22, title: 'Forbidden' },
+  // Anything not classified above
+  INTERNAL_ERROR: { status: 500, retryable: false, exitCode: 1, title: 'Automation failed' }
+};
+
+// Stack traces are only sent to clients when this is on
+const DEBUG_ERRORS = process.env.DEBUG_ERRORS === 'true';
+
+class AutomationError extends Error {
+  // options: { name, title, cause, step, details }; details are merged into the response body
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    const spec = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    this.name = options.name || 'AutomationError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.status = spec.status;
+    this.retryable = spec.retryable;
+    // Short human summary, sent as `error`
+    this.title = options.title || spec.title;
+    this.step = options.step || null;
+    this.details = options.details || null;
+  }
+}
+
+// Playwright errors for a page, context or browser that crashed or went away mid-step
+const PAGE_GONE_PATTERNS = [
+  /Target (page, context or browser )?(has been )?closed/i,
+  /Target crashed/i,
+  /Page crashed/i,
+  /browser has been closed/i,
+  /browser has disconnected/i,
+  /frame was detached/i,
+  /Execution context was destroyed/i,
+  /net::ERR_/
+];
+
+function isPageGone(error) {
+  return Boolean(error) && PAGE_GONE_PATTERNS.some(pattern => pattern.test(error.message || ''));
+}
+
+function isTimeout(error) {
+  return Boolean(error) && (error.name === 'TimeoutError' || error.name === 'JobTimeoutError');
+}
+
+// Classify any error; typed errors pass through, the rest are wrapped (keeping step and attempts)
+function toAutomationError(error) {
+  if (error instanceof AutomationError) return error;
+
+  let code = 'INTERNAL_ERROR';
+  let title = null;
+  if (error && error.name === 'JobTimeoutError') {
+    code = 'UPSTREAM_TIMEOUT';
+    title = 'Automation timed out';
+  } else if (isTimeout(error)) {
+    code = 'UPSTREAM_TIMEOUT';
+  } else if (error && error.name === 'QueueFullError') {
+    code = 'QUEUE_FULL';
+  } else if (error && error.name === 'QueueClosedError') {
+    code = 'SESSION_UNAVAILABLE';
+    title = 'Service unavailable';
+  } else if (isPageGone(error)) {
+    code = 'SESSION_UNAVAILABLE';
+  }
+
+  const typed = new AutomationError(code, error ? error.message : 'Unknown error', { cause: error, title, step: error && error.step });
+  typed.name = error ? error.name : typed.name;
+  typed.stack = error ? error.stack : typed.stack;
+  if (error && error.attempts) typed.attempts = error.attempts;
+  if (error && error.diagnosticsId) typed.diagnosticsId = error.diagnosticsId;
+  return typed;
+}
+
+// JSON body for an error response: { error, code, message, retryable, step, diagnosticsId, requestId, ...details, ...extra }
+// (+ stack in debug mode). details and extra add fields but never replace the ones before them
+function errorBody(error, extra = {}) {
+  const typed = toAutomationError(error);
+  const body = {
+    error: typed.title,
+    code: typed.code,
+    message: typed.message,
+    retryable: typed.retryable,
+    step: typed.step || null,
+    ...(typed.diagnosticsId
+      ? { diagnosticsId: typed.diagnosticsId, diagnosticsUrl: `/api/diagnostics/${typed.diagnosticsId}` }
+      : {}),
+    // Quote this when reporting a problem; it finds the request's log lines
+    ...(getContext().requestId ? { requestId: getContext().requestId } : {})
+  };
+  for (const [key, value] of Object.entries({ ...(typed.details || {}), ...extra })) {
+    if (!(key in body)) body[key] = value;
+  }
+  if (DEBUG_ERRORS) body.stack = typed.stack;
+  return body;
+}
+
+// Send an error through the taxonomy; status comes from the code unless the caller overrides it
+function sendError(res, error, extra = {}, status = null) {
+  const body = errorBody(error, extra);
+  return res.status(status || ERROR_CODES[body.code].status).json(body);
+}
+
+// Process exit code for an error (see ERROR_CODES)
+function exitCodeFor(error) {
+  return ERROR_CODES[toAutomationError(error).code].exitCode;
+}
+
+// Shorthand for request problems found by route handlers, e.g. validationError('Unknown action', message, { supportedActions })
+function validationError(title, message, details = null) {
+  return new AutomationError('VALIDATION_ERROR', message, { name: 'ValidationError', title, details });
+}
+
+module.exports = {
+  ERROR_CODES,
+  DEBUG_ERRORS,
+  AutomationError,
+  isPageGone,
+  isTimeout,
+  toAutomationError,
+  errorBody,
+  sendError,
+  exitCodeFor,
+  validationError
+};
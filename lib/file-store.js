@@ -0,0 +1,235 @@
+// Generated files by opaque ID. Results kept for later download live in storage under files/<id>, with filename,
+// owner and expiry as object metadata, and are only reachable by ID or through a signed, expiring link.
+// Rendering happens in a private work folder per file; whatever a failed or abandoned response leaves there is swept.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const storage = require('./storage');
+
+const WORK_PATH = path.resolve(process.env.PDF_SAVE_PATH || '/app/temp', 'work');
+const TEMP_FILE_RETENTION_MS = parseInt(process.env.TEMP_FILE_RETENTION_MS, 10) || 60 * 60 * 1000;
+const FILE_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 15 * 60;
+// Without a configured secret, links are signed with a per-process key: they stop working after a restart and
+// on every other replica (the server warns at startup)
+const FILE_URL_SECRET = process.env.FILE_URL_SECRET || crypto.randomBytes(32).toString('hex');
+
+const FILES_PREFIX = 'files/';
+const FILE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+let sweeper = null;
+
+function isValidFileId(id) {
+  return FILE_ID_PATTERN.test(String(id));
+}
+
+const fileKey = (id) => `${FILES_PREFIX}${id}`;
+
+// Local signed links outlive this process only with a configured FILE_URL_SECRET
+function hasUrlSecret() {
+  return Boolean(process.env.FILE_URL_SECRET);
+}
+
+// A new, empty work folder for one rendered file; returns the path to write filename to
+async function createWorkFile(filename) {
+  const directory = path.join(WORK_PATH, crypto.randomUUID());
+  const target = path.join(directory, path.basename(String(filename)));
+  // Template filenames are sanitized already; this also refuses '.', '..' and empty names
+  if (path.dirname(target) !== directory) {
+    throw new Error(`Invalid output filename '${filename}'`);
+  }
+  await fs.mkdir(directory, { recursive: true });
+  return target;
+}
+
+// Delete a rendered file together with its work folder
+async function removeWorkFile(filePath) {
+  const directory = path.dirname(path.resolve(filePath));
+  if (path.dirname(directory) === WORK_PATH) {
+    await fs.rm(directory, { recursive: true, force: true });
+  } else {
+    await fs.rm(filePath, { force: true });
+  }
+}
+
+// Move a rendered file to target (copy + delete across volumes), then remove its work folder
+async function moveWorkFile(filePath, target) {
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  try {
+    await fs.rename(filePath, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(filePath, target);
+  }
+  await removeWorkFile(filePath);
+}
+
+function toRecord(id, info) {
+  const metadata = info.metadata || {};
+  return {
+    id,
+    filename: metadata.filename || id,
+    size: info.size,
+    contentType: info.contentType || 'application/octet-stream',
+    jobId: metadata.job || null,
+    client: metadata.client || null,
+    account: metadata.account || null,
+    createdAt: metadata.created || info.lastModified.toISOString(),
+    expiresAt: metadata.expires || null
+  };
+}
+
+const isExpired = (file, now = Date.now()) => Boolean(file.expiresAt) && Date.parse(file.expiresAt) <= now;
+
+// Keep a rendered file for retention ms; returns its record
+async function saveFile(filePath, { filename, contentType, jobId = null, client = null, account = null, retention }) {
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  const metadata = {
+    filename,
+    job: jobId,
+    client,
+    account,
+    created: new Date(now).toISOString(),
+    expires: new Date(now + retention).toISOString()
+  };
+  const { size } = await storage.putFile(fileKey(id), filePath, { contentType, metadata });
+  return toRecord(id, { size, contentType, metadata });
+}
+
+// The file's record, or null when the ID is unknown, malformed or expired
+async function getFile(id) {
+  if (!isValidFileId(id)) return null;
+  const info = await storage.head(fileKey(id));
+  if (!info) return null;
+  const file = toRecord(id, info);
+  return isExpired(file) ? null : file;
+}
+
+// { file, stream }, or null when the file is gone
+async function openFile(id) {
+  const file = await getFile(id);
+  if (!file) return null;
+  try {
+    const { stream } = await storage.get(fileKey(id));
+    return { file, stream };
+  } catch (error) {
+    if (storage.isNotFound(error)) return null;
+    throw error;
+  }
+}
+
+async function readFile(id) {
+  return storage.read(fileKey(id));
+}
+
+async function deleteFile(id) {
+  if (!isValidFileId(id)) return;
+  await storage.delete(fileKey(id));
+}
+
+// Every unexpired file, newest first
+async function listFiles() {
+  const files = [];
+  for (const object of await storage.list(FILES_PREFIX)) {
+    const id = object.key.slice(FILES_PREFIX.length);
+    const file = await getFile(id);
+    if (file) files.push(file);
+  }
+  return files.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function sign(id, expires) {
+  return crypto.createHmac('sha256', FILE_URL_SECRET).update(`${id}.${expires}`).digest('base64url');
+}
+
+// Signed download link valid for expiresIn seconds (never past the file's own expiry): S3 hands out a presigned
+// URL; local files get /files/<id>?expires=&signature=, which this API serves without an API key.
+function createDownloadUrl(file, expiresIn = FILE_URL_TTL_SECONDS) {
+  const untilExpiry = file.expiresAt ? Math.floor((Date.parse(file.expiresAt) - Date.now()) / 1000) : Infinity;
+  const seconds = Math.max(1, Math.min(expiresIn, untilExpiry, storage.MAX_PRESIGN_SECONDS));
+  const expires = Math.floor(Date.now() / 1000) + seconds;
+  const expiresAt = new Date(expires * 1000).toISOString();
+
+  const presigned = storage.signedUrl(fileKey(file.id), { expiresIn: seconds, filename: file.filename });
+  if (presigned) {
+    return { url: presigned, expiresAt };
+  }
+  return { url: `/files/${file.id}?expires=${expires}&signature=${sign(file.id, expires)}`, expiresAt };
+}
+
+function verifyDownloadUrl(id, expires, signature) {
+  if (!isValidFileId(id) || !/^\d+$/.test(String(expires)) || typeof signature !== 'string') return false;
+  if (Number(expires) * 1000 <= Date.now()) return false;
+  const expected = Buffer.from(sign(id, expires));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Delete expired files and work folders older than TEMP_FILE_RETENTION_MS
+async function sweep() {
+  const now = Date.now();
+  let files = 0;
+  for (const object of await storage.list(FILES_PREFIX)) {
+    const id = object.key.slice(FILES_PREFIX.length);
+    const info = isValidFileId(id) ? await storage.head(object.key) : null;
+    if (info && isExpired(toRecord(id, info), now)) {
+      await storage.delete(object.key);
+      files++;
+    }
+  }
+
+  let folders = 0;
+  let entries = [];
+  try {
+    entries = await fs.readdir(WORK_PATH, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(WORK_PATH, entry.name);
+    const stats = await fs.stat(entryPath).catch(() => null);
+    if (stats && now - stats.mtimeMs > TEMP_FILE_RETENTION_MS) {
+      await fs.rm(entryPath, { recursive: true, force: true });
+      folders++;
+    }
+  }
+
+  if (files || folders) {
+    console.log(`[FILES] Swept ${files} expired file(s) and ${folders} leftover work folder(s)`);
+  }
+}
+
+function startSweeper(interval = 10 * 60 * 1000) {
+  if (sweeper) return;
+  sweep().catch(error => console.error('[FILES] Sweep failed:', error.message));
+  sweeper = setInterval(() => {
+    sweep().catch(error => console.error('[FILES] Sweep failed:', error.message));
+  }, interval);
+  sweeper.unref();
+}
+
+function stopSweeper() {
+  clearInterval(sweeper);
+  sweeper = null;
+}
+
+module.exports = {
+  WORK_PATH,
+  FILE_URL_TTL_SECONDS,
+  isValidFileId,
+  createWorkFile,
+  removeWorkFile,
+  moveWorkFile,
+  saveFile,
+  getFile,
+  openFile,
+  readFile,
+  deleteFile,
+  listFiles,
+  hasUrlSecret,
+  createDownloadUrl,
+  verifyDownloadUrl,
+  sweep,
+  startSweeper,
+  stopSweeper
+};
@@ -0,0 +1,170 @@
+// Filename templates for generated files: {carrier} {load} {date:MM.DD.YY} {time:HH.mm} {timezone}
+const fsSync = require('fs');
+
+const DEFAULT_TEMPLATE = 'RATECON {carrier} {load} {date:MM.DD.YY}';
+const DEFAULT_CARRIER = 'MULDER BROTHERS';
+const DEFAULT_DATE_FORMAT = 'MM.DD.YY';
+const DEFAULT_TIME_FORMAT = 'HH.mm';
+const MAX_FILENAME_LENGTH = 180;
+
+const TOKEN_PATTERN = /\{(\w+)(?::([^}]*))?\}/g;
+const KNOWN_TOKENS = ['carrier', 'load', 'date', 'time', 'timezone', 'action'];
+
+// Optional JSON config file: { template, carrier, timezone, profiles: { <key>: { carrier, template, timezone } } }
+function loadConfigFile(configPath) {
+  if (!configPath) return {};
+  try {
+    const config = JSON.parse(fsSync.readFileSync(configPath, 'utf8'));
+    console.log(`[FILENAME] Loaded filename config from ${configPath}`);
+    return config;
+  } catch (error) {
+    console.error(`[FILENAME] Failed to read filename config ${configPath}: ${error.message}`);
+    return {};
+  }
+}
+
+const fileConfig = loadConfigFile(process.env.FILENAME_CONFIG);
+
+// Env overrides the config file, which overrides the built-in defaults
+const defaults = {
+  template: process.env.FILENAME_TEMPLATE || fileConfig.template || DEFAULT_TEMPLATE,
+  carrier: process.env.FILENAME_CARRIER || fileConfig.carrier || DEFAULT_CARRIER,
+  // Set explicitly so the date doesn't flip at UTC midnight inside the container
+  timezone: process.env.FILENAME_TIMEZONE || fileConfig.timezone || process.env.TZ ||
+    Intl.DateTimeFormat().resolvedOptions().timeZone
+};
+const profiles = fileConfig.profiles || {};
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Returns an error message, or null if every token in the template is known
+function validateTemplate(template) {
+  if (!template || !String(template).trim()) return 'Filename template is empty';
+  for (const [, token] of String(template).matchAll(TOKEN_PATTERN)) {
+    if (!KNOWN_TOKENS.includes(token)) {
+      return `Unknown filename token {${token}}; supported: ${KNOWN_TOKENS.map(each => `{${each}}`).join(' ')}`;
+    }
+  }
+  return null;
+}
+
+// Date/time parts in the configured timezone
+function dateParts(date, timezone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'short'
+  });
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return parts;
+}
+
+// Format with YYYY, YY, MM, M, DD, D, HH, mm, ss
+function formatDate(date, format, timezone) {
+  const parts = dateParts(date, timezone);
+  const values = {
+    YYYY: parts.year,
+    YY: parts.year.slice(-2),
+    MM: parts.month,
+    M: String(Number(parts.month)),
+    DD: parts.day,
+    D: String(Number(parts.day)),
+    HH: parts.hour,
+    mm: parts.minute,
+    ss: parts.second
+  };
+  return format.replace(/YYYY|YY|MM|M|DD|D|HH|mm|ss/g, match => values[match]);
+}
+
+function timezoneName(date, timezone) {
+  return dateParts(date, timezone).timeZoneName || timezone;
+}
+
+// Keep filenames to safe ASCII: no path separators, quotes or control characters
+function sanitizeFilename(name) {
+  const cleaned = String(name)
+    .normalize('NFKD')
+    .replace(/[^\x20-\x7E]/g, '')
+    .replace(/[<>:"/\\|?*]/g, '-')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.-]+/, '')
+    .trim();
+  return cleaned.slice(0, MAX_FILENAME_LENGTH).trim() || 'file';
+}
+
+// Merge defaults, an optional named profile and per-request overrides
+function resolveOptions(overrides = {}) {
+  const profile = overrides.carrier ? profiles[String(overrides.carrier).toLowerCase()] : null;
+  return {
+    template: overrides.template || (profile && profile.template) || defaults.template,
+    carrier: profile ? (profile.carrier || overrides.carrier) : (overrides.carrier || defaults.carrier),
+    timezone: overrides.timezone || (profile && profile.timezone) || defaults.timezone
+  };
+}
+
+// Render a filename. values: { load, action }, overrides: { template, carrier, timezone }
+function renderFilename(values = {}, overrides = {}, extension = 'pdf') {
+  const options = resolveOptions(overrides);
+  const now = overrides.date || new Date();
+
+  const rendered = options.template.replace(TOKEN_PATTERN, (match, token, format) => {
+    switch (token) {
+      case 'carrier': return options.carrier;
+      case 'load': return values.load || '';
+      case 'action': return values.action || '';
+      case 'date': return formatDate(now, format || DEFAULT_DATE_FORMAT, options.timezone);
+      case 'time': return formatDate(now, format || DEFAULT_TIME_FORMAT, options.timezone);
+      case 'timezone': return timezoneName(now, options.timezone);
+      default: return match;
+    }
+  });
+
+  if (!extension) return sanitizeFilename(rendered);
+  const base = sanitizeFilename(rendered.replace(new RegExp(`\\.${extension}$`, 'i'), ''));
+  return `${base}.${extension}`;
+}
+
+// A template without {load} renders the same name for every load of a batch: number the repeats
+// ('name.pdf', 'name-2.pdf', 'name-3.pdf'). taken is a Set of names already used (lower case, as
+// case-insensitive filesystems see them) and gets the returned name added
+function uniqueFilename(filename, taken) {
+  const extension = /(\.[^.]+)$/.exec(filename);
+  const base = extension ? filename.slice(0, -extension[1].length) : filename;
+  let candidate = filename;
+  for (let number = 2; taken.has(candidate.toLowerCase()); number++) {
+    candidate = `${base}-${number}${extension ? extension[1] : ''}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function getDefaults() {
+  return { ...defaults, profiles: Object.keys(profiles) };
+}
+
+module.exports = {
+  KNOWN_TOKENS,
+  renderFilename,
+  sanitizeFilename,
+  uniqueFilename,
+  validateTemplate,
+  isValidTimezone,
+  formatDate,
+  getDefaults
+};
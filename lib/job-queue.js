@@ -0,0 +1,198 @@
+// In-process job queue that serializes access to the shared browser sessions, optionally per key (account)
+const { AsyncResource } = require('async_hooks');
+const crypto = require('crypto');
+
+// Default duration assumed for a job before any job has completed (ms)
+const DEFAULT_JOB_ESTIMATE = 60 * 1000;
+
+class QueueFullError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'QueueFullError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+class QueueClosedError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'QueueClosedError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+class JobTimeoutError extends Error {
+  constructor(message, timeout) {
+    super(message);
+    this.name = 'JobTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+class JobQueue {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    // Jobs with the same key (e.g. one E2Open account) that may run at the same time
+    this.keyConcurrency = Math.max(1, options.keyConcurrency || this.concurrency);
+    this.maxQueueSize = Math.max(0, options.maxQueueSize ?? 10);
+    this.jobTimeout = options.jobTimeout || 5 * 60 * 1000;
+
+    this.waiting = [];
+    this.running = new Map();
+    this.runningByKey = new Map();
+    this.closed = false;
+
+    // Rolling stats used to estimate Retry-After
+    this.completed = 0;
+    this.failed = 0;
+    this.timedOut = 0;
+    this.totalDuration = 0;
+  }
+
+  // Add a job to the queue. Resolves/rejects with the task result.
+  // task receives { id, name, signal } - signal aborts when the job times out.
+  // options.key limits the job to keyConcurrency running jobs with the same key.
+  enqueue(task, options = {}) {
+    if (this.closed) {
+      throw new QueueClosedError('Job queue is shutting down', this.estimateRetryAfter());
+    }
+
+    const key = options.key ?? null;
+    // Jobs still waiting are held by a limit this one may not share, so a free slot for its key means it starts now
+    const canStartNow = this._canStart(key);
+    if (!canStartNow && this.waiting.length >= this.maxQueueSize) {
+      throw new QueueFullError(
+        `Job queue is full (${this.waiting.length}/${this.maxQueueSize} waiting)`,
+        this.estimateRetryAfter()
+      );
+    }
+
+    const job = {
+      id: options.id || crypto.randomUUID(),
+      name: options.name || 'job',
+      key,
+      timeout: options.timeout || this.jobTimeout,
+      task,
+      enqueuedAt: Date.now(),
+      startedAt: null,
+      controller: new AbortController(),
+      // Run the task in the caller's async context so its logs keep the request/job IDs
+      asyncResource: new AsyncResource('JobQueueJob')
+    };
+
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    this.waiting.push(job);
+    this._drain();
+
+    // Position 0 means the job started immediately
+    return { id: job.id, position: this.getPosition(job.id), promise: job.promise };
+  }
+
+  // Position of a waiting job (1-based), 0 if running, null if unknown
+  getPosition(id) {
+    if (this.running.has(id)) return 0;
+    const index = this.waiting.findIndex(job => job.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Seconds a new caller should wait before retrying
+  estimateRetryAfter() {
+    const average = this.completed > 0 ? this.totalDuration / this.completed : DEFAULT_JOB_ESTIMATE;
+    const rounds = Math.ceil((this.waiting.length + 1) / this.concurrency);
+    return Math.max(1, Math.ceil((average * rounds) / 1000));
+  }
+
+  getStatus() {
+    return {
+      concurrency: this.concurrency,
+      maxQueueSize: this.maxQueueSize,
+      jobTimeout: this.jobTimeout,
+      keyConcurrency: this.keyConcurrency,
+      running: this.running.size,
+      waiting: this.waiting.length,
+      closed: this.closed,
+      completed: this.completed,
+      failed: this.failed,
+      timedOut: this.timedOut,
+      averageDuration: this.completed > 0 ? Math.round(this.totalDuration / this.completed) : null
+    };
+  }
+
+  // Stop accepting jobs and reject everything still waiting
+  close() {
+    this.closed = true;
+    const pending = this.waiting.splice(0);
+    for (const job of pending) {
+      job.reject(new QueueClosedError('Job queue is shutting down', this.estimateRetryAfter()));
+    }
+  }
+
+  _canStart(key) {
+    return this.running.size < this.concurrency && (key === null || (this.runningByKey.get(key) || 0) < this.keyConcurrency);
+  }
+
+  // Start waiting jobs in order, passing over those whose key is at its limit so other keys are not held up
+  _drain() {
+    let index = 0;
+    while (this.running.size < this.concurrency && index < this.waiting.length) {
+      const job = this.waiting[index];
+      if (!this._canStart(job.key)) {
+        index++;
+        continue;
+      }
+      this.waiting.splice(index, 1);
+      job.asyncResource.runInAsyncScope(() => this._run(job));
+    }
+  }
+
+  async _run(job) {
+    job.startedAt = Date.now();
+    this.running.set(job.id, job);
+    if (job.key !== null) this.runningByKey.set(job.key, (this.runningByKey.get(job.key) || 0) + 1);
+
+    let timer = null;
+
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new JobTimeoutError(`Job ${job.id} timed out after ${job.timeout}ms`, job.timeout);
+        this.timedOut++;
+        // Let the task clean up (e.g. tear down the browser) so its slot frees quickly
+        job.controller.abort(error);
+        reject(error);
+      }, job.timeout);
+    });
+
+    const taskPromise = Promise.resolve()
+      .then(() => job.task({ id: job.id, name: job.name, signal: job.controller.signal }));
+
+    try {
+      const result = await Promise.race([taskPromise, timeoutPromise]);
+      this.completed++;
+      this.totalDuration += Date.now() - job.startedAt;
+      job.resolve(result);
+    } catch (error) {
+      this.failed++;
+      job.reject(error);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // A timed-out task may still be driving the page; hold its slot until it settles
+    await taskPromise.catch(() => {});
+
+    this.running.delete(job.id);
+    if (job.key !== null) this.runningByKey.set(job.key, this.runningByKey.get(job.key) - 1);
+    this._drain();
+  }
+}
+
+module.exports = {
+  JobQueue,
+  QueueFullError,
+  QueueClosedError,
+  JobTimeoutError
+};
@@ -0,0 +1,199 @@
+// In-memory record of automation jobs: state, current step and retained results
+const { toAutomationError } = require('./errors');
+const fileStore = require('./file-store');
+const metrics = require('./metrics');
+
+const JOB_STATES = ['queued', 'running', 'succeeded', 'failed'];
+
+class JobStore {
+  constructor(options = {}) {
+    // How long finished jobs (and their result files) are kept
+    this.retention = options.retention || 60 * 60 * 1000;
+    this.jobs = new Map();
+    this.sweeper = null;
+  }
+
+  create({ id, action, params = {}, async = false, callbackUrl = null, client = null, account = null }) {
+    const record = {
+      id,
+      action,
+      params,
+      async,
+      // API client that submitted the job (null when auth is off)
+      client,
+      // E2Open account the job runs as
+      account,
+      state: 'queued',
+      step: null,
+      steps: [],
+      // One entry per automation attempt (retries after a transient failure add more)
+      attempts: [],
+      context: null,
+      queuePosition: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      error: null,
+      result: null,
+      // Webhook delivery state and per-attempt log
+      callback: callbackUrl ? { url: callbackUrl, state: 'pending', deliveries: [] } : null
+    };
+    this.jobs.set(id, record);
+    return record;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  remove(id) {
+    this.jobs.delete(id);
+  }
+
+  markRunning(id, contextId) {
+    const record = this.get(id);
+    if (!record) return;
+    record.state = 'running';
+    record.context = contextId;
+    record.startedAt = Date.now();
+  }
+
+  setStep(id, step) {
+    const record = this.get(id);
+    if (!record) return;
+    record.step = step;
+    record.steps.push({ step, at: Date.now() });
+  }
+
+  addAttempt(id, attempt) {
+    const record = this.get(id);
+    if (!record) return;
+    record.attempts.push(attempt);
+  }
+
+  // result: { fileId, filename, size, contentType, archive } (a file-store ID), { data, contentType } for JSON,
+  // or null when the file isn't retained
+  markSucceeded(id, result) {
+    const record = this.get(id);
+    if (!record) return;
+    record.state = 'succeeded';
+    record.step = 'done';
+    record.result = result;
+    this._finish(record);
+    this._count(record, null);
+  }
+
+  markFailed(id, error) {
+    const record = this.get(id);
+    if (!record) return;
+    record.state = 'failed';
+    const typed = toAutomationError(error);
+    record.error = {
+      name: error.name,
+      code: typed.code,
+      message: error.message,
+      retryable: typed.retryable,
+      step: typed.step || record.step,
+      diagnosticsId: error.diagnosticsId || null
+    };
+    this._finish(record);
+    this._count(record, typed.code);
+    if (error.name === 'JobTimeoutError') {
+      metrics.jobTimeoutsTotal.inc({ action: record.action });
+    }
+  }
+
+  // Job totals and run time for /metrics (jobs rejected before they started have no duration)
+  _count(record, code) {
+    const outcome = record.state;
+    metrics.jobsTotal.inc({ action: record.action, outcome, code: code || '' });
+    if (record.startedAt) {
+      metrics.jobDuration.observe({ action: record.action, outcome }, (record.finishedAt - record.startedAt) / 1000);
+    }
+  }
+
+  _finish(record) {
+    record.finishedAt = Date.now();
+    record.expiresAt = record.finishedAt + this.retention;
+  }
+
+  // Public view of a job
+  toJSON(record) {
+    return {
+      id: record.id,
+      action: record.action,
+      client: record.client,
+      account: record.account,
+      params: record.params,
+      state: record.state,
+      step: record.step,
+      steps: record.steps,
+      attempts: record.attempts,
+      context: record.context,
+      queuePosition: record.queuePosition,
+      createdAt: new Date(record.createdAt).toISOString(),
+      startedAt: record.startedAt ? new Date(record.startedAt).toISOString() : null,
+      finishedAt: record.finishedAt ? new Date(record.finishedAt).toISOString() : null,
+      expiresAt: record.expiresAt ? new Date(record.expiresAt).toISOString() : null,
+      error: record.error,
+      result: record.result
+        ? {
+          ...(record.result.fileId ? { fileId: record.result.fileId } : {}),
+          filename: record.result.filename,
+          size: record.result.size,
+          contentType: record.result.contentType,
+          ...(record.result.archive ? { archive: record.result.archive } : {})
+        }
+        : null,
+      callback: record.callback
+        ? {
+          url: record.callback.url,
+          state: record.callback.state,
+          attempts: record.callback.deliveries.length,
+          deliveries: record.callback.deliveries
+        }
+        : null
+    };
+  }
+
+  // Drop expired jobs and delete their retained result files
+  async sweep() {
+    const now = Date.now();
+    for (const record of this.jobs.values()) {
+      if (!record.expiresAt || record.expiresAt > now) continue;
+
+      if (record.result && record.result.fileId) {
+        try {
+          await fileStore.deleteFile(record.result.fileId);
+          console.log(`[JOBS] Deleted expired result for job ${record.id}: ${record.result.filename}`);
+        } catch (err) {
+          console.error(`[JOBS] Failed to delete result for job ${record.id}: ${err.message}`);
+        }
+      }
+      this.jobs.delete(record.id);
+    }
+  }
+
+  startSweeper(interval = 60 * 1000) {
+    if (this.sweeper) return;
+    this.sweeper = setInterval(() => {
+      this.sweep().catch(err => console.error('[JOBS] Sweep failed:', err.message));
+    }, interval);
+    this.sweeper.unref();
+  }
+
+  stopSweeper() {
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+  }
+}
+
+module.exports = {
+  JobStore,
+  JOB_STATES
+};
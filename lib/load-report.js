@@ -0,0 +1,440 @@
+// Shared Carrier Load Report helpers: search a load, find its report window, expand Payable and scrape data
+const { AutomationError } = require('./errors');
+const { SessionExpiredError } = require('./browser-session');
+const selectors = require('./selectors');
+
+// The search opened no Load Report: the load doesn't exist or this account can't see it (never retried)
+class LoadNotFoundError extends AutomationError {
+  constructor(message, loadNumber) {
+    super('LOAD_NOT_FOUND', message, { name: 'LoadNotFoundError', step: 'load-report', details: { loadNumber } });
+  }
+}
+
+// A page showing the login form means E2Open dropped the session server-side
+async function assertStillLoggedIn(page) {
+  if (await selectors.isPresent(page, 'loginForm')) {
+    throw new SessionExpiredError('E2Open session expired (redirected to the login page)');
+  }
+}
+
+// Close tabs an earlier job left open, so a stale Load Report can't be mistaken for this load's
+async function closeOtherTabs(session) {
+  for (const p of session.context.pages()) {
+    if (p === session.page) continue;
+    console.log(`[AUTOMATION] Closing leftover tab: ${p.url()}`);
+    await p.close().catch(() => {});
+  }
+}
+
+// A window this search opened, or one already showing the load (the search can reuse a named window)
+function isReportFor(p, loadNumber, existing) {
+  if (!existing.has(p)) return true;
+  const loadId = (p.url().match(/[?&]loadID=([^&#]+)/i) || [])[1];
+  return Boolean(loadId) && decodeURIComponent(loadId) === String(loadNumber);
+}
+
+// Search for a load from the messages page and return the Load Report page it opens; the caller closes it
+async function openLoadReport(session, loadNumber, reportStep = () => {}) {
+  await closeOtherTabs(session);
+  
+  // Navigate to main page if not already there
+  const currentUrl = session.page.url();
+  if (!currentUrl.includes('webmessages.do')) {
+    console.log('[AUTOMATION] Navigating to messages page...');
+    await session.page.goto(session.account.homeUrl);
+    await session.page.waitForLoadState('networkidle');
+  }
+  await assertStillLoggedIn(session.page);
+  
+  // Only windows opened from here on (or already showing this load) can be its Load Report
+  const existing = new Set(session.context.pages());
+  
+  // Search for load number
+  reportStep('search');
+  console.log(`[SEARCH] Starting search for load: ${loadNumber}`);
+  
+  // Clear and fill search field
+  const searchField = await selectors.locate(session.page, 'searchField');
+  console.log(`[SEARCH] Clearing search field...`);
+  await searchField.clear();
+  console.log(`[SEARCH] Entering load number: ${loadNumber}`);
+  await searchField.fill(loadNumber);
+  console.log(`[SEARCH] Pressing Enter to search...`);
+  await searchField.press('Enter');
+  
+  console.log('[SEARCH] Waiting for search results to load...');
+  await session.page.waitForLoadState('networkidle');
+  await session.page.waitForTimeout(2000); // Give extra time for popup
+  await assertStillLoggedIn(session.page);
+  console.log('[SEARCH] Search completed, checking for results...');
+  
+  // Wait for Load Report page to open
+  reportStep('load-report');
+  let loadReportPage = null;
+  const maxRetries = 5;
+  
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    console.log(`[AUTOMATION] Looking for Load Report window (attempt ${attempt}/${maxRetries})...`);
+    
+    // Check if we need to click on a search result first
+    if (attempt === 2) {
+      // Try to click on the load link if it appears in search results
+      try {
+        const loadLink = await selectors.find(session.page, 'searchResultLink', { loadNumber });
+        if (loadLink) {
+          console.log('[AUTOMATION] Found load link in search results, clicking...');
+          await loadLink.locator.first().click();
+          await session.page.waitForTimeout(2000);
+        }
+      } catch (e) {
+        console.log('[AUTOMATION] No clickable load link found in results');
+      }
+    }
+    
+    await session.page.waitForTimeout(3000);
+    
+    const pages = session.context.pages();
+    console.log(`[AUTOMATION] Found ${pages.length} page(s)`);
+    
+    for (const p of pages) {
+      if (p === session.page) continue;
+      try {
+        if (!isReportFor(p, loadNumber, existing)) {
+          console.log(`[AUTOMATION] Skipping page not opened by this search: ${p.url()}`);
+          continue;
+        }
+        const url = p.url();
+        const title = await p.title();
+        console.log(`[AUTOMATION] Checking page: ${title || 'Untitled'}`);
+        
+        const match = selectors.matchWindow('loadReport', { url, title }, { loadNumber });
+        if (match) {
+          loadReportPage = p;
+          console.log(`[AUTOMATION] ✓ Found Load Report page! (${match.by} contains "${match.pattern}")`);
+          break;
+        }
+      } catch (e) {
+        console.log(`[AUTOMATION] Error checking page: ${e.message}`);
+        continue;
+      }
+    }
+    
+    if (loadReportPage) break;
+  }
+  
+  if (!loadReportPage) {
+    // Log current page content for debugging
+    const currentUrl = session.page.url();
+    console.log(`[AUTOMATION] Still on page: ${currentUrl}`);
+    
+    // Check if there's an error message
+    try {
+      const error = await selectors.find(session.page, 'searchError');
+      const errorMessage = error && await error.locator.first().textContent();
+      if (errorMessage) {
+        console.log(`[AUTOMATION] Error on page: ${errorMessage}`);
+      }
+    } catch (e) {
+      // No error message found
+    }
+    
+    throw new LoadNotFoundError(`Load Report page not found for load ${loadNumber}. The load may not exist or you may not have access.`, loadNumber);
+  }
+  
+  return loadReportPage;
+}
+
+// Click the Payable rate details folder so the rate lines are shown; returns whether it was found
+async function expandPayableDetails(loadReportPage) {
+  console.log('[PAYABLE] Looking for Payable section with expandable details...');
+  let payableButtonFound = false;
+  
+  try {
+    // First fallback is the rate details folder button's ID, then folder buttons in the rate table's PAYABLE row
+    const button = await selectors.find(loadReportPage, 'payableExpandButton');
+    if (button) {
+      // Clicked inside the page, so there's no waiting on Playwright's actionability checks
+      await button.locator.first().evaluate(element => element.click());
+      payableButtonFound = true;
+      console.log(`[PAYABLE] Found and clicked the Payable details folder button (${button.selector})`);
+    } else {
+      console.log('[PAYABLE] No rate details folder button found for Payable row');
+    }
+    
+    if (payableButtonFound) {
+      // Wait a moment for any expansion animation
+      await loadReportPage.waitForTimeout(2000);
+      console.log('[PAYABLE] ✓ Payable details expanded successfully - leaving it expanded');
+    } else {
+      console.log('[PAYABLE] ✗ No Payable expand button found');
+    }
+    
+  } catch (error) {
+    console.log('[PAYABLE] ✗ Error while looking for Payable button:', error.message);
+  }
+  
+  return payableButtonFound;
+}
+
+// Read the raw page structure: label/value fields and every table as header + row cells,
+// flagging rate tables (and tables nested in one) by the rateTable selectors
+async function scrapeLoadReport(loadReportPage) {
+  return loadReportPage.evaluate((rateTableSelectors) => {
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    const cellsOf = (row) => Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH');
+    const isRateTable = (table) => rateTableSelectors.some(selector => table.matches(selector));
+    
+    // <th>Label</th><td>Value</td> pairs, or <td>Label:</td><td>Value</td>
+    const fields = {};
+    for (const row of document.querySelectorAll('tr')) {
+      const cells = cellsOf(row);
+      for (let i = 0; i + 1 < cells.length; i += 2) {
+        const label = clean(cells[i].textContent);
+        const value = clean(cells[i + 1].textContent);
+        const isPair = (cells[i].tagName === 'TH' && cells[i + 1].tagName === 'TD') || label.endsWith(':');
+        if (isPair && label && value) {
+          const key = label.replace(/:$/, '').trim();
+          if (!(key in fields)) fields[key] = value;
+        }
+      }
+    }
+    for (const term of document.querySelectorAll('dt')) {
+      const description = term.nextElementSibling;
+      if (description && description.tagName === 'DD') {
+        const key = clean(term.textContent).replace(/:$/, '');
+        if (key && !(key in fields)) fields[key] = clean(description.textContent);
+      }
+    }
+    
+    const tables = Array.from(document.querySelectorAll('table')).map((table) => {
+      const ownRows = Array.from(table.querySelectorAll('tr')).filter(row => row.closest('table') === table);
+      const headerRow = table.querySelector('thead tr') ||
+        ownRows.find(row => cellsOf(row).length > 0 && cellsOf(row).every(cell => cell.tagName === 'TH'));
+      const parentTable = table.parentElement ? table.parentElement.closest('table') : null;
+      return {
+        id: table.id || '',
+        parentId: parentTable ? parentTable.id || '' : null,
+        rateTable: isRateTable(table),
+        parentRateTable: Boolean(parentTable) && isRateTable(parentTable),
+        headers: headerRow ? cellsOf(headerRow).map(cell => clean(cell.textContent)) : [],
+        rows: ownRows
+          .filter(row => row !== headerRow)
+          .map(row => ({ className: row.className || '', cells: cellsOf(row).map(cell => clean(cell.textContent)) }))
+          .filter(row => row.cells.some(Boolean))
+      };
+    });
+    
+    return { url: location.href, title: document.title, fields, tables };
+  }, selectors.cssSelectors('rateTable'));
+}
+
+// Currency symbols, most specific first; a plain $ is USD
+const CURRENCY_SYMBOLS = [['CA$', 'CAD'], ['C$', 'CAD'], ['MX$', 'MXN'], ['€', 'EUR'], ['$', 'USD']];
+
+// "1,234.50", "1.234,50" or "1234,5" -> 1234.5: the last of ',' and '.' is the decimal mark when both appear;
+// on its own, ',' is a decimal mark only before 1-2 trailing digits and '.' only when it appears once
+function parseAmount(digits) {
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+  let normalized;
+  if (lastComma >= 0 && lastDot >= 0) {
+    normalized = lastComma > lastDot ? digits.replace(/\./g, '').replace(',', '.') : digits.replace(/,/g, '');
+  } else if (lastComma >= 0) {
+    normalized = /^[^,]*,\d{1,2}$/.test(digits) ? digits.replace(',', '.') : digits.replace(/,/g, '');
+  } else {
+    normalized = (digits.match(/\./g) || []).length > 1 ? digits.replace(/\./g, '') : digits;
+  }
+  return parseFloat(normalized);
+}
+
+// "$1,234.50 USD" -> { value: 1234.5, currency: 'USD' }; "($50.00)" and "-$50.00" are negative; null without a number
+function parseMoney(text) {
+  if (!text) return null;
+  const raw = String(text).trim();
+  const match = raw.match(/\d[\d,.]*|[.,]\d+/);
+  if (!match) return null;
+  const digits = match[0].replace(/[,.]$/, '');
+  const value = parseAmount(/^[.,]/.test(digits) ? `0${digits}` : digits);
+  // A minus right before the number or its currency symbol ("-$50", "$ -50", "USD -50"), or accounting parentheses
+  const negative = /-\s*(?:[A-Z]{0,3}\s*\$?|€)\s*$/i.test(raw.slice(0, match.index)) || /^\(.*\)$/.test(raw);
+
+  const code = (raw.match(/\b(USD|CAD|MXN|EUR)\b/i) || [])[1];
+  const symbol = CURRENCY_SYMBOLS.find(([each]) => raw.toUpperCase().includes(each));
+  return {
+    value: negative ? -Math.abs(value) : value,
+    currency: code ? code.toUpperCase() : (symbol ? symbol[1] : null)
+  };
+}
+
+function parseNumber(text) {
+  if (text === undefined || text === null || text === '') return null;
+  const match = String(text).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+function findField(fields, pattern) {
+  const key = Object.keys(fields).find(each => pattern.test(each));
+  return key ? fields[key] : null;
+}
+
+// Index of the first header matching the pattern, or -1
+function column(headers, pattern) {
+  return headers.findIndex(header => pattern.test(header));
+}
+
+function cellAt(cells, index) {
+  return index >= 0 && index < cells.length && cells[index] ? cells[index] : null;
+}
+
+function parseAppointment(cells, headers) {
+  const early = cellAt(cells, column(headers, /early|start|from|open/i));
+  const late = cellAt(cells, column(headers, /late|end|to\b|close/i));
+  if (early || late) {
+    return { start: early, end: late, raw: [early, late].filter(Boolean).join(' - ') };
+  }
+  const raw = cellAt(cells, column(headers, /appt|appointment|window|scheduled|date/i));
+  if (!raw) return null;
+  const [start, end] = raw.split(/\s+(?:-|to)\s+/i);
+  return { start: start || null, end: end || null, raw };
+}
+
+function buildStops(tables) {
+  const stops = [];
+  for (const table of tables) {
+    const headers = table.headers;
+    if (column(headers, /^stop\b|^stop\s*#|^seq/i) === -1) continue;
+    if (column(headers, /address|location|city|facility|name/i) === -1) continue;
+    
+    for (const row of table.rows) {
+      const cells = row.cells;
+      const type = cellAt(cells, column(headers, /type|activity|action/i));
+      const address = {
+        street: cellAt(cells, column(headers, /address|street/i)),
+        city: cellAt(cells, column(headers, /city/i)),
+        state: cellAt(cells, column(headers, /state|prov/i)),
+        postalCode: cellAt(cells, column(headers, /zip|postal/i)),
+        country: cellAt(cells, column(headers, /country/i))
+      };
+      stops.push({
+        sequence: parseNumber(cellAt(cells, column(headers, /^stop\b|^stop\s*#|^seq/i))) ?? stops.length + 1,
+        type: type ? (/pick|origin|ship/i.test(type) ? 'pickup' : /drop|deliver|dest|consign/i.test(type) ? 'delivery' : type.toLowerCase()) : null,
+        name: cellAt(cells, column(headers, /name|location|facility|company/i)),
+        address: { ...address, raw: Object.values(address).filter(Boolean).join(', ') || null },
+        appointment: parseAppointment(cells, headers),
+        reference: cellAt(cells, column(headers, /ref|pickup\s*#|delivery\s*#|po\b/i))
+      });
+    }
+  }
+  return stops;
+}
+
+// Rate lines from the rate tables; rows after a PAYABLE/RECEIVABLE row belong to that section
+function buildRates(tables) {
+  const sections = {};
+  for (const table of tables) {
+    const nested = !table.rateTable && table.parentRateTable;
+    if (!table.rateTable && !nested) continue;
+    const headers = table.headers;
+    // Detail tables nested in a rate row only appear once the Payable folder is expanded
+    let section = nested ? 'payable' : 'other';
+    
+    for (const row of table.rows) {
+      const text = row.cells.join(' ');
+      const sectionMatch = text.match(/\b(PAYABLE|RECEIVABLE)\b/i);
+      const amountIndex = column(headers, /amount|total|charge/i);
+      // A blank Amount cell means no amount; look elsewhere only when the row has no such cell (no column, or a colspan)
+      const amountCell = amountIndex >= 0 && amountIndex < row.cells.length
+        ? cellAt(row.cells, amountIndex)
+        : [...row.cells].reverse().find(cell => /\$|\d+\.\d{2}/.test(cell)) || null;
+      const amount = parseMoney(amountCell);
+      
+      if (sectionMatch) {
+        section = sectionMatch[1].toLowerCase();
+        sections[section] = sections[section] || { total: null, currency: null, lines: [] };
+        if (amount) {
+          sections[section].total = amount.value;
+          sections[section].currency = amount.currency;
+        }
+        continue;
+      }
+      
+      sections[section] = sections[section] || { total: null, currency: null, lines: [] };
+      sections[section].lines.push({
+        code: cellAt(row.cells, column(headers, /code|charge\s*type|^type$/i)),
+        description: cellAt(row.cells, column(headers, /desc|charge|item|name/i)) || row.cells[0] || null,
+        quantity: parseNumber(cellAt(row.cells, column(headers, /qty|quantity|units/i))),
+        rate: parseMoney(cellAt(row.cells, column(headers, /^rate$|unit\s*rate|price/i)))?.value ?? null,
+        amount: amount ? amount.value : null,
+        currency: amount ? amount.currency : null,
+        raw: row.cells
+      });
+    }
+  }
+  
+  // Fall back to the sum of the lines when the section row shows no total (and some line has an amount)
+  for (const section of Object.values(sections)) {
+    if (section.total === null && section.lines.some(line => line.amount !== null)) {
+      section.total = Math.round(section.lines.reduce((sum, line) => sum + (line.amount || 0), 0) * 100) / 100;
+      section.currency = section.lines.find(line => line.currency)?.currency || null;
+    }
+  }
+  
+  return sections;
+}
+
+// Turn a scraped Load Report into the typed load details document
+function buildLoadDetails(raw, loadNumber) {
+  const fields = raw.fields || {};
+  const urlLoadId = (raw.url && raw.url.match(/loadID=([^&]+)/i)) || [];
+  const weightRaw = findField(fields, /^(total\s*|gross\s*)?weight/i);
+  const weightValue = parseNumber(weightRaw);
+  const rates = buildRates(raw.tables || []);
+  
+  const referenceNumbers = Object.entries(fields)
+    .filter(([label]) => /\b(ref(erence)?|bol|b\/l|po|pro|order|shipment|pickup\s*#|confirmation)\b/i.test(label))
+    .filter(([label]) => !/^load\b/i.test(label))
+    .map(([type, value]) => ({ type, value }));
+  
+  return {
+    schemaVersion: 1,
+    loadNumber,
+    loadId: findField(fields, /^load\s*(id|#|number|no\.?)$/i) || urlLoadId[1] || loadNumber,
+    status: findField(fields, /^(load\s*)?status$/i),
+    carrier: findField(fields, /^carrier(\s*name)?$/i),
+    equipment: findField(fields, /^equipment(\s*type)?$/i),
+    weight: weightRaw
+      ? { value: weightValue, unit: (weightRaw.match(/\b(lbs?|kgs?|pounds|kilograms)\b/i) || [])[1] || null, raw: weightRaw }
+      : null,
+    referenceNumbers,
+    stops: buildStops(raw.tables || []),
+    rates: {
+      payable: rates.payable || { total: null, currency: null, lines: [] },
+      receivable: rates.receivable || null,
+      other: rates.other ? rates.other.lines : []
+    },
+    fields,
+    source: {
+      url: raw.url || null,
+      title: raw.title || null,
+      extractedAt: new Date().toISOString()
+    }
+  };
+}
+
+// Scrape the Carrier Load Report into a typed JSON document
+async function extractLoadDetails(loadReportPage, loadNumber) {
+  console.log(`[EXTRACT] Reading Load Report data for load ${loadNumber}...`);
+  const raw = await scrapeLoadReport(loadReportPage);
+  const details = buildLoadDetails(raw, loadNumber);
+  console.log(`[EXTRACT] ✓ ${details.stops.length} stop(s), ${details.rates.payable.lines.length} payable line(s), ${Object.keys(details.fields).length} field(s)`);
+  return details;
+}
+
+module.exports = {
+  LoadNotFoundError,
+  openLoadReport,
+  expandPayableDetails,
+  extractLoadDetails,
+  buildLoadDetails,
+  parseMoney
+};
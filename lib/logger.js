@@ -0,0 +1,207 @@
+// Structured logging: one JSON line per entry with level, component and the request/job IDs of the current
+// async context. captureConsole() routes the existing "[TAG] message" console calls through it.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] ? String(process.env.LOG_LEVEL).toLowerCase() : 'info';
+// json (default) for log shippers, text for reading a terminal
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+// Keys whose values never reach the log, at any depth (headers, bodies, config objects)
+const SECRET_KEY_PATTERN = /authorization|api[-_]?key|cookie|password|passwd|secret|token/i;
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+// Credential values (E2Open passwords, keys) masked wherever they appear in a message
+const secrets = new Set();
+let captured = false;
+// Set by captureConsole({ stream }) to send every line there (the CLI keeps stdout for its results)
+let output = null;
+
+function addSecret(value) {
+  if (value && String(value).length >= 4) {
+    secrets.add(String(value));
+  }
+}
+
+function redactString(text) {
+  let result = String(text)
+    .replace(/(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, '$1[REDACTED]')
+    .replace(/((?:password|passwd|api[-_]?key|token|secret|signature)["']?\s*[:=]\s*["']?)[^"'\s&,;}]+/gi, '$1[REDACTED]');
+  for (const secret of secrets) {
+    result = result.split(secret).join('[REDACTED]');
+  }
+  return result;
+}
+
+// Copy of a value that is safe to log
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      ...(value.code ? { code: value.code } : {}),
+      message: redactString(value.message),
+      stack: value.stack ? redactString(value.stack) : undefined
+    };
+  }
+  if (depth >= 6) return '[Object]';
+  if (Array.isArray(value)) return value.map(each => redact(each, depth + 1));
+  if (value instanceof Date) return value.toISOString();
+
+  const copy = {};
+  for (const [key, each] of Object.entries(value)) {
+    copy[key] = SECRET_KEY_PATTERN.test(key) && each ? '[REDACTED]' : redact(each, depth + 1);
+  }
+  return copy;
+}
+
+function getContext() {
+  return storage.getStore() || {};
+}
+
+// Run fn with extra fields (requestId, jobId, ...) attached to every log line it produces
+function runWithContext(fields, fn) {
+  return storage.run({ ...getContext(), ...fields }, fn);
+}
+
+function isEnabled(level) {
+  return LEVELS[level] >= LEVELS[LOG_LEVEL];
+}
+
+function write(level, component, message, fields = {}) {
+  if (!isEnabled(level)) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: redactString(message),
+    ...getContext(),
+    ...redact(fields)
+  };
+
+  let line;
+  if (LOG_FORMAT === 'text') {
+    const { time, level: entryLevel, component: entryComponent, msg, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${util.inspect(rest, { breakLength: Infinity, depth: 4 })}` : '';
+    line = `${time} ${entryLevel.toUpperCase().padEnd(5)} [${entryComponent}] ${msg}${extra}\n`;
+  } else {
+    line = JSON.stringify(entry) + '\n';
+  }
+  (output || (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout)).write(line);
+}
+
+function createLogger(component) {
+  return {
+    debug: (message, fields) => write('debug', component, message, fields),
+    info: (message, fields) => write('info', component, message, fields),
+    warn: (message, fields) => write('warn', component, message, fields),
+    error: (message, fields) => write('error', component, message, fields)
+  };
+}
+
+// console.log('[SESSION] Context 1 ready', details) -> component "session", msg "Context 1 ready", data: details
+function fromConsoleArgs(args) {
+  let component = 'app';
+  const parts = [];
+  const data = [];
+  let error = null;
+
+  for (const [index, arg] of args.entries()) {
+    if (index === 0 && typeof arg === 'string') {
+      const match = arg.match(/^\s*\[([A-Z][A-Z0-9_-]*)\]\s*(.*)$/s);
+      if (match) {
+        component = match[1].toLowerCase();
+        parts.push(match[2]);
+        continue;
+      }
+    }
+    if (arg instanceof Error && !error) {
+      error = arg;
+    } else if (arg !== null && typeof arg === 'object') {
+      data.push(arg);
+    } else {
+      parts.push(String(arg));
+    }
+  }
+
+  const fields = {};
+  if (data.length === 1) fields.data = data[0];
+  if (data.length > 1) fields.data = data;
+  if (error) fields.err = error;
+  return { component, message: parts.join(' ').trim() || (error ? error.message : ''), fields };
+}
+
+// Send console.log/info/debug/warn/error through the logger (once per process); options.stream takes every level
+function captureConsole(options = {}) {
+  if (captured) return;
+  captured = true;
+  output = options.stream || null;
+  const methods = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+  for (const [method, level] of Object.entries(methods)) {
+    console[method] = (...args) => {
+      if (!isEnabled(level)) return;
+      const { component, message, fields } = fromConsoleArgs(args);
+      write(level, component, message, fields);
+    };
+  }
+}
+
+// Middleware: take X-Request-Id from the caller (or make one), echo it back and attach it to every log line
+// written while the request is handled, including by the jobs it queues
+function requestContext() {
+  const log = createLogger('request');
+  return (req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const quiet = req.path === '/health' || req.path === '/' || req.path === '/metrics';
+    const started = Date.now();
+    if (!quiet) {
+      log.info(`${req.method} ${req.path}`, { requestId: req.id, method: req.method, path: req.originalUrl });
+      log.debug('Request headers', { requestId: req.id, headers: req.headers });
+    }
+    res.on('finish', () => {
+      if (quiet) return;
+      log[res.statusCode >= 500 ? 'error' : 'info'](`${req.method} ${req.path} -> ${res.statusCode}`, {
+        requestId: req.id,
+        status: res.statusCode,
+        durationMs: Date.now() - started,
+        client: req.client ? req.client.name : null
+      });
+    });
+
+    storage.run({ requestId: req.id }, next);
+  };
+}
+
+// The JSON body parser resumes on stream events outside the request's async context; put it back
+function restoreRequestContext() {
+  return (req, res, next) => (req.id ? storage.run({ ...getContext(), requestId: req.id }, next) : next());
+}
+
+addSecret(process.env.TMS_PASSWORD);
+addSecret(process.env.SESSION_STATE_KEY);
+addSecret(process.env.WEBHOOK_SECRET);
+addSecret(process.env.FILE_URL_SECRET);
+addSecret(process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY);
+addSecret(process.env.S3_SESSION_TOKEN || process.env.AWS_SESSION_TOKEN);
+
+module.exports = {
+  LEVELS,
+  LOG_LEVEL,
+  LOG_FORMAT,
+  createLogger,
+  captureConsole,
+  requestContext,
+  restoreRequestContext,
+  runWithContext,
+  getContext,
+  redact,
+  addSecret
+};
@@ -0,0 +1,194 @@
+// E2Open login as a sequence of detectable steps: cookie consent, username (identifier-first/SSO pages), credentials,
+// verification code (TOTP), "keep me signed in" and forced password change. Each pass looks at the current page,
+// runs the step it shows and waits for the next page, until the user's name appears in the header.
+const { AutomationError, isPageGone, isTimeout } = require('./errors');
+const { generateTotp, isValidSecret, secondsRemaining } = require('./totp');
+const selectors = require('./selectors');
+
+// Upper bound on pages in one login; a flow longer than this is going in circles
+const MAX_LOGIN_PAGES = 10;
+// Don't type a code that expires before E2Open checks it
+const TOTP_MIN_SECONDS_LEFT = 3;
+
+// First visible match of a selector-map element (see lib/selectors.json), or null; doesn't wait
+async function visible(page, name) {
+  const found = await selectors.find(page, name, {}, { visible: true });
+  return found && found.locator.first();
+}
+
+async function isLoggedIn(page, account) {
+  return selectors.isPresent(page, 'loggedInUser', { username: account.username.toUpperCase() });
+}
+
+async function submit(page, field) {
+  const button = await visible(page, 'submitButton');
+  if (button) {
+    return button.click();
+  }
+  return field.press('Enter');
+}
+
+// The "keep me signed in" checkbox some login forms carry
+async function setKeepSignedIn(page, account) {
+  const checkbox = await visible(page, 'keepSignedInCheckbox');
+  if (checkbox) {
+    await checkbox.setChecked(account.keepSignedIn);
+  }
+}
+
+// Checked in this order on every page. maxRuns: times a step may run in one login before
+// seeing it again means E2Open turned the input down (rejected(account) is then the error message).
+const LOGIN_STEPS = [
+  {
+    name: 'password-change',
+    code: 'PASSWORD_CHANGE_REQUIRED',
+    detect: async (page) => Boolean(await visible(page, 'passwordChangePrompt')),
+    run: async (page, account) => {
+      throw new AutomationError('PASSWORD_CHANGE_REQUIRED',
+        `E2Open requires a new password for account '${account.name}'; change it in E2Open, then update the configured password`);
+    }
+  },
+  {
+    name: 'totp',
+    code: 'MFA_FAILED',
+    // A code typed just as it rolled over can fail once; the second try uses the next one
+    maxRuns: 2,
+    detect: async (page) => Boolean(await visible(page, 'verificationCodeField')),
+    run: async (page, account, flow) => {
+      if (!account.totpSecret) {
+        throw new AutomationError('MFA_NOT_CONFIGURED',
+          `E2Open asked for a verification code for account '${account.name}' but no TOTP secret is configured`);
+      }
+      if (!isValidSecret(account.totpSecret)) {
+        throw new AutomationError('MFA_NOT_CONFIGURED', `The TOTP secret for account '${account.name}' is not valid base32`);
+      }
+      let code = generateTotp(account.totpSecret);
+      if (secondsRemaining() < TOTP_MIN_SECONDS_LEFT || code === flow.lastCode) {
+        await page.waitForTimeout(secondsRemaining() * 1000 + 250);
+        code = generateTotp(account.totpSecret);
+      }
+      flow.lastCode = code;
+      const field = await visible(page, 'verificationCodeField');
+      await field.fill(code);
+      await submit(page, field);
+    },
+    rejected: (account) => `E2Open rejected the verification code for account '${account.name}' (check the TOTP secret and the server clock)`
+  },
+  {
+    name: 'keep-signed-in',
+    code: 'KEEP_SIGNED_IN_FAILED',
+    detect: async (page) => Boolean(await visible(page, 'keepSignedInPrompt')) &&
+      Boolean(await visible(page, 'keepSignedInYes') || await visible(page, 'keepSignedInNo')),
+    run: async (page, account) => {
+      const answer = await selectors.locate(page, account.keepSignedIn ? 'keepSignedInYes' : 'keepSignedInNo');
+      await answer.first().click();
+    },
+    rejected: (account) => `The "keep me signed in" prompt for account '${account.name}' did not go away`
+  },
+  {
+    name: 'consent',
+    code: 'CONSENT_FAILED',
+    detect: async (page) => Boolean(await visible(page, 'consentButton')),
+    run: async (page) => {
+      await (await selectors.locate(page, 'consentButton')).first().click();
+    },
+    rejected: () => 'The cookie consent banner did not go away after accepting it'
+  },
+  {
+    // Identifier-first pages (SSO): the username alone, then the password on the next page
+    name: 'username',
+    code: 'AUTH_FAILED',
+    detect: async (page) => Boolean(await visible(page, 'usernameField')) && !await visible(page, 'passwordField'),
+    run: async (page, account) => {
+      const field = await visible(page, 'usernameField');
+      await field.fill(account.username);
+      await setKeepSignedIn(page, account);
+      await submit(page, field);
+    },
+    rejected: (account) => `E2Open did not accept the username for account '${account.name}'`
+  },
+  {
+    name: 'credentials',
+    code: 'AUTH_FAILED',
+    detect: async (page) => Boolean(await visible(page, 'passwordField')),
+    run: async (page, account) => {
+      const username = await visible(page, 'usernameField');
+      if (username) {
+        await username.fill(account.username);
+        console.log('[LOGIN] Username entered');
+      }
+      const field = await visible(page, 'passwordField');
+      await field.fill(account.password);
+      console.log('[LOGIN] Password entered');
+      await setKeepSignedIn(page, account);
+      await submit(page, field);
+    },
+    rejected: (account) => `E2Open rejected the credentials for account '${account.name}'`
+  }
+];
+
+async function detectStep(page) {
+  for (const step of LOGIN_STEPS) {
+    if (await step.detect(page)) return step;
+  }
+  return null;
+}
+
+// Typed login error; details.loginStep says which step stopped it
+function loginError(code, message, loginStep, cause) {
+  return new AutomationError(code, message, { step: 'login', cause, details: { loginStep } });
+}
+
+// Drive the login pages on an already opened E2Open page. Resolves to the steps taken (empty when
+// the page was already signed in); throws an AutomationError with the failing step's code.
+async function runLoginFlow(page, account, tag = account.name) {
+  const flow = { runs: new Map(), taken: [], lastCode: null };
+
+  for (let pageCount = 0; pageCount < MAX_LOGIN_PAGES; pageCount++) {
+    if (await isLoggedIn(page, account)) {
+      return flow.taken;
+    }
+
+    const step = await detectStep(page);
+    if (!step) {
+      // Nothing to fill in on the first page: same as before, trust the session and let verifyLogin decide
+      if (flow.taken.length === 0) {
+        console.log(`[LOGIN] ${tag}: no login form found, assuming logged in`);
+        return flow.taken;
+      }
+      const last = flow.taken[flow.taken.length - 1];
+      console.error(`[LOGIN] ✗ ${tag}: unrecognized page "${await page.title().catch(() => '')}" after ${last}`);
+      throw loginError('SESSION_UNAVAILABLE', `Login for account '${account.name}' did not complete (unrecognized page after ${last})`, last);
+    }
+
+    const runs = flow.runs.get(step.name) || 0;
+    if (runs >= (step.maxRuns || 1)) {
+      console.error(`[LOGIN] ✗ ${tag}: ${step.name} step shown again`);
+      throw loginError(step.code, step.rejected(account), step.name);
+    }
+    flow.runs.set(step.name, runs + 1);
+    flow.taken.push(step.name);
+
+    console.log(`[LOGIN] ${tag}: ${step.name} step`);
+    try {
+      await step.run(page, account, flow);
+    } catch (error) {
+      if (error instanceof AutomationError) {
+        throw loginError(error.code, error.message, step.name, error.cause);
+      }
+      // Crashes and timeouts stay untyped so the retry policy can retry them
+      if (isTimeout(error) || isPageGone(error)) throw error;
+      throw loginError(step.code, `${step.name} step failed: ${error.message}`, step.name, error);
+    }
+    await page.waitForLoadState('networkidle');
+  }
+
+  throw loginError('SESSION_UNAVAILABLE', `Login for account '${account.name}' did not finish within ${MAX_LOGIN_PAGES} pages`,
+    flow.taken[flow.taken.length - 1] || null);
+}
+
+module.exports = {
+  LOGIN_STEPS,
+  MAX_LOGIN_PAGES,
+  runLoginFlow
+};
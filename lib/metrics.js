@@ -0,0 +1,150 @@
+// In-process Prometheus metrics: counters, gauges and histograms rendered in the text exposition format for GET /metrics
+const PREFIX = 'e2open_';
+
+// Seconds; E2Open steps range from sub-second page checks to minute-long logins and searches
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+// Bytes of a rendered ratecon
+const SIZE_BUCKETS = [10e3, 50e3, 100e3, 250e3, 500e3, 1e6, 2.5e6, 5e6, 10e6];
+
+const registry = new Map();
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels, extra = {}) {
+  const entries = Object.entries({ ...labels, ...extra });
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+// Monotonic count per label set: counter.inc({ action, outcome })
+function counter(name, help) {
+  const series = new Map();
+  return register({
+    name: PREFIX + name,
+    help,
+    type: 'counter',
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    lines() {
+      return Array.from(series.values()).map(entry => `${this.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+    }
+  });
+}
+
+// Current value, read at scrape time: collect() returns [{ labels, value }]
+function gauge(name, help, collect) {
+  return register({
+    name: PREFIX + name,
+    help,
+    type: 'gauge',
+    lines() {
+      return collect().map(entry => `${this.name}${formatLabels(entry.labels || {})} ${formatValue(entry.value)}`);
+    }
+  });
+}
+
+// Distribution per label set: histogram.observe({ step }, seconds), or const end = histogram.startTimer({ step }); ... end()
+function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const series = new Map();
+  return register({
+    name: PREFIX + name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    // Observes the elapsed seconds when the returned function is called; extra labels (e.g. outcome) can be added then
+    startTimer(labels = {}) {
+      const started = process.hrtime.bigint();
+      return (extra = {}) => this.observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - started) / 1e9);
+    },
+    lines() {
+      const lines = [];
+      for (const entry of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${this.name}_bucket${formatLabels(entry.labels, { le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${this.name}_bucket${formatLabels(entry.labels, { le: '+Inf' })} ${entry.count}`);
+        lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+      return lines;
+    }
+  });
+}
+
+// Text exposition of every registered metric
+function render() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    let samples;
+    try {
+      samples = metric.lines();
+    } catch (error) {
+      console.error(`[METRICS] Could not collect ${metric.name}: ${error.message}`);
+      continue;
+    }
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...samples);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// The metrics the automation records; gauges for queue and pool state are added by api-server.js
+const jobsTotal = counter('jobs_total', 'Finished jobs by action, outcome (succeeded, failed) and error code');
+const jobDuration = histogram('job_duration_seconds', 'Time from a job starting to finishing, by action and outcome');
+const stepDuration = histogram('step_duration_seconds', 'Duration of automation steps by step (login, search, load-report, payable-expand, pdf/png/html/mhtml render) and outcome');
+const loginsTotal = counter('logins_total', 'Login attempts by account and outcome (succeeded, rejected, failed)');
+const reloginsTotal = counter('session_relogins_total', 'Logins on a context that had already been logged in, by account');
+const sessionTimeoutsTotal = counter('session_timeouts_total', 'Browser contexts closed after SESSION_TIMEOUT_MS idle, by account');
+const jobTimeoutsTotal = counter('job_timeouts_total', 'Jobs that hit JOB_TIMEOUT_MS, by action');
+const outputBytes = histogram('output_bytes', 'Size of rendered ratecons by format', SIZE_BUCKETS);
+
+module.exports = {
+  PREFIX,
+  DURATION_BUCKETS,
+  SIZE_BUCKETS,
+  counter,
+  gauge,
+  histogram,
+  render,
+  jobsTotal,
+  jobDuration,
+  stepDuration,
+  loginsTotal,
+  reloginsTotal,
+  sessionTimeoutsTotal,
+  jobTimeoutsTotal,
+  outputBytes
+};
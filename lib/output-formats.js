@@ -0,0 +1,154 @@
+// Output formats for a rendered page: PDF (with paper/margin options), full-page PNG, self-contained HTML and MHTML
+const fs = require('fs').promises;
+
+const OUTPUT_FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  png: { extension: 'png', contentType: 'image/png' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  mhtml: { extension: 'mhtml', contentType: 'multipart/related' }
+};
+
+const PDF_PAPER_FORMATS = ['Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+
+// Defaults match what the Load Report PDF has always used
+const DEFAULT_PDF_OPTIONS = {
+  format: 'Letter',
+  landscape: false,
+  margin: '0.5in'
+};
+
+const MARGIN_VALUE = /^\d+(\.\d+)?(in|cm|mm|px)$/;
+
+// CSS-style shorthand: "0.5in", "10mm 5mm", "1in 0.5in 1in", "1in 0.5in 1in 0.5in"
+function parseMargin(value) {
+  const parts = String(value).trim().split(/\s+/);
+  if (parts.length < 1 || parts.length > 4 || !parts.every(part => MARGIN_VALUE.test(part))) {
+    return null;
+  }
+  const [top, right = top, bottom = top, left = right] = parts;
+  return { top, right, bottom, left };
+}
+
+function validateMargin(value) {
+  return parseMargin(value) ? null : `Invalid margin '${value}'; use 1-4 values like 0.5in, 10mm, 1cm or 20px`;
+}
+
+function getOutputFormat(name) {
+  return OUTPUT_FORMATS[String(name || 'pdf').toLowerCase()] || null;
+}
+
+// Inline stylesheets and images so the saved HTML renders without the E2Open session
+async function captureSelfContainedHtml(page) {
+  return page.evaluate(async () => {
+    const toDataUrl = async (url) => {
+      const response = await fetch(url, { credentials: 'include' });
+      const blob = await response.blob();
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+      });
+    };
+
+    const doc = document.documentElement.cloneNode(true);
+
+    // Snapshot live form state into attributes so it survives serialization
+    const liveInputs = document.querySelectorAll('input, textarea, select');
+    doc.querySelectorAll('input, textarea, select').forEach((element, index) => {
+      const live = liveInputs[index];
+      if (!live) return;
+      if (element.tagName === 'TEXTAREA') element.textContent = live.value;
+      else if (element.tagName === 'SELECT') {
+        Array.from(element.options).forEach((option, i) => option.toggleAttribute('selected', live.options[i] && live.options[i].selected));
+      } else if (live.type === 'checkbox' || live.type === 'radio') element.toggleAttribute('checked', live.checked);
+      else element.setAttribute('value', live.value);
+    });
+
+    doc.querySelectorAll('script, noscript').forEach(element => element.remove());
+
+    for (const link of Array.from(doc.querySelectorAll('link[rel~="stylesheet"][href]'))) {
+      try {
+        const css = await (await fetch(link.href, { credentials: 'include' })).text();
+        const style = document.createElement('style');
+        style.setAttribute('data-inlined-from', link.href);
+        style.textContent = css;
+        link.replaceWith(style);
+      } catch (e) {
+        // Leave the link in place if the stylesheet can't be fetched
+      }
+    }
+
+    for (const image of Array.from(doc.querySelectorAll('img[src]'))) {
+      if (image.src.startsWith('data:')) continue;
+      try {
+        image.setAttribute('src', await toDataUrl(image.src));
+      } catch (e) {
+        // Leave the original src if the image can't be fetched
+      }
+    }
+
+    // Resolve any remaining relative URLs against the original page
+    const head = doc.querySelector('head');
+    if (head && !head.querySelector('base')) {
+      const base = document.createElement('base');
+      base.href = location.href;
+      head.prepend(base);
+    }
+
+    return '<!DOCTYPE html>\n' + doc.outerHTML;
+  });
+}
+
+// MHTML archive via the Chrome DevTools Protocol (Chromium only)
+async function captureMhtml(page) {
+  const client = await page.context().newCDPSession(page);
+  try {
+    const { data } = await client.send('Page.captureSnapshot', { format: 'mhtml' });
+    return data;
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+// Write the page to filePath in the requested format. options.pdf: { format, landscape, margin }
+async function renderOutput(page, formatName, filePath, options = {}) {
+  const format = String(formatName || 'pdf').toLowerCase();
+
+  switch (format) {
+    case 'pdf': {
+      const pdfOptions = { ...DEFAULT_PDF_OPTIONS, ...(options.pdf || {}) };
+      await page.pdf({
+        path: filePath,
+        format: pdfOptions.format,
+        landscape: Boolean(pdfOptions.landscape),
+        printBackground: true,
+        margin: parseMargin(pdfOptions.margin) || parseMargin(DEFAULT_PDF_OPTIONS.margin)
+      });
+      break;
+    }
+    case 'png':
+      await page.screenshot({ path: filePath, fullPage: true, type: 'png' });
+      break;
+    case 'html':
+      await fs.writeFile(filePath, await captureSelfContainedHtml(page), 'utf8');
+      break;
+    case 'mhtml':
+      await fs.writeFile(filePath, await captureMhtml(page), 'utf8');
+      break;
+    default:
+      throw new Error(`Unsupported output format '${formatName}'`);
+  }
+
+  return { path: filePath, ...OUTPUT_FORMATS[format] };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  PDF_PAPER_FORMATS,
+  DEFAULT_PDF_OPTIONS,
+  getOutputFormat,
+  parseMargin,
+  validateMargin,
+  renderOutput
+};
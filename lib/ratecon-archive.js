@@ -0,0 +1,244 @@
+// Ratecon archive: every printed ratecon is kept per load number with its content hash and Payable rate lines,
+// so a reissued confirmation can be compared with earlier ones and a changed payable total flagged
+// (kept in storage under archive/<load>/: versions.json plus v1.pdf, v2.pdf, ...)
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const storage = require('./storage');
+
+const ARCHIVE_ENABLED = process.env.ARCHIVE_ENABLED !== 'false';
+
+// The loadNumber parameter's rule, except that a storage key segment can't start with '-'
+const LOAD_NUMBER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]*$/;
+const ARCHIVE_PREFIX = 'archive/';
+const INDEX_FILE = 'versions.json';
+
+// Pending writes per load; two prints of the same load must not both read the index before either writes it
+const locks = new Map();
+
+function isEnabled() {
+  return ARCHIVE_ENABLED;
+}
+
+function isValidLoadNumber(loadNumber) {
+  return LOAD_NUMBER_PATTERN.test(String(loadNumber));
+}
+
+const indexKey = (loadNumber) => `${ARCHIVE_PREFIX}${loadNumber}/${INDEX_FILE}`;
+const versionKey = (record) => `${ARCHIVE_PREFIX}${record.loadNumber}/${record.file}`;
+
+function withLock(loadNumber, task) {
+  const previous = locks.get(loadNumber) || Promise.resolve();
+  const run = previous.then(task, task);
+  const settled = run.catch(() => {});
+  locks.set(loadNumber, settled);
+  settled.then(() => {
+    if (locks.get(loadNumber) === settled) locks.delete(loadNumber);
+  });
+  return run;
+}
+
+// { loadNumber, versions: [...] }, or null when the load has never been archived
+async function readIndex(loadNumber) {
+  if (!isValidLoadNumber(loadNumber)) return null;
+  try {
+    return JSON.parse((await storage.read(indexKey(loadNumber))).toString('utf8'));
+  } catch (error) {
+    if (storage.isNotFound(error)) return null;
+    throw error;
+  }
+}
+
+async function writeIndex(loadNumber, index) {
+  await storage.put(indexKey(loadNumber), JSON.stringify(index, null, 2), { contentType: 'application/json' });
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The Payable section as stored: total, currency and lines without the raw cells
+function summarizePayable(payable) {
+  if (!payable) return null;
+  return {
+    total: payable.total ?? null,
+    currency: payable.currency || null,
+    lines: (payable.lines || []).map(line => ({
+      code: line.code || null,
+      description: line.description || null,
+      quantity: line.quantity ?? null,
+      rate: line.rate ?? null,
+      amount: line.amount ?? null,
+      currency: line.currency || null
+    }))
+  };
+}
+
+function payableTotal(record) {
+  return record && record.payable ? record.payable.total : null;
+}
+
+// Copy a freshly printed file into the archive as the load's next version; returns the version record.
+// ratecon: { loadNumber, filePath, filename, format, contentType, payable, account, jobId }
+function storeVersion(ratecon) {
+  const loadNumber = String(ratecon.loadNumber);
+  if (!isValidLoadNumber(loadNumber)) {
+    return Promise.reject(new Error(`Invalid load number '${loadNumber}'`));
+  }
+
+  return withLock(loadNumber, async () => {
+    const content = await fs.readFile(ratecon.filePath);
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    const index = await readIndex(loadNumber) || { loadNumber, versions: [] };
+    const previous = index.versions[index.versions.length - 1] || null;
+    const version = previous ? previous.version + 1 : 1;
+    const file = `v${version}${path.extname(ratecon.filename || ratecon.filePath)}`;
+    await storage.put(versionKey({ loadNumber, file }), content, { contentType: ratecon.contentType });
+
+    const payable = summarizePayable(ratecon.payable);
+    const previousTotal = payableTotal(previous);
+    // Only a real before/after pair counts; a load whose Payable section couldn't be read is not a change
+    const payableChanged = previousTotal !== null && payable !== null && payable.total !== null && payable.total !== previousTotal;
+    const identical = index.versions.find(each => each.sha256 === sha256);
+
+    const record = {
+      loadNumber,
+      version,
+      createdAt: new Date().toISOString(),
+      filename: ratecon.filename || file,
+      file,
+      format: ratecon.format || null,
+      contentType: ratecon.contentType || null,
+      bytes: content.length,
+      sha256,
+      // Earlier version with byte-identical content, if any
+      sameContentAs: identical ? identical.version : null,
+      account: ratecon.account || null,
+      jobId: ratecon.jobId || null,
+      payable,
+      payableChanged,
+      previousPayableTotal: previous ? previousTotal : null
+    };
+    index.versions.push(record);
+    await writeIndex(loadNumber, index);
+
+    if (payableChanged) {
+      console.warn(`[ARCHIVE] Load ${loadNumber} payable total changed: ${previousTotal} → ${payable.total} (version ${version})`);
+    } else {
+      console.log(`[ARCHIVE] Stored load ${loadNumber} version ${version} (${content.length} bytes, sha256 ${sha256.slice(0, 12)}…)`);
+    }
+    return record;
+  });
+}
+
+// Every version of a load, oldest first; null when the load has none
+async function getVersions(loadNumber) {
+  const index = await readIndex(loadNumber);
+  return index ? index.versions : null;
+}
+
+// { stream, size, contentType } of a version's file; throws NOT_FOUND when it is missing from storage
+function openVersion(record) {
+  return storage.get(versionKey(record));
+}
+
+// Archived loads: { loadNumber, versions, accounts, latest: { version, createdAt, payableTotal, currency, payableChanged } }
+async function listLoads() {
+  const loadNumbers = (await storage.list(ARCHIVE_PREFIX))
+    .map(object => object.key.slice(ARCHIVE_PREFIX.length).split('/'))
+    .filter(parts => parts.length === 2 && parts[1] === INDEX_FILE)
+    .map(parts => parts[0]);
+
+  const loads = [];
+  for (const loadNumber of loadNumbers) {
+    const versions = await getVersions(loadNumber);
+    if (!versions || versions.length === 0) continue;
+    const latest = versions[versions.length - 1];
+    loads.push({
+      loadNumber,
+      versions: versions.length,
+      accounts: [...new Set(versions.map(each => each.account).filter(Boolean))],
+      latest: {
+        version: latest.version,
+        createdAt: latest.createdAt,
+        payableTotal: payableTotal(latest),
+        currency: latest.payable ? latest.payable.currency : null,
+        payableChanged: latest.payableChanged
+      }
+    });
+  }
+  return loads.sort((a, b) => b.latest.createdAt.localeCompare(a.latest.createdAt));
+}
+
+// Lines are matched on code (else description); repeated keys pair up in order
+function keyLines(lines) {
+  const seen = new Map();
+  return lines.map(line => {
+    const base = String(line.code || line.description || '').toUpperCase();
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return { key: count === 0 ? base : `${base}#${count + 1}`, line };
+  });
+}
+
+const COMPARED_FIELDS = ['description', 'quantity', 'rate', 'amount', 'currency'];
+
+// Payable rate lines of two versions: { from, to, total, added, removed, changed, unchanged }
+function diffVersions(from, to) {
+  const fromLines = keyLines(from.payable ? from.payable.lines : []);
+  const toLines = new Map(keyLines(to.payable ? to.payable.lines : []).map(entry => [entry.key, entry.line]));
+
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const { key, line } of fromLines) {
+    if (!toLines.has(key)) {
+      removed.push(line);
+      continue;
+    }
+    const next = toLines.get(key);
+    toLines.delete(key);
+    const fields = {};
+    for (const field of COMPARED_FIELDS) {
+      if ((line[field] ?? null) !== (next[field] ?? null)) {
+        fields[field] = { from: line[field] ?? null, to: next[field] ?? null };
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      changed.push({ code: next.code, description: next.description, fields });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const fromTotal = payableTotal(from);
+  const toTotal = payableTotal(to);
+  const summary = (record) => ({ version: record.version, createdAt: record.createdAt, sha256: record.sha256 });
+  return {
+    loadNumber: to.loadNumber,
+    from: summary(from),
+    to: summary(to),
+    total: {
+      from: fromTotal,
+      to: toTotal,
+      change: fromTotal !== null && toTotal !== null ? roundMoney(toTotal - fromTotal) : null,
+      currency: (to.payable && to.payable.currency) || (from.payable && from.payable.currency) || null
+    },
+    payableChanged: fromTotal !== null && toTotal !== null && fromTotal !== toTotal,
+    sameContent: from.sha256 === to.sha256,
+    added: Array.from(toLines.values()),
+    removed,
+    changed,
+    unchanged
+  };
+}
+
+module.exports = {
+  isEnabled,
+  isValidLoadNumber,
+  storeVersion,
+  getVersions,
+  openVersion,
+  listLoads,
+  diffVersions
+};
@@ -0,0 +1,466 @@
+// Recurring ratecon schedules: cron definitions persisted to disk, load lists from a list/file/URL,
+// output moved into a drop folder, and a per-schedule run history
+const cron = require('node-cron');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { nextRun } = require('./cron-time');
+const { getAccount } = require('./accounts');
+const { getAction, resolveParams } = require('./actions');
+const { moveWorkFile, removeWorkFile } = require('./file-store');
+const { uniqueFilename } = require('./filename-template');
+const { validateOutboundUrl, checkOutboundUrl } = require('./url-policy');
+
+const PDF_SAVE_PATH = process.env.PDF_SAVE_PATH || '/app/temp';
+const DEFAULTS = {
+  filePath: process.env.SCHEDULES_FILE || path.join(PDF_SAVE_PATH, 'schedules.json'),
+  outputRoot: process.env.DROP_FOLDER_PATH || path.join(PDF_SAVE_PATH, 'dropbox'),
+  inputRoot: process.env.SCHEDULE_INPUT_PATH || path.join(PDF_SAVE_PATH, 'inputs'),
+  historyLimit: parseInt(process.env.SCHEDULE_HISTORY_LIMIT, 10) || 50,
+  timezone: process.env.SCHEDULE_TIMEZONE || process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone
+};
+
+const SOURCE_TIMEOUT_MS = 30 * 1000;
+// Shown instead of url source header values (API tokens); sending it back on update keeps the stored value
+const REDACTED = '[redacted]';
+const SOURCE_TYPES = ['list', 'file', 'url'];
+const LOAD_NUMBER_PATTERN = /^[A-Za-z0-9-]+$/;
+// Header cells such as "Load", "Load Number" or "loadNumber" in a CSV export
+const HEADER_CELL = /^load[\s_-]*(number|no|id|#)?$/i;
+
+// Resolve a relative path inside root; throws if it would escape it
+function resolveWithin(root, relative) {
+  const base = path.resolve(root);
+  const target = path.resolve(base, relative || '.');
+  if (target !== base && !target.startsWith(base + path.sep)) {
+    throw new Error(`Path '${relative}' is outside ${base}`);
+  }
+  return target;
+}
+
+// Load numbers from text: a JSON array / { loadNumbers }, or one per line (first CSV column; # comments)
+function parseLoadList(text) {
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    const list = Array.isArray(parsed) ? parsed : parsed.loadNumbers;
+    if (!Array.isArray(list)) {
+      throw new Error('JSON load list must be an array or { "loadNumbers": [...] }');
+    }
+    return list.map(value => String(value ?? '').trim()).filter(Boolean);
+  }
+
+  return trimmed.split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, '').split(/[,;\t]/)[0].replace(/^["']|["']$/g, '').trim())
+    .filter(value => value && !HEADER_CELL.test(value));
+}
+
+class RecurringSchedules {
+  // options: { runBatch, filePath, outputRoot, inputRoot, historyLimit, timezone, maxLoads }
+  // runBatch(schedule, loadNumbers) resolves to [{ loadNumber, success, path, filename, bytes, error, errorName, step }]
+  constructor(options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    this.runBatch = options.runBatch;
+    this.filePath = settings.filePath;
+    this.outputRoot = settings.outputRoot;
+    this.inputRoot = settings.inputRoot;
+    this.historyLimit = settings.historyLimit;
+    this.timezone = settings.timezone;
+    this.maxLoads = options.maxLoads || 100;
+
+    this.schedules = new Map();
+    this.runs = new Map();
+    this.handles = new Map();
+    this.running = new Set();
+    this.started = false;
+
+    this.load();
+  }
+
+  load() {
+    let data;
+    try {
+      data = JSON.parse(fsSync.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[SCHEDULES] Failed to read ${this.filePath}: ${error.message}`);
+      }
+      return;
+    }
+    for (const schedule of data.schedules || []) {
+      this.schedules.set(schedule.id, schedule);
+      this.runs.set(schedule.id, (data.runs && data.runs[schedule.id]) || []);
+    }
+    // A run that was in progress when the server stopped will never finish
+    for (const runs of this.runs.values()) {
+      for (const run of runs) {
+        if (run.state === 'running') {
+          run.state = 'failed';
+          run.error = { name: 'Interrupted', message: 'Server stopped before the run finished' };
+        }
+      }
+    }
+    console.log(`[SCHEDULES] Loaded ${this.schedules.size} schedule(s) from ${this.filePath}`);
+  }
+
+  // Write then rename so a crash never leaves a half-written file behind
+  async save() {
+    const data = {
+      version: 1,
+      schedules: Array.from(this.schedules.values()),
+      runs: Object.fromEntries(this.runs)
+    };
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const temp = `${this.filePath}.${process.pid}.tmp`;
+    // url source headers are stored as given, so only this process's user may read the file
+    await fs.writeFile(temp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.rename(temp, this.filePath);
+  }
+
+  // Validate a full definition; returns { definition, errors }
+  validate(input, existing = null) {
+    const errors = [];
+    const merged = { ...(existing || {}), ...input };
+    const definition = {
+      name: merged.name !== undefined ? String(merged.name).trim() : '',
+      cron: merged.cron !== undefined ? String(merged.cron).trim() : '',
+      timezone: merged.timezone || this.timezone,
+      enabled: merged.enabled === undefined ? true : Boolean(merged.enabled),
+      account: merged.account ? String(merged.account).toLowerCase() : null,
+      // A copy: restoring redacted headers must not touch the stored schedule or the request body
+      source: merged.source && typeof merged.source === 'object' ? { ...merged.source } : merged.source,
+      params: merged.params || {},
+      outputDir: merged.outputDir ? String(merged.outputDir) : ''
+    };
+
+    if (!definition.name) errors.push('name is required');
+    if (!definition.cron || !cron.validate(definition.cron)) {
+      errors.push(`cron must be a valid cron expression (got '${definition.cron}')`);
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: definition.timezone });
+    } catch (error) {
+      errors.push(`Unknown timezone '${definition.timezone}'`);
+    }
+    if (definition.account && !getAccount(definition.account)) {
+      errors.push(`Unknown account '${definition.account}'`);
+    }
+
+    const source = definition.source;
+    if (!source || !SOURCE_TYPES.includes(source.type)) {
+      errors.push(`source.type must be one of ${SOURCE_TYPES.join(', ')}`);
+    } else if (source.type === 'list' && (!Array.isArray(source.loadNumbers) || source.loadNumbers.length === 0)) {
+      errors.push('source.loadNumbers must be a non-empty array');
+    } else if (source.type === 'file' && !source.path) {
+      errors.push(`source.path is required (relative to ${this.inputRoot})`);
+    } else if (source.type === 'file') {
+      try {
+        resolveWithin(this.inputRoot, source.path);
+      } catch (error) {
+        errors.push(`source.path: ${error.message}`);
+      }
+    } else if (source.type === 'url') {
+      const check = validateOutboundUrl(source.url, 'source.url');
+      if (!check.valid) errors.push(check.message);
+      errors.push(...this.restoreHeaders(source, existing && existing.source));
+    }
+
+    try {
+      resolveWithin(this.outputRoot, definition.outputDir);
+    } catch (error) {
+      errors.push(`outputDir: ${error.message}`);
+    }
+
+    // Same validation as the request headers/body of a one-off print
+    const action = getAction('printloadconfirmation');
+    const { params, errors: paramErrors } = resolveParams(action, {
+      headers: {},
+      body: { ...definition.params, loadNumber: '0' }
+    });
+    errors.push(...paramErrors.map(error => error.message));
+    delete params.loadNumber;
+    definition.params = Object.fromEntries(
+      Object.entries(params).filter(([name]) => definition.params[name] !== undefined)
+    );
+
+    return { definition, errors };
+  }
+
+  // Put stored values back for headers sent as REDACTED (as describe() shows them); returns errors.
+  // Stored values only go back to the URL they were given for.
+  restoreHeaders(source, stored) {
+    if (source.headers === undefined) return [];
+    if (!source.headers || typeof source.headers !== 'object' || Array.isArray(source.headers)) {
+      return ['source.headers must be an object of header names and values'];
+    }
+    const errors = [];
+    const storedHeaders = (stored && stored.type === 'url' && stored.url === source.url && stored.headers) || {};
+    const headers = {};
+    for (const [name, value] of Object.entries(source.headers)) {
+      if (value === REDACTED && storedHeaders[name] !== undefined) {
+        headers[name] = storedHeaders[name];
+      } else if (value === REDACTED) {
+        errors.push(`source.headers.${name}: send the value itself (stored values are kept only while source.url stays the same)`);
+      } else if (typeof value !== 'string') {
+        errors.push(`source.headers.${name} must be a string`);
+      } else {
+        headers[name] = value;
+      }
+    }
+    source.headers = headers;
+    return errors;
+  }
+
+  list() {
+    return Array.from(this.schedules.values());
+  }
+
+  get(id) {
+    return this.schedules.get(id) || null;
+  }
+
+  async create(input, createdBy = null) {
+    const { definition, errors } = this.validate(input);
+    if (errors.length > 0) return { errors };
+
+    const now = new Date().toISOString();
+    const schedule = { id: crypto.randomUUID(), ...definition, createdBy, createdAt: now, updatedAt: now };
+    this.schedules.set(schedule.id, schedule);
+    this.runs.set(schedule.id, []);
+    await this.save();
+    this.arm(schedule);
+    console.log(`[SCHEDULES] Created schedule ${schedule.id} '${schedule.name}' (${schedule.cron})`);
+    return { schedule };
+  }
+
+  async update(id, input) {
+    const existing = this.get(id);
+    if (!existing) return { notFound: true };
+
+    const { definition, errors } = this.validate(input, existing);
+    if (errors.length > 0) return { errors };
+
+    const schedule = { ...existing, ...definition, updatedAt: new Date().toISOString() };
+    this.schedules.set(id, schedule);
+    await this.save();
+    this.arm(schedule);
+    console.log(`[SCHEDULES] Updated schedule ${id} '${schedule.name}' (${schedule.cron})`);
+    return { schedule };
+  }
+
+  async remove(id) {
+    if (!this.schedules.has(id)) return false;
+    this.disarm(id);
+    this.schedules.delete(id);
+    this.runs.delete(id);
+    await this.save();
+    console.log(`[SCHEDULES] Deleted schedule ${id}`);
+    return true;
+  }
+
+  getRuns(id) {
+    return this.runs.get(id) || [];
+  }
+
+  getRun(id, runId) {
+    return this.getRuns(id).find(run => run.id === runId) || null;
+  }
+
+  // Public view with the next run time and a summary of the latest run; url source header values are redacted
+  describe(schedule) {
+    const latest = this.getRuns(schedule.id)[0];
+    const next = schedule.enabled && this.started ? nextRun(schedule.cron, schedule.timezone) : null;
+    const { source } = schedule;
+    return {
+      ...schedule,
+      source: source && source.headers
+        ? { ...source, headers: Object.fromEntries(Object.keys(source.headers).map(name => [name, REDACTED])) }
+        : source,
+      running: this.running.has(schedule.id),
+      nextRun: next ? next.toISOString() : null,
+      lastRun: latest
+        ? { id: latest.id, state: latest.state, startedAt: latest.startedAt, succeeded: latest.succeeded, failed: latest.failed }
+        : null
+    };
+  }
+
+  start() {
+    this.started = true;
+    for (const schedule of this.schedules.values()) {
+      this.arm(schedule);
+    }
+  }
+
+  stop() {
+    this.started = false;
+    for (const id of Array.from(this.handles.keys())) {
+      this.disarm(id);
+    }
+  }
+
+  arm(schedule) {
+    this.disarm(schedule.id);
+    if (!this.started || !schedule.enabled) return;
+    const handle = cron.schedule(schedule.cron, () => {
+      this.run(schedule.id, 'cron').catch(error => console.error(`[SCHEDULES] Run of ${schedule.id} failed: ${error.message}`));
+    }, { timezone: schedule.timezone });
+    this.handles.set(schedule.id, handle);
+  }
+
+  disarm(id) {
+    const handle = this.handles.get(id);
+    if (handle) {
+      handle.stop();
+      this.handles.delete(id);
+    }
+  }
+
+  async resolveLoadNumbers(source) {
+    switch (source.type) {
+      case 'list':
+        return source.loadNumbers.map(value => String(value ?? '').trim()).filter(Boolean);
+      case 'file':
+        return parseLoadList(await fs.readFile(resolveWithin(this.inputRoot, source.path), 'utf8'));
+      case 'url': {
+        // The host may have been re-pointed at an internal address since the schedule was saved
+        const check = await checkOutboundUrl(source.url, 'Load list URL');
+        if (!check.valid) {
+          throw new Error(check.message);
+        }
+        const response = await fetch(source.url, {
+          headers: source.headers || {},
+          // A redirect could lead to an internal address (and take the headers with it)
+          redirect: 'manual',
+          signal: AbortSignal.timeout(SOURCE_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+          throw new Error(`Load list URL returned ${response.status}`);
+        }
+        return parseLoadList(await response.text());
+      }
+      default:
+        throw new Error(`Unknown source type '${source.type}'`);
+    }
+  }
+
+  // Run a schedule now; trigger is 'cron' or 'manual'. Resolves to the finished run record,
+  // or null if the previous run is still going.
+  async run(id, trigger = 'manual') {
+    const started = this.startRun(id, trigger);
+    return started ? started.done : null;
+  }
+
+  // Start a run and return { run, done } right away (null if already running)
+  startRun(id, trigger = 'manual') {
+    const schedule = this.get(id);
+    if (!schedule) throw new Error(`No schedule ${id}`);
+    if (this.running.has(id)) {
+      console.log(`[SCHEDULES] ${schedule.name} is still running, skipping this run`);
+      return null;
+    }
+
+    const run = {
+      id: crypto.randomUUID(),
+      scheduleId: id,
+      trigger,
+      state: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      outputDir: null,
+      count: 0,
+      succeeded: 0,
+      failed: 0,
+      results: [],
+      error: null
+    };
+    this.running.add(id);
+    this.runs.set(id, [run, ...this.getRuns(id)].slice(0, this.historyLimit));
+    console.log(`[SCHEDULES] Running '${schedule.name}' (${trigger})`);
+
+    return { run, done: this.execute(schedule, run) };
+  }
+
+  async execute(schedule, run) {
+    const id = schedule.id;
+    try {
+      await this.save();
+
+      const outputDir = resolveWithin(this.outputRoot, schedule.outputDir);
+      run.outputDir = outputDir;
+      await fs.mkdir(outputDir, { recursive: true });
+
+      const loadNumbers = [...new Set(await this.resolveLoadNumbers(schedule.source))];
+      const invalid = loadNumbers.filter(value => !LOAD_NUMBER_PATTERN.test(value));
+      const valid = loadNumbers.filter(value => LOAD_NUMBER_PATTERN.test(value));
+      if (valid.length === 0) {
+        throw new Error('The load list is empty');
+      }
+      if (valid.length > this.maxLoads) {
+        throw new Error(`A schedule run may print at most ${this.maxLoads} loads (got ${valid.length})`);
+      }
+
+      const results = await this.runBatch(schedule, valid);
+      // Loads of this run never share a name; the same name on a re-run (same load, same day) replaces the older copy
+      const filenames = new Set();
+      try {
+        for (const result of results) {
+          if (!result.success) continue;
+          result.filename = uniqueFilename(result.filename, filenames);
+          const target = path.join(outputDir, result.filename);
+          await moveWorkFile(result.path, target);
+          result.outputPath = target;
+        }
+      } finally {
+        // A failed move ends the run; the files not moved yet would otherwise stay in the work folder
+        for (const result of results) {
+          if (!result.success || result.outputPath) continue;
+          await removeWorkFile(result.path).catch(error => console.error(`[SCHEDULES] Failed to delete ${result.path}: ${error.message}`));
+        }
+      }
+
+      run.results = [
+        ...invalid.map(loadNumber => ({
+          loadNumber,
+          success: false,
+          error: { name: 'ValidationError', code: 'VALIDATION_ERROR', message: `Invalid load number '${loadNumber}'`, step: null }
+        })),
+        ...results.map(result => ({
+          loadNumber: result.loadNumber,
+          success: result.success,
+          filename: result.filename || null,
+          outputPath: result.outputPath || null,
+          bytes: result.bytes,
+          attempts: result.attempts || 0,
+          error: result.success ? null : {
+            name: result.errorName || 'Error',
+            code: result.code || 'INTERNAL_ERROR',
+            message: result.error,
+            step: result.step || null,
+            diagnosticsId: result.diagnosticsId || null
+          }
+        }))
+      ];
+      run.count = run.results.length;
+      run.succeeded = run.results.filter(result => result.success).length;
+      run.failed = run.count - run.succeeded;
+      run.state = run.failed === 0 ? 'succeeded' : (run.succeeded === 0 ? 'failed' : 'partial');
+    } catch (error) {
+      console.error(`[SCHEDULES] '${schedule.name}' failed: ${error.message}`);
+      run.state = 'failed';
+      run.error = { name: error.name, message: error.message };
+    } finally {
+      run.finishedAt = new Date().toISOString();
+      this.running.delete(id);
+      await this.save().catch(error => console.error(`[SCHEDULES] Failed to save run history: ${error.message}`));
+    }
+
+    console.log(`[SCHEDULES] '${schedule.name}' ${run.state}: ${run.succeeded}/${run.count} printed to ${run.outputDir}`);
+    return run;
+  }
+}
+
+module.exports = {
+  RecurringSchedules,
+  parseLoadList
+};
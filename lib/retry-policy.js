@@ -0,0 +1,30 @@
+// Which automation failures are worth a fresh browser context and another attempt
+const { AutomationError, isPageGone, isTimeout } = require('./errors');
+const { SessionExpiredError } = require('./browser-session');
+
+// Attempts per action run, the first one included
+const ACTION_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.ACTION_MAX_ATTEMPTS, 10) || 3);
+// Pause before each retry, multiplied by the number of attempts so far
+const ACTION_RETRY_DELAY_MS = parseInt(process.env.ACTION_RETRY_DELAY_MS, 10) >= 0
+  ? parseInt(process.env.ACTION_RETRY_DELAY_MS, 10)
+  : 1000;
+
+// Why a failed attempt may be retried ('session-expired', 'timeout', 'page-closed'), or null when it may not.
+// Non-retryable codes (load not found, E2Open login failed, payable missing, invalid parameters)
+// and unclassified errors would fail the same way again.
+function retryReason(error) {
+  if (!error) return null;
+  if (error instanceof SessionExpiredError) return 'session-expired';
+  if (error instanceof AutomationError && !error.retryable) return null;
+  // A typed error (e.g. PDF_RENDER_FAILED) is retried when what caused it was transient
+  const source = error.cause || error;
+  if (isTimeout(source)) return 'timeout';
+  if (isPageGone(source)) return 'page-closed';
+  return null;
+}
+
+module.exports = {
+  ACTION_MAX_ATTEMPTS,
+  ACTION_RETRY_DELAY_MS,
+  retryReason
+};
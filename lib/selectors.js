@@ -0,0 +1,221 @@
+// E2Open selectors by logical element. Each element has an ordered list of fallback locators (Playwright selector
+// strings) and the code asks for an element by name, using the first fallback found on the page. When E2Open changes
+// its UI, the fix is an edit to lib/selectors.json (or a SELECTORS_FILE override), not a hunt through the code.
+const fsSync = require('fs');
+const path = require('path');
+const { isPageGone } = require('./errors');
+
+const BUILT_IN_PATH = path.join(__dirname, 'selectors.json');
+
+// Pages elements live on; the selector health check visits login, home, search-results and load-report
+const PAGES = ['login', 'login-flow', 'home', 'search-results', 'load-report'];
+
+// {loadNumber} and {username} in a selector are filled in when it is used ({2} and the like are left alone)
+const PLACEHOLDER = /\{([A-Za-z]\w*)\}/g;
+
+const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(each => typeof each === 'string' && each);
+
+// What's wrong with an element definition, or null
+function elementProblem(element) {
+  if (!isStringList(element.fallbacks)) return 'fallbacks must be a non-empty list of selectors';
+  if (!PAGES.includes(element.page)) return `page must be one of: ${PAGES.join(', ')}`;
+  // CSS elements are also matched inside the page with Element.matches()
+  if (element.css && element.fallbacks.some(selector => /^\w+=/.test(selector))) return 'fallbacks must be plain CSS';
+  return null;
+}
+
+function windowProblem(windowMatch) {
+  const { url = [], title = [] } = windowMatch;
+  if ((url.length === 0 && title.length === 0) || (url.length > 0 && !isStringList(url)) || (title.length > 0 && !isStringList(title))) {
+    return 'url and title must be lists of strings, and at least one must be set';
+  }
+  return null;
+}
+
+// Built-in map plus the optional SELECTORS_FILE:
+// { version, elements: { <name>: { fallbacks, page, optional, description } }, windows: { <name>: { url, title } } }
+// Each element or window in the file replaces the built-in fields it sets; a broken entry keeps the built-in one.
+function loadSelectorMap(overridePath = process.env.SELECTORS_FILE) {
+  const builtIn = JSON.parse(fsSync.readFileSync(BUILT_IN_PATH, 'utf8'));
+  const map = {
+    version: builtIn.version,
+    builtInVersion: builtIn.version,
+    source: null,
+    elements: builtIn.elements,
+    windows: builtIn.windows
+  };
+  if (!overridePath) return map;
+
+  let override;
+  try {
+    override = JSON.parse(fsSync.readFileSync(overridePath, 'utf8'));
+  } catch (error) {
+    console.error(`[SELECTORS] Failed to read selector file ${overridePath}: ${error.message}`);
+    return map;
+  }
+
+  const merge = (kind, entries, problemOf) => {
+    for (const [name, settings] of Object.entries(entries || {})) {
+      if (!map[kind][name]) {
+        console.error(`[SELECTORS] Ignoring unknown ${kind === 'elements' ? 'element' : 'window'} '${name}' in ${overridePath}`);
+        continue;
+      }
+      const merged = { ...map[kind][name], ...settings };
+      const problem = problemOf(merged);
+      if (problem) {
+        console.error(`[SELECTORS] Keeping the built-in '${name}': ${problem}`);
+        continue;
+      }
+      map[kind][name] = merged;
+    }
+  };
+  merge('elements', override.elements, elementProblem);
+  merge('windows', override.windows, windowProblem);
+
+  map.version = override.version ?? builtIn.version;
+  map.source = path.resolve(overridePath);
+  console.log(`[SELECTORS] Loaded selector map version ${map.version} from ${overridePath}`);
+  return map;
+}
+
+const selectorMap = loadSelectorMap();
+
+function getSelectorMap() {
+  return selectorMap;
+}
+
+function element(name) {
+  const definition = selectorMap.elements[name];
+  if (!definition) {
+    throw new Error(`Unknown selector element '${name}'`);
+  }
+  return definition;
+}
+
+function fill(selector, params = {}) {
+  return selector.replace(PLACEHOLDER, (match, name) => {
+    if (params[name] === undefined || params[name] === null) {
+      throw new Error(`Selector '${selector}' needs ${name}`);
+    }
+    return String(params[name]);
+  });
+}
+
+// [{ index, selector, locator }] for each fallback of an element, in order
+function fallbackLocators(page, name, params = {}) {
+  return element(name).fallbacks.map((selector, index) => {
+    const filled = fill(selector, params);
+    return { index, selector: filled, locator: page.locator(filled) };
+  });
+}
+
+// The first fallback on the page right now ({ index, selector, locator }), or null; doesn't wait.
+// visible: the fallback's first match must also be visible, and any error (a page mid-navigation) is just "not visible".
+// Otherwise a selector Playwright rejects counts as not found, while a closed or crashed page still throws.
+async function find(page, name, params = {}, { visible = false } = {}) {
+  for (const fallback of fallbackLocators(page, name, params)) {
+    try {
+      const found = visible ? await fallback.locator.first().isVisible() : await fallback.locator.count() > 0;
+      if (found) {
+        if (fallback.index > 0) {
+          console.log(`[SELECTORS] '${name}' matched fallback ${fallback.index + 1}: ${fallback.selector}`);
+        }
+        return fallback;
+      }
+    } catch (error) {
+      if (!visible && isPageGone(error)) throw error;
+    }
+  }
+  return null;
+}
+
+async function isPresent(page, name, params = {}) {
+  return Boolean(await find(page, name, params));
+}
+
+// A locator to act on: the first fallback on the page, or (none there yet) all of them combined,
+// so Playwright's auto-waiting takes whichever shows up
+async function locate(page, name, params = {}) {
+  const found = await find(page, name, params);
+  if (found) return found.locator;
+  return fallbackLocators(page, name, params).map(each => each.locator).reduce((all, each) => all.or(each));
+}
+
+// Selectors of a CSS-only element, for matching inside page.evaluate
+function cssSelectors(name) {
+  return element(name).fallbacks.slice();
+}
+
+// Whether a window ({ url, title }) is the named one: its URL contains a url pattern or its title a title pattern.
+// Returns { by: 'url'|'title', pattern } or null
+function matchWindow(name, { url = '', title = '' }, params = {}) {
+  const definition = selectorMap.windows[name];
+  if (!definition) {
+    throw new Error(`Unknown selector window '${name}'`);
+  }
+  const byUrl = (definition.url || []).map(pattern => fill(pattern, params)).find(pattern => url.includes(pattern));
+  if (byUrl) return { by: 'url', pattern: byUrl };
+  const byTitle = (definition.title || []).map(pattern => fill(pattern, params)).find(pattern => title && title.includes(pattern));
+  return byTitle ? { by: 'title', pattern: byTitle } : null;
+}
+
+// Check every element of one page against the current page: how many matches each fallback has and which one the
+// code would use. status: 'ok' (the first fallback), 'fallback' (a later one), 'missing' ('absent' when optional)
+async function checkElements(page, pageName, params = {}) {
+  const results = [];
+  for (const [name, definition] of Object.entries(selectorMap.elements)) {
+    if (definition.page !== pageName) continue;
+    const fallbacks = [];
+    for (const [index, selector] of definition.fallbacks.entries()) {
+      try {
+        const filled = fill(selector, params);
+        fallbacks.push({ index, selector: filled, count: await page.locator(filled).count() });
+      } catch (error) {
+        if (isPageGone(error)) throw error;
+        fallbacks.push({ index, selector, count: 0, error: error.message.split('\n')[0] });
+      }
+    }
+    const matched = fallbacks.find(each => each.count > 0) || null;
+    let status = definition.optional ? 'absent' : 'missing';
+    if (matched) status = matched.index === 0 ? 'ok' : 'fallback';
+    results.push({
+      name,
+      page: pageName,
+      description: definition.description || null,
+      optional: Boolean(definition.optional),
+      status,
+      matched: matched && { index: matched.index, selector: matched.selector },
+      fallbacks
+    });
+  }
+  return results;
+}
+
+// Report entries for the elements of a page that wasn't checked
+function skipElements(pageName, reason) {
+  return Object.entries(selectorMap.elements)
+    .filter(([, definition]) => definition.page === pageName)
+    .map(([name, definition]) => ({
+      name,
+      page: pageName,
+      description: definition.description || null,
+      optional: Boolean(definition.optional),
+      status: 'skipped',
+      reason,
+      matched: null,
+      fallbacks: definition.fallbacks.map((selector, index) => ({ index, selector, count: null }))
+    }));
+}
+
+module.exports = {
+  PAGES,
+  loadSelectorMap,
+  getSelectorMap,
+  find,
+  isPresent,
+  locate,
+  cssSelectors,
+  matchWindow,
+  checkElements,
+  skipElements
+};
@@ -0,0 +1,282 @@
+// Scheduled session upkeep: keep-alive during business hours, morning pre-warm and overnight shutdown
+const cron = require('node-cron');
+const { nextRun } = require('./cron-time');
+const { listAccounts } = require('./accounts');
+const browserSession = require('./browser-session');
+
+const DEFAULTS = {
+  timezone: process.env.SCHEDULE_TIMEZONE || process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  businessHours: process.env.BUSINESS_HOURS || '07:00-18:00',
+  businessDays: process.env.BUSINESS_DAYS || '1-5',
+  keepAlive: process.env.KEEPALIVE_CRON || '*/10 * * * *',
+  preWarm: process.env.PREWARM_CRON || '30 6 * * 1-5',
+  shutdown: process.env.SHUTDOWN_CRON || '0 20 * * *'
+};
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// "07:00-18:00" -> { start: 420, end: 1080 } in minutes after midnight
+function parseHours(value) {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const start = Number(match[1]) * 60 + Number(match[2]);
+  const end = Number(match[3]) * 60 + Number(match[4]);
+  if (start >= end || end > 24 * 60) return null;
+  return { start, end };
+}
+
+// "1-5" or "0,6" (0 = Sunday) -> [1, 2, 3, 4, 5]
+function parseDays(value) {
+  const days = new Set();
+  for (const part of String(value).split(',')) {
+    const range = part.trim().match(/^([0-6])(?:-([0-6]))?$/);
+    if (!range) return null;
+    const from = Number(range[1]);
+    const to = range[2] === undefined ? from : Number(range[2]);
+    if (from > to) return null;
+    for (let day = from; day <= to; day++) days.add(day);
+  }
+  return Array.from(days).sort();
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+class SessionScheduler {
+  // options: { jobQueue, enabled, timezone, businessHours, businessDays, keepAlive, preWarm, shutdown, session }
+  // session defaults to the browser-session module: allSlots, getPool, leaseContext, releaseContext,
+  // checkBrowserSession, refreshSession, initializeBrowserSession and closeBrowserSession
+  constructor(options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    this.jobQueue = options.jobQueue;
+    this.session = options.session || browserSession;
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.SCHEDULER_ENABLED !== 'false';
+    this.timezone = settings.timezone;
+    this.hours = parseHours(settings.businessHours);
+    this.days = parseDays(settings.businessDays);
+
+    if (!this.hours) {
+      console.error(`[SCHEDULE] Invalid BUSINESS_HOURS '${settings.businessHours}', using ${DEFAULTS.businessHours}`);
+      this.hours = parseHours('07:00-18:00');
+    }
+    if (!this.days) {
+      console.error(`[SCHEDULE] Invalid BUSINESS_DAYS '${settings.businessDays}', using 1-5`);
+      this.days = parseDays('1-5');
+    }
+
+    this.tasks = [
+      {
+        name: 'keep-alive',
+        cron: settings.keepAlive,
+        description: 'Refresh idle sessions during business hours',
+        duringBusinessHours: true,
+        run: () => this.keepAlive()
+      },
+      {
+        name: 'pre-warm',
+        cron: settings.preWarm,
+        description: 'Launch the browser and log every configured account in',
+        run: () => this.preWarm()
+      },
+      {
+        name: 'shutdown',
+        cron: settings.shutdown,
+        description: 'Close idle sessions and the browser for the night',
+        run: () => this.shutdown()
+      }
+    ].map(task => ({ ...task, handle: null, running: false, lastRun: null, lastResult: null, lastError: null }));
+
+    for (const task of this.tasks) {
+      if (!cron.validate(task.cron)) {
+        console.error(`[SCHEDULE] Invalid cron expression for ${task.name}: '${task.cron}', task disabled`);
+        task.invalid = true;
+      }
+    }
+  }
+
+  start() {
+    if (!this.enabled) {
+      console.log('[SCHEDULE] Session scheduler disabled');
+      return;
+    }
+    for (const task of this.tasks) {
+      if (task.invalid || task.handle) continue;
+      task.handle = cron.schedule(task.cron, () => this.trigger(task.name), { timezone: this.timezone });
+    }
+    console.log(`[SCHEDULE] Session scheduler started (${this.timezone}, business hours ${this.describeHours()})`);
+  }
+
+  stop() {
+    for (const task of this.tasks) {
+      if (task.handle) {
+        task.handle.stop();
+        task.handle = null;
+      }
+    }
+  }
+
+  describeHours() {
+    return `${this.days.map(day => DAY_NAMES[day]).join(',')} ${formatMinutes(this.hours.start)}-${formatMinutes(this.hours.end)}`;
+  }
+
+  // Weekday and minutes after midnight in the schedule's timezone
+  localTime(date) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+    for (const part of formatter.formatToParts(date)) {
+      parts[part.type] = part.value;
+    }
+    return { day: DAY_NAMES.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+  }
+
+  isBusinessHours(date = new Date()) {
+    const { day, minutes } = this.localTime(date);
+    return this.days.includes(day) && minutes >= this.hours.start && minutes < this.hours.end;
+  }
+
+  // Next time the task will actually do something (keep-alive only counts runs inside business hours)
+  nextRun(task, from = new Date()) {
+    if (task.invalid) return null;
+    return nextRun(task.cron, this.timezone, from, task.duringBusinessHours ? date => this.isBusinessHours(date) : null);
+  }
+
+  // Run a task now, through the job queue so it never competes with a job for a browser context
+  async trigger(name) {
+    const task = this.tasks.find(each => each.name === name);
+    if (!task) throw new Error(`Unknown scheduled task '${name}'`);
+
+    if (task.duringBusinessHours && !this.isBusinessHours()) {
+      return { skipped: true, reason: 'outside business hours' };
+    }
+    if (task.running) {
+      console.log(`[SCHEDULE] ${task.name} is still running, skipping this run`);
+      return { skipped: true, reason: 'previous run still in progress' };
+    }
+
+    task.running = true;
+    task.lastRun = new Date();
+    try {
+      const queued = this.jobQueue.enqueue(() => task.run(), { name: `schedule:${task.name}` });
+      task.lastResult = await queued.promise;
+      task.lastError = null;
+      return task.lastResult;
+    } catch (error) {
+      console.error(`[SCHEDULE] ${task.name} failed: ${error.message}`);
+      task.lastResult = null;
+      task.lastError = error.message;
+      return { error: error.message };
+    } finally {
+      task.running = false;
+    }
+  }
+
+  // Ping each idle context and refresh the ones that would otherwise hit SESSION_TIMEOUT
+  async keepAlive() {
+    const result = { checked: 0, refreshed: 0, skipped: 0 };
+    for (const slot of this.session.allSlots()) {
+      if (!slot.context) continue;
+      if (!this.session.leaseContext(slot, 'schedule:keep-alive')) {
+        result.skipped++;
+        continue;
+      }
+      try {
+        const idleFor = Date.now() - (slot.lastActivity || 0);
+        const status = await this.session.checkBrowserSession(slot, true);
+        result.checked++;
+        if (!status.active) continue;
+        if (!status.loggedIn || idleFor >= slot.account.sessionTimeout / 2) {
+          await this.session.refreshSession(slot);
+          result.refreshed++;
+        }
+      } catch (error) {
+        console.error(`[SCHEDULE] Keep-alive failed for ${slot.account.name}/${slot.id}: ${error.message}`);
+      } finally {
+        this.session.releaseContext(slot);
+      }
+    }
+    console.log(`[SCHEDULE] Keep-alive: ${result.checked} checked, ${result.refreshed} refreshed, ${result.skipped} skipped`);
+    return result;
+  }
+
+  // Log every idle context of every configured account in before the first request of the day
+  async preWarm() {
+    const result = { warmed: [], failed: [] };
+    for (const account of listAccounts().filter(each => each.configured)) {
+      for (const slot of this.session.getPool(account.name)) {
+        if (!this.session.leaseContext(slot, 'schedule:pre-warm')) continue;
+        try {
+          const status = await this.session.initializeBrowserSession(slot);
+          (status.loggedIn ? result.warmed : result.failed).push(`${account.name}/${slot.id}`);
+        } catch (error) {
+          console.error(`[SCHEDULE] Pre-warm failed for ${account.name}/${slot.id}: ${error.message}`);
+          result.failed.push(`${account.name}/${slot.id}`);
+        } finally {
+          this.session.releaseContext(slot);
+        }
+      }
+    }
+    console.log(`[SCHEDULE] Pre-warm: ${result.warmed.length} context(s) ready, ${result.failed.length} failed`);
+    return result;
+  }
+
+  // Close idle contexts, and the browser itself once nothing is running
+  async shutdown() {
+    const result = { closed: 0, busy: 0, browserClosed: false };
+    for (const slot of this.session.allSlots()) {
+      if (!slot.context || !this.session.leaseContext(slot, 'schedule:shutdown')) continue;
+      try {
+        await this.session.closeBrowserSession(slot);
+        result.closed++;
+      } finally {
+        this.session.releaseContext(slot);
+      }
+    }
+    // A job may still be logging in on a context that had no page when we looked
+    result.busy = this.session.allSlots().filter(slot => slot.busy).length;
+    if (result.busy === 0) {
+      await this.session.closeBrowserSession();
+      result.browserClosed = true;
+    }
+    console.log(`[SCHEDULE] Shutdown: ${result.closed} context(s) closed, browser ${result.browserClosed ? 'closed' : `left running for ${result.busy} busy context(s)`}`);
+    return result;
+  }
+
+  getStatus() {
+    const now = new Date();
+    return {
+      enabled: this.enabled,
+      timezone: this.timezone,
+      businessHours: {
+        days: this.days.map(day => DAY_NAMES[day]),
+        start: formatMinutes(this.hours.start),
+        end: formatMinutes(this.hours.end),
+        open: this.isBusinessHours(now)
+      },
+      tasks: this.tasks.map(task => {
+        const next = this.enabled ? this.nextRun(task, now) : null;
+        return {
+          name: task.name,
+          cron: task.cron,
+          description: task.description,
+          valid: !task.invalid,
+          running: task.running,
+          nextRun: next ? next.toISOString() : null,
+          lastRun: task.lastRun ? task.lastRun.toISOString() : null,
+          lastResult: task.lastResult,
+          lastError: task.lastError
+        };
+      })
+    };
+  }
+}
+
+module.exports = {
+  SessionScheduler
+};
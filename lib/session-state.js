@@ -0,0 +1,123 @@
+// Encrypted Playwright storage state (cookies + localStorage) per context, so restarts can skip the login form
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Persistence is off unless a key is configured; the files hold live E2Open session cookies
+const SESSION_STATE_KEY = process.env.SESSION_STATE_KEY || '';
+const SESSION_STATE_PATH = process.env.SESSION_STATE_PATH ||
+  path.join(process.env.PDF_SAVE_PATH || '/app/temp', 'sessions');
+
+// Version 1 files used sha256(SESSION_STATE_KEY) as the key; they are discarded and the context logs in again
+const FORMAT_VERSION = 2;
+
+function isEnabled() {
+  return Boolean(SESSION_STATE_KEY);
+}
+
+// SESSION_STATE_KEY is a passphrase, not a ready-made key: stretch it with scrypt and a random salt per file
+function encryptionKey(salt) {
+  return scrypt(SESSION_STATE_KEY, salt, 32);
+}
+
+function statePath(slot) {
+  return path.join(SESSION_STATE_PATH, `${slot.account.name}-${slot.id}.state`);
+}
+
+// Bound to the account and username, so a file can't be replayed into a different account
+function associatedData(slot) {
+  return Buffer.from(`${slot.account.name}:${slot.account.username}:${slot.id}`);
+}
+
+// AES-256-GCM; the file is JSON with base64 scrypt salt, iv, auth tag and ciphertext
+async function saveState(slot, storageState) {
+  if (!isEnabled()) return false;
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', await encryptionKey(salt), iv);
+  cipher.setAAD(associatedData(slot));
+  const data = Buffer.concat([cipher.update(JSON.stringify(storageState), 'utf8'), cipher.final()]);
+
+  const file = {
+    version: FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+
+  await fs.mkdir(SESSION_STATE_PATH, { recursive: true });
+  // Write then rename so a crash never leaves a half-written file behind
+  const target = statePath(slot);
+  const temp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(file), { mode: 0o600 });
+  await fs.rename(temp, target);
+  return true;
+}
+
+// Returns the decrypted storage state, or null if there is none or it can't be used
+async function loadState(slot) {
+  if (!isEnabled()) return null;
+
+  let file;
+  try {
+    file = JSON.parse(await fs.readFile(statePath(slot), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[SESSION] Ignoring unreadable saved state ${statePath(slot)}: ${error.message}`);
+    }
+    return null;
+  }
+
+  try {
+    if (file.version !== FORMAT_VERSION) {
+      throw new Error(`unsupported format version ${file.version}`);
+    }
+    const key = await encryptionKey(Buffer.from(file.salt, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+    decipher.setAAD(associatedData(slot));
+    decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+    const json = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]).toString('utf8');
+    return JSON.parse(json);
+  } catch (error) {
+    // Wrong key, a different account or a tampered file: drop it and log in normally
+    console.error(`[SESSION] Discarding saved state ${path.basename(statePath(slot))}: ${error.message}`);
+    await purgeState(slot);
+    return null;
+  }
+}
+
+async function purgeState(slot) {
+  try {
+    await fs.unlink(statePath(slot));
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return false;
+  }
+}
+
+// When the saved state for a context was written, or null
+function savedAt(slot) {
+  if (!isEnabled()) return null;
+  try {
+    return JSON.parse(fsSync.readFileSync(statePath(slot), 'utf8')).savedAt || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  SESSION_STATE_PATH,
+  isEnabled,
+  saveState,
+  loadState,
+  purgeState,
+  savedAt
+};
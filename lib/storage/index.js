@@ -0,0 +1,54 @@
+// Storage for generated files, chosen by STORAGE_BACKEND: 'local' (a folder on disk) or 's3' (AWS S3, MinIO and other
+// S3-compatible stores). Callers only ever pass keys (see keys.js), never filesystem paths.
+const fs = require('fs').promises;
+const path = require('path');
+const { isValidKey, isNotFound } = require('./keys');
+const { createLocalStorage } = require('./local');
+const { createS3Storage, MAX_PRESIGN_SECONDS } = require('./s3');
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'local').toLowerCase();
+const STORAGE_PATH = process.env.STORAGE_PATH ||
+  path.join(process.env.PDF_SAVE_PATH || '/app/temp', 'storage');
+
+function createStorage(backend = STORAGE_BACKEND) {
+  if (backend === 'local') {
+    return createLocalStorage({ root: STORAGE_PATH });
+  }
+  if (backend === 's3') {
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || null,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === undefined ? undefined : process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: process.env.S3_SESSION_TOKEN || process.env.AWS_SESSION_TOKEN
+    });
+  }
+  throw new Error(`Unknown STORAGE_BACKEND '${backend}' (use 'local' or 's3')`);
+}
+
+const backend = createStorage();
+
+// Store a file from disk under key
+async function putFile(key, filePath, options = {}) {
+  return backend.put(key, await fs.readFile(filePath), options);
+}
+
+module.exports = {
+  STORAGE_BACKEND,
+  MAX_PRESIGN_SECONDS,
+  name: backend.name,
+  describe: backend.describe,
+  put: backend.put,
+  putFile,
+  head: backend.head,
+  get: backend.get,
+  read: backend.read,
+  delete: backend.delete,
+  list: backend.list,
+  signedUrl: backend.signedUrl,
+  isValidKey,
+  isNotFound
+};
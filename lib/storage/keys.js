@@ -0,0 +1,41 @@
+// Storage keys are relative, '/'-separated paths like "files/<id>" or "archive/<load>/v2.pdf".
+// Every segment must start with a letter or digit, so '..', '.', absolute paths and hidden names can't be expressed.
+const KEY_SEGMENT = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const MAX_KEY_LENGTH = 512;
+
+function isValidKey(key) {
+  if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) return false;
+  return key.split('/').every(segment => KEY_SEGMENT.test(segment));
+}
+
+// List prefixes are keys with an optional trailing '/'
+function isValidPrefix(prefix) {
+  return prefix === '' || isValidKey(prefix.replace(/\/$/, ''));
+}
+
+function assertKey(key) {
+  if (!isValidKey(key)) {
+    const error = new Error(`Invalid storage key '${key}'`);
+    error.code = 'INVALID_KEY';
+    throw error;
+  }
+  return key;
+}
+
+function notFound(key) {
+  const error = new Error(`No stored object '${key}'`);
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+function isNotFound(error) {
+  return Boolean(error) && error.code === 'NOT_FOUND';
+}
+
+module.exports = {
+  isValidKey,
+  isValidPrefix,
+  assertKey,
+  notFound,
+  isNotFound
+};
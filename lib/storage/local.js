@@ -0,0 +1,139 @@
+// Local disk backend: objects are files under the storage root, metadata sits in a parallel .meta tree
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const { assertKey, isValidPrefix, notFound } = require('./keys');
+
+// Keys can't start with '.', so nothing stored can land in (or read from) the metadata tree
+const META_DIR = '.meta';
+const TEMP_FILE = /\.\d+\.\d+\.tmp$/;
+
+function createLocalStorage({ root }) {
+  const rootPath = path.resolve(root);
+
+  // Resolve a key inside the root; refuses anything that would end up outside it
+  function resolve(key, base = rootPath) {
+    assertKey(key);
+    const target = path.resolve(base, ...key.split('/'));
+    const relative = path.relative(base, target);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw Object.assign(new Error(`Storage key '${key}' resolves outside ${base}`), { code: 'INVALID_KEY' });
+    }
+    return target;
+  }
+
+  const metaPath = (key) => `${resolve(key, path.join(rootPath, META_DIR))}.json`;
+
+  // A symlink planted in the root must not lead out of it
+  async function assertContained(target, key) {
+    const [real, realRoot] = await Promise.all([fs.realpath(target), fs.realpath(rootPath)]);
+    if (!real.startsWith(realRoot + path.sep)) {
+      throw Object.assign(new Error(`Storage key '${key}' resolves outside ${rootPath}`), { code: 'INVALID_KEY' });
+    }
+  }
+
+  // Write to a temp name and rename, so readers never see half a file
+  async function writeAtomic(target, body) {
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temp, body);
+    await fs.rename(temp, target);
+  }
+
+  async function readMeta(key) {
+    try {
+      return JSON.parse(await fs.readFile(metaPath(key), 'utf8'));
+    } catch (error) {
+      return { contentType: null, metadata: {} };
+    }
+  }
+
+  async function head(key) {
+    const target = resolve(key);
+    let stats;
+    try {
+      stats = await fs.stat(target);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    if (!stats.isFile()) return null;
+    await assertContained(target, key);
+    const meta = await readMeta(key);
+    return { key, size: stats.size, lastModified: stats.mtime, contentType: meta.contentType, metadata: meta.metadata };
+  }
+
+  return {
+    name: 'local',
+    describe: () => rootPath,
+
+    async put(key, body, options = {}) {
+      const target = resolve(key);
+      await writeAtomic(target, body);
+      await writeAtomic(metaPath(key), JSON.stringify({
+        contentType: options.contentType || null,
+        metadata: options.metadata || {}
+      }));
+      return { key, size: Buffer.byteLength(body) };
+    },
+
+    head,
+
+    // { stream, size, contentType, metadata }; throws NOT_FOUND
+    async get(key) {
+      const info = await head(key);
+      if (!info) throw notFound(key);
+      return { ...info, stream: createReadStream(resolve(key)) };
+    },
+
+    async read(key) {
+      const info = await head(key);
+      if (!info) throw notFound(key);
+      return fs.readFile(resolve(key));
+    },
+
+    async delete(key) {
+      await fs.rm(resolve(key), { force: true });
+      await fs.rm(metaPath(key), { force: true });
+    },
+
+    // Every object whose key starts with prefix: [{ key, size, lastModified }]
+    async list(prefix = '') {
+      if (!isValidPrefix(prefix)) throw Object.assign(new Error(`Invalid storage prefix '${prefix}'`), { code: 'INVALID_KEY' });
+      const objects = [];
+      const walk = async (directory, keyPrefix) => {
+        let entries;
+        try {
+          entries = await fs.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') return;
+          throw error;
+        }
+        for (const entry of entries) {
+          // Skips the metadata tree and in-flight temp files
+          if (entry.name.startsWith('.') || TEMP_FILE.test(entry.name)) continue;
+          const key = keyPrefix + entry.name;
+          if (entry.isDirectory()) {
+            await walk(path.join(directory, entry.name), `${key}/`);
+          } else if (entry.isFile() && key.startsWith(prefix)) {
+            const stats = await fs.stat(path.join(directory, entry.name));
+            objects.push({ key, size: stats.size, lastModified: stats.mtime });
+          }
+        }
+      };
+      // Start at the deepest folder the prefix names instead of walking the whole root
+      const folder = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+      await walk(folder ? resolve(folder.slice(0, -1)) : rootPath, folder);
+      return objects;
+    },
+
+    // Local files have no URL of their own; callers hand out a signed API link instead
+    signedUrl() {
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
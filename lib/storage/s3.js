@@ -0,0 +1,206 @@
+// S3-compatible backend (AWS S3, MinIO): plain HTTPS requests signed with AWS Signature Version 4
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { assertKey, isValidPrefix, notFound } = require('./keys');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+// SigV4 presigned URLs can't outlive a week
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+const METADATA_HEADER = 'x-amz-meta-';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+function encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function canonicalQuery(query) {
+  return Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&');
+}
+
+function amzDates(now = new Date()) {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return { amzDate, dateStamp: amzDate.slice(0, 8) };
+}
+
+function decodeXml(value) {
+  return value.replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+function createS3Storage(options) {
+  const { bucket, region, accessKeyId, secretAccessKey, sessionToken } = options;
+  if (!bucket) throw new Error('S3 storage needs S3_BUCKET');
+  if (!accessKeyId || !secretAccessKey) throw new Error('S3 storage needs S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+
+  // Custom endpoints (MinIO) default to path-style URLs: http://host:9000/<bucket>/<key>
+  const endpoint = new URL(options.endpoint || `https://s3.${region}.amazonaws.com`);
+  const pathStyle = options.forcePathStyle ?? Boolean(options.endpoint);
+  const host = pathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+  const basePath = `${endpoint.pathname.replace(/\/$/, '')}${pathStyle ? `/${encode(bucket)}` : ''}`;
+  const keyPrefix = options.prefix ? `${options.prefix.replace(/^\/+|\/+$/g, '')}/` : '';
+
+  const objectPath = (key) => `${basePath}/${(keyPrefix + assertKey(key)).split('/').map(encode).join('/')}`;
+  const urlFor = (pathname, query = {}) => {
+    const search = canonicalQuery(query);
+    return `${endpoint.protocol}//${host}${pathname}${search ? `?${search}` : ''}`;
+  };
+
+  function signingKey(dateStamp) {
+    return [dateStamp, region, 's3', 'aws4_request'].reduce(hmac, `AWS4${secretAccessKey}`);
+  }
+
+  function signature(method, pathname, query, headers, payloadHash, amzDate, dateStamp) {
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+    const canonicalRequest = [
+      method,
+      pathname || '/',
+      canonicalQuery(query),
+      names.map(name => `${name}:${lower[name]}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+    return {
+      scope,
+      signedHeaders: names.join(';'),
+      signature: crypto.createHmac('sha256', signingKey(dateStamp)).update(stringToSign).digest('hex')
+    };
+  }
+
+  // Signed request; non-2xx answers become errors (404 on an object key → NOT_FOUND)
+  async function request(method, pathname, { query = {}, headers = {}, body, key } = {}) {
+    const { amzDate, dateStamp } = amzDates();
+    const payloadHash = sha256(body || '');
+    const sent = {
+      ...headers,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...(sessionToken && { 'x-amz-security-token': sessionToken })
+    };
+    // fetch sets Host itself, but it has to be signed
+    const { scope, signedHeaders, signature: sig } = signature(method, pathname, query, { ...sent, host }, payloadHash, amzDate, dateStamp);
+
+    const response = await fetch(urlFor(pathname, query), {
+      method,
+      headers: { ...sent, Authorization: `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${sig}` },
+      body
+    });
+    if (response.status === 404 && key) {
+      await response.body?.cancel();
+      throw notFound(key);
+    }
+    if (!response.ok) {
+      const text = method === 'HEAD' ? '' : await response.text();
+      throw new Error(`S3 ${method} ${key || pathname} failed: ${response.status} ${xmlValue(text, 'Code') || response.statusText}`);
+    }
+    return response;
+  }
+
+  function readMetadata(headers) {
+    const metadata = {};
+    for (const [name, value] of headers) {
+      if (name.startsWith(METADATA_HEADER)) metadata[name.slice(METADATA_HEADER.length)] = decodeURIComponent(value);
+    }
+    return metadata;
+  }
+
+  function describeObject(key, response) {
+    return {
+      key,
+      size: parseInt(response.headers.get('content-length'), 10) || 0,
+      lastModified: new Date(response.headers.get('last-modified')),
+      contentType: response.headers.get('content-type'),
+      metadata: readMetadata(response.headers)
+    };
+  }
+
+  return {
+    name: 's3',
+    describe: () => `s3://${bucket}/${keyPrefix}${options.endpoint ? ` at ${endpoint.origin}` : ''}`,
+
+    // Metadata values are URI-encoded: S3 only carries ASCII in headers
+    async put(key, body, putOptions = {}) {
+      const headers = { 'content-type': putOptions.contentType || 'application/octet-stream' };
+      for (const [name, value] of Object.entries(putOptions.metadata || {})) {
+        if (value !== null && value !== undefined) headers[METADATA_HEADER + name.toLowerCase()] = encodeURIComponent(String(value));
+      }
+      await request('PUT', objectPath(key), { headers, body, key });
+      return { key, size: Buffer.byteLength(body) };
+    },
+
+    async head(key) {
+      try {
+        return describeObject(key, await request('HEAD', objectPath(key), { key }));
+      } catch (error) {
+        if (error.code === 'NOT_FOUND') return null;
+        throw error;
+      }
+    },
+
+    async get(key) {
+      const response = await request('GET', objectPath(key), { key });
+      return { ...describeObject(key, response), stream: Readable.fromWeb(response.body) };
+    },
+
+    async read(key) {
+      const response = await request('GET', objectPath(key), { key });
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    // S3 answers 204 whether or not the object existed
+    async delete(key) {
+      await request('DELETE', objectPath(key));
+    },
+
+    async list(prefix = '') {
+      if (!isValidPrefix(prefix)) throw Object.assign(new Error(`Invalid storage prefix '${prefix}'`), { code: 'INVALID_KEY' });
+      const objects = [];
+      let continuationToken = null;
+      do {
+        const query = { 'list-type': '2', prefix: keyPrefix + prefix, ...(continuationToken && { 'continuation-token': continuationToken }) };
+        const xml = await (await request('GET', basePath || '/', { query })).text();
+        for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          objects.push({
+            key: xmlValue(entry, 'Key').slice(keyPrefix.length),
+            size: parseInt(xmlValue(entry, 'Size'), 10) || 0,
+            lastModified: new Date(xmlValue(entry, 'LastModified'))
+          });
+        }
+        continuationToken = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+      } while (continuationToken);
+      return objects;
+    },
+
+    // Presigned GET; filename sets the Content-Disposition S3 answers with
+    signedUrl(key, { expiresIn, filename } = {}) {
+      const { amzDate, dateStamp } = amzDates();
+      const pathname = objectPath(key);
+      const query = {
+        'X-Amz-Algorithm': ALGORITHM,
+        'X-Amz-Credential': `${accessKeyId}/${dateStamp}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(Math.min(Math.max(Math.floor(expiresIn), 1), MAX_PRESIGN_SECONDS)),
+        'X-Amz-SignedHeaders': 'host',
+        ...(sessionToken && { 'X-Amz-Security-Token': sessionToken }),
+        ...(filename && { 'response-content-disposition': `attachment; filename="${filename}"` })
+      };
+      const { signature: sig } = signature('GET', pathname, query, { host }, UNSIGNED_PAYLOAD, amzDate, dateStamp);
+      return urlFor(pathname, { ...query, 'X-Amz-Signature': sig });
+    }
+  };
+}
+
+module.exports = {
+  MAX_PRESIGN_SECONDS,
+  createS3Storage
+};
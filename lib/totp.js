@@ -0,0 +1,79 @@
+// RFC 6238 time-based one-time passwords: the 6-digit codes an authenticator app shows for a base32 secret
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+// Secrets are usually shown in groups ("JBSW Y3DP ...") and sometimes padded with '='
+function decodeBase32(secret) {
+  const clean = String(secret || '').replace(/[\s=-]/g, '').toUpperCase();
+  if (!clean) {
+    throw new Error('TOTP secret is empty');
+  }
+
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`TOTP secret is not valid base32 (unexpected '${char}')`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function isValidSecret(secret) {
+  try {
+    decodeBase32(secret);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// HOTP (RFC 4226) for one time step
+function codeForCounter(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Code for the given time (ms, default now)
+function generateTotp(secret, time = Date.now()) {
+  return codeForCounter(decodeBase32(secret), Math.floor(time / 1000 / PERIOD_SECONDS));
+}
+
+// Accepts the code for the current step or `window` steps either side (clock drift)
+function verifyTotp(code, secret, time = Date.now(), window = 1) {
+  const key = decodeBase32(secret);
+  const counter = Math.floor(time / 1000 / PERIOD_SECONDS);
+  for (let offset = -window; offset <= window; offset++) {
+    if (codeForCounter(key, counter + offset) === String(code)) return true;
+  }
+  return false;
+}
+
+// Seconds until the current code expires
+function secondsRemaining(time = Date.now()) {
+  return PERIOD_SECONDS - Math.floor(time / 1000) % PERIOD_SECONDS;
+}
+
+module.exports = {
+  PERIOD_SECONDS,
+  decodeBase32,
+  isValidSecret,
+  generateTotp,
+  verifyTotp,
+  secondsRemaining
+};
@@ -0,0 +1,81 @@
+// Which URLs the server may call on a client's behalf (job callbacks, schedule load lists): http(s) only, and never
+// loopback, private, link-local (cloud metadata) or other internal addresses, unless the host is listed in
+// OUTBOUND_ALLOWED_HOSTS. Names are checked again after DNS resolution, right before each request.
+const dns = require('dns').promises;
+const net = require('net');
+
+// Comma-separated host names or IP addresses that may be called even though they are internal
+const OUTBOUND_ALLOWED_HOSTS = (process.env.OUTBOUND_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase().replace(/^\[|\]$/g, ''))
+  .filter(Boolean);
+
+// Addresses that are not the public internet (IPv4-mapped IPv6 addresses match the IPv4 ranges)
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv6');
+}
+
+const bareHost = (hostname) => hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+function isAllowedHost(hostname) {
+  return OUTBOUND_ALLOWED_HOSTS.includes(bareHost(hostname));
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// { valid: true, url } or { valid: false, message }; label names the URL in messages ('Callback URL')
+function validateOutboundUrl(value, label = 'URL') {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { valid: false, message: `${label} is not a valid URL: ${value}` };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { valid: false, message: `${label} must use http or https: ${value}` };
+  }
+  if (!isAllowedHost(url.hostname)) {
+    const host = bareHost(url.hostname);
+    if (host === 'localhost' || host.endsWith('.localhost') || isBlockedAddress(host)) {
+      return { valid: false, message: `${label} must not point at a local or private address: ${url.host}` };
+    }
+  }
+  return { valid: true, url: url.toString() };
+}
+
+// validateOutboundUrl plus a DNS lookup: every address the name resolves to must be public
+async function checkOutboundUrl(value, label = 'URL') {
+  const check = validateOutboundUrl(value, label);
+  if (!check.valid) return check;
+
+  const { hostname, host } = new URL(check.url);
+  if (isAllowedHost(hostname) || net.isIP(bareHost(hostname))) return check;
+  let addresses;
+  try {
+    addresses = await dns.lookup(bareHost(hostname), { all: true });
+  } catch (error) {
+    return { valid: false, message: `${label} host ${host} could not be resolved: ${error.code || error.message}` };
+  }
+  const blocked = addresses.find(each => isBlockedAddress(each.address));
+  if (blocked) {
+    return { valid: false, message: `${label} host ${host} resolves to a local or private address (${blocked.address})` };
+  }
+  return check;
+}
+
+module.exports = {
+  OUTBOUND_ALLOWED_HOSTS,
+  isBlockedAddress,
+  validateOutboundUrl,
+  checkOutboundUrl
+};
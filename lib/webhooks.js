@@ -0,0 +1,154 @@
+// Signed webhook delivery with exponential backoff retries
+const crypto = require('crypto');
+const { validateOutboundUrl, checkOutboundUrl } = require('./url-policy');
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 15000;
+
+// Only plain http(s) URLs to public hosts are accepted as callback targets (see lib/url-policy.js)
+function validateCallbackUrl(value) {
+  return validateOutboundUrl(value, 'Callback URL');
+}
+
+// HMAC-SHA256 over "<timestamp>.<raw body>" so receivers can reject replays
+function signPayload(body, timestamp, secret = WEBHOOK_SECRET) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest('hex');
+}
+
+// Build a multipart/form-data body by hand so the exact bytes can be signed
+function buildMultipart(fields, file) {
+  const boundary = `----e2open-${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [];
+
+  for (const [name, value] of Object.entries(fields)) {
+    parts.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${name}"\r\n` +
+      'Content-Type: application/json\r\n\r\n' +
+      `${typeof value === 'string' ? value : JSON.stringify(value)}\r\n`
+    ));
+  }
+
+  if (file) {
+    const safeName = file.filename.replace(/"/g, '');
+    parts.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${file.field || 'file'}"; filename="${safeName}"\r\n` +
+      `Content-Type: ${file.contentType}\r\n\r\n`
+    ));
+    parts.push(file.buffer);
+    parts.push(Buffer.from('\r\n'));
+  }
+
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return {
+    body: Buffer.concat(parts),
+    contentType: `multipart/form-data; boundary=${boundary}`
+  };
+}
+
+function buildJson(payload) {
+  return {
+    body: Buffer.from(JSON.stringify(payload)),
+    contentType: 'application/json'
+  };
+}
+
+function isRetryableStatus(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// POST a payload, retrying with exponential backoff. Every attempt is appended to `log`.
+async function deliverWebhook(url, payload, options = {}) {
+  const event = options.event || 'job.finished';
+  const log = options.log || [];
+  const maxAttempts = options.maxAttempts || WEBHOOK_MAX_ATTEMPTS;
+  const baseDelay = options.baseDelay || WEBHOOK_RETRY_BASE_MS;
+  const secret = options.secret || WEBHOOK_SECRET;
+  const deliveryId = crypto.randomUUID();
+
+  // The host may have been re-pointed at an internal address since the job was accepted
+  const target = await checkOutboundUrl(url, 'Callback URL');
+  if (!target.valid) {
+    log.push({ attempt: 0, deliveryId, at: new Date().toISOString(), status: null, error: target.message, durationMs: 0 });
+    console.error(`[WEBHOOK] Not delivering ${event}: ${target.message}`);
+    return { delivered: false, attempts: 0, status: null };
+  }
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const started = Date.now();
+    const entry = { attempt, deliveryId, at: new Date(started).toISOString(), status: null, error: null, durationMs: null };
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': payload.contentType,
+          'User-Agent': 'e2open-playwright-webhook/1.0',
+          'X-Webhook-Event': event,
+          'X-Webhook-Delivery': deliveryId,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signPayload(payload.body, timestamp, secret)}`,
+          ...(options.headers || {})
+        },
+        body: payload.body,
+        // A redirect could lead anywhere, including the addresses checked above; it counts as a rejection
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+
+      entry.status = response.status;
+      entry.durationMs = Date.now() - started;
+      log.push(entry);
+
+      if (response.ok) {
+        console.log(`[WEBHOOK] Delivered ${event} to ${url} (attempt ${attempt}, HTTP ${response.status})`);
+        return { delivered: true, attempts: attempt, status: response.status };
+      }
+
+      if (!isRetryableStatus(response.status)) {
+        console.error(`[WEBHOOK] ${url} rejected ${event} with HTTP ${response.status}, not retrying`);
+        return { delivered: false, attempts: attempt, status: response.status };
+      }
+
+      console.error(`[WEBHOOK] ${url} returned HTTP ${response.status} (attempt ${attempt}/${maxAttempts})`);
+    } catch (error) {
+      entry.error = error.message;
+      entry.durationMs = Date.now() - started;
+      log.push(entry);
+      console.error(`[WEBHOOK] Delivery to ${url} failed (attempt ${attempt}/${maxAttempts}): ${error.message}`);
+    }
+
+    if (attempt < maxAttempts) {
+      const delay = baseDelay * Math.pow(2, attempt - 1);
+      entry.nextRetryInMs = delay;
+      await sleep(delay);
+    }
+  }
+
+  console.error(`[WEBHOOK] Giving up on ${event} to ${url} after ${maxAttempts} attempts`);
+  return { delivered: false, attempts: maxAttempts, status: null };
+}
+
+function isConfigured() {
+  return Boolean(WEBHOOK_SECRET);
+}
+
+module.exports = {
+  WEBHOOK_MAX_ATTEMPTS,
+  validateCallbackUrl,
+  signPayload,
+  buildMultipart,
+  buildJson,
+  deliverWebhook,
+  isConfigured
+};
@@ -0,0 +1,161 @@
+// Unit tests for API key auth on a small Express app: 401s, 403s, scopes and the audit log
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// auth.js reads these at load
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-auth-'));
+process.env.API_KEYS_FILE = path.join(dir, 'api-keys.json');
+process.env.AUDIT_LOG_PATH = path.join(dir, 'audit', 'audit.log');
+const auth = require('../lib/auth');
+
+const KEYS = { ops: 'ops-key', zapier: 'zapier-key', revoked: 'revoked-key' };
+
+fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify({
+  clients: [
+    { name: 'ops', keyHash: auth.hashKey(KEYS.ops), scopes: { actions: '*', resetSession: true, files: true, allJobs: true } },
+    { name: 'zapier', keyHash: auth.hashKey(KEYS.zapier), scopes: { actions: ['printloadconfirmation'], accounts: ['globex'] } },
+    { name: 'revoked', keyHash: auth.hashKey(KEYS.revoked), disabled: true, scopes: { actions: '*' } },
+    { name: 'broken', keyHash: 'plaintext-key' }
+  ]
+}));
+
+// Audit lines are appended in the background; wait until count of them are there
+async function auditEntries(count) {
+  const deadline = Date.now() + 5000;
+  while (true) {
+    let lines = [];
+    try {
+      lines = fs.readFileSync(auth.AUDIT_LOG_PATH, 'utf8').trim().split('\n').filter(Boolean);
+    } catch (error) {
+      // Not written yet
+    }
+    if (lines.length >= count || Date.now() > deadline) return lines.map(line => JSON.parse(line));
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('API key auth', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    const app = express();
+    app.use('/api', auth.authenticate);
+    app.get('/api/whoami', (req, res) => res.json({
+      client: req.client.name,
+      canPrint: auth.canRunAction(req.client, 'printloadconfirmation'),
+      canCheckSelectors: auth.canRunAction(req.client, 'checkselectors'),
+      canUseGlobex: auth.canUseAccount(req.client, 'Globex'),
+      canUseDefault: auth.canUseAccount(req.client, 'default'),
+      canSeeOthersJob: auth.canSeeJob(req.client, { client: 'someone-else' }),
+      canSeeOwnJob: auth.canSeeJob(req.client, { client: req.client.name })
+    }));
+    app.post('/api/session/reset', auth.requireScope('resetSession'), (req, res) => res.json({ reset: true }));
+    app.get('/health', (req, res) => res.json({ status: 'healthy' }));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('loads only well-formed clients', () => {
+    assert.equal(auth.isEnabled(), true);
+    assert.deepEqual(auth.getClients().map(client => client.name), ['ops', 'zapier', 'revoked']);
+  });
+
+  test('answers 401 for missing, unknown and disabled keys, and audits each', async () => {
+    let response = await fetch(`${url}/api/whoami`);
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+    const body = await response.json();
+    assert.equal(body.code, 'UNAUTHORIZED');
+    assert.equal(body.error, 'Unauthorized');
+    assert.match(body.message, /Missing API key/);
+
+    response = await fetch(`${url}/api/whoami`, { headers: { Authorization: 'Bearer not-a-key' } });
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).message, 'Invalid API key');
+
+    response = await fetch(`${url}/api/whoami`, { headers: { 'x-api-key': KEYS.revoked } });
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).message, 'API key disabled');
+
+    const entries = await auditEntries(3);
+    assert.deepEqual(entries.slice(0, 3).map(entry => [entry.event, entry.status, entry.client]), [
+      ['auth.unauthenticated', 401, 'unknown'],
+      ['auth.unauthenticated', 401, 'unknown'],
+      ['auth.unauthenticated', 401, 'revoked']
+    ]);
+    assert.equal(entries[1].keyFingerprint, auth.hashKey('not-a-key').slice(7, 19));
+    assert.ok(!JSON.stringify(entries).includes('not-a-key'), 'keys are never logged');
+    assert.equal(entries[0].path, '/api/whoami');
+  });
+
+  test('keeps /health open', async () => {
+    assert.equal((await fetch(`${url}/health`)).status, 200);
+  });
+
+  test('applies action, account and job scopes', async () => {
+    const zapier = await (await fetch(`${url}/api/whoami`, { headers: { Authorization: `Bearer ${KEYS.zapier}` } })).json();
+    assert.deepEqual(zapier, {
+      client: 'zapier',
+      canPrint: true,
+      canCheckSelectors: false,
+      canUseGlobex: true,
+      canUseDefault: false,
+      canSeeOthersJob: false,
+      canSeeOwnJob: true
+    });
+
+    const ops = await (await fetch(`${url}/api/whoami`, { headers: { 'x-api-key': KEYS.ops } })).json();
+    assert.equal(ops.canCheckSelectors, true);
+    assert.equal(ops.canUseDefault, true);
+    assert.equal(ops.canSeeOthersJob, true);
+  });
+
+  test('answers 403 without a scope, and audits granted and refused access', async () => {
+    const before = (await auditEntries(3)).length;
+
+    let response = await fetch(`${url}/api/session/reset`, { method: 'POST', headers: { Authorization: `Bearer ${KEYS.zapier}` } });
+    assert.equal(response.status, 403);
+    assert.deepEqual(await response.json(), {
+      error: 'Forbidden',
+      code: 'FORBIDDEN',
+      message: "API key for 'zapier' lacks the 'resetSession' scope",
+      retryable: false,
+      step: null
+    });
+
+    response = await fetch(`${url}/api/session/reset`, { method: 'POST', headers: { Authorization: `Bearer ${KEYS.ops}` } });
+    assert.equal(response.status, 200);
+
+    const entries = (await auditEntries(before + 2)).slice(before);
+    assert.deepEqual(entries.map(entry => [entry.event, entry.client, entry.method, entry.path]), [
+      ['auth.forbidden', 'zapier', 'POST', '/api/session/reset'],
+      ['auth.granted', 'ops', 'POST', '/api/session/reset']
+    ]);
+    assert.equal(entries[0].status, 403);
+    assert.equal(entries[1].scope, 'resetSession');
+  });
+
+  test('picks up a rewritten keys file without a restart', async () => {
+    const config = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'));
+    config.clients[1].disabled = true;
+    fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify(config));
+    // Make sure the modification time moves even on coarse-grained file systems
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(process.env.API_KEYS_FILE, later, later);
+
+    const response = await fetch(`${url}/api/whoami`, { headers: { Authorization: `Bearer ${KEYS.zapier}` } });
+    assert.equal(response.status, 401);
+  });
+});
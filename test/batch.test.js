@@ -0,0 +1,140 @@
+// Browser-free test of POST /api/batch: api-server.js without E2Open credentials fails every load at login (CREDENTIALS_MISSING)
+// before a browser is needed, which is enough to check the ZIP, its manifest and the batch headers
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+// { name: Buffer } for every entry, read through the central directory (sizes there are always filled in)
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, 'end of central directory record');
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50, 'central directory header');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    entries[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+describe('POST /api/batch', () => {
+  let child;
+  let url;
+  let pdfDir;
+  const output = [];
+
+  before(async () => {
+    const port = await getFreePort();
+    pdfDir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-batch-'));
+    child = spawn(process.execPath, [path.join(__dirname, '..', 'api-server.js')], {
+      env: {
+        ...process.env,
+        PORT: String(port),
+        TMS_USERNAME: '',
+        TMS_PASSWORD: '',
+        PDF_SAVE_PATH: pdfDir,
+        SCHEDULER_ENABLED: 'false',
+        BATCH_MAX_LOADS: '5',
+        API_KEYS_FILE: ''
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', chunk => output.push(chunk.toString()));
+    child.stderr.on('data', chunk => output.push(chunk.toString()));
+
+    url = `http://127.0.0.1:${port}`;
+    const deadline = Date.now() + 15000;
+    while (Date.now() < deadline) {
+      try {
+        if ((await fetch(`${url}/health`)).ok) return;
+      } catch (error) {
+        // Not listening yet
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`api-server.js did not start:\n${output.join('')}`);
+  });
+
+  after(async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      await exited;
+    }
+    fs.rmSync(pdfDir, { recursive: true, force: true });
+  });
+
+  const postBatch = (body) => fetch(`${url}/api/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('answers a ZIP whose manifest records each load once, with its error code', async () => {
+    const response = await postBatch({ loadNumbers: ['1001', ' 1002 ', '1001', ''], carrier: 'ACME' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+    assert.equal(response.headers.get('x-batch-succeeded'), '0');
+    assert.equal(response.headers.get('x-batch-failed'), '2');
+    assert.match(response.headers.get('content-disposition'), /^attachment; filename="RATECONS ACME \d\d\.\d\d\.\d\d\.zip"$/);
+    const jobId = response.headers.get('x-job-id');
+
+    const entries = readZip(Buffer.from(await response.arrayBuffer()));
+    assert.deepEqual(Object.keys(entries), ['manifest.json']);
+    const manifest = JSON.parse(entries['manifest.json']);
+    assert.equal(manifest.batchId, jobId);
+    assert.equal(manifest.count, 2);
+    assert.equal(manifest.succeeded, 0);
+    assert.equal(manifest.failed, 2);
+    assert.deepEqual(manifest.results.map(result => [result.loadNumber, result.success, result.code, result.filename]), [
+      ['1001', false, 'CREDENTIALS_MISSING', null],
+      ['1002', false, 'CREDENTIALS_MISSING', null]
+    ]);
+    assert.match(manifest.results[0].error, /No E2Open username and password configured for account 'default'/);
+
+    const job = await (await fetch(`${url}/api/jobs/${jobId}`)).json();
+    assert.equal(job.state, 'succeeded');
+  });
+
+  test('refuses empty and oversized batches and unknown filename tokens', async () => {
+    let response = await postBatch({ loadNumbers: [] });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Missing load numbers');
+
+    response = await postBatch({ loadNumbers: ['1', '2', '3', '4', '5', '6'] });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Batch too large');
+
+    response = await postBatch({ loadNumbers: ['1001'], filenameTemplate: '{nope}' });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Invalid filenameTemplate');
+  });
+});
@@ -0,0 +1,95 @@
+// Unit tests for the context pool without a browser: leasing, waiting for a context, and status checks that leave contexts alone
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AutomationError } = require('../lib/errors');
+const { JobQueue } = require('../lib/job-queue');
+const {
+  getPool,
+  acquireContext,
+  waitForContext,
+  leaseContext,
+  releaseContext,
+  peekBrowserSession,
+  getPoolStatus
+} = require('../lib/browser-session');
+
+describe('browser context pool', () => {
+  test('leases each context once and says so when none is idle', () => {
+    const pool = getPool();
+    const leased = pool.map((_, index) => acquireContext(`job-${index + 1}`));
+    assert.deepEqual(leased.map(slot => slot.id).sort(), pool.map(slot => slot.id).sort());
+    assert.equal(leased[0].currentJob, 'job-1');
+    assert.equal(leaseContext(leased[0], 'again'), false);
+
+    assert.throws(() => acquireContext('one-too-many'), error => {
+      assert.ok(error instanceof AutomationError);
+      assert.equal(error.code, 'SESSION_UNAVAILABLE');
+      assert.match(error.message, /No idle browser context/);
+      return true;
+    });
+
+    pool.forEach(releaseContext);
+    assert.equal(leaseContext(leased[0], 'after-release'), true);
+    releaseContext(leased[0]);
+  });
+
+  test('holds a job queued during a reset until the reset hands a context back', async () => {
+    const pool = getPool();
+    const queue = new JobQueue({ concurrency: 2, maxQueueSize: 10, jobTimeout: 5000 });
+    let resetting;
+    const reset = queue.enqueue(async () => {
+      // Like resetContexts: lease every context, then give each back once it is logged in again
+      pool.forEach(slot => leaseContext(slot, 'session-reset:default'));
+      await new Promise(resolve => { resetting = resolve; });
+      for (const slot of pool) {
+        await new Promise(resolve => setImmediate(resolve));
+        releaseContext(slot);
+      }
+      return 'reset';
+    }, { name: 'session-reset:default' });
+    const job = queue.enqueue(async ({ id, signal }) => {
+      const slot = await waitForContext(id, undefined, { signal });
+      assert.equal(slot.currentJob, id);
+      releaseContext(slot);
+      return slot.id;
+    }, { name: 'printloadconfirmation' });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.ok(pool.every(slot => slot.busy && slot.currentJob === 'session-reset:default'));
+    resetting();
+    assert.equal(await reset.promise, 'reset');
+    assert.equal(await job.promise, pool[0].id);
+    assert.ok(pool.every(slot => !slot.busy));
+  });
+
+  test('stops waiting for a context when the job is aborted', async () => {
+    const pool = getPool();
+    pool.forEach(slot => leaseContext(slot, 'other-job'));
+    const controller = new AbortController();
+    const waiting = waitForContext('timed-out-job', undefined, { signal: controller.signal });
+    controller.abort(new Error('Job timed out'));
+    await assert.rejects(waiting, /Job timed out/);
+
+    // The aborted job is no longer waiting, so releasing a context leaves it idle
+    pool.forEach(releaseContext);
+    assert.ok(pool.every(slot => !slot.busy));
+  });
+
+  test('reports a timed-out context without closing it', async () => {
+    const [slot] = getPool();
+    let closed = false;
+    slot.context = { close: async () => { closed = true; }, pages: () => [] };
+    slot.page = { evaluate: async () => 'E2Open' };
+    slot.lastActivity = Date.now() - slot.account.sessionTimeout - 1000;
+
+    assert.deepEqual(await peekBrowserSession(slot), { active: false, loggedIn: false, timedOut: true });
+    const status = await getPoolStatus(true);
+    assert.equal(status.contexts[0].timedOut, true);
+    assert.equal(status.contexts[0].active, false);
+
+    // Still there for the job that leases it next to replace
+    assert.equal(closed, false);
+    assert.ok(slot.context);
+    assert.ok(slot.page);
+  });
+});
@@ -0,0 +1,64 @@
+// Unit tests for next-run calculation: field parsing the way node-cron reads it, timezones and long gaps
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { nextRun, parseExpression } = require('../lib/cron-time');
+
+const FROM = new Date('2026-10-19T12:00:00Z'); // a Monday
+
+describe('cron next runs', () => {
+  test('parses ranges, lists, steps and names', () => {
+    assert.deepEqual(parseExpression('*/15 7-9 * * 1-5'), {
+      second: [0],
+      minute: [0, 15, 30, 45],
+      hour: [7, 8, 9],
+      day: Array.from({ length: 31 }, (_, i) => i + 1),
+      month: Array.from({ length: 12 }, (_, i) => i + 1),
+      weekday: [1, 2, 3, 4, 5]
+    });
+    const named = parseExpression('30 0 6 1,15 Jan,march Mon-wed,SUNDAY');
+    assert.deepEqual(named.second, [30]);
+    assert.deepEqual(named.month, [1, 3]);
+    assert.deepEqual(named.weekday, [0, 1, 2, 3]);
+    assert.deepEqual(parseExpression('0 0 * * 7').weekday, [0]);
+    // As node-cron reads it: a step keeps the values divisible by it
+    assert.deepEqual(parseExpression('1-10/3 * * * *').minute, [3, 6, 9]);
+  });
+
+  test('rejects malformed expressions', () => {
+    for (const expression of ['* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8', '*/0 * * * *', '* * * foo *', '1/2/3 * * * *']) {
+      assert.throws(() => parseExpression(expression), undefined, expression);
+    }
+  });
+
+  test('finds the next minute, hour and weekday', () => {
+    assert.equal(nextRun('*/10 * * * *', 'UTC', FROM).toISOString(), '2026-10-19T12:10:00.000Z');
+    assert.equal(nextRun('0 7 * * 1-5', 'UTC', FROM).toISOString(), '2026-10-20T07:00:00.000Z');
+    assert.equal(nextRun('0 0 * * sat', 'UTC', FROM).toISOString(), '2026-10-24T00:00:00.000Z');
+    assert.equal(nextRun('15 */2 * * * *', 'UTC', FROM).toISOString(), '2026-10-19T12:00:15.000Z');
+  });
+
+  test('reaches monthly and yearly schedules', () => {
+    assert.equal(nextRun('0 7 1 * *', 'America/Chicago', FROM).toISOString(), '2026-11-01T13:00:00.000Z');
+    assert.equal(nextRun('0 9 29 2 *', 'UTC', FROM).toISOString(), '2028-02-29T09:00:00.000Z');
+    // Day of month and weekday must both match: the next Friday the 13th
+    assert.equal(nextRun('0 0 13 * 5', 'UTC', FROM).toISOString(), '2026-11-13T00:00:00.000Z');
+    assert.equal(nextRun('0 0 31 2 *', 'UTC', FROM), null);
+  });
+
+  test('works in the schedule timezone, across daylight saving changes', () => {
+    assert.equal(nextRun('30 6 * * *', 'Europe/Berlin', FROM).toISOString(), '2026-10-20T04:30:00.000Z');
+    assert.equal(nextRun('30 6 * * *', 'America/New_York', FROM).toISOString(), '2026-10-20T10:30:00.000Z');
+    // 02:30 doesn't exist on 8 March 2026 in New York
+    assert.equal(nextRun('30 2 * * *', 'America/New_York', new Date('2026-03-08T05:00:00Z')).toISOString(), '2026-03-09T06:30:00.000Z');
+    // 01:30 happens twice on 1 November 2026; the first is EDT, the second EST
+    assert.equal(nextRun('30 1 * * *', 'America/New_York', new Date('2026-11-01T04:00:00Z')).toISOString(), '2026-11-01T05:30:00.000Z');
+    assert.equal(nextRun('30 1 * * *', 'America/New_York', new Date('2026-11-01T05:30:00Z')).toISOString(), '2026-11-01T06:30:00.000Z');
+  });
+
+  test('skips runs that accept turns down', () => {
+    const businessHours = date => date.getUTCDay() >= 1 && date.getUTCDay() <= 5 && date.getUTCHours() >= 7 && date.getUTCHours() < 18;
+    const friday = new Date('2026-10-23T23:00:00Z');
+    assert.equal(nextRun('*/10 * * * *', 'UTC', friday, businessHours).toISOString(), '2026-10-26T07:00:00.000Z');
+    assert.equal(nextRun('0 3 * * *', 'UTC', FROM, () => false), null);
+  });
+});
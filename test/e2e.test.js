@@ -0,0 +1,795 @@
+// End-to-end tests: drive api-server.js (and its Playwright session) against the local mock E2Open site
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { startMockE2Open, DEFAULT_USERNAME, DEFAULT_PASSWORD } = require('./mock-e2open/server');
+
+// The suite needs a Playwright Chromium (`npx playwright install chromium`)
+const browserMissing = !fs.existsSync(chromium.executablePath()) &&
+  'Playwright Chromium is not installed (run `npx playwright install chromium`)';
+
+const TEST_TIMEOUT = 120 * 1000;
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+// Start api-server.js in a child process pointed at the mock; resolves once /health answers
+async function startApi(mockUrl, env = {}) {
+  const port = await getFreePort();
+  const pdfDir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-e2e-'));
+  const output = [];
+
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'api-server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HEADLESS: 'true',
+      TMS_BASE_URL: mockUrl,
+      TMS_USERNAME: DEFAULT_USERNAME,
+      TMS_PASSWORD: DEFAULT_PASSWORD,
+      PDF_SAVE_PATH: pdfDir,
+      // Keep scheduled pre-warm/shutdown from changing login counts mid-test
+      SCHEDULER_ENABLED: 'false',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => output.push(chunk.toString()));
+  child.stderr.on('data', chunk => output.push(chunk.toString()));
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${url}/health`);
+      if (response.ok) break;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  return {
+    url,
+    pdfDir,
+    output,
+    stop: async () => {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      await exited;
+      fs.rmSync(pdfDir, { recursive: true, force: true });
+    }
+  };
+}
+
+function runAutomation(api, headers) {
+  return fetch(`${api.url}/api/automation`, { method: 'POST', headers });
+}
+
+// Submit with x-async and poll until the job has finished; resolves to the job
+async function runAsyncJob(api, headers) {
+  const response = await runAutomation(api, { ...headers, 'x-async': 'true' });
+  assert.equal(response.status, 202);
+  const { id } = await response.json();
+  const deadline = Date.now() + TEST_TIMEOUT;
+  while (Date.now() < deadline) {
+    const job = await (await fetch(`${api.url}/api/jobs/${id}`)).json();
+    if (job.state === 'succeeded' || job.state === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+async function mockState(mock) {
+  return (await fetch(`${mock.url}/__mock/state`)).json();
+}
+
+// Run e2open-tms-script.js against the mock; resolves to { code, stdout, stderr } once it exits
+function runCli(mockUrl, args, env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'e2open-tms-script.js'), ...args], {
+      env: {
+        ...process.env,
+        HEADLESS: 'true',
+        TMS_BASE_URL: mockUrl,
+        TMS_USERNAME: DEFAULT_USERNAME,
+        TMS_PASSWORD: DEFAULT_PASSWORD,
+        ...env
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+describe('load confirmation against the mock E2Open site', { skip: browserMissing, timeout: TEST_TIMEOUT * 9 }, () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockE2Open();
+    api = await startApi(mock.url);
+  });
+
+  after(async () => {
+    if (api) await api.stop();
+    if (mock) await mock.close();
+  });
+
+  test('prints the Load Report as a PDF (happy path)', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, { 'x-action': 'printloadconfirmation', 'x-load-number': '1001' });
+    assert.equal(response.status, 200, api.output.join(''));
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.match(response.headers.get('x-filename'), /^RATECON MULDER BROTHERS 1001 \d{2}\.\d{2}\.\d{2}\.pdf$/);
+
+    const body = Buffer.from(await response.arrayBuffer());
+    assert.equal(body.subarray(0, 4).toString(), '%PDF');
+
+    const state = await mockState(mock);
+    assert.equal(state.logins, 1);
+    assert.deepEqual(state.reportsOpened, ['1001']);
+  });
+
+  test('reuses the logged-in session for the next load', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, { 'x-action': 'printloadconfirmation', 'x-load-number': '1001' });
+    assert.equal(response.status, 200);
+    assert.equal((await mockState(mock)).logins, 1);
+  });
+
+  test('exposes step timings and counters on /metrics', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await fetch(`${api.url}/metrics`);
+    assert.equal(response.status, 200);
+    const text = await response.text();
+    assert.match(text, /e2open_jobs_total\{action="printloadconfirmation",outcome="succeeded",code=""\} 2/);
+    assert.match(text, /e2open_logins_total\{account="default",outcome="succeeded"\} 1/);
+    for (const step of ['login', 'search', 'load-report', 'payable-expand', 'pdf']) {
+      assert.match(text, new RegExp(`e2open_step_duration_seconds_count\\{step="${step}",outcome="succeeded"\\} 2`));
+    }
+    assert.match(text, /e2open_output_bytes_count\{format="pdf"\} 2/);
+    assert.match(text, /e2open_browser_contexts\{account="default",state="idle"\} 1/);
+  });
+
+  test('returns Load Report data as JSON', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1001' });
+    assert.equal(response.status, 200);
+    const details = await response.json();
+    assert.equal(details.loadId, '1001');
+    assert.equal(details.equipment, "53' Dry Van");
+    assert.equal(details.stops.length, 2);
+    assert.equal(details.stops[0].type, 'pickup');
+    assert.equal(details.rates.payable.total, 1250);
+    assert.deepEqual(details.rates.payable.lines.map(line => line.amount), [1100, 150]);
+  });
+
+  test('archives every print and flags a reissue with a new payable total', { timeout: TEST_TIMEOUT }, async () => {
+    let archived = await (await fetch(`${api.url}/api/archive/1001`)).json();
+    assert.equal(archived.count, 2);
+    assert.equal(archived.versions[0].payable.total, 1250);
+    assert.equal(archived.versions[0].payable.lines.length, 2);
+    assert.equal(archived.versions[1].payableChanged, false);
+
+    await fetch(`${mock.url}/__mock/loads/1001/payable`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({
+        total: '$1,400.00 USD',
+        lines: [
+          { code: 'LH', description: 'Linehaul', qty: '1', rate: '$1,250.00', amount: '$1,250.00' },
+          { code: 'FSC', description: 'Fuel Surcharge', qty: '1', rate: '$150.00', amount: '$150.00' }
+        ]
+      })
+    });
+    const response = await runAutomation(api, { 'x-action': 'printloadconfirmation', 'x-load-number': '1001' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-ratecon-version'), '3');
+    assert.equal(response.headers.get('x-payable-changed'), 'true');
+
+    const diff = await (await fetch(`${api.url}/api/archive/1001/diff`)).json();
+    assert.deepEqual(diff.total, { from: 1250, to: 1400, change: 150, currency: 'USD' });
+    assert.deepEqual(diff.changed.map(line => line.code), ['LH']);
+    assert.equal(diff.unchanged, 1);
+
+    const first = await fetch(`${api.url}/api/archive/1001/1`);
+    assert.equal(first.status, 200);
+    assert.equal(Buffer.from(await first.arrayBuffer()).subarray(0, 4).toString(), '%PDF');
+    archived = await (await fetch(`${api.url}/api/archive/1001`)).json();
+    assert.equal(archived.versions[2].previousPayableTotal, 1250);
+  });
+
+  test('keeps async results behind opaque IDs and signed, expiring links', { timeout: TEST_TIMEOUT }, async () => {
+    const job = await runAsyncJob(api, { 'x-action': 'printloadconfirmation', 'x-load-number': '1001' });
+    assert.equal(job.state, 'succeeded');
+    assert.match(job.result.fileId, /^[0-9a-f-]{36}$/);
+
+    const { files } = await (await fetch(`${api.url}/api/files`)).json();
+    assert.ok(files.some(file => file.id === job.result.fileId && file.jobId === job.id));
+
+    const link = await (await fetch(`${api.url}/api/files/${job.result.fileId}/link?expiresIn=60`)).json();
+    const download = await fetch(`${api.url}${link.url}`);
+    assert.equal(download.status, 200);
+    assert.equal(Buffer.from(await download.arrayBuffer()).subarray(0, 4).toString(), '%PDF');
+    assert.equal((await fetch(`${api.url}${link.url.replace(/signature=[^&]+/, 'signature=forged')}`)).status, 403);
+
+    // Raw filenames and paths are no longer accepted anywhere
+    assert.equal((await fetch(`${api.url}/api/download/..%2Fschedules.json`)).status, 404);
+    assert.equal((await fetch(`${api.url}/api/files/..%2F..%2Fschedules.json`)).status, 404);
+    // Every print so far has been sent or stored, so nothing is left in the work folder
+    assert.deepEqual(fs.readdirSync(path.join(api.pdfDir, 'work')), []);
+  });
+
+  test('still prints when the load has no Payable section', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, { 'x-action': 'printloadconfirmation', 'x-load-number': 'NOPAY' });
+    assert.equal(response.status, 200);
+    const body = Buffer.from(await response.arrayBuffer());
+    assert.equal(body.subarray(0, 4).toString(), '%PDF');
+  });
+
+  test('numbers batch ZIP entries whose template leaves out {load}', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await fetch(`${api.url}/api/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ loadNumbers: ['1001', 'NOPAY'], filenameTemplate: 'RATECON {carrier}' })
+    });
+    assert.equal(response.status, 200, api.output.join(''));
+    assert.equal(response.headers.get('x-batch-succeeded'), '2');
+
+    // Entry names are stored uncompressed in the ZIP headers
+    const zip = Buffer.from(await response.arrayBuffer()).toString('latin1');
+    assert.ok(zip.includes('RATECON MULDER BROTHERS.pdf'));
+    assert.ok(zip.includes('RATECON MULDER BROTHERS-2.pdf'));
+  });
+
+  test('fails with PAYABLE_SECTION_MISSING when a Payable section is required', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, {
+      'x-action': 'printloadconfirmation',
+      'x-load-number': 'NOPAY',
+      'x-require-payable': 'true'
+    });
+    assert.equal(response.status, 422);
+    const body = await response.json();
+    assert.equal(body.code, 'PAYABLE_SECTION_MISSING');
+    assert.equal(body.step, 'payable-expand');
+  });
+
+  test('fails cleanly when the load does not exist', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, {
+      'x-action': 'printloadconfirmation',
+      'x-load-number': '999999',
+      'x-request-id': 'e2e-missing-load'
+    });
+    assert.equal(response.status, 404);
+    assert.equal(response.headers.get('x-request-id'), 'e2e-missing-load');
+    const body = await response.json();
+    assert.equal(body.requestId, 'e2e-missing-load');
+    assert.equal(body.code, 'LOAD_NOT_FOUND');
+    assert.equal(body.retryable, false);
+    assert.equal(body.stack, undefined);
+    assert.match(body.message, /Load Report page not found for load 999999/);
+    // A missing load is not worth a retry
+    assert.equal(body.attempts.length, 1);
+    assert.equal(body.attempts[0].error.name, 'LoadNotFoundError');
+
+    // The failure was captured: screenshot and HTML of the search page plus a trace
+    assert.ok(body.diagnosticsId);
+    const bundle = await fetch(`${api.url}${body.diagnosticsUrl}`);
+    assert.equal(bundle.status, 200);
+    assert.equal(bundle.headers.get('content-type'), 'application/zip');
+    const bundleDir = path.join(api.pdfDir, 'diagnostics', body.diagnosticsId);
+    const manifest = JSON.parse(fs.readFileSync(path.join(bundleDir, 'manifest.json'), 'utf8'));
+    assert.equal(manifest.captures[0].error.code, 'LOAD_NOT_FOUND');
+    assert.ok(manifest.captures[0].pages.some(page => page.screenshot && page.html));
+    assert.ok(fs.existsSync(path.join(bundleDir, 'attempt-1', 'trace.zip')));
+
+    // The job's log lines carry the caller's request ID
+    const lines = api.output.join('').split('\n').filter(line => line.includes('"requestId":"e2e-missing-load"'));
+    assert.ok(lines.some(line => JSON.parse(line).component === 'automation' && JSON.parse(line).jobId));
+  });
+
+  test('logs in again when E2Open expires the session', { timeout: TEST_TIMEOUT }, async () => {
+    const before = (await mockState(mock)).logins;
+    await fetch(`${mock.url}/__mock/expire-sessions`, { method: 'POST' });
+
+    const response = await runAutomation(api, { 'x-action': 'printloadconfirmation', 'x-load-number': '1001' });
+    assert.equal(response.status, 200, api.output.join(''));
+    assert.equal((await mockState(mock)).logins, before + 1);
+
+    // The first attempt hits the login page at search and is retried on a fresh context
+    assert.equal(response.headers.get('x-attempts'), '2');
+    const job = await (await fetch(`${api.url}/api/jobs/${response.headers.get('x-job-id')}`)).json();
+    assert.equal(job.attempts[0].retryReason, 'session-expired');
+    assert.equal(job.attempts[0].step, 'search');
+    assert.equal(job.attempts[1].outcome, 'succeeded');
+  });
+});
+
+describe('session idle timeout', { skip: browserMissing, timeout: TEST_TIMEOUT * 2 }, () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockE2Open();
+    api = await startApi(mock.url, { SESSION_TIMEOUT_MS: '1000' });
+  });
+
+  after(async () => {
+    if (api) await api.stop();
+    if (mock) await mock.close();
+  });
+
+  test('starts a fresh session after SESSION_TIMEOUT', { timeout: TEST_TIMEOUT }, async () => {
+    let response = await runAutomation(api, { 'x-action': 'printloadconfirmation', 'x-load-number': '1001' });
+    assert.equal(response.status, 200);
+    await response.arrayBuffer();
+
+    await new Promise(resolve => setTimeout(resolve, 1500));
+
+    response = await runAutomation(api, { 'x-action': 'printloadconfirmation', 'x-load-number': '1001' });
+    assert.equal(response.status, 200);
+    assert.equal((await mockState(mock)).logins, 2);
+  });
+});
+
+describe('bad credentials', { skip: browserMissing, timeout: TEST_TIMEOUT }, () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockE2Open();
+    api = await startApi(mock.url, { TMS_PASSWORD: 'wrong-password' });
+  });
+
+  after(async () => {
+    if (api) await api.stop();
+    if (mock) await mock.close();
+  });
+
+  test('reports a login failure instead of searching', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, { 'x-action': 'printloadconfirmation', 'x-load-number': '1001' });
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.code, 'AUTH_FAILED');
+    assert.equal(body.step, 'login');
+    assert.match(body.message, /rejected the credentials/);
+
+    const state = await mockState(mock);
+    assert.ok(state.failedLogins >= 1);
+    assert.equal(state.logins, 0);
+    assert.deepEqual(state.searches, []);
+  });
+});
+
+describe('multiple E2Open accounts', { skip: browserMissing, timeout: TEST_TIMEOUT * 3 }, () => {
+  let acme;
+  let globex;
+  let api;
+  let configPath;
+
+  before(async () => {
+    acme = await startMockE2Open({ username: 'acmeuser', password: 'acmepass' });
+    globex = await startMockE2Open({ username: 'globexuser', password: 'globexpass' });
+    configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-accounts-')), 'accounts.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      default: 'acme',
+      accounts: {
+        acme: { username: 'acmeuser', password: 'acmepass', baseUrl: acme.url },
+        globex: { username: 'globexuser', password: 'globexpass', baseUrl: globex.url }
+      }
+    }));
+    api = await startApi(acme.url, { ACCOUNTS_CONFIG: configPath, TMS_USERNAME: '', TMS_PASSWORD: '', BROWSER_POOL_SIZE: '1' });
+  });
+
+  after(async () => {
+    if (api) await api.stop();
+    if (acme) await acme.close();
+    if (globex) await globex.close();
+    if (configPath) fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+  });
+
+  test('routes each request to the session of the chosen account', { timeout: TEST_TIMEOUT }, async () => {
+    let response = await runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1001' });
+    assert.equal(response.status, 200, api.output.join(''));
+    response = await runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1001', 'x-account': 'globex' });
+    assert.equal(response.status, 200, api.output.join(''));
+
+    assert.equal((await mockState(acme)).logins, 1);
+    assert.equal((await mockState(globex)).logins, 1);
+
+    const session = await (await fetch(`${api.url}/api/session?account=globex`)).json();
+    assert.equal(session.account, 'globex');
+    assert.equal(session.contexts[0].loggedIn, true);
+  });
+
+  test('runs jobs of different accounts at the same time', { timeout: TEST_TIMEOUT }, async () => {
+    const { queue } = await (await fetch(`${api.url}/health`)).json();
+    assert.equal(queue.concurrency, 2);
+    assert.equal(queue.keyConcurrency, 1);
+
+    const responses = await Promise.all([
+      runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1002' }),
+      runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1002', 'x-account': 'globex' })
+    ]);
+    assert.deepEqual(responses.map(response => response.status), [200, 200], api.output.join(''));
+    // Neither job waited in the queue for the other
+    assert.deepEqual(responses.map(response => response.headers.get('x-queue-position')), ['0', '0']);
+  });
+
+  test('rejects an unknown account', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1001', 'x-account': 'initech' });
+    assert.equal(response.status, 400);
+    assert.deepEqual((await response.json()).accounts.sort(), ['acme', 'globex']);
+  });
+});
+
+describe('multi-step login', { skip: browserMissing, timeout: TEST_TIMEOUT * 4 }, () => {
+  const TOTP_SECRET = 'JBSWY3DPEHPK3PXP';
+  let sso;
+  let mfa;
+  let expired;
+  let api;
+  let configPath;
+
+  before(async () => {
+    sso = await startMockE2Open({ sso: true, totpSecret: TOTP_SECRET, keepSignedInPrompt: true });
+    mfa = await startMockE2Open({ totpSecret: TOTP_SECRET });
+    expired = await startMockE2Open({ passwordExpired: true });
+    const credentials = { username: DEFAULT_USERNAME, password: DEFAULT_PASSWORD };
+    configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-login-')), 'accounts.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      default: 'sso',
+      accounts: {
+        sso: { ...credentials, totpSecret: TOTP_SECRET, baseUrl: sso.url },
+        nosecret: { ...credentials, baseUrl: mfa.url },
+        wrongsecret: { ...credentials, totpSecret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', baseUrl: mfa.url },
+        expired: { ...credentials, baseUrl: expired.url }
+      }
+    }));
+    api = await startApi(sso.url, { ACCOUNTS_CONFIG: configPath, TMS_USERNAME: '', TMS_PASSWORD: '' });
+  });
+
+  after(async () => {
+    if (api) await api.stop();
+    for (const mock of [sso, mfa, expired]) {
+      if (mock) await mock.close();
+    }
+    if (configPath) fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+  });
+
+  test('walks username, password, verification code and "stay signed in" pages', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1001', 'x-account': 'sso' });
+    assert.equal(response.status, 200, api.output.join(''));
+
+    const state = await mockState(sso);
+    assert.equal(state.logins, 1);
+    assert.equal(state.mfaVerified, 1);
+    assert.equal(state.failedMfa, 0);
+    assert.equal(state.keepSignedIn, true);
+  });
+
+  test('fails with MFA_NOT_CONFIGURED when no TOTP secret is set', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1001', 'x-account': 'nosecret' });
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.code, 'MFA_NOT_CONFIGURED');
+    assert.equal(body.step, 'login');
+    assert.equal(body.loginStep, 'totp');
+  });
+
+  test('fails with MFA_FAILED when E2Open rejects the code', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1001', 'x-account': 'wrongsecret' });
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.code, 'MFA_FAILED');
+    assert.equal(body.loginStep, 'totp');
+    // One retry with the next code, then no more
+    assert.equal((await mockState(mfa)).failedMfa, 2);
+  });
+
+  test('fails with PASSWORD_CHANGE_REQUIRED on an expired password', { timeout: TEST_TIMEOUT }, async () => {
+    const response = await runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1001', 'x-account': 'expired' });
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.code, 'PASSWORD_CHANGE_REQUIRED');
+    assert.equal(body.loginStep, 'password-change');
+    assert.equal(body.retryable, false);
+    assert.equal((await mockState(expired)).logins, 0);
+  });
+});
+
+describe('saved session state', { skip: browserMissing, timeout: TEST_TIMEOUT * 3 }, () => {
+  let mock;
+  let stateDir;
+  const env = () => ({ SESSION_STATE_KEY: 'e2e-test-key', SESSION_STATE_PATH: stateDir });
+
+  before(async () => {
+    mock = await startMockE2Open();
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-state-'));
+  });
+
+  after(async () => {
+    if (mock) await mock.close();
+    if (stateDir) fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  test('restores the login after a restart and can be purged', { timeout: TEST_TIMEOUT }, async () => {
+    let api = await startApi(mock.url, env());
+    try {
+      const response = await runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1001' });
+      assert.equal(response.status, 200, api.output.join(''));
+    } finally {
+      await api.stop();
+    }
+    assert.equal((await mockState(mock)).logins, 1);
+    const saved = fs.readFileSync(path.join(stateDir, 'default-1.state'), 'utf8');
+    assert.ok(!saved.includes('mock_session'), 'state file must be encrypted');
+
+    api = await startApi(mock.url, env());
+    try {
+      let response = await runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1001' });
+      assert.equal(response.status, 200, api.output.join(''));
+      assert.equal((await mockState(mock)).logins, 1, 'restored session should skip the login form');
+
+      response = await fetch(`${api.url}/api/session/state`, { method: 'DELETE' });
+      assert.deepEqual((await response.json()).purged, [1]);
+      assert.ok(!fs.existsSync(path.join(stateDir, 'default-1.state')));
+    } finally {
+      await api.stop();
+    }
+  });
+});
+
+describe('selector map', { skip: browserMissing, timeout: TEST_TIMEOUT * 3 }, () => {
+  let mock;
+  let api;
+  let selectorsFile;
+
+  before(async () => {
+    // A UI change that renamed the search box and the Payable folder: the old IDs now only work as fallbacks
+    selectorsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-selectors-')), 'selectors.json');
+    fs.writeFileSync(selectorsFile, JSON.stringify({
+      version: 'e2e-2',
+      elements: {
+        searchField: { fallbacks: ['#global-search-v2', '#menu-search-input'] },
+        payableExpandButton: { fallbacks: ['#payable-folder-v2', '#test-ratedetails-folder'] }
+      }
+    }));
+    mock = await startMockE2Open();
+    api = await startApi(mock.url, { SELECTORS_FILE: selectorsFile });
+  });
+
+  after(async () => {
+    if (api) await api.stop();
+    if (mock) await mock.close();
+    fs.rmSync(path.dirname(selectorsFile), { recursive: true, force: true });
+  });
+
+  test('reports which fallback each selector resolved to', { timeout: TEST_TIMEOUT }, async () => {
+    const map = await (await fetch(`${api.url}/api/selectors`)).json();
+    assert.equal(map.version, 'e2e-2');
+    assert.deepEqual(map.elements.searchField.fallbacks, ['#global-search-v2', '#menu-search-input']);
+
+    const response = await fetch(`${api.url}/api/selectors/health?load=1001`);
+    assert.equal(response.status, 200);
+    const report = await response.json();
+    const byName = Object.fromEntries(report.elements.map(each => [each.name, each]));
+    assert.equal(report.healthy, true);
+    assert.equal(report.version, 'e2e-2');
+    assert.equal(byName.searchField.status, 'fallback');
+    assert.deepEqual(byName.searchField.matched, { index: 1, selector: '#menu-search-input' });
+    assert.equal(byName.payableExpandButton.status, 'fallback');
+    assert.equal(byName.loginForm.status, 'ok');
+    assert.equal(byName.usernameField.status, 'ok');
+    assert.equal(byName.loggedInUser.status, 'ok');
+    assert.equal(byName.rateTable.status, 'ok');
+    assert.equal(byName.verificationCodeField.status, 'skipped');
+    assert.deepEqual(report.windows[0].matched, { by: 'url', pattern: 'LoadReport' });
+  });
+
+  test('prints and reads rate lines through the fallbacks', { timeout: TEST_TIMEOUT }, async () => {
+    const print = await runAutomation(api, { 'x-action': 'printloadconfirmation', 'x-load-number': '1001' });
+    assert.equal(print.status, 200);
+    await print.arrayBuffer();
+
+    const details = await (await runAutomation(api, { 'x-action': 'getloaddetails', 'x-load-number': '1001' })).json();
+    assert.equal(details.rates.payable.total, 1250);
+    assert.equal(details.rates.payable.lines.length, 2);
+  });
+
+  test('flags a search that opens no Load Report', { timeout: TEST_TIMEOUT }, async () => {
+    const report = await (await fetch(`${api.url}/api/selectors/health?load=999999`)).json();
+    const byName = Object.fromEntries(report.elements.map(each => [each.name, each]));
+    assert.equal(report.healthy, false);
+    assert.equal(report.errors[0].code, 'LOAD_NOT_FOUND');
+    assert.equal(report.windows[0].matched, null);
+    assert.equal(byName.searchError.status, 'ok');
+    assert.equal(byName.payableExpandButton.status, 'skipped');
+  });
+});
+
+describe('recurring schedules', { skip: browserMissing, timeout: TEST_TIMEOUT * 2 }, () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockE2Open();
+    api = await startApi(mock.url);
+  });
+
+  after(async () => {
+    if (api) await api.stop();
+    if (mock) await mock.close();
+  });
+
+  test('runs a schedule on demand and writes the PDFs to the drop folder', { timeout: TEST_TIMEOUT }, async () => {
+    let response = await fetch(`${api.url}/api/schedules`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: 'e2e',
+        cron: '0 7 * * 1-5',
+        source: { type: 'list', loadNumbers: ['1001', '9999'] },
+        outputDir: 'e2e'
+      })
+    });
+    assert.equal(response.status, 201, api.output.join(''));
+    const schedule = await response.json();
+
+    response = await fetch(`${api.url}/api/schedules/${schedule.id}/run`, { method: 'POST' });
+    assert.equal(response.status, 202);
+    const statusUrl = `${api.url}${response.headers.get('location')}`;
+
+    let run = await response.json();
+    const deadline = Date.now() + 60000;
+    while (run.state === 'running' && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      run = await (await fetch(statusUrl)).json();
+    }
+
+    assert.equal(run.state, 'partial', api.output.join(''));
+    const printed = run.results.find(result => result.loadNumber === '1001');
+    assert.ok(printed.success);
+    assert.equal(path.dirname(printed.outputPath), path.join(api.pdfDir, 'dropbox', 'e2e'));
+    assert.equal(fs.readFileSync(printed.outputPath).subarray(0, 4).toString(), '%PDF');
+
+    const missing = run.results.find(result => result.loadNumber === '9999');
+    assert.equal(missing.success, false);
+    assert.ok(missing.error.message);
+    assert.ok(missing.error.step);
+  });
+});
+
+describe('command-line tool', { skip: browserMissing, timeout: TEST_TIMEOUT * 4 }, () => {
+  let mock;
+  let workDir;
+  let env;
+
+  before(async () => {
+    mock = await startMockE2Open();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-cli-'));
+    env = { PDF_SAVE_PATH: path.join(workDir, 'work') };
+  });
+
+  after(async () => {
+    if (mock) await mock.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('prints a ratecon into --out', { timeout: TEST_TIMEOUT }, async () => {
+    const outDir = path.join(workDir, 'pdfs');
+    const result = await runCli(mock.url, ['print-ratecon', '1001', '--out', outDir, '--json'], env);
+    assert.equal(result.code, 0, result.stderr);
+
+    const report = JSON.parse(result.stdout);
+    assert.equal(report.succeeded, 1);
+    const [printed] = report.results;
+    assert.equal(path.dirname(printed.file), outDir);
+    assert.match(printed.filename, /^RATECON MULDER BROTHERS 1001 \d{2}\.\d{2}\.\d{2}\.pdf$/);
+    assert.equal(fs.readFileSync(printed.file).subarray(0, 4).toString(), '%PDF');
+  });
+
+  test('exits with the error\'s code for a missing load', { timeout: TEST_TIMEOUT }, async () => {
+    const result = await runCli(mock.url, ['print-ratecon', '999999', '--out', path.join(workDir, 'pdfs')], env);
+    assert.equal(result.code, 3, result.stderr);
+    assert.match(result.stdout, /999999 {2}LOAD_NOT_FOUND/);
+  });
+
+  test('prints a batch file and exits 20 when only some loads fail', { timeout: TEST_TIMEOUT }, async () => {
+    const list = path.join(workDir, 'loads.csv');
+    fs.writeFileSync(list, 'load,carrier\n1001,MULDER\n999999,MULDER\n');
+    const outDir = path.join(workDir, 'batch');
+    const result = await runCli(mock.url, ['print-ratecon', '--batch', list, '--out', outDir, '--json'], env);
+    assert.equal(result.code, 20, result.stderr);
+
+    const report = JSON.parse(result.stdout);
+    assert.equal(report.count, 2);
+    assert.deepEqual(report.results.map(each => [each.loadNumber, each.success]), [['1001', true], ['999999', false]]);
+    assert.equal(report.results[1].code, 'LOAD_NOT_FOUND');
+    assert.deepEqual(fs.readdirSync(outDir), [report.results[0].filename]);
+  });
+
+  test('numbers files in --out whose template leaves out {load}', { timeout: TEST_TIMEOUT }, async () => {
+    const outDir = path.join(workDir, 'numbered');
+    const result = await runCli(mock.url, ['print-ratecon', '1001', 'NOPAY', '--template', 'RATECON {carrier}', '--out', outDir, '--json'], env);
+    assert.equal(result.code, 0, result.stderr);
+
+    const report = JSON.parse(result.stdout);
+    assert.deepEqual(report.results.map(each => each.filename), ['RATECON MULDER BROTHERS.pdf', 'RATECON MULDER BROTHERS-2.pdf']);
+    assert.deepEqual(fs.readdirSync(outDir).sort(), ['RATECON MULDER BROTHERS-2.pdf', 'RATECON MULDER BROTHERS.pdf']);
+  });
+
+  test('reports session status and fails a bad login with its exit code', { timeout: TEST_TIMEOUT }, async () => {
+    let result = await runCli(mock.url, ['session', 'status', '--json'], env);
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal(JSON.parse(result.stdout).loggedIn, true);
+
+    result = await runCli(mock.url, ['session', 'status', '--json'], { ...env, TMS_PASSWORD: 'wrong' });
+    assert.equal(result.code, 10, result.stderr);
+    assert.equal(JSON.parse(result.stdout).code, 'AUTH_FAILED');
+  });
+});
+
+// Needs a reachable S3-compatible store with an existing bucket, e.g. MinIO from `docker compose --profile s3 up`
+const s3Missing = !process.env.E2E_S3_ENDPOINT &&
+  'E2E_S3_ENDPOINT is not set (point it, E2E_S3_BUCKET and E2E_S3_ACCESS_KEY_ID/E2E_S3_SECRET_ACCESS_KEY at a MinIO)';
+
+describe('S3 storage backend', { skip: browserMissing || s3Missing, timeout: TEST_TIMEOUT * 2 }, () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockE2Open();
+    api = await startApi(mock.url, {
+      STORAGE_BACKEND: 's3',
+      S3_ENDPOINT: process.env.E2E_S3_ENDPOINT,
+      S3_BUCKET: process.env.E2E_S3_BUCKET || 'e2open-test',
+      S3_ACCESS_KEY_ID: process.env.E2E_S3_ACCESS_KEY_ID || 'minioadmin',
+      S3_SECRET_ACCESS_KEY: process.env.E2E_S3_SECRET_ACCESS_KEY || 'minioadmin',
+      // A fresh prefix per run keeps earlier runs' archive versions out of the counts
+      S3_PREFIX: `e2e-${Date.now()}`
+    });
+  });
+
+  after(async () => {
+    if (api) await api.stop();
+    if (mock) await mock.close();
+  });
+
+  test('stores job results and archive versions in the bucket', { timeout: TEST_TIMEOUT }, async () => {
+    const job = await runAsyncJob(api, { 'x-action': 'printloadconfirmation', 'x-load-number': '1001' });
+    assert.equal(job.state, 'succeeded', api.output.join(''));
+
+    const result = await fetch(`${api.url}/api/jobs/${job.id}/result`);
+    assert.equal(result.status, 200);
+    assert.equal(Buffer.from(await result.arrayBuffer()).subarray(0, 4).toString(), '%PDF');
+
+    // A presigned URL straight to the bucket, not a link back to the API
+    const link = await (await fetch(`${api.url}/api/files/${job.result.fileId}/link`)).json();
+    assert.ok(link.url.startsWith(process.env.E2E_S3_ENDPOINT), link.url);
+    const download = await fetch(link.url);
+    assert.equal(download.status, 200);
+    assert.equal(Buffer.from(await download.arrayBuffer()).subarray(0, 4).toString(), '%PDF');
+
+    const archived = await (await fetch(`${api.url}/api/archive/1001`)).json();
+    assert.equal(archived.count, 1);
+    const version = await fetch(`${api.url}${archived.versions[0].downloadUrl}`);
+    assert.equal(version.headers.get('x-content-sha256'), archived.versions[0].sha256);
+    assert.ok(!fs.existsSync(path.join(api.pdfDir, 'storage')), 'nothing should be stored on local disk');
+  });
+});
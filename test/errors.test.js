@@ -0,0 +1,166 @@
+// Unit tests for the error taxonomy (codes, response bodies, exit codes) and which failures are retried
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ERROR_CODES,
+  AutomationError,
+  toAutomationError,
+  errorBody,
+  sendError,
+  exitCodeFor,
+  validationError
+} = require('../lib/errors');
+const { QueueFullError, QueueClosedError, JobTimeoutError } = require('../lib/job-queue');
+const { SessionExpiredError } = require('../lib/browser-session');
+const { LoadNotFoundError } = require('../lib/load-report');
+const { retryReason } = require('../lib/retry-policy');
+
+const named = (name, message) => Object.assign(new Error(message), { name });
+
+// Just enough of an Express response for sendError
+function fakeResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+describe('error taxonomy', () => {
+  test('typed errors take status, retryable and title from their code', () => {
+    const error = new AutomationError('UPSTREAM_TIMEOUT', 'slow', { step: 'search' });
+    assert.equal(error.status, 504);
+    assert.equal(error.retryable, true);
+    assert.equal(error.title, 'E2Open timed out');
+    assert.equal(error.step, 'search');
+
+    const unknown = new AutomationError('NO_SUCH_CODE', 'what');
+    assert.equal(unknown.code, 'INTERNAL_ERROR');
+    assert.equal(unknown.status, 500);
+  });
+
+  test('classifies untyped errors', () => {
+    const cases = [
+      [named('TimeoutError', 'waiting for selector'), 'UPSTREAM_TIMEOUT', 504],
+      [new JobTimeoutError('job timed out', 1000), 'UPSTREAM_TIMEOUT', 504],
+      [new QueueFullError('queue full', 30), 'QUEUE_FULL', 429],
+      [new QueueClosedError('shutting down', 5), 'SESSION_UNAVAILABLE', 503],
+      [new Error('Target page, context or browser has been closed'), 'SESSION_UNAVAILABLE', 503],
+      [new Error('net::ERR_CONNECTION_REFUSED at https://tms'), 'SESSION_UNAVAILABLE', 503],
+      [new Error('something else'), 'INTERNAL_ERROR', 500]
+    ];
+    for (const [error, code, status] of cases) {
+      const typed = toAutomationError(error);
+      assert.equal(typed.code, code, error.message);
+      assert.equal(typed.status, status, error.message);
+      assert.equal(typed.cause, error);
+    }
+    assert.equal(toAutomationError(new JobTimeoutError('x', 1)).title, 'Automation timed out');
+  });
+
+  test('keeps the step, attempts and diagnostics ID of a wrapped error', () => {
+    const error = Object.assign(new Error('boom'), { step: 'pdf', attempts: [{ attempt: 1 }], diagnosticsId: 'abc' });
+    const body = errorBody(error);
+    assert.equal(body.step, 'pdf');
+    assert.equal(body.diagnosticsId, 'abc');
+    assert.equal(body.diagnosticsUrl, '/api/diagnostics/abc');
+    assert.deepEqual(toAutomationError(error).attempts, [{ attempt: 1 }]);
+  });
+
+  test('typed errors pass through unchanged', () => {
+    const error = validationError('Bad input', 'no load number', { field: 'loadNumber' });
+    assert.equal(toAutomationError(error), error);
+    assert.deepEqual(errorBody(error), {
+      error: 'Bad input',
+      code: 'VALIDATION_ERROR',
+      message: 'no load number',
+      retryable: false,
+      step: null,
+      field: 'loadNumber'
+    });
+  });
+
+  test('details and extra fields never replace the core fields', () => {
+    const error = new AutomationError('LOAD_NOT_FOUND', 'no such load', {
+      details: { code: 'SOMETHING_ELSE', error: 'Spoofed', retryable: true, loadNumber: '42' }
+    });
+    const body = errorBody(error, { message: 'replaced', step: 'pdf', jobId: 'job-1' });
+    assert.equal(body.code, 'LOAD_NOT_FOUND');
+    assert.equal(body.error, 'Load not found');
+    assert.equal(body.retryable, false);
+    assert.equal(body.message, 'no such load');
+    assert.equal(body.step, null);
+    assert.equal(body.loadNumber, '42');
+    assert.equal(body.jobId, 'job-1');
+  });
+
+  test('sendError answers with the code\'s status unless the caller overrides it', () => {
+    const res = fakeResponse();
+    sendError(res, new LoadNotFoundError('no such load', '999'), { extra: true });
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.code, 'LOAD_NOT_FOUND');
+    assert.equal(res.body.loadNumber, '999');
+    assert.equal(res.body.extra, true);
+
+    sendError(res, new Error('boom'), {}, 502);
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.code, 'INTERNAL_ERROR');
+  });
+
+  test('answers missing, conflicting, expired and refused resources with their own codes', () => {
+    const cases = [
+      ['NOT_FOUND', 404, 'Not found', false],
+      ['CONFLICT', 409, 'Conflict', true],
+      ['GONE', 410, 'Gone', false],
+      ['UNAUTHORIZED', 401, 'Unauthorized', false],
+      ['FORBIDDEN', 403, 'Forbidden', false]
+    ];
+    for (const [code, status, title, retryable] of cases) {
+      const res = fakeResponse();
+      sendError(res, new AutomationError(code, 'message'));
+      assert.equal(res.statusCode, status, code);
+      assert.deepEqual(res.body, { error: title, code, message: 'message', retryable, step: null });
+    }
+
+    const res = fakeResponse();
+    sendError(res, new AutomationError('CONFLICT', 'Job is running', { title: 'Job not finished', details: { job: { id: 'job-1' } } }));
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.error, 'Job not finished');
+    assert.deepEqual(res.body.job, { id: 'job-1' });
+  });
+
+  test('every code has a distinct exit code', () => {
+    const exitCodes = Object.values(ERROR_CODES).map(spec => spec.exitCode);
+    assert.equal(new Set(exitCodes).size, exitCodes.length);
+    assert.equal(exitCodeFor(new LoadNotFoundError('x', '1')), 3);
+    assert.equal(exitCodeFor(new Error('unclassified')), 1);
+    assert.equal(exitCodeFor(new QueueFullError('queue full', 30)), 8);
+    assert.equal(exitCodeFor(new AutomationError('CREDENTIALS_MISSING', 'no password')), 9);
+    // 20 and 21 are the command-line tool's own outcomes (mixed batch, unhealthy selectors)
+    assert.ok(!exitCodes.includes(20) && !exitCodes.includes(21));
+  });
+});
+
+describe('retry policy', () => {
+  test('retries expired sessions, timeouts and closed pages', () => {
+    assert.equal(retryReason(new SessionExpiredError('login page')), 'session-expired');
+    assert.equal(retryReason(named('TimeoutError', 'slow')), 'timeout');
+    assert.equal(retryReason(new Error('Target crashed')), 'page-closed');
+  });
+
+  test('retries a typed error when its cause was transient', () => {
+    const cause = named('TimeoutError', 'page.pdf: Timeout 30000ms exceeded');
+    assert.equal(retryReason(new AutomationError('PDF_RENDER_FAILED', 'render', { cause })), 'timeout');
+    assert.equal(retryReason(new AutomationError('PDF_RENDER_FAILED', 'render', { cause: new Error('disk full') })), null);
+  });
+
+  test('never retries non-retryable codes or unclassified errors', () => {
+    assert.equal(retryReason(new LoadNotFoundError('no such load', '1')), null);
+    assert.equal(retryReason(new AutomationError('AUTH_FAILED', 'bad password', { cause: named('TimeoutError', 'x') })), null);
+    assert.equal(retryReason(validationError('Bad', 'bad')), null);
+    assert.equal(retryReason(new AutomationError('CREDENTIALS_MISSING', 'no password', { cause: named('TimeoutError', 'x') })), null);
+    assert.equal(retryReason(new Error('something else')), null);
+    assert.equal(retryReason(null), null);
+  });
+});
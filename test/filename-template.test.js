@@ -0,0 +1,90 @@
+// Unit tests for filename templates: tokens, dates in a fixed timezone, profiles, safe and unique filenames
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// filename-template.js reads these at load
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-filenames-'));
+process.env.FILENAME_CONFIG = path.join(dir, 'filenames.json');
+delete process.env.FILENAME_TEMPLATE;
+delete process.env.FILENAME_CARRIER;
+delete process.env.FILENAME_TIMEZONE;
+fs.writeFileSync(process.env.FILENAME_CONFIG, JSON.stringify({
+  timezone: 'America/Chicago',
+  profiles: { globex: { carrier: 'GLOBEX FREIGHT', template: '{carrier} - {load}' } }
+}));
+const { renderFilename, sanitizeFilename, uniqueFilename, validateTemplate, formatDate, getDefaults } = require('../lib/filename-template');
+
+// 03:30 UTC on 2 January 2026 is still 1 January in Chicago
+const DATE = new Date('2026-01-02T03:30:05Z');
+
+describe('filename templates', () => {
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('renders the default template in the configured timezone', () => {
+    assert.equal(renderFilename({ load: '194828381' }, { date: DATE }), 'RATECON MULDER BROTHERS 194828381 01.01.26.pdf');
+    assert.equal(getDefaults().timezone, 'America/Chicago');
+    assert.deepEqual(getDefaults().profiles, ['globex']);
+  });
+
+  test('fills every token', () => {
+    const overrides = { template: '{action} {carrier} {load} {date:YYYY-MM-DD} {time} {time:HH.mm.ss} {timezone}', carrier: 'ACME', date: DATE };
+    assert.equal(renderFilename({ load: '42', action: 'batch' }, overrides, 'zip'), 'batch ACME 42 2026-01-01 21.30 21.30.05 CST.zip');
+    assert.equal(renderFilename({ load: '42' }, { ...overrides, timezone: 'UTC', template: '{date:D.M.YY} {time}' }), '2.1.26 03.30.pdf');
+    assert.equal(formatDate(DATE, 'YY/MM/DD HH:mm', 'Asia/Tokyo'), '26/01/02 12:30');
+  });
+
+  test('applies a carrier profile, and lets the request override its template', () => {
+    assert.equal(renderFilename({ load: '7' }, { carrier: 'Globex', date: DATE }), 'GLOBEX FREIGHT - 7.pdf');
+    assert.equal(renderFilename({ load: '7' }, { carrier: 'globex', template: '{carrier} {load}', date: DATE }), 'GLOBEX FREIGHT 7.pdf');
+    assert.equal(renderFilename({ load: '7' }, { carrier: 'Initech', template: '{carrier} {load}', date: DATE }), 'Initech 7.pdf');
+  });
+
+  test('never produces a path', () => {
+    const render = (load, template = '{load}') => renderFilename({ load }, { template, date: DATE });
+    assert.equal(render('../../etc/passwd'), 'etc-passwd.pdf');
+    assert.equal(render('..\\..\\windows\\system32'), 'windows-system32.pdf');
+    assert.equal(render('..'), 'file.pdf');
+    assert.equal(render('/absolute/path'), 'absolute-path.pdf');
+    assert.equal(render('a/../b'), 'a-..-b.pdf');
+    assert.equal(render('x', '{carrier}/{load}'), 'MULDER BROTHERS-x.pdf');
+    assert.equal(sanitizeFilename('C:\\loads\\"1001"?.pdf'), 'C--loads--1001--.pdf');
+    assert.equal(sanitizeFilename('Café\n\t naïve'), 'Cafe naive');
+  });
+
+  test('handles the extension once and caps the length', () => {
+    assert.equal(renderFilename({ load: '9' }, { template: '{load}.PDF', date: DATE }), '9.pdf');
+    assert.equal(renderFilename({ load: '9' }, { template: '{load}' }, 'png'), '9.png');
+    assert.equal(renderFilename({ load: '9' }, { template: '{load}' }, null), '9');
+    const long = renderFilename({ load: '1'.repeat(400) }, { template: '{load}' });
+    assert.equal(long, `${'1'.repeat(180)}.pdf`);
+  });
+
+  test('numbers repeated names so loads of one batch never share a file', () => {
+    // Without {load} every load of the batch renders the same name
+    const names = ['1001', '1002', '1003'].map(load => renderFilename({ load }, { template: 'RATECON {carrier}', date: DATE }));
+    const taken = new Set();
+    assert.deepEqual(names.map(name => uniqueFilename(name, taken)), [
+      'RATECON MULDER BROTHERS.pdf',
+      'RATECON MULDER BROTHERS-2.pdf',
+      'RATECON MULDER BROTHERS-3.pdf'
+    ]);
+
+    // Case-insensitive, without an extension, and never reusing a name that was taken as a number
+    const others = new Set(['report-2.pdf']);
+    assert.equal(uniqueFilename('Report.PDF', others), 'Report.PDF');
+    assert.equal(uniqueFilename('report.pdf', others), 'report-3.pdf');
+    assert.equal(uniqueFilename('notes', others), 'notes');
+    assert.equal(uniqueFilename('notes', others), 'notes-2');
+  });
+
+  test('rejects unknown tokens and empty templates', () => {
+    assert.equal(validateTemplate('{carrier} {load} {date:MM.DD.YY}'), null);
+    assert.match(validateTemplate('{carrier} {shipper}'), /^Unknown filename token \{shipper\}/);
+    assert.equal(validateTemplate('  '), 'Filename template is empty');
+  });
+});
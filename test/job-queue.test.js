@@ -0,0 +1,131 @@
+// Unit tests for the in-process job queue: concurrency overall and per account, queue-full and shutdown rejections, Retry-After and timeouts
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue, QueueFullError, QueueClosedError, JobTimeoutError } = require('../lib/job-queue');
+
+// A task that runs until release() is called
+function blocker() {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { task: () => done, release: (value) => release(value) };
+}
+
+describe('job queue', () => {
+  test('runs up to `concurrency` jobs and reports waiting positions', async () => {
+    const queue = new JobQueue({ concurrency: 2, maxQueueSize: 5 });
+    const jobs = [blocker(), blocker(), blocker()];
+    const queued = jobs.map(job => queue.enqueue(job.task));
+
+    assert.deepEqual(queued.map(each => each.position), [0, 0, 1]);
+    assert.equal(queue.getStatus().running, 2);
+    assert.equal(queue.getPosition(queued[2].id), 1);
+
+    jobs.forEach((job, index) => job.release(index));
+    assert.deepEqual(await Promise.all(queued.map(each => each.promise)), [0, 1, 2]);
+    assert.equal(queue.getStatus().completed, 3);
+  });
+
+  test('limits jobs per key without holding up other keys', async () => {
+    const queue = new JobQueue({ concurrency: 4, keyConcurrency: 1, maxQueueSize: 5 });
+    const jobs = [blocker(), blocker(), blocker()];
+    const acme = queue.enqueue(jobs[0].task, { key: 'acme' });
+    const acmeNext = queue.enqueue(jobs[1].task, { key: 'acme' });
+    const globex = queue.enqueue(jobs[2].task, { key: 'globex' });
+
+    // Two accounts run at the same time; the second acme job waits for the first
+    assert.deepEqual([acme.position, acmeNext.position, globex.position], [0, 1, 0]);
+    assert.equal(queue.getStatus().running, 2);
+
+    jobs[2].release('globex');
+    assert.equal(await globex.promise, 'globex');
+    assert.equal(queue.getPosition(acmeNext.id), 1);
+
+    jobs[0].release('acme');
+    jobs[1].release('acme again');
+    assert.equal(await acme.promise, 'acme');
+    assert.equal(await acmeNext.promise, 'acme again');
+  });
+
+  test('rejects a job with QueueFullError and a Retry-After once maxQueueSize are waiting', async () => {
+    const queue = new JobQueue({ concurrency: 1, maxQueueSize: 1 });
+    const running = blocker();
+    const waiting = blocker();
+    const first = queue.enqueue(running.task);
+    const second = queue.enqueue(waiting.task);
+
+    assert.throws(() => queue.enqueue(() => 'never'), (error) => {
+      assert.ok(error instanceof QueueFullError);
+      assert.match(error.message, /1\/1 waiting/);
+      // Nothing has finished yet, so the estimate is a minute per job ahead: the waiting one plus this one
+      assert.equal(error.retryAfter, 120);
+      return true;
+    });
+
+    running.release('a');
+    waiting.release('b');
+    assert.equal(await first.promise, 'a');
+    assert.equal(await second.promise, 'b');
+  });
+
+  test('a queue of size 0 still starts a job when a slot is free', async () => {
+    const queue = new JobQueue({ concurrency: 1, maxQueueSize: 0 });
+    const running = blocker();
+    const first = queue.enqueue(running.task);
+    assert.throws(() => queue.enqueue(() => 'never'), QueueFullError);
+    running.release('done');
+    assert.equal(await first.promise, 'done');
+  });
+
+  test('bases Retry-After on the average duration of finished jobs', async () => {
+    const queue = new JobQueue({ concurrency: 1, maxQueueSize: 0 });
+    await queue.enqueue(() => new Promise(resolve => setTimeout(resolve, 20))).promise;
+    // The slot frees just after the promise settles
+    await new Promise(resolve => setImmediate(resolve));
+    const running = blocker();
+    const first = queue.enqueue(running.task);
+    assert.throws(() => queue.enqueue(() => 'never'), (error) => error instanceof QueueFullError && error.retryAfter === 1);
+    running.release();
+    await first.promise;
+  });
+
+  test('close() rejects waiting jobs and refuses new ones with QueueClosedError', async () => {
+    const queue = new JobQueue({ concurrency: 1, maxQueueSize: 5 });
+    const running = blocker();
+    const first = queue.enqueue(running.task);
+    const second = queue.enqueue(() => 'never');
+
+    queue.close();
+    await assert.rejects(second.promise, QueueClosedError);
+    assert.throws(() => queue.enqueue(() => 'never'), (error) => error instanceof QueueClosedError && error.retryAfter >= 1);
+
+    // The running job is allowed to finish
+    running.release('finished');
+    assert.equal(await first.promise, 'finished');
+    assert.equal(queue.getStatus().closed, true);
+  });
+
+  test('times out a job, aborts its signal and holds the slot until the task settles', async () => {
+    const queue = new JobQueue({ concurrency: 1, maxQueueSize: 5 });
+    let aborted = null;
+    let settle;
+    const stuck = queue.enqueue(({ signal }) => new Promise(resolve => {
+      settle = resolve;
+      signal.addEventListener('abort', () => { aborted = signal.reason; });
+    }), { timeout: 50 });
+    const next = queue.enqueue(() => 'next');
+
+    await assert.rejects(stuck.promise, JobTimeoutError);
+    assert.ok(aborted instanceof JobTimeoutError);
+    assert.equal(queue.getStatus().timedOut, 1);
+    assert.equal(queue.getPosition(next.id), 1, 'the next job waits for the timed-out task to let go');
+
+    settle();
+    assert.equal(await next.promise, 'next');
+  });
+
+  test('passes task failures through', async () => {
+    const queue = new JobQueue();
+    await assert.rejects(queue.enqueue(() => { throw new Error('boom'); }).promise, /boom/);
+    assert.equal(queue.getStatus().failed, 1);
+  });
+});
@@ -0,0 +1,143 @@
+// Unit tests for turning a scraped Load Report into load details: money cells, stops, rate sections and empty cells
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLoadDetails, parseMoney } = require('../lib/load-report');
+
+// What extractLoadDetails scrapes from the page, shaped like the mock E2Open Load Report
+function scraped(overrides = {}) {
+  return {
+    url: 'https://tms.example.com/agent/loadReport.do?loadID=L-9001&mode=view',
+    title: 'Carrier Load Report',
+    fields: {
+      'Load ID': '194828381',
+      Status: 'Tendered',
+      Carrier: 'MULDER BROTHERS',
+      Equipment: "53' Dry Van",
+      'Total Weight': '42,000 lbs',
+      'BOL #': 'BOL-1001',
+      'PO Number': 'PO-77',
+      'Load Number': '194828381'
+    },
+    tables: [
+      {
+        headers: ['Stop', 'Type', 'Name', 'Address', 'City', 'State', 'Zip', 'Early', 'Late'],
+        rows: [
+          { cells: ['1', 'Pickup', 'Acme Foods DC', '100 Main St', 'Dallas', 'TX', '75201', '10/20/2026 08:00', '10/20/2026 10:00'] },
+          { cells: ['2', 'Consignee', 'Grocer Store #12', '', 'Tulsa', 'OK', '', '', ''] }
+        ]
+      },
+      {
+        rateTable: true,
+        headers: ['Type', 'Description', 'Qty', 'Rate', 'Amount'],
+        rows: [
+          { cells: ['RECEIVABLE', '', '', '', '$1,500.00 USD'] },
+          // A colspan'd section row: the total is in the last cell it has
+          { cells: ['PAYABLE', '$1,225.00 USD'] },
+          { cells: ['LH', 'Linehaul', '1', '$1,100.00', '$1,100.00'] },
+          { cells: ['FSC', 'Fuel Surcharge', '1', '$150.00', '$150.00'] },
+          { cells: ['DISC', 'Early payment discount', '1', '', '($25.00)'] },
+          // Not billed yet: the empty Amount must not pick up the rate
+          { cells: ['DET', 'Detention', '', '$75.00', ''] }
+        ]
+      }
+    ],
+    ...overrides
+  };
+}
+
+describe('load report parsing', () => {
+  test('parses currency symbols and codes', () => {
+    assert.deepEqual(parseMoney('$1,250.00 USD'), { value: 1250, currency: 'USD' });
+    assert.deepEqual(parseMoney('$99.5'), { value: 99.5, currency: 'USD' });
+    assert.deepEqual(parseMoney('CAD 1,250.00'), { value: 1250, currency: 'CAD' });
+    assert.deepEqual(parseMoney('C$ 40.00'), { value: 40, currency: 'CAD' });
+    assert.deepEqual(parseMoney('MX$ 3,000'), { value: 3000, currency: 'MXN' });
+    assert.deepEqual(parseMoney('€1,250.00'), { value: 1250, currency: 'EUR' });
+    assert.deepEqual(parseMoney('1,250.00 mxn'), { value: 1250, currency: 'MXN' });
+    assert.deepEqual(parseMoney('1250'), { value: 1250, currency: null });
+    assert.deepEqual(parseMoney('$.50'), { value: 0.5, currency: 'USD' });
+  });
+
+  test('reads thousands separators and decimal commas', () => {
+    assert.equal(parseMoney('$ 1,234,567.89').value, 1234567.89);
+    assert.equal(parseMoney('1.234.567').value, 1234567);
+    assert.equal(parseMoney('1.234,56 EUR').value, 1234.56);
+    assert.equal(parseMoney('12,5').value, 12.5);
+    assert.equal(parseMoney('1,250').value, 1250);
+  });
+
+  test('reads negative amounts: minus signs and accounting parentheses', () => {
+    for (const text of ['-$50.00', '$-50.00', '$ -50.00', 'USD -50.00', '(50.00)', '($50.00)', '-50']) {
+      assert.equal(parseMoney(text).value, -50, text);
+    }
+    assert.equal(parseMoney('€ -3,20').value, -3.2);
+    // A dash in a label is not a minus sign
+    assert.equal(parseMoney('LH - Linehaul $100').value, 100);
+  });
+
+  test('returns null for empty cells and cells without a number', () => {
+    for (const text of [undefined, null, '', '   ', '-', '—', 'N/A', 'TBD']) {
+      assert.equal(parseMoney(text), null, String(text));
+    }
+  });
+
+  test('builds load details from the Load Report fields, stops and rate tables', () => {
+    const details = buildLoadDetails(scraped(), '194828381');
+    assert.equal(details.schemaVersion, 1);
+    assert.equal(details.loadId, '194828381');
+    assert.equal(details.status, 'Tendered');
+    assert.equal(details.carrier, 'MULDER BROTHERS');
+    assert.equal(details.equipment, "53' Dry Van");
+    assert.deepEqual(details.weight, { value: 42000, unit: 'lbs', raw: '42,000 lbs' });
+    assert.deepEqual(details.referenceNumbers, [{ type: 'BOL #', value: 'BOL-1001' }, { type: 'PO Number', value: 'PO-77' }]);
+
+    assert.deepEqual(details.stops.map(stop => [stop.sequence, stop.type, stop.name, stop.address.raw]), [
+      [1, 'pickup', 'Acme Foods DC', '100 Main St, Dallas, TX, 75201'],
+      [2, 'delivery', 'Grocer Store #12', 'Tulsa, OK']
+    ]);
+    assert.deepEqual(details.stops[0].appointment, { start: '10/20/2026 08:00', end: '10/20/2026 10:00', raw: '10/20/2026 08:00 - 10/20/2026 10:00' });
+    // Empty cells come through as null, not as empty strings
+    assert.equal(details.stops[1].address.street, null);
+    assert.equal(details.stops[1].address.postalCode, null);
+    assert.equal(details.stops[1].appointment, null);
+
+    const { payable, receivable } = details.rates;
+    assert.equal(payable.total, 1225);
+    assert.equal(payable.currency, 'USD');
+    assert.deepEqual(payable.lines.map(line => [line.code, line.quantity, line.rate, line.amount]), [
+      ['LH', 1, 1100, 1100],
+      ['FSC', 1, 150, 150],
+      ['DISC', 1, null, -25],
+      ['DET', null, 75, null]
+    ]);
+    assert.deepEqual(receivable, { total: 1500, currency: 'USD', lines: [] });
+    assert.equal(details.source.url, scraped().url);
+  });
+
+  test('falls back to the sum of the lines, and to null when no line has an amount', () => {
+    const table = (rows) => [{ rateTable: true, headers: ['Type', 'Description', 'Qty', 'Rate', 'Amount'], rows }];
+    let details = buildLoadDetails(scraped({
+      tables: table([
+        { cells: ['PAYABLE', '', '', '', ''] },
+        { cells: ['LH', 'Linehaul', '1', '$1,100.10', '$1,100.10'] },
+        { cells: ['DISC', 'Discount', '1', '', '-$0.20'] }
+      ])
+    }), '1');
+    assert.equal(details.rates.payable.total, 1099.9);
+    assert.equal(details.rates.payable.currency, 'USD');
+
+    details = buildLoadDetails(scraped({ tables: table([{ cells: ['PAYABLE', '', '', '', ''] }, { cells: ['LH', 'Linehaul', '', '', ''] }]) }), '1');
+    assert.equal(details.rates.payable.total, null);
+    assert.equal(details.rates.payable.lines[0].amount, null);
+  });
+
+  test('uses the loadID from the URL, then the requested number, when the page has no Load ID', () => {
+    const fields = { Status: 'Tendered' };
+    assert.equal(buildLoadDetails(scraped({ fields }), '42').loadId, 'L-9001');
+    const details = buildLoadDetails({ fields, tables: [] }, '42');
+    assert.equal(details.loadId, '42');
+    assert.equal(details.weight, null);
+    assert.deepEqual(details.stops, []);
+    assert.deepEqual(details.rates.payable, { total: null, currency: null, lines: [] });
+  });
+});
@@ -0,0 +1,152 @@
+// Unit tests for structured logging: secret redaction, X-Request-Id handling, context propagation and captureConsole
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// logger.js reads these at load
+process.env.LOG_LEVEL = 'info';
+process.env.LOG_FORMAT = 'json';
+const logger = require('../lib/logger');
+
+// Every line the logger writes, parsed; captureConsole sends all levels to this stream
+const lines = [];
+const stream = { write: (line) => { lines.push(JSON.parse(line)); return true; } };
+const originalConsole = { ...console };
+
+describe('logger', () => {
+  before(() => {
+    logger.captureConsole({ stream });
+  });
+
+  after(() => {
+    Object.assign(console, originalConsole);
+  });
+
+  test('redacts secret keys at any depth, bearer tokens, key=value pairs and registered secrets', () => {
+    logger.addSecret('hunter2-e2open');
+    const redacted = logger.redact({
+      headers: { Authorization: 'Bearer abc.def', 'x-api-key': 'k-123', accept: 'application/json' },
+      account: { name: 'acme', password: 'pw', nested: [{ sessionToken: 't' }] },
+      note: 'login with password=hunter2-e2open and Bearer xyz',
+      url: 'https://tms.example.com/files/1?expires=1&signature=deadbeef',
+      empty: { password: '' }
+    });
+    assert.deepEqual(redacted, {
+      headers: { Authorization: '[REDACTED]', 'x-api-key': '[REDACTED]', accept: 'application/json' },
+      account: { name: 'acme', password: '[REDACTED]', nested: [{ sessionToken: '[REDACTED]' }] },
+      note: 'login with password=[REDACTED] and Bearer [REDACTED]',
+      url: 'https://tms.example.com/files/1?expires=1&signature=[REDACTED]',
+      // Nothing to hide, and an empty value shows that nothing was set
+      empty: { password: '' }
+    });
+
+    const error = logger.redact(new Error('E2Open rejected hunter2-e2open'));
+    assert.equal(error.message, 'E2Open rejected [REDACTED]');
+    assert.ok(!error.stack.includes('hunter2-e2open'));
+  });
+
+  test('captureConsole turns "[TAG] message" calls into JSON lines by level', () => {
+    lines.length = 0;
+    const details = { context: 1, password: 'pw' };
+    console.log('[SESSION] Context 1 ready', details);
+    console.error('[BATCH] Load failed:', new Error('boom'));
+    console.warn('untagged', 42);
+    console.debug('[SESSION] below LOG_LEVEL');
+
+    assert.equal(lines.length, 3);
+    assert.deepEqual(
+      lines.map(({ level, component, msg }) => [level, component, msg]),
+      [['info', 'session', 'Context 1 ready'], ['error', 'batch', 'Load failed:'], ['warn', 'app', 'untagged 42']]
+    );
+    assert.deepEqual(lines[0].data, { context: 1, password: '[REDACTED]' });
+    assert.equal(lines[1].err.message, 'boom');
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+  });
+
+  test('runWithContext adds its fields to every line, across awaits and nested contexts', async () => {
+    lines.length = 0;
+    await logger.runWithContext({ requestId: 'req-1' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      console.log('[QUEUE] outer');
+      await logger.runWithContext({ jobId: 'job-1' }, async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        console.log('[QUEUE] inner');
+        assert.deepEqual(logger.getContext(), { requestId: 'req-1', jobId: 'job-1' });
+      });
+    });
+    console.log('[QUEUE] outside');
+
+    assert.deepEqual(lines.map(({ msg, requestId, jobId }) => [msg, requestId, jobId]), [
+      ['outer', 'req-1', undefined],
+      ['inner', 'req-1', 'job-1'],
+      ['outside', undefined, undefined]
+    ]);
+  });
+
+  describe('request context middleware', () => {
+    let server;
+    let url;
+
+    before(async () => {
+      const app = express();
+      app.use(logger.requestContext());
+      app.use(express.json());
+      app.use(logger.restoreRequestContext());
+      app.post('/api/run', async (req, res) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        console.log('[AUTOMATION] Processing', { body: req.body });
+        res.json({ requestId: logger.getContext().requestId });
+      });
+      app.get('/health', (req, res) => res.json({ status: 'healthy' }));
+      server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const post = (headers = {}) => fetch(`${url}/api/run`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ loadNumber: '1001', apiKey: 'k-456' })
+    });
+
+    test('echoes a valid X-Request-Id and tags the request\'s log lines with it', async () => {
+      lines.length = 0;
+      const response = await post({ 'X-Request-Id': 'ticket-42.retry:1' });
+      assert.equal(response.headers.get('x-request-id'), 'ticket-42.retry:1');
+      assert.deepEqual(await response.json(), { requestId: 'ticket-42.retry:1' });
+
+      // The finish line is written after the response goes out
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.deepEqual(lines.map(({ component, msg, requestId }) => [component, msg, requestId]), [
+        ['request', 'POST /api/run', 'ticket-42.retry:1'],
+        ['automation', 'Processing', 'ticket-42.retry:1'],
+        ['request', 'POST /api/run -> 200', 'ticket-42.retry:1']
+      ]);
+      assert.deepEqual(lines[1].data.body, { loadNumber: '1001', apiKey: '[REDACTED]' });
+      assert.equal(lines[2].status, 200);
+    });
+
+    test('replaces a missing or unsafe X-Request-Id with a UUID', async () => {
+      const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+      for (const headers of [{}, { 'X-Request-Id': 'has spaces\tand tabs' }, { 'X-Request-Id': 'x'.repeat(129) }]) {
+        const response = await post(headers);
+        const requestId = response.headers.get('x-request-id');
+        assert.match(requestId, uuid);
+        assert.equal((await response.json()).requestId, requestId);
+      }
+    });
+
+    test('keeps /health out of the request log but still sets the header', async () => {
+      lines.length = 0;
+      const response = await fetch(`${url}/health`, { headers: { 'X-Request-Id': 'probe-1' } });
+      assert.equal(response.headers.get('x-request-id'), 'probe-1');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.deepEqual(lines, []);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+// Unit tests for the Prometheus metrics without a browser: text format, counter and histogram values, label escaping
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../lib/metrics');
+
+// The sample lines of one metric in the rendered text
+const samples = (name) => metrics.render().split('\n').filter(line => line.startsWith(`${metrics.PREFIX}${name}`) && !line.startsWith('#'));
+
+describe('metrics', () => {
+  test('renders HELP and TYPE lines for every metric, ending with a newline', () => {
+    const text = metrics.render();
+    assert.ok(text.endsWith('\n'));
+    assert.match(text, /^# HELP e2open_jobs_total Finished jobs by action/m);
+    assert.match(text, /^# TYPE e2open_jobs_total counter$/m);
+    assert.match(text, /^# TYPE e2open_step_duration_seconds histogram$/m);
+    assert.match(text, /^# TYPE e2open_output_bytes histogram$/m);
+    // Each HELP is followed by its TYPE
+    const lines = text.split('\n');
+    lines.forEach((line, index) => {
+      if (line.startsWith('# HELP ')) assert.match(lines[index + 1], new RegExp(`^# TYPE ${line.split(' ')[2]} (counter|gauge|histogram)$`));
+    });
+  });
+
+  test('counts per label set, whatever the order of the labels', () => {
+    const counter = metrics.counter('test_events_total', 'Test events');
+    counter.inc({ action: 'print', outcome: 'succeeded' });
+    counter.inc({ outcome: 'succeeded', action: 'print' });
+    counter.inc({ action: 'print', outcome: 'failed' }, 3);
+    counter.inc();
+
+    assert.deepEqual(samples('test_events_total'), [
+      'e2open_test_events_total{action="print",outcome="succeeded"} 2',
+      'e2open_test_events_total{action="print",outcome="failed"} 3',
+      'e2open_test_events_total 1'
+    ]);
+    assert.throws(() => metrics.counter('test_events_total', 'Again'), /already registered/);
+  });
+
+  test('fills cumulative histogram buckets, +Inf, sum and count', () => {
+    const histogram = metrics.histogram('test_wait_seconds', 'Test waits', [1, 5]);
+    for (const value of [0.5, 1, 3, 10]) histogram.observe({ step: 'login' }, value);
+    histogram.observe({ step: 'search' }, 6);
+
+    assert.deepEqual(samples('test_wait_seconds'), [
+      'e2open_test_wait_seconds_bucket{step="login",le="1"} 2',
+      'e2open_test_wait_seconds_bucket{step="login",le="5"} 3',
+      'e2open_test_wait_seconds_bucket{step="login",le="+Inf"} 4',
+      'e2open_test_wait_seconds_sum{step="login"} 14.5',
+      'e2open_test_wait_seconds_count{step="login"} 4',
+      'e2open_test_wait_seconds_bucket{step="search",le="1"} 0',
+      'e2open_test_wait_seconds_bucket{step="search",le="5"} 0',
+      'e2open_test_wait_seconds_bucket{step="search",le="+Inf"} 1',
+      'e2open_test_wait_seconds_sum{step="search"} 6',
+      'e2open_test_wait_seconds_count{step="search"} 1'
+    ]);
+  });
+
+  test('times with startTimer and adds the labels given at the end', async () => {
+    const histogram = metrics.histogram('test_timer_seconds', 'Test timer', [0.001, 60]);
+    const end = histogram.startTimer({ step: 'pdf' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    end({ outcome: 'succeeded' });
+
+    const lines = samples('test_timer_seconds');
+    assert.ok(lines.includes('e2open_test_timer_seconds_bucket{step="pdf",outcome="succeeded",le="0.001"} 0'));
+    assert.ok(lines.includes('e2open_test_timer_seconds_bucket{step="pdf",outcome="succeeded",le="60"} 1'));
+    const sum = Number(lines.find(line => line.includes('_sum')).split(' ')[1]);
+    assert.ok(sum >= 0.004 && sum < 60, String(sum));
+  });
+
+  test('escapes backslashes, quotes and newlines in label values', () => {
+    const counter = metrics.counter('test_escaped_total', 'Test escaping');
+    counter.inc({ code: 'say "hi"\\now\nnext' });
+    assert.deepEqual(samples('test_escaped_total'), ['e2open_test_escaped_total{code="say \\"hi\\"\\\\now\\nnext"} 1']);
+  });
+
+  test('reads gauges at render time and skips one that fails', (t) => {
+    let busy = 1;
+    metrics.gauge('test_contexts', 'Test contexts', () => [{ labels: { state: 'busy' }, value: busy }, { value: Infinity }]);
+    metrics.gauge('test_broken', 'Broken gauge', () => { throw new Error('pool gone'); });
+    const errors = [];
+    t.mock.method(console, 'error', (message) => errors.push(message));
+
+    assert.deepEqual(samples('test_contexts'), ['e2open_test_contexts{state="busy"} 1', 'e2open_test_contexts +Inf']);
+    busy = 2;
+    assert.equal(samples('test_contexts')[0], 'e2open_test_contexts{state="busy"} 2');
+
+    const text = metrics.render();
+    assert.ok(!text.includes('e2open_test_broken'));
+    assert.match(errors[0], /Could not collect e2open_test_broken: pool gone/);
+  });
+});
@@ -0,0 +1,437 @@
+// Local stand-in for the E2Open TMS pages the automation drives:
+// cookie consent, login form (#userSubmit), webmessages page with #menu-search-input,
+// search that opens a "Carrier Load Report" popup, and a rateInfotab table with a Payable folder button.
+// Optional login steps: identifier-first (SSO) username page, verification code, "stay signed in?", expired password.
+const express = require('express');
+const crypto = require('crypto');
+const { verifyTotp } = require('../../lib/totp');
+
+const DEFAULT_USERNAME = 'testuser';
+const DEFAULT_PASSWORD = 'testpass';
+
+// Loads known to the mock. NOPAY has no Payable row, to exercise the expand fallback.
+const DEFAULT_LOADS = {
+  '1001': {
+    status: 'Tendered',
+    carrier: 'MULDER BROTHERS',
+    equipment: "53' Dry Van",
+    weight: '42,000 lbs',
+    references: { 'BOL #': 'BOL-1001', 'PO Number': 'PO-77' },
+    stops: [
+      { type: 'Pickup', name: 'Acme Foods DC', address: '100 Main St', city: 'Dallas', state: 'TX', zip: '75201', early: '10/20/2026 08:00', late: '10/20/2026 10:00' },
+      { type: 'Delivery', name: 'Grocer Store #12', address: '5 Market Rd', city: 'Tulsa', state: 'OK', zip: '74103', early: '10/21/2026 07:00', late: '10/21/2026 09:00' }
+    ],
+    payable: {
+      total: '$1,250.00 USD',
+      lines: [
+        { code: 'LH', description: 'Linehaul', qty: '1', rate: '$1,100.00', amount: '$1,100.00' },
+        { code: 'FSC', description: 'Fuel Surcharge', qty: '1', rate: '$150.00', amount: '$150.00' }
+      ]
+    }
+  },
+  'NOPAY': {
+    status: 'Tendered',
+    carrier: 'MULDER BROTHERS',
+    equipment: 'Reefer',
+    weight: '30,000 lbs',
+    references: { 'BOL #': 'BOL-NOPAY' },
+    stops: [
+      { type: 'Pickup', name: 'Cold Storage Inc', address: '1 Ice Way', city: 'Omaha', state: 'NE', zip: '68102', early: '10/22/2026 06:00', late: '10/22/2026 08:00' }
+    ],
+    payable: null
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name) cookies[name] = decodeURIComponent(rest.join('='));
+  }
+  return cookies;
+}
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 20px; }
+    table { border-collapse: collapse; margin-bottom: 16px; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+    .error { color: #b00; }
+    #cookie-banner { position: fixed; bottom: 0; left: 0; right: 0; background: #eee; padding: 12px; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function loginPage({ showConsent, error }) {
+  return layout('E2open Login', `
+  ${showConsent ? `
+  <div id="cookie-banner">
+    This site uses cookies.
+    <button type="button" onclick="document.cookie='mock_consent=1; path=/'; document.getElementById('cookie-banner').remove();">Agree and proceed</button>
+  </div>` : ''}
+  <h1>Sign in</h1>
+  ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+  <form method="post" action="/agent/login.do">
+    <label for="username">Username</label>
+    <input id="username" name="username" type="text">
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password">
+    <button id="userSubmit" type="submit">Sign In</button>
+  </form>`);
+}
+
+// Identifier-first page: the username alone, the password on the next page
+function usernamePage({ showConsent, error }) {
+  return layout('E2open Login', `
+  ${showConsent ? `
+  <div id="cookie-banner">
+    This site uses cookies.
+    <button type="button" onclick="document.cookie='mock_consent=1; path=/'; document.getElementById('cookie-banner').remove();">Agree and proceed</button>
+  </div>` : ''}
+  <h1>Sign in with your organization</h1>
+  ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+  <form method="post" action="/agent/login.do">
+    <label for="username">Username</label>
+    <input id="username" name="username" type="text">
+    <button type="submit">Next</button>
+  </form>`);
+}
+
+function passwordPage({ username, error }) {
+  return layout('E2open Login', `
+  <h1>Enter your password</h1>
+  ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+  <form method="post" action="/agent/login.do">
+    <input name="username" type="hidden" value="${escapeHtml(username)}">
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password">
+    <button id="userSubmit" type="submit">Sign In</button>
+  </form>`);
+}
+
+function verificationPage({ error }) {
+  return layout('E2open - Verify', `
+  <h1>Two-step verification</h1>
+  ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+  <form method="post" action="/agent/mfa.do">
+    <label for="otp">Verification code</label>
+    <input id="otp" name="code" type="text" autocomplete="one-time-code">
+    <button type="submit">Verify</button>
+  </form>`);
+}
+
+function keepSignedInPage() {
+  return layout('E2open - Stay signed in', `
+  <h1>Stay signed in?</h1>
+  <form method="post" action="/agent/kmsi.do">
+    <button name="stay" value="yes" type="submit">Yes</button>
+    <button name="stay" value="no" type="submit">No</button>
+  </form>`);
+}
+
+function passwordExpiredPage() {
+  return layout('E2open - Change password', `
+  <h1>Your password has expired</h1>
+  <form method="post" action="/agent/change-password.do">
+    <label for="newPassword">New password</label>
+    <input id="newPassword" name="newPassword" type="password" autocomplete="new-password">
+    <button type="submit">Change password</button>
+  </form>`);
+}
+
+function header(username) {
+  return `
+  <div id="header">
+    <span id="user-account">${escapeHtml(username.toUpperCase())}</span>
+    <form method="get" action="/agent/search.do">
+      <input id="menu-search-input" name="q" type="text" placeholder="Search">
+    </form>
+  </div>`;
+}
+
+function homePage(username) {
+  return layout('E2open - Messages', `
+  ${header(username)}
+  <h1>Messages</h1>
+  <p>No new messages.</p>`);
+}
+
+function searchPage(username, query, load) {
+  const reportUrl = `/agent/LoadReport.do?loadID=${encodeURIComponent(query)}`;
+  return layout('E2open - Search', `
+  ${header(username)}
+  <h1>Search results</h1>
+  ${load
+    ? `<a id="load-link" href="${reportUrl}" target="_blank">${escapeHtml(query)}</a>
+  <script>window.open(${JSON.stringify(reportUrl)}, 'loadReport');</script>`
+    : `<div class="error">No loads found matching ${escapeHtml(query)}</div>`}`);
+}
+
+function loadReportPage(loadId, load) {
+  const references = Object.entries(load.references)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+
+  const stops = load.stops.map((stop, index) => `
+      <tr>
+        <td>${index + 1}</td><td>${escapeHtml(stop.type)}</td><td>${escapeHtml(stop.name)}</td>
+        <td>${escapeHtml(stop.address)}</td><td>${escapeHtml(stop.city)}</td><td>${escapeHtml(stop.state)}</td>
+        <td>${escapeHtml(stop.zip)}</td><td>${escapeHtml(stop.early)}</td><td>${escapeHtml(stop.late)}</td>
+      </tr>`).join('');
+
+  const payable = load.payable ? `
+      <tr class="rate-summary">
+        <td>PAYABLE <button id="test-ratedetails-folder" class="icon-button" type="button"
+          onclick="document.querySelectorAll('.payable-detail').forEach(function (row) { row.style.display = ''; });">+</button></td>
+        <td></td><td></td><td></td><td>${escapeHtml(load.payable.total)}</td>
+      </tr>
+      ${load.payable.lines.map(line => `
+      <tr class="payable-detail" style="display: none">
+        <td>${escapeHtml(line.code)}</td><td>${escapeHtml(line.description)}</td><td>${escapeHtml(line.qty)}</td>
+        <td>${escapeHtml(line.rate)}</td><td>${escapeHtml(line.amount)}</td>
+      </tr>`).join('')}` : '';
+
+  return layout('Carrier Load Report', `
+  <h1>Carrier Load Report</h1>
+  <table id="loadInfo">
+    <tr><th>Load ID</th><td>${escapeHtml(loadId)}</td></tr>
+    <tr><th>Status</th><td>${escapeHtml(load.status)}</td></tr>
+    <tr><th>Carrier</th><td>${escapeHtml(load.carrier)}</td></tr>
+    <tr><th>Equipment</th><td>${escapeHtml(load.equipment)}</td></tr>
+    <tr><th>Total Weight</th><td>${escapeHtml(load.weight)}</td></tr>
+    ${references}
+  </table>
+  <table id="stops">
+    <thead>
+      <tr><th>Stop</th><th>Type</th><th>Name</th><th>Address</th><th>City</th><th>State</th><th>Zip</th><th>Early</th><th>Late</th></tr>
+    </thead>
+    <tbody>${stops}
+    </tbody>
+  </table>
+  <table id="rateInfotab0">
+    <thead>
+      <tr><th>Type</th><th>Description</th><th>Qty</th><th>Rate</th><th>Amount</th></tr>
+    </thead>
+    <tbody>
+      <tr class="rate-summary"><td>RECEIVABLE</td><td></td><td></td><td></td><td>$1,500.00 USD</td></tr>${payable}
+    </tbody>
+  </table>`);
+}
+
+// Create the mock app. options: { username, password, loads, sso, totpSecret, keepSignedInPrompt, passwordExpired }
+// sso: username and password on separate pages; totpSecret: ask for a verification code after the password;
+// keepSignedInPrompt: ask "Stay signed in?" last; passwordExpired: stop at a change-password page
+function createMockE2Open(options = {}) {
+  const username = options.username || DEFAULT_USERNAME;
+  const password = options.password || DEFAULT_PASSWORD;
+  // Copied so a test hook that reissues a load doesn't leak into other mocks
+  const loads = JSON.parse(JSON.stringify(options.loads || DEFAULT_LOADS));
+
+  // Counters the tests assert on
+  const state = {
+    sessions: new Set(),
+    // Logins between the password and the last step, keyed by the mock_pending cookie
+    pending: new Map(),
+    logins: 0,
+    failedLogins: 0,
+    mfaVerified: 0,
+    failedMfa: 0,
+    keepSignedIn: null,
+    searches: [],
+    reportsOpened: []
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const isLoggedIn = (req) => state.sessions.has(parseCookies(req.headers.cookie).mock_session);
+
+  const firstPage = (req, error) => {
+    const showConsent = parseCookies(req.headers.cookie).mock_consent !== '1';
+    return options.sso ? usernamePage({ showConsent, error }) : loginPage({ showConsent, error });
+  };
+
+  const completeLogin = (res) => {
+    const sessionId = crypto.randomUUID();
+    state.sessions.add(sessionId);
+    state.logins++;
+    res.set('Set-Cookie', `mock_session=${sessionId}; Path=/; HttpOnly`);
+    res.redirect('/agent/webmessages.do?query.current=true');
+  };
+
+  // Show the next page of a login that got past the password, or finish it
+  const nextLoginStep = (res, pendingId) => {
+    const pending = state.pending.get(pendingId);
+    const stage = pending.stages.shift();
+    if (!stage) {
+      state.pending.delete(pendingId);
+      return completeLogin(res);
+    }
+    pending.stage = stage;
+    res.set('Set-Cookie', `mock_pending=${pendingId}; Path=/; HttpOnly`);
+    if (stage === 'password-change') return res.send(passwordExpiredPage());
+    if (stage === 'totp') return res.send(verificationPage({}));
+    return res.send(keepSignedInPage());
+  };
+
+  const pendingLogin = (req, stage) => {
+    const pendingId = parseCookies(req.headers.cookie).mock_pending;
+    const pending = state.pending.get(pendingId);
+    return pending && pending.stage === stage ? pendingId : null;
+  };
+
+  app.get('/agent/webmessages.do', (req, res) => {
+    if (!isLoggedIn(req)) {
+      return res.send(firstPage(req));
+    }
+    res.send(homePage(username));
+  });
+
+  app.post('/agent/login.do', (req, res) => {
+    if (options.sso && req.body.password === undefined) {
+      if (req.body.username !== username) {
+        state.failedLogins++;
+        return res.send(firstPage(req, 'We could not find that user'));
+      }
+      return res.send(passwordPage({ username }));
+    }
+    if (req.body.username !== username || req.body.password !== password) {
+      state.failedLogins++;
+      const error = 'Invalid username or password';
+      return res.status(200).send(options.sso ? passwordPage({ username: req.body.username, error }) : loginPage({ showConsent: false, error }));
+    }
+
+    const stages = [
+      ...(options.passwordExpired ? ['password-change'] : []),
+      ...(options.totpSecret ? ['totp'] : []),
+      ...(options.keepSignedInPrompt ? ['keep-signed-in'] : [])
+    ];
+    if (stages.length === 0) {
+      return completeLogin(res);
+    }
+    const pendingId = crypto.randomUUID();
+    state.pending.set(pendingId, { stages, stage: null });
+    nextLoginStep(res, pendingId);
+  });
+
+  app.post('/agent/mfa.do', (req, res) => {
+    const pendingId = pendingLogin(req, 'totp');
+    if (!pendingId) {
+      return res.redirect('/agent/webmessages.do?query.current=true');
+    }
+    if (!verifyTotp(String(req.body.code || ''), options.totpSecret)) {
+      state.failedMfa++;
+      return res.send(verificationPage({ error: 'That code is not valid' }));
+    }
+    state.mfaVerified++;
+    nextLoginStep(res, pendingId);
+  });
+
+  app.post('/agent/kmsi.do', (req, res) => {
+    const pendingId = pendingLogin(req, 'keep-signed-in');
+    if (!pendingId) {
+      return res.redirect('/agent/webmessages.do?query.current=true');
+    }
+    state.keepSignedIn = req.body.stay === 'yes';
+    nextLoginStep(res, pendingId);
+  });
+
+  app.get('/agent/search.do', (req, res) => {
+    if (!isLoggedIn(req)) {
+      return res.redirect('/agent/webmessages.do?query.current=true');
+    }
+    const query = String(req.query.q || '').trim();
+    state.searches.push(query);
+    res.send(searchPage(username, query, loads[query]));
+  });
+
+  app.get('/agent/LoadReport.do', (req, res) => {
+    if (!isLoggedIn(req)) {
+      return res.redirect('/agent/webmessages.do?query.current=true');
+    }
+    const loadId = String(req.query.loadID || '');
+    const load = loads[loadId];
+    if (!load) {
+      return res.status(404).send(layout('E2open - Error', '<div class="error">Load not found</div>'));
+    }
+    state.reportsOpened.push(loadId);
+    res.send(loadReportPage(loadId, load));
+  });
+
+  // Test hooks
+  app.post('/__mock/expire-sessions', (req, res) => {
+    state.sessions.clear();
+    res.json({ expired: true });
+  });
+
+  // Reissue a load with new payable lines: { total, lines: [{ code, description, qty, rate, amount }] }
+  app.post('/__mock/loads/:loadId/payable', express.json(), (req, res) => {
+    const load = loads[req.params.loadId];
+    if (!load) {
+      return res.status(404).json({ error: 'Unknown load' });
+    }
+    load.payable = req.body;
+    res.json({ loadId: req.params.loadId, payable: load.payable });
+  });
+
+  app.get('/__mock/state', (req, res) => {
+    res.json({
+      sessions: state.sessions.size,
+      logins: state.logins,
+      failedLogins: state.failedLogins,
+      mfaVerified: state.mfaVerified,
+      failedMfa: state.failedMfa,
+      keepSignedIn: state.keepSignedIn,
+      searches: state.searches,
+      reportsOpened: state.reportsOpened
+    });
+  });
+
+  return { app, state };
+}
+
+// Start the mock on a random local port; resolves to { url, state, close }
+function startMockE2Open(options = {}) {
+  const { app, state } = createMockE2Open(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(options.port || 0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        state,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+// Run standalone: `node test/mock-e2open/server.js` then set TMS_BASE_URL to the printed URL
+if (require.main === module) {
+  startMockE2Open({ port: parseInt(process.env.MOCK_E2OPEN_PORT, 10) || 4950 }).then(({ url }) => {
+    console.log(`[MOCK] E2Open mock listening at ${url} (user ${DEFAULT_USERNAME} / ${DEFAULT_PASSWORD})`);
+  });
+}
+
+module.exports = {
+  DEFAULT_USERNAME,
+  DEFAULT_PASSWORD,
+  DEFAULT_LOADS,
+  createMockE2Open,
+  startMockE2Open
+};
@@ -0,0 +1,104 @@
+// Unit tests for output formats: margin shorthand, and what renderOutput asks of the page for each format
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getOutputFormat,
+  parseMargin,
+  validateMargin,
+  renderOutput
+} = require('../lib/output-formats');
+
+// Records the Playwright calls renderOutput makes
+function fakePage() {
+  const calls = [];
+  const page = {
+    calls,
+    pdf: async (options) => { calls.push(['pdf', options]); },
+    screenshot: async (options) => { calls.push(['screenshot', options]); },
+    evaluate: async () => { calls.push(['evaluate']); return '<!DOCTYPE html>\n<html><body>Load Report</body></html>'; },
+    context: () => ({
+      newCDPSession: async (target) => {
+        assert.equal(target, page);
+        return {
+          send: async (method, params) => { calls.push(['cdp', method, params]); return { data: 'MIME-Version: 1.0\r\n' }; },
+          detach: async () => { calls.push(['detach']); }
+        };
+      }
+    })
+  };
+  return page;
+}
+
+describe('output formats', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-formats-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('expands CSS margin shorthand', () => {
+    assert.deepEqual(parseMargin('0.5in'), { top: '0.5in', right: '0.5in', bottom: '0.5in', left: '0.5in' });
+    assert.deepEqual(parseMargin('10mm 5mm'), { top: '10mm', right: '5mm', bottom: '10mm', left: '5mm' });
+    assert.deepEqual(parseMargin(' 1in 0.5in 2cm '), { top: '1in', right: '0.5in', bottom: '2cm', left: '0.5in' });
+    assert.deepEqual(parseMargin('1in 2in 3in 20px'), { top: '1in', right: '2in', bottom: '3in', left: '20px' });
+  });
+
+  test('rejects margins it cannot pass to Playwright', () => {
+    for (const value of ['', '1', '1pt', '-1in', '1in 1in 1in 1in 1in', 'auto']) {
+      assert.equal(parseMargin(value), null, value);
+      assert.match(validateMargin(value), /^Invalid margin/, value);
+    }
+    assert.equal(validateMargin('1cm'), null);
+  });
+
+  test('looks formats up case-insensitively, defaulting to PDF', () => {
+    assert.equal(getOutputFormat().extension, 'pdf');
+    assert.equal(getOutputFormat('PNG').contentType, 'image/png');
+    assert.equal(getOutputFormat('docx'), null);
+  });
+
+  test('prints PDFs with the defaults or the requested paper, orientation and margin', async () => {
+    const page = fakePage();
+    const filePath = path.join(dir, 'ratecon.pdf');
+    assert.deepEqual(await renderOutput(page, 'pdf', filePath), { path: filePath, extension: 'pdf', contentType: 'application/pdf' });
+    await renderOutput(page, 'PDF', filePath, { pdf: { format: 'A4', landscape: 'yes', margin: '10mm 5mm' } });
+    await renderOutput(page, 'pdf', filePath, { pdf: { margin: 'bogus' } });
+
+    assert.deepEqual(page.calls.map(([, options]) => options), [
+      { path: filePath, format: 'Letter', landscape: false, printBackground: true, margin: parseMargin('0.5in') },
+      { path: filePath, format: 'A4', landscape: true, printBackground: true, margin: parseMargin('10mm 5mm') },
+      { path: filePath, format: 'Letter', landscape: false, printBackground: true, margin: parseMargin('0.5in') }
+    ]);
+  });
+
+  test('takes a full-page PNG', async () => {
+    const page = fakePage();
+    const filePath = path.join(dir, 'ratecon.png');
+    const result = await renderOutput(page, 'png', filePath);
+    assert.equal(result.contentType, 'image/png');
+    assert.deepEqual(page.calls, [['screenshot', { path: filePath, fullPage: true, type: 'png' }]]);
+  });
+
+  test('writes the self-contained HTML and the MHTML snapshot to the file', async () => {
+    const page = fakePage();
+    const htmlPath = path.join(dir, 'ratecon.html');
+    assert.equal((await renderOutput(page, 'html', htmlPath)).contentType, 'text/html; charset=utf-8');
+    assert.match(fs.readFileSync(htmlPath, 'utf8'), /^<!DOCTYPE html>\n<html><body>Load Report/);
+
+    const mhtmlPath = path.join(dir, 'ratecon.mhtml');
+    assert.equal((await renderOutput(page, 'mhtml', mhtmlPath)).contentType, 'multipart/related');
+    assert.equal(fs.readFileSync(mhtmlPath, 'utf8'), 'MIME-Version: 1.0\r\n');
+    assert.deepEqual(page.calls.slice(1), [['cdp', 'Page.captureSnapshot', { format: 'mhtml' }], ['detach']]);
+  });
+
+  test('refuses unknown formats', async () => {
+    await assert.rejects(renderOutput(fakePage(), 'docx', path.join(dir, 'x.docx')), /Unsupported output format 'docx'/);
+  });
+});
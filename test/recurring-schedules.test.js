@@ -0,0 +1,173 @@
+// Unit tests for recurring schedules: url sources (address policy, header redaction), load list fetching and
+// moving a run's files into the drop folder
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The load list server below listens on loopback, which url sources may only reach when allowed
+process.env.OUTBOUND_ALLOWED_HOSTS = '127.0.0.1';
+const { RecurringSchedules } = require('../lib/recurring-schedules');
+
+describe('recurring schedule url sources', () => {
+  let dir;
+  let schedules;
+  let server;
+  let listUrl;
+  let requests = [];
+
+  const definition = (source) => ({ name: 'Morning', cron: '0 7 * * 1-5', timezone: 'America/Chicago', source });
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-schedules-'));
+    schedules = new RecurringSchedules({
+      filePath: path.join(dir, 'schedules.json'),
+      outputRoot: path.join(dir, 'dropbox'),
+      inputRoot: path.join(dir, 'inputs'),
+      runBatch: async () => []
+    });
+
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      if (req.url === '/moved') {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/csv' });
+      res.end('Load Number\n1001\n1002\n');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    listUrl = `http://127.0.0.1:${server.address().port}/loads.csv`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('refuses local, private and metadata addresses', async () => {
+    for (const url of ['http://169.254.169.254/latest/meta-data/', 'http://localhost:3952/api/jobs', 'http://10.0.0.8/loads.csv', 'file:///etc/passwd']) {
+      const { errors } = await schedules.create(definition({ type: 'url', url }));
+      assert.ok(errors && errors.some(error => error.startsWith('source.url')), url);
+    }
+  });
+
+  test('redacts header values and keeps them when they are sent back redacted', async () => {
+    const { schedule, errors } = await schedules.create(definition({
+      type: 'url',
+      url: 'https://tms-exports.example.com/loads.csv',
+      headers: { Authorization: 'Bearer secret-token', 'X-Tenant': 'acme' }
+    }));
+    assert.equal(errors, undefined);
+
+    const shown = schedules.describe(schedule);
+    assert.deepEqual(shown.source.headers, { Authorization: '[redacted]', 'X-Tenant': '[redacted]' });
+    assert.ok(!JSON.stringify(shown).includes('secret-token'));
+
+    // A client that GETs, edits and PUTs the schedule back
+    let result = await schedules.update(schedule.id, { ...shown, name: 'Renamed', source: { ...shown.source, headers: { ...shown.source.headers, 'X-Tenant': 'globex' } } });
+    assert.equal(result.errors, undefined);
+    assert.equal(result.schedule.name, 'Renamed');
+    assert.deepEqual(result.schedule.source.headers, { Authorization: 'Bearer secret-token', 'X-Tenant': 'globex' });
+
+    // Only the name changed: the stored source is left as it was
+    result = await schedules.update(schedule.id, { name: 'Again' });
+    assert.deepEqual(result.schedule.source.headers, { Authorization: 'Bearer secret-token', 'X-Tenant': 'globex' });
+
+    // Stored values never follow the schedule to another URL
+    result = await schedules.update(schedule.id, { source: { ...shown.source, url: 'https://elsewhere.example.com/loads.csv' } });
+    assert.ok(result.errors.some(error => error.startsWith('source.headers.Authorization')));
+    assert.equal(schedules.get(schedule.id).source.url, 'https://tms-exports.example.com/loads.csv');
+
+    const saved = fs.readFileSync(path.join(dir, 'schedules.json'), 'utf8');
+    assert.ok(saved.includes('secret-token'), 'the stored definition keeps the real value');
+    assert.equal(fs.statSync(path.join(dir, 'schedules.json')).mode & 0o777, 0o600);
+  });
+
+  test('fetches the load list with the stored headers', async () => {
+    requests = [];
+    const loads = await schedules.resolveLoadNumbers({ type: 'url', url: listUrl, headers: { Authorization: 'Bearer list-token' } });
+    assert.deepEqual(loads, ['1001', '1002']);
+    assert.equal(requests[0].headers.authorization, 'Bearer list-token');
+  });
+
+  test('does not follow redirects or call internal hosts at run time', async () => {
+    requests = [];
+    await assert.rejects(
+      schedules.resolveLoadNumbers({ type: 'url', url: listUrl.replace('/loads.csv', '/moved'), headers: { Authorization: 'Bearer list-token' } }),
+      /returned 302/
+    );
+    assert.equal(requests.length, 1);
+
+    await assert.rejects(
+      schedules.resolveLoadNumbers({ type: 'url', url: 'http://localhost./loads.csv' }),
+      /local or private address/
+    );
+  });
+});
+
+describe('recurring schedule runs', () => {
+  let dir;
+  let schedules;
+  // What the fake runBatch returns for the next run
+  let batch = [];
+
+  // A rendered file in its own work folder, the way runLoads leaves it
+  const rendered = (loadNumber, filename) => {
+    const file = path.join(fs.mkdtempSync(path.join(dir, 'work-')), filename);
+    fs.writeFileSync(file, `%PDF ${loadNumber}`);
+    return { loadNumber, success: true, path: file, filename, bytes: 9, attempts: 1 };
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-schedule-runs-'));
+    schedules = new RecurringSchedules({
+      filePath: path.join(dir, 'schedules.json'),
+      outputRoot: path.join(dir, 'dropbox'),
+      inputRoot: path.join(dir, 'inputs'),
+      runBatch: async () => batch
+    });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('numbers files whose template leaves out {load} instead of overwriting them', async () => {
+    const { schedule } = await schedules.create({
+      name: 'No load token',
+      cron: '0 7 * * 1-5',
+      source: { type: 'list', loadNumbers: ['1001', '1002', '1003'] },
+      outputDir: 'numbered'
+    });
+    batch = ['1001', '1002', '1003'].map(loadNumber => rendered(loadNumber, 'RATECON ACME.pdf'));
+
+    const run = await schedules.run(schedule.id);
+    assert.equal(run.state, 'succeeded');
+    assert.deepEqual(run.results.map(result => result.filename), ['RATECON ACME.pdf', 'RATECON ACME-2.pdf', 'RATECON ACME-3.pdf']);
+    assert.deepEqual(run.results.map(result => fs.readFileSync(result.outputPath, 'utf8')), ['%PDF 1001', '%PDF 1002', '%PDF 1003']);
+  });
+
+  test('removes the files it did not move when a move fails', async () => {
+    const { schedule } = await schedules.create({
+      name: 'Failing move',
+      cron: '0 7 * * 1-5',
+      source: { type: 'list', loadNumbers: ['1001', '1002', '1003'] },
+      outputDir: 'failing'
+    });
+    const first = rendered('1001', '1001.pdf');
+    // Gone before the move, as if the work folder was swept: the move throws ENOENT
+    const vanished = rendered('1002', '1002.pdf');
+    fs.rmSync(vanished.path);
+    const left = rendered('1003', '1003.pdf');
+    batch = [first, vanished, left];
+
+    const run = await schedules.run(schedule.id);
+    assert.equal(run.state, 'failed');
+    assert.match(run.error.message, /ENOENT/);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'dropbox', 'failing')), ['1001.pdf']);
+    assert.equal(fs.existsSync(left.path), false, 'the file after the failed move is cleaned up');
+  });
+});
@@ -0,0 +1,173 @@
+// Browser-free test of /api/schedules under API keys: a key limited to some accounts only sees, runs and changes the
+// schedules of those accounts. The accounts have no credentials, so a run fails at login before a browser is needed
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { hashKey } = require('../lib/auth');
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+const KEYS = { ops: 'ops-key', acme: 'acme-key' };
+
+describe('/api/schedules account scopes', () => {
+  let child;
+  let url;
+  let dir;
+  const output = [];
+  // Schedule IDs by account
+  const ids = {};
+
+  const request = (key, method, route, body) => fetch(`${url}${route}`, {
+    method,
+    headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const definition = (name, account) => ({
+    name,
+    cron: '0 7 1 1 *',
+    account,
+    source: { type: 'list', loadNumbers: ['1001'] }
+  });
+
+  before(async () => {
+    const port = await getFreePort();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-schedules-api-'));
+    const accountsPath = path.join(dir, 'accounts.json');
+    fs.writeFileSync(accountsPath, JSON.stringify({ default: 'acme', accounts: { acme: {}, globex: {} } }));
+    const keysPath = path.join(dir, 'api-keys.json');
+    fs.writeFileSync(keysPath, JSON.stringify({
+      clients: [
+        { name: 'ops', keyHash: hashKey(KEYS.ops), scopes: { actions: '*', schedules: true } },
+        { name: 'acme-dispatch', keyHash: hashKey(KEYS.acme), scopes: { actions: '*', accounts: ['acme'], schedules: true } }
+      ]
+    }));
+
+    child = spawn(process.execPath, [path.join(__dirname, '..', 'api-server.js')], {
+      env: {
+        ...process.env,
+        PORT: String(port),
+        TMS_USERNAME: '',
+        TMS_PASSWORD: '',
+        ACCOUNTS_CONFIG: accountsPath,
+        API_KEYS_FILE: keysPath,
+        AUDIT_LOG_PATH: path.join(dir, 'audit.log'),
+        PDF_SAVE_PATH: dir,
+        SCHEDULER_ENABLED: 'false'
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', chunk => output.push(chunk.toString()));
+    child.stderr.on('data', chunk => output.push(chunk.toString()));
+
+    url = `http://127.0.0.1:${port}`;
+    const deadline = Date.now() + 15000;
+    while (Date.now() < deadline) {
+      try {
+        if ((await fetch(`${url}/health`)).ok) break;
+      } catch (error) {
+        // Not listening yet
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    if (Date.now() >= deadline) throw new Error(`api-server.js did not start:\n${output.join('')}`);
+
+    // No account: the default one (acme)
+    for (const [account, body] of [['acme', definition('Acme mornings')], ['globex', definition('Globex mornings', 'globex')]]) {
+      const response = await request(KEYS.ops, 'POST', '/api/schedules', body);
+      assert.equal(response.status, 201, output.join(''));
+      ids[account] = (await response.json()).id;
+    }
+  });
+
+  after(async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists only the schedules of the accounts the key may use', async () => {
+    let body = await (await request(KEYS.ops, 'GET', '/api/schedules')).json();
+    assert.deepEqual(body.schedules.map(schedule => schedule.name).sort(), ['Acme mornings', 'Globex mornings']);
+
+    body = await (await request(KEYS.acme, 'GET', '/api/schedules')).json();
+    assert.equal(body.count, 1);
+    assert.deepEqual(body.schedules.map(schedule => [schedule.id, schedule.account]), [[ids.acme, null]]);
+  });
+
+  test('reports another account\'s schedule and its runs as missing', async () => {
+    const routes = [
+      ['GET', `/api/schedules/${ids.globex}`],
+      ['PUT', `/api/schedules/${ids.globex}`, { name: 'Taken over' }],
+      ['DELETE', `/api/schedules/${ids.globex}`],
+      ['POST', `/api/schedules/${ids.globex}/run`],
+      ['GET', `/api/schedules/${ids.globex}/runs`],
+      ['GET', `/api/schedules/${ids.globex}/runs/00000000-0000-0000-0000-000000000000`]
+    ];
+    for (const [method, route, body] of routes) {
+      const response = await request(KEYS.acme, method, route, body);
+      assert.equal(response.status, 404, `${method} ${route}`);
+      assert.equal((await response.json()).code, 'NOT_FOUND');
+    }
+
+    // Untouched and never run
+    const schedule = await (await request(KEYS.ops, 'GET', `/api/schedules/${ids.globex}`)).json();
+    assert.equal(schedule.name, 'Globex mornings');
+    assert.equal(schedule.lastRun, null);
+  });
+
+  test('refuses to create a schedule for, or move one to, another account', async () => {
+    let response = await request(KEYS.acme, 'POST', '/api/schedules', definition('Sneaky', 'globex'));
+    assert.equal(response.status, 403);
+    let body = await response.json();
+    assert.equal(body.code, 'FORBIDDEN');
+    assert.match(body.message, /may not use account 'globex'/);
+
+    response = await request(KEYS.acme, 'PUT', `/api/schedules/${ids.acme}`, { account: 'globex' });
+    assert.equal(response.status, 403);
+    body = await (await request(KEYS.acme, 'GET', `/api/schedules/${ids.acme}`)).json();
+    assert.equal(body.account, null);
+
+    const names = (await (await request(KEYS.ops, 'GET', '/api/schedules')).json()).schedules.map(schedule => schedule.name);
+    assert.ok(!names.includes('Sneaky'));
+  });
+
+  test('runs its own account\'s schedule and shows the run history', async () => {
+    let response = await request(KEYS.acme, 'POST', `/api/schedules/${ids.acme}/run`);
+    assert.equal(response.status, 202);
+    const run = await response.json();
+    assert.equal(response.headers.get('location'), `/api/schedules/${ids.acme}/runs/${run.id}`);
+
+    const deadline = Date.now() + 10000;
+    let finished;
+    while (Date.now() < deadline) {
+      finished = await (await request(KEYS.acme, 'GET', `/api/schedules/${ids.acme}/runs/${run.id}`)).json();
+      if (finished.state !== 'running') break;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal(finished.state, 'failed', output.join(''));
+    assert.equal(finished.results[0].error.code, 'CREDENTIALS_MISSING');
+
+    const history = await (await request(KEYS.acme, 'GET', `/api/schedules/${ids.acme}/runs`)).json();
+    assert.deepEqual(history.runs.map(each => each.id), [run.id]);
+
+    response = await request(KEYS.acme, 'DELETE', `/api/schedules/${ids.acme}`);
+    assert.equal(response.status, 204);
+  });
+});
@@ -0,0 +1,89 @@
+// Unit tests for the selector map: SELECTORS_FILE merging, placeholders and window matching
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const selectors = require('../lib/selectors');
+
+const builtIn = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'lib', 'selectors.json'), 'utf8'));
+
+describe('selector map', () => {
+  let dir;
+
+  const writeOverride = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-selectors-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('is the built-in map without SELECTORS_FILE', () => {
+    const map = selectors.loadSelectorMap(null);
+    assert.equal(map.version, builtIn.version);
+    assert.equal(map.source, null);
+    assert.deepEqual(map.elements.searchField, builtIn.elements.searchField);
+  });
+
+  test('replaces only the fields an override sets', () => {
+    const file = writeOverride('override.json', {
+      version: '2099.1',
+      elements: { searchField: { fallbacks: ['#new-search'] } },
+      windows: { loadReport: { title: ['Rate Confirmation'] } }
+    });
+    const map = selectors.loadSelectorMap(file);
+
+    assert.equal(map.version, '2099.1');
+    assert.equal(map.builtInVersion, builtIn.version);
+    assert.equal(map.source, file);
+    assert.deepEqual(map.elements.searchField.fallbacks, ['#new-search']);
+    assert.equal(map.elements.searchField.page, builtIn.elements.searchField.page);
+    assert.deepEqual(map.windows.loadReport.title, ['Rate Confirmation']);
+    assert.deepEqual(map.windows.loadReport.url, builtIn.windows.loadReport.url);
+    // Untouched entries stay as built
+    assert.deepEqual(map.elements.loginForm, builtIn.elements.loginForm);
+  });
+
+  test('keeps the built-in entry when an override is broken, and ignores unknown names', () => {
+    const file = writeOverride('broken.json', {
+      elements: {
+        searchField: { fallbacks: [] },
+        loginForm: { page: 'nowhere' },
+        noSuchElement: { fallbacks: ['#x'], page: 'home' }
+      },
+      windows: { loadReport: { url: [], title: [] } }
+    });
+    const map = selectors.loadSelectorMap(file);
+
+    assert.deepEqual(map.elements.searchField, builtIn.elements.searchField);
+    assert.deepEqual(map.elements.loginForm, builtIn.elements.loginForm);
+    assert.equal(map.elements.noSuchElement, undefined);
+    assert.deepEqual(map.windows.loadReport, builtIn.windows.loadReport);
+    assert.equal(map.version, builtIn.version);
+  });
+
+  test('falls back to the built-in map when the file is missing or not JSON', () => {
+    assert.equal(selectors.loadSelectorMap(path.join(dir, 'missing.json')).source, null);
+    assert.equal(selectors.loadSelectorMap(writeOverride('bad.json', '{ not json')).source, null);
+  });
+
+  test('matches windows by URL before title, filling in placeholders', () => {
+    assert.deepEqual(
+      selectors.matchWindow('loadReport', { url: 'https://tms/agent/View.do?loadID=1001', title: '' }, { loadNumber: '1001' }),
+      { by: 'url', pattern: 'loadID=1001' }
+    );
+    assert.deepEqual(
+      selectors.matchWindow('loadReport', { url: 'about:blank', title: 'Carrier Load Report' }, { loadNumber: '1001' }),
+      { by: 'title', pattern: 'Carrier Load Report' }
+    );
+    assert.equal(selectors.matchWindow('loadReport', { url: 'https://tms/home', title: 'Messages' }, { loadNumber: '1001' }), null);
+    assert.throws(() => selectors.matchWindow('nope', { url: '' }), /Unknown selector window/);
+  });
+});
@@ -0,0 +1,184 @@
+// Unit tests for scheduled session upkeep on a mocked clock: keep-alive timing inside business hours, which idle
+// contexts get refreshed, and failed refreshes and runs
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../lib/job-queue');
+const { leaseContext, releaseContext } = require('../lib/browser-session');
+const { SessionScheduler } = require('../lib/session-scheduler');
+
+const MINUTE = 60 * 1000;
+// Monday 19 October 2026, 17:45 in Chicago (CDT, UTC-5)
+const MONDAY_1745 = Date.UTC(2026, 9, 19, 22, 45);
+
+// Contexts that look like browser-session slots, checked and refreshed without a browser
+function fakeSession(slots) {
+  const session = {
+    checked: [],
+    refreshed: [],
+    allSlots: () => slots,
+    leaseContext,
+    releaseContext,
+    checkBrowserSession: async (slot) => {
+      session.checked.push(slot.id);
+      return { active: slot.active !== false, loggedIn: slot.loggedIn !== false };
+    },
+    refreshSession: async (slot) => {
+      assert.equal(slot.currentJob, 'schedule:keep-alive', 'refreshed under the keep-alive lease');
+      session.refreshed.push(slot.id);
+      slot.loggedIn = true;
+      slot.lastActivity = Date.now();
+      return { active: true, loggedIn: true };
+    }
+  };
+  return session;
+}
+
+function slot(id, idleMinutes, fields = {}) {
+  return {
+    id,
+    account: { name: 'scheduler-test', sessionTimeout: 30 * MINUTE },
+    context: {},
+    busy: false,
+    currentJob: null,
+    lastActivity: Date.now() - idleMinutes * MINUTE,
+    ...fields
+  };
+}
+
+function scheduler(session) {
+  return new SessionScheduler({
+    jobQueue: new JobQueue({ concurrency: 1, maxQueueSize: 10 }),
+    enabled: true,
+    timezone: 'America/Chicago',
+    businessHours: '07:00-18:00',
+    businessDays: '1-5',
+    keepAlive: '*/10 * * * *',
+    // Never due during these tests
+    preWarm: '0 0 1 1 *',
+    shutdown: '0 0 1 1 *',
+    session
+  });
+}
+
+// Move the mocked clock forward one second at a time, as node-cron polls, letting triggered runs finish
+async function advance(t, minutes) {
+  for (let second = 0; second < minutes * 60; second++) {
+    t.mock.timers.tick(1000);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+describe('session scheduler', () => {
+  test('runs keep-alive on its cron only during business hours in the schedule timezone', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: MONDAY_1745 });
+    t.mock.method(console, 'log', () => {});
+    const runs = [];
+    const session = fakeSession([]);
+    session.allSlots = () => {
+      runs.push(new Date().toISOString());
+      return [];
+    };
+    const upkeep = scheduler(session);
+    upkeep.start();
+    t.after(() => upkeep.stop());
+
+    // 17:50 runs; 18:00 and 18:10 are after hours
+    await advance(t, 30);
+    assert.deepEqual(runs, ['2026-10-19T22:50:00.000Z']);
+    const keepAlive = upkeep.getStatus().tasks.find(task => task.name === 'keep-alive');
+    assert.equal(keepAlive.lastRun, '2026-10-19T22:50:00.000Z');
+    assert.deepEqual(keepAlive.lastResult, { checked: 0, refreshed: 0, skipped: 0 });
+    assert.equal(keepAlive.nextRun, '2026-10-20T12:00:00.000Z', 'Tuesday 07:00 in Chicago');
+    assert.equal(upkeep.getStatus().businessHours.open, false);
+
+    assert.deepEqual(await upkeep.trigger('keep-alive'), { skipped: true, reason: 'outside business hours' });
+    assert.equal(runs.length, 1);
+
+    upkeep.stop();
+    assert.ok(upkeep.tasks.every(task => task.handle === null));
+    await assert.rejects(upkeep.trigger('nap'), /Unknown scheduled task 'nap'/);
+  });
+
+  test('refreshes contexts idle for half the session timeout or logged out, and leaves busy ones alone', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: Date.UTC(2026, 9, 19, 15, 0) });
+    t.mock.method(console, 'log', () => {});
+    const slots = [
+      slot(1, 10),
+      slot(2, 15),
+      slot(3, 1, { loggedIn: false }),
+      slot(4, 29, { busy: true, currentJob: 'job-1' }),
+      slot(5, 40, { context: null }),
+      slot(6, 20, { active: false })
+    ];
+    const session = fakeSession(slots);
+    const upkeep = scheduler(session);
+
+    assert.deepEqual(await upkeep.trigger('keep-alive'), { checked: 4, refreshed: 2, skipped: 1 });
+    assert.deepEqual(session.checked, [1, 2, 3, 6]);
+    assert.deepEqual(session.refreshed, [2, 3]);
+    assert.equal(slots[1].lastActivity, Date.now());
+    assert.ok(slots.filter(each => each.id !== 4).every(each => !each.busy && each.currentJob === null), 'every lease is given back');
+    assert.equal(slots[3].currentJob, 'job-1');
+
+    // Six minutes on, context 1 has been idle for 16 minutes and the refreshed ones for 6
+    t.mock.timers.tick(6 * MINUTE);
+    session.refreshed.length = 0;
+    assert.deepEqual(await upkeep.keepAlive(), { checked: 4, refreshed: 1, skipped: 1 });
+    assert.deepEqual(session.refreshed, [1]);
+  });
+
+  test('logs a failed refresh, releases that context and carries on with the rest', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: Date.UTC(2026, 9, 19, 15, 0) });
+    t.mock.method(console, 'log', () => {});
+    const errors = [];
+    t.mock.method(console, 'error', (message) => errors.push(message));
+    const slots = [slot(1, 20), slot(2, 20)];
+    const session = fakeSession(slots);
+    const refresh = session.refreshSession;
+    session.refreshSession = async (each) => {
+      if (each.id === 1) throw new Error('E2Open did not answer');
+      return refresh(each);
+    };
+    const upkeep = scheduler(session);
+
+    assert.deepEqual(await upkeep.trigger('keep-alive'), { checked: 2, refreshed: 1, skipped: 0 });
+    assert.deepEqual(session.refreshed, [2]);
+    assert.deepEqual(errors, ['[SCHEDULE] Keep-alive failed for scheduler-test/1: E2Open did not answer']);
+    assert.ok(slots.every(each => !each.busy && each.currentJob === null));
+    assert.equal(upkeep.getStatus().tasks[0].lastError, null, 'one context failing does not fail the run');
+  });
+
+  test('records a failed run, skips a run while the last one is going and clears the error on the next success', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: Date.UTC(2026, 9, 19, 15, 0) });
+    t.mock.method(console, 'log', () => {});
+    const errors = [];
+    t.mock.method(console, 'error', (message) => errors.push(message));
+    const session = fakeSession([]);
+    session.allSlots = () => { throw new Error('pool gone'); };
+    const upkeep = scheduler(session);
+
+    assert.deepEqual(await upkeep.trigger('keep-alive'), { error: 'pool gone' });
+    let status = upkeep.getStatus().tasks[0];
+    assert.equal(status.lastError, 'pool gone');
+    assert.equal(status.lastResult, null);
+    assert.equal(status.running, false);
+    assert.deepEqual(errors, ['[SCHEDULE] keep-alive failed: pool gone']);
+
+    // A check that hangs keeps the run going
+    let answer;
+    const stuck = slot(1, 1);
+    session.allSlots = () => [stuck];
+    session.checkBrowserSession = () => new Promise(resolve => { answer = resolve; });
+    const first = upkeep.trigger('keep-alive');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(upkeep.getStatus().tasks[0].running, true);
+    assert.deepEqual(await upkeep.trigger('keep-alive'), { skipped: true, reason: 'previous run still in progress' });
+
+    answer({ active: true, loggedIn: true });
+    assert.deepEqual(await first, { checked: 1, refreshed: 0, skipped: 0 });
+    status = upkeep.getStatus().tasks[0];
+    assert.equal(status.lastError, null);
+    assert.equal(status.running, false);
+    assert.equal(stuck.busy, false);
+  });
+});
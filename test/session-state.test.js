@@ -0,0 +1,93 @@
+// Unit tests for saved session state: encryption round trip, and files that are tampered with, belong to another
+// account, user or context, or use the old key derivation are discarded
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// session-state.js reads these at load
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-session-state-'));
+process.env.SESSION_STATE_KEY = 'correct horse battery staple';
+process.env.SESSION_STATE_PATH = dir;
+const sessionState = require('../lib/session-state');
+
+const STATE = {
+  cookies: [{ name: 'JSESSIONID', value: 'live-session-cookie', domain: 'tms.example.com', path: '/' }],
+  origins: [{ origin: 'https://tms.example.com', localStorage: [{ name: 'tab', value: 'loads' }] }]
+};
+
+// The parts of a browser-session slot that session-state.js looks at
+const slot = (name = 'acme', username = 'dispatch', id = 1) => ({ id, account: { name, username } });
+const fileOf = (each) => path.join(dir, `${each.account.name}-${each.id}.state`);
+const readFile = (each) => JSON.parse(fs.readFileSync(fileOf(each), 'utf8'));
+
+describe('saved session state', () => {
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('encrypts the state and reads it back for the same context', async () => {
+    const acme = slot();
+    assert.equal(sessionState.isEnabled(), true);
+    assert.equal(await sessionState.saveState(acme, STATE), true);
+
+    const raw = fs.readFileSync(fileOf(acme), 'utf8');
+    assert.ok(!raw.includes('live-session-cookie'), 'cookies are not stored in the clear');
+    const file = JSON.parse(raw);
+    assert.equal(file.version, 2);
+    assert.equal(Buffer.from(file.salt, 'base64').length, 16);
+    assert.equal(fs.statSync(fileOf(acme)).mode & 0o777, 0o600);
+    assert.equal(sessionState.savedAt(acme), file.savedAt);
+
+    assert.deepEqual(await sessionState.loadState(acme), STATE);
+
+    // A fresh salt per save: the same state never encrypts to the same file
+    await sessionState.saveState(acme, STATE);
+    assert.notEqual(readFile(acme).salt, file.salt);
+    assert.notEqual(readFile(acme).data, file.data);
+  });
+
+  test('discards a file whose ciphertext, tag or salt was changed', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const acme = slot();
+    for (const field of ['data', 'tag', 'salt']) {
+      await sessionState.saveState(acme, STATE);
+      const file = readFile(acme);
+      const bytes = Buffer.from(file[field], 'base64');
+      bytes[0] ^= 0x01;
+      fs.writeFileSync(fileOf(acme), JSON.stringify({ ...file, [field]: bytes.toString('base64') }));
+
+      assert.equal(await sessionState.loadState(acme), null, field);
+      assert.equal(fs.existsSync(fileOf(acme)), false, `${field}: the file is deleted`);
+    }
+  });
+
+  test('discards a file moved to another account, username or context', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const original = slot('acme', 'dispatch', 1);
+    for (const other of [slot('globex', 'dispatch', 1), slot('acme', 'someone-else', 1), slot('acme', 'dispatch', 2)]) {
+      await sessionState.saveState(original, STATE);
+      fs.copyFileSync(fileOf(original), fileOf(other));
+
+      assert.equal(await sessionState.loadState(other), null, JSON.stringify(other));
+      assert.equal(fs.existsSync(fileOf(other)), false);
+    }
+    assert.deepEqual(await sessionState.loadState(original), STATE);
+  });
+
+  test('discards version 1 files and ignores missing ones', async (t) => {
+    const errors = [];
+    t.mock.method(console, 'error', (message) => errors.push(message));
+    const acme = slot();
+    await sessionState.saveState(acme, STATE);
+    fs.writeFileSync(fileOf(acme), JSON.stringify({ ...readFile(acme), version: 1 }));
+
+    assert.equal(await sessionState.loadState(acme), null);
+    assert.match(errors[0], /unsupported format version 1/);
+    assert.equal(await sessionState.purgeState(acme), false);
+
+    assert.equal(await sessionState.loadState(slot('initech')), null);
+    assert.equal(errors.length, 1, 'a missing file is not an error');
+  });
+});
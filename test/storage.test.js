@@ -0,0 +1,118 @@
+// Storage backends: the same put/head/get/list/delete contract on local disk and, when E2E_S3_ENDPOINT points at one,
+// an S3-compatible store (MinIO from `docker compose --profile s3 up`). Neither needs a browser.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../lib/storage/local');
+const { createS3Storage } = require('../lib/storage/s3');
+const { isNotFound } = require('../lib/storage/keys');
+
+const s3Missing = !process.env.E2E_S3_ENDPOINT &&
+  'E2E_S3_ENDPOINT is not set (point it, E2E_S3_BUCKET and E2E_S3_ACCESS_KEY_ID/E2E_S3_SECRET_ACCESS_KEY at a MinIO)';
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function storageContract(createBackend) {
+  let backend;
+
+  before(async () => {
+    backend = await createBackend();
+  });
+
+  test('stores an object with its content type and metadata', async () => {
+    const body = Buffer.from('%PDF-1.4 test');
+    const stored = await backend.put('files/one.pdf', body, {
+      contentType: 'application/pdf',
+      metadata: { filename: 'RATECON 1001.pdf', job: 'job-1' }
+    });
+    assert.equal(stored.size, body.length);
+
+    const info = await backend.head('files/one.pdf');
+    assert.equal(info.size, body.length);
+    assert.equal(info.contentType, 'application/pdf');
+    assert.equal(info.metadata.filename, 'RATECON 1001.pdf');
+    assert.equal(info.metadata.job, 'job-1');
+    assert.ok(info.lastModified instanceof Date);
+
+    assert.deepEqual(await backend.read('files/one.pdf'), body);
+    assert.deepEqual(await readStream((await backend.get('files/one.pdf')).stream), body);
+  });
+
+  test('lists objects under a prefix', async () => {
+    await backend.put('archive/1001/v1.pdf', Buffer.from('v1'));
+    await backend.put('archive/1001/v2.pdf', Buffer.from('v2'));
+    await backend.put('archive/1002/v1.pdf', Buffer.from('other'));
+
+    const keys = (await backend.list('archive/1001/')).map(object => object.key).sort();
+    assert.deepEqual(keys, ['archive/1001/v1.pdf', 'archive/1001/v2.pdf']);
+  });
+
+  test('reports missing objects as not found and deletes idempotently', async () => {
+    assert.equal(await backend.head('files/missing.pdf'), null);
+    await assert.rejects(backend.read('files/missing.pdf'), (error) => isNotFound(error));
+
+    await backend.delete('files/one.pdf');
+    await backend.delete('files/one.pdf');
+    assert.equal(await backend.head('files/one.pdf'), null);
+  });
+
+  test('refuses keys that could escape the store', async () => {
+    for (const key of ['../outside', '/etc/passwd', 'files/../../x', '.meta/x', '']) {
+      await assert.rejects(backend.put(key, Buffer.from('x')), (error) => error.code === 'INVALID_KEY', key);
+    }
+    await assert.rejects(backend.list('../'), (error) => error.code === 'INVALID_KEY');
+  });
+}
+
+describe('local storage backend', () => {
+  let root;
+
+  storageContract(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'e2open-storage-'));
+    return createLocalStorage({ root });
+  });
+
+  after(() => {
+    if (root) fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('has no URLs of its own', () => {
+    assert.equal(createLocalStorage({ root: os.tmpdir() }).signedUrl('files/x', { expiresIn: 60 }), null);
+  });
+});
+
+describe('S3 storage backend', { skip: s3Missing }, () => {
+  const options = () => ({
+    endpoint: process.env.E2E_S3_ENDPOINT,
+    bucket: process.env.E2E_S3_BUCKET || 'e2open-test',
+    region: 'us-east-1',
+    accessKeyId: process.env.E2E_S3_ACCESS_KEY_ID || 'minioadmin',
+    secretAccessKey: process.env.E2E_S3_SECRET_ACCESS_KEY || 'minioadmin',
+    // A fresh prefix per run keeps earlier runs' objects out of the listings
+    prefix: `unit-${Date.now()}`
+  });
+
+  storageContract(() => createS3Storage(options()));
+
+  test('hands out presigned URLs that download the object', async () => {
+    const backend = createS3Storage(options());
+    await backend.put('files/linked.pdf', Buffer.from('%PDF linked'), { contentType: 'application/pdf' });
+    const url = backend.signedUrl('files/linked.pdf', { expiresIn: 60, filename: 'linked.pdf' });
+    assert.ok(url.startsWith(process.env.E2E_S3_ENDPOINT), url);
+
+    const response = await fetch(url);
+    assert.equal(response.status, 200);
+    assert.equal(Buffer.from(await response.arrayBuffer()).toString(), '%PDF linked');
+    assert.match(response.headers.get('content-disposition'), /linked\.pdf/);
+    await backend.delete('files/linked.pdf');
+  });
+});
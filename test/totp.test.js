@@ -0,0 +1,49 @@
+// Unit tests for TOTP codes against the RFC 6238 test vectors
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeBase32, isValidSecret, generateTotp, verifyTotp, secondsRemaining } = require('../lib/totp');
+
+// The RFC's SHA-1 key "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B (SHA-1), last six of the eight digits
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('totp', () => {
+  test('decodes base32 secrets, ignoring grouping, padding and case', () => {
+    assert.equal(decodeBase32(RFC_SECRET).toString(), '12345678901234567890');
+    assert.equal(decodeBase32('gezd gnbv gy3t qojq-gezd gnbv gy3t qojq==').toString(), '12345678901234567890');
+    assert.throws(() => decodeBase32(''), /empty/);
+    assert.throws(() => decodeBase32('GEZD1'), /unexpected '1'/);
+    assert.equal(isValidSecret(RFC_SECRET), true);
+    assert.equal(isValidSecret('not base32!'), false);
+  });
+
+  for (const [seconds, code] of RFC_VECTORS) {
+    test(`generates the RFC 6238 code at T=${seconds}`, () => {
+      assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code);
+    });
+  }
+
+  test('accepts codes one step either side of now, and no further', () => {
+    const now = 1111111111 * 1000;
+    assert.equal(verifyTotp(generateTotp(RFC_SECRET, now - 30000), RFC_SECRET, now), true);
+    assert.equal(verifyTotp(generateTotp(RFC_SECRET, now + 30000), RFC_SECRET, now), true);
+    assert.equal(verifyTotp(generateTotp(RFC_SECRET, now - 60000), RFC_SECRET, now), false);
+    assert.equal(verifyTotp(generateTotp(RFC_SECRET, now - 60000), RFC_SECRET, now, 2), true);
+    assert.equal(verifyTotp('000000', RFC_SECRET, now, 0), false);
+  });
+
+  test('counts down to the end of the 30-second step', () => {
+    assert.equal(secondsRemaining(0), 30);
+    assert.equal(secondsRemaining(59 * 1000), 1);
+    assert.equal(secondsRemaining(61 * 1000), 29);
+  });
+});
@@ -0,0 +1,39 @@
+// Unit tests for the outbound URL policy: which addresses count as internal, and the DNS check
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isBlockedAddress, validateOutboundUrl, checkOutboundUrl } = require('../lib/url-policy');
+
+describe('outbound URL policy', () => {
+  test('blocks loopback, private, link-local, shared, multicast and reserved addresses', () => {
+    for (const address of [
+      '0.0.0.0', '127.0.0.1', '127.255.255.254', '10.0.0.1', '100.64.0.1', '169.254.169.254', '172.16.0.1',
+      '172.31.255.255', '192.168.0.1', '198.18.0.1', '224.0.0.1', '255.255.255.255',
+      '::', '::1', 'fd00::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'
+    ]) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  test('lets public addresses through', () => {
+    for (const address of ['8.8.8.8', '172.32.0.1', '100.128.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+      assert.equal(isBlockedAddress(address), false, address);
+    }
+    assert.equal(isBlockedAddress('example.com'), false, 'names are checked after resolution');
+  });
+
+  test('names the URL in its messages', () => {
+    assert.deepEqual(validateOutboundUrl('https://api.example.com/loads', 'Source URL'), { valid: true, url: 'https://api.example.com/loads' });
+    assert.match(validateOutboundUrl('file:///etc/passwd', 'Source URL').message, /^Source URL must use http or https/);
+    assert.match(validateOutboundUrl('http://metadata.localhost/', 'Source URL').message, /^Source URL must not point at a local or private address/);
+    assert.match(validateOutboundUrl('::', 'Callback URL').message, /^Callback URL is not a valid URL/);
+  });
+
+  test('checks what a name resolves to', async () => {
+    assert.equal((await checkOutboundUrl('http://127.0.0.1/')).valid, false);
+    const resolved = await checkOutboundUrl('http://localhost./');
+    assert.equal(resolved.valid, false);
+    assert.match(resolved.message, /local or private address/);
+    const unresolvable = await checkOutboundUrl('http://does-not-exist.invalid/');
+    assert.equal(unresolvable.valid, false);
+  });
+});
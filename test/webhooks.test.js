@@ -0,0 +1,139 @@
+// Unit tests for callback delivery against a local receiver: payload, signature, retries and refused targets
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+// Read at load: the receiver below listens on loopback, which callbacks may only reach when allowed
+process.env.WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.OUTBOUND_ALLOWED_HOSTS = '127.0.0.1';
+const webhooks = require('../lib/webhooks');
+
+describe('webhook delivery', () => {
+  let server;
+  let url;
+  let requests = [];
+  // Status codes the receiver answers with, in order (200 once they run out)
+  let replies = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+        const status = replies.shift() || 200;
+        res.writeHead(status, status === 302 ? { Location: 'http://169.254.169.254/latest/meta-data/' } : {});
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const reset = (statuses = []) => {
+    requests = [];
+    replies = statuses;
+  };
+
+  test('signs the payload and retries a 5xx until it is accepted', async () => {
+    reset([500, 503]);
+    const payload = webhooks.buildJson({ jobId: 'job-1', state: 'succeeded' });
+    const log = [];
+    const outcome = await webhooks.deliverWebhook(url, payload, {
+      event: 'job.succeeded',
+      log,
+      baseDelay: 5,
+      headers: { 'X-Job-Id': 'job-1' }
+    });
+
+    assert.deepEqual(outcome, { delivered: true, attempts: 3, status: 200 });
+    assert.deepEqual(log.map(entry => entry.status), [500, 503, 200]);
+    assert.deepEqual(log.slice(0, 2).map(entry => entry.nextRetryInMs), [5, 10]);
+    assert.equal(requests.length, 3);
+
+    const deliveryIds = new Set(requests.map(request => request.headers['x-webhook-delivery']));
+    assert.equal(deliveryIds.size, 1, 'retries keep the delivery ID');
+
+    for (const request of requests) {
+      assert.equal(request.url, '/hook');
+      assert.equal(request.headers['content-type'], 'application/json');
+      assert.equal(request.headers['x-webhook-event'], 'job.succeeded');
+      assert.equal(request.headers['x-job-id'], 'job-1');
+      assert.deepEqual(JSON.parse(request.body), { jobId: 'job-1', state: 'succeeded' });
+
+      // What a receiver does: HMAC-SHA256 of "<timestamp>.<raw body>" with the shared secret
+      const timestamp = request.headers['x-webhook-timestamp'];
+      const expected = crypto.createHmac('sha256', 'test-webhook-secret').update(`${timestamp}.${request.body}`).digest('hex');
+      assert.equal(request.headers['x-webhook-signature'], `sha256=${expected}`);
+    }
+  });
+
+  test('sends multipart bodies byte for byte as signed', async () => {
+    reset();
+    const file = { filename: 'RATECON "1001".pdf', contentType: 'application/pdf', buffer: Buffer.from('%PDF-1.4 body') };
+    const payload = webhooks.buildMultipart({ job: { id: 'job-2' } }, file);
+    const outcome = await webhooks.deliverWebhook(url, payload, { baseDelay: 5 });
+
+    assert.equal(outcome.delivered, true);
+    const [request] = requests;
+    assert.equal(request.headers['content-type'], payload.contentType);
+    assert.deepEqual(request.body, payload.body);
+    assert.match(request.body.toString(), /filename="RATECON 1001\.pdf"/);
+    assert.equal(
+      request.headers['x-webhook-signature'],
+      `sha256=${webhooks.signPayload(payload.body, request.headers['x-webhook-timestamp'])}`
+    );
+  });
+
+  test('gives up at once on a 4xx, and on a redirect', async () => {
+    reset([400]);
+    assert.deepEqual(await webhooks.deliverWebhook(url, webhooks.buildJson({}), { baseDelay: 5 }), { delivered: false, attempts: 1, status: 400 });
+
+    reset([302]);
+    const outcome = await webhooks.deliverWebhook(url, webhooks.buildJson({}), { baseDelay: 5 });
+    assert.equal(outcome.delivered, false);
+    assert.equal(outcome.attempts, 1);
+    assert.equal(requests.length, 1, 'the redirect is not followed');
+  });
+
+  test('retries 408 and 429, and stops after maxAttempts', async () => {
+    reset([408, 429, 500]);
+    const log = [];
+    const outcome = await webhooks.deliverWebhook(url, webhooks.buildJson({}), { baseDelay: 5, maxAttempts: 3, log });
+    assert.deepEqual(outcome, { delivered: false, attempts: 3, status: null });
+    assert.deepEqual(log.map(entry => entry.status), [408, 429, 500]);
+  });
+
+  test('refuses to call internal addresses', async () => {
+    reset();
+    const log = [];
+    const outcome = await webhooks.deliverWebhook('http://169.254.169.254/latest/meta-data/', webhooks.buildJson({}), { log });
+    assert.deepEqual(outcome, { delivered: false, attempts: 0, status: null });
+    assert.match(log[0].error, /local or private address/);
+    assert.equal(requests.length, 0);
+  });
+
+  test('validates callback URLs', () => {
+    assert.equal(webhooks.validateCallbackUrl('https://hooks.example.com/e2open?x=1').valid, true);
+    assert.equal(webhooks.validateCallbackUrl(url).valid, true, 'allowed by OUTBOUND_ALLOWED_HOSTS');
+    for (const value of [
+      'not a url',
+      'ftp://example.com/hook',
+      'http://localhost:8080/hook',
+      'http://127.0.0.2/hook',
+      'http://10.1.2.3/hook',
+      'http://192.168.1.10/hook',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://2130706434/hook'
+    ]) {
+      assert.equal(webhooks.validateCallbackUrl(value).valid, false, value);
+    }
+  });
+});